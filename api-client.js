@@ -0,0 +1,362 @@
+/**
+ * ApiClient - Shared request layer for calls to the BrowserBud API server.
+ *
+ * Every request goes through a per-endpoint policy (timeout and attempts),
+ * is retried with exponential backoff and jitter, waits as long as the server
+ * asks with Retry-After on 429/503, and passes a circuit breaker that stops
+ * sending requests to a server that keeps failing. When signed in, the access
+ * token is sent with every request and refreshed once when the server answers 401.
+ */
+
+// Timeout and attempts for each kind of call
+const ENDPOINT_POLICIES = {
+    batch: { timeout: 30000, maxAttempts: 3 },
+    operation: { timeout: 30000, maxAttempts: 3 },
+    clear: { timeout: 30000, maxAttempts: 2 },
+    // A bake is not idempotent: only retried when the server says it did not start it
+    bake: { timeout: 300000, maxAttempts: 3, idempotent: false },
+    bakeStatus: { timeout: 10000, maxAttempts: 2 },
+    status: { timeout: 5000, maxAttempts: 2 },
+    health: { timeout: 5000, maxAttempts: 1 }
+};
+
+const RETRY_STATUSES = [408, 429, 500, 502, 503, 504];
+const RETRY_AFTER_STATUSES = [429, 503];
+
+const BACKOFF_BASE_DELAY = 1000; // ms, doubled on each attempt
+const BACKOFF_MAX_DELAY = 30000; // ms
+const MAX_RETRY_AFTER = 60000; // ms a request waits in place; longer waits open the circuit
+
+const CIRCUIT_STATES = {
+    CLOSED: 'closed',
+    OPEN: 'open',
+    HALF_OPEN: 'half-open'
+};
+
+const CIRCUIT_FAILURE_THRESHOLD = 5; // failed requests in a row before opening
+const CIRCUIT_COOLDOWN = 30000; // ms before the first trial request
+const CIRCUIT_MAX_COOLDOWN = 300000; // ms, the cooldown doubles while trials fail
+
+/**
+ * Error for a request that failed, with the HTTP status when there was a response
+ */
+class ApiError extends Error {
+    constructor(message, { status = null, retryAfter = null } = {}) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+        this.retryAfter = retryAfter;
+    }
+}
+
+/**
+ * Error for a request the server refused because the user is not signed in
+ * or their session could not be refreshed
+ */
+class AuthError extends ApiError {
+    constructor(message = 'Sign in to sync with the server') {
+        super(message, { status: 401 });
+        this.name = 'AuthError';
+    }
+}
+
+/**
+ * Error for a request refused without being sent because the circuit is open
+ */
+class CircuitOpenError extends ApiError {
+    constructor(retryAt) {
+        super(`Server unavailable, retrying after ${new Date(retryAt).toISOString()}`);
+        this.name = 'CircuitOpenError';
+        this.retryAt = retryAt;
+    }
+}
+
+/**
+ * Parse a Retry-After header
+ * @param {string|null} value - Seconds or an HTTP date
+ * @param {number} now - Current time, in ms
+ * @returns {number|null} Delay in ms, or null if missing or invalid
+ */
+function parseRetryAfter(value, now = Date.now()) {
+    if (value === null || value === undefined || value === '') {
+        return null;
+    }
+
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) {
+        return Math.max(0, seconds * 1000);
+    }
+
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/**
+ * Delay before a retry: exponential, with half of it random so clients that
+ * failed together do not retry together
+ * @param {number} attempt - Attempt that failed, from 1
+ * @param {number} baseDelay - Delay after the first attempt, in ms
+ * @param {Function} random - Source of numbers in [0, 1)
+ * @returns {number} Delay in ms
+ */
+function getBackoffDelay(attempt, baseDelay = BACKOFF_BASE_DELAY, random = Math.random) {
+    const delay = Math.min(BACKOFF_MAX_DELAY, baseDelay * 2 ** (attempt - 1));
+    return delay / 2 + random() * delay / 2;
+}
+
+class CircuitBreaker {
+    /**
+     * @param {Object} options - failureThreshold, cooldown, maxCooldown, now, onChange(state, retryAt)
+     */
+    constructor(options = {}) {
+        this.failureThreshold = options.failureThreshold || CIRCUIT_FAILURE_THRESHOLD;
+        this.baseCooldown = options.cooldown || CIRCUIT_COOLDOWN;
+        this.maxCooldown = options.maxCooldown || CIRCUIT_MAX_COOLDOWN;
+        this.now = options.now || Date.now;
+        this.onChange = options.onChange || (() => {});
+
+        this.state = CIRCUIT_STATES.CLOSED;
+        this.failures = 0;
+        this.cooldown = this.baseCooldown;
+        this.retryAt = null;
+        this.trialInFlight = false;
+    }
+
+    /**
+     * Whether a request may be sent now. Once the cooldown is over, one trial
+     * request is let through to see if the server is back.
+     * @returns {boolean}
+     */
+    allowRequest() {
+        if (this.state === CIRCUIT_STATES.CLOSED) {
+            return true;
+        }
+
+        if (this.state === CIRCUIT_STATES.OPEN && this.now() >= this.retryAt) {
+            this.setState(CIRCUIT_STATES.HALF_OPEN);
+        }
+
+        if (this.state === CIRCUIT_STATES.HALF_OPEN && !this.trialInFlight) {
+            this.trialInFlight = true;
+            return true;
+        }
+
+        return false;
+    }
+
+    /**
+     * Whether a request would be let through, without using up the trial
+     * @returns {boolean}
+     */
+    isAvailable() {
+        if (this.state === CIRCUIT_STATES.OPEN) {
+            return this.now() >= this.retryAt;
+        }
+        return this.state === CIRCUIT_STATES.CLOSED || !this.trialInFlight;
+    }
+
+    /**
+     * Forget past failures, e.g. when switching to another server
+     */
+    reset() {
+        this.recordSuccess();
+    }
+
+    /**
+     * Record a request the server answered
+     */
+    recordSuccess() {
+        this.failures = 0;
+        this.trialInFlight = false;
+        this.cooldown = this.baseCooldown;
+        this.retryAt = null;
+
+        if (this.state !== CIRCUIT_STATES.CLOSED) {
+            this.setState(CIRCUIT_STATES.CLOSED);
+        }
+    }
+
+    /**
+     * Record a request that failed for good
+     * @param {number|null} retryAfter - How long the server asked to wait, in ms
+     */
+    recordFailure(retryAfter = null) {
+        this.failures += 1;
+        const trialFailed = this.state === CIRCUIT_STATES.HALF_OPEN;
+        this.trialInFlight = false;
+
+        if (trialFailed) {
+            this.cooldown = Math.min(this.maxCooldown, this.cooldown * 2);
+        }
+
+        if (trialFailed || this.failures >= this.failureThreshold || retryAfter > MAX_RETRY_AFTER) {
+            this.open(Math.max(this.cooldown, retryAfter || 0));
+        }
+    }
+
+    /**
+     * Stop sending requests for a while
+     * @param {number} duration - In ms
+     */
+    open(duration) {
+        this.retryAt = this.now() + duration;
+        this.setState(CIRCUIT_STATES.OPEN);
+    }
+
+    setState(state) {
+        const changed = this.state !== state;
+        this.state = state;
+        if (changed || state === CIRCUIT_STATES.OPEN) {
+            console.log(`Circuit ${state}${state === CIRCUIT_STATES.OPEN ? ` until ${new Date(this.retryAt).toISOString()}` : ''}`);
+            this.onChange(state, this.retryAt);
+        }
+    }
+
+    /**
+     * Breaker state for the status display
+     * @returns {Object} { state, failures, retryAt (ISO) }
+     */
+    getStatus() {
+        return {
+            state: this.state,
+            failures: this.failures,
+            retryAt: this.retryAt ? new Date(this.retryAt).toISOString() : null
+        };
+    }
+}
+
+class ApiClient {
+    /**
+     * @param {Object} options - baseUrl, auth (getAccessToken, refresh, setBaseUrl), breaker
+     *   (a CircuitBreaker), onCircuitChange, random, sleep
+     */
+    constructor(options = {}) {
+        this.baseUrl = options.baseUrl || '';
+        this.auth = options.auth || null;
+        this.breaker = options.breaker || new CircuitBreaker({ onChange: options.onCircuitChange });
+        this.random = options.random || Math.random;
+        this.sleep = options.sleep || (ms => new Promise(resolve => setTimeout(resolve, ms)));
+    }
+
+    /**
+     * Point the client at another server. The old server's failures do not count against it.
+     * @param {string} baseUrl - API base URL
+     */
+    setBaseUrl(baseUrl) {
+        if (baseUrl !== this.baseUrl) {
+            this.baseUrl = baseUrl;
+            this.breaker.reset();
+        }
+        this.auth?.setBaseUrl(baseUrl);
+    }
+
+    /**
+     * Request headers with the access token, if signed in
+     * @param {Object} headers - Headers given by the caller
+     * @returns {Promise<Object>} Headers
+     */
+    async getHeaders(headers = {}) {
+        const token = this.auth ? await this.auth.getAccessToken() : null;
+        return token ? { ...headers, 'Authorization': `Bearer ${token}` } : headers;
+    }
+
+    /**
+     * Send a request under an endpoint's policy. Responses with a status that
+     * is not worth retrying (e.g. 404 or 409) are returned for the caller to
+     * handle; network errors, timeouts and 408/429/5xx are retried and throw
+     * an ApiError once the attempts run out. A 401 refreshes the access token
+     * and sends the request again once; if that does not help, AuthError is thrown.
+     * @param {string} endpoint - Key of ENDPOINT_POLICIES
+     * @param {string} path - Path under the API base URL
+     * @param {Object} init - fetch options, plus timeout, maxAttempts and baseDelay overrides
+     * @returns {Promise<Response>} Response
+     */
+    async request(endpoint, path, init = {}) {
+        const { timeout, maxAttempts, baseDelay, ...fetchInit } = init;
+        const policy = {
+            ...ENDPOINT_POLICIES[endpoint],
+            ...(timeout !== undefined && { timeout }),
+            ...(maxAttempts !== undefined && { maxAttempts })
+        };
+
+        if (!this.breaker.allowRequest()) {
+            throw new CircuitOpenError(this.breaker.retryAt);
+        }
+
+        let lastError;
+        let refreshed = false;
+
+        for (let attempt = 1; attempt <= policy.maxAttempts; attempt++) {
+            let retryAfter = null;
+
+            try {
+                const response = await fetch(`${this.baseUrl}${path}`, {
+                    ...fetchInit,
+                    headers: await this.getHeaders(fetchInit.headers),
+                    signal: AbortSignal.timeout(policy.timeout)
+                });
+
+                if (response.status === 401 && this.auth) {
+                    // The server is up, the token is not: not a failure for the breaker
+                    if (!refreshed && await this.auth.refresh()) {
+                        refreshed = true;
+                        attempt -= 1; // resending with the new token does not use up an attempt
+                        continue;
+                    }
+                    this.breaker.recordSuccess();
+                    throw new AuthError();
+                }
+
+                if (!RETRY_STATUSES.includes(response.status)) {
+                    this.breaker.recordSuccess();
+                    return response;
+                }
+
+                if (RETRY_AFTER_STATUSES.includes(response.status)) {
+                    retryAfter = parseRetryAfter(response.headers?.get?.('Retry-After'));
+                }
+                const errorText = await response.text().catch(() => '');
+                lastError = new ApiError(`HTTP ${response.status}: ${errorText}`, { status: response.status, retryAfter });
+
+                // A request the server may have started is only retried if that is safe
+                if (policy.idempotent === false && !RETRY_AFTER_STATUSES.includes(response.status)) {
+                    break;
+                }
+            } catch (error) {
+                if (error instanceof AuthError) {
+                    throw error;
+                }
+                lastError = error instanceof ApiError ? error : new ApiError(error.message);
+                if (policy.idempotent === false) {
+                    break;
+                }
+            }
+
+            if (attempt === policy.maxAttempts || retryAfter > MAX_RETRY_AFTER) {
+                break;
+            }
+
+            const delay = retryAfter !== null
+                ? retryAfter
+                : getBackoffDelay(attempt, baseDelay !== undefined ? baseDelay : BACKOFF_BASE_DELAY, this.random);
+            console.log(`${endpoint} request failed (${lastError.message}), retrying in ${Math.round(delay)}ms ` +
+                `(attempt ${attempt + 1}/${policy.maxAttempts})`);
+            await this.sleep(delay);
+        }
+
+        this.breaker.recordFailure(lastError.retryAfter);
+        throw lastError;
+    }
+}
+
+export {
+    ApiClient,
+    ApiError,
+    AuthError,
+    CircuitBreaker,
+    CircuitOpenError,
+    CIRCUIT_STATES,
+    ENDPOINT_POLICIES,
+    parseRetryAfter,
+    getBackoffDelay
+};
@@ -0,0 +1,367 @@
+/**
+ * AuthManager - Signs the extension in to the BrowserBud API server.
+ *
+ * Two ways in: an OAuth2 authorization-code flow with PKCE through
+ * chrome.identity.launchWebAuthFlow, or an API token pasted on the options
+ * page. Tokens live in chrome.storage.local (never synced) and are only ever
+ * read by the service worker, which injects them into every API request and
+ * refreshes them when the server answers 401.
+ */
+
+const AUTH_KEY = 'auth';
+const INSTALLATION_ID_KEY = 'user_id'; // identity used while signed out
+
+const OAUTH_CLIENT_ID = 'browserbud-extension';
+const AUTH_TIMEOUT = 10000; // ms
+const TOKEN_EXPIRY_MARGIN = 60000; // ms, refresh this long before a token expires
+
+const AUTH_METHODS = {
+    OAUTH: 'oauth',
+    TOKEN: 'token'
+};
+
+/**
+ * Encode bytes as base64url, without padding
+ * @param {Uint8Array} bytes - Bytes
+ * @returns {string} Encoded string
+ */
+function toBase64Url(bytes) {
+    let binary = '';
+    bytes.forEach(byte => {
+        binary += String.fromCharCode(byte);
+    });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Random string for PKCE verifiers and OAuth state
+ * @param {number} length - Number of random bytes
+ * @returns {string} base64url string
+ */
+function randomString(length = 32) {
+    return toBase64Url(crypto.getRandomValues(new Uint8Array(length)));
+}
+
+/**
+ * PKCE S256 challenge for a code verifier
+ * @param {string} verifier - Code verifier
+ * @returns {Promise<string>} Code challenge
+ */
+async function createCodeChallenge(verifier) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(verifier));
+    return toBase64Url(new Uint8Array(digest));
+}
+
+class AuthManager {
+    /**
+     * @param {Object} options - baseUrl, now
+     */
+    constructor(options = {}) {
+        this.baseUrl = options.baseUrl || '';
+        this.now = options.now || Date.now;
+        this.refreshing = null; // refresh in flight, shared by concurrent 401s
+    }
+
+    /**
+     * Point at another server. Tokens belong to the server that issued them,
+     * so a session for another server counts as signed out.
+     * @param {string} baseUrl - API base URL
+     */
+    setBaseUrl(baseUrl) {
+        this.baseUrl = baseUrl;
+    }
+
+    /**
+     * Stored session for the current server
+     * @returns {Promise<Object|null>} Session, or null if signed out
+     */
+    async getSession() {
+        const result = await chrome.storage.local.get([AUTH_KEY]);
+        const session = result?.[AUTH_KEY];
+        return session && session.server === this.baseUrl ? session : null;
+    }
+
+    async saveSession(session) {
+        await chrome.storage.local.set({ [AUTH_KEY]: session });
+    }
+
+    /**
+     * Sign-in state for the popup and options page. Tokens are never included.
+     * @returns {Promise<Object>} { signedIn, method, user, expired, server }
+     */
+    async getState() {
+        const session = await this.getSession();
+        return {
+            signedIn: !!session?.access_token,
+            method: session?.method || null,
+            user: session?.user || null,
+            expired: !!session?.expired,
+            server: this.baseUrl
+        };
+    }
+
+    /**
+     * Id stamped on every note: the signed-in user's, or a per-installation
+     * id while signed out, so every capture path reports the same identity
+     * @returns {Promise<string>} User id
+     */
+    async getUserId() {
+        const session = await this.getSession();
+        if (session?.user?.id) {
+            return session.user.id;
+        }
+
+        const result = await chrome.storage.local.get([INSTALLATION_ID_KEY]);
+        if (result?.[INSTALLATION_ID_KEY]) {
+            return result[INSTALLATION_ID_KEY];
+        }
+
+        const installationId = `user_${this.now()}_${Math.random().toString(36).substr(2, 9)}`;
+        await chrome.storage.local.set({ [INSTALLATION_ID_KEY]: installationId });
+        return installationId;
+    }
+
+    /**
+     * Access token for the next request, refreshed first if it is about to expire
+     * @returns {Promise<string|null>} Token, or null if signed out
+     */
+    async getAccessToken() {
+        const session = await this.getSession();
+        if (!session?.access_token) {
+            return null;
+        }
+
+        if (session.expires_at && session.refresh_token &&
+            this.now() >= session.expires_at - TOKEN_EXPIRY_MARGIN) {
+            return this.refresh();
+        }
+
+        return session.access_token;
+    }
+
+    /**
+     * Get a new access token with the refresh token. Concurrent callers share
+     * one refresh. A refresh token the server refuses ends the session; a
+     * network error keeps it for the next try.
+     * @returns {Promise<string|null>} New token, or null if it could not be refreshed
+     */
+    refresh() {
+        if (!this.refreshing) {
+            this.refreshing = this.refreshSession().finally(() => {
+                this.refreshing = null;
+            });
+        }
+        return this.refreshing;
+    }
+
+    async refreshSession() {
+        const session = await this.getSession();
+        if (!session?.refresh_token) {
+            if (session?.access_token) {
+                // An API token cannot be refreshed: it was revoked
+                await this.expireSession(session);
+            }
+            return null;
+        }
+
+        try {
+            const response = await this.post('/auth/refresh', { refresh_token: session.refresh_token });
+
+            if (response.status === 400 || response.status === 401) {
+                console.warn('Refresh token was refused, signing in again is required');
+                await this.expireSession(session);
+                return null;
+            }
+            if (!response.ok) {
+                throw new Error(`Server returned ${response.status}`);
+            }
+
+            const tokens = await response.json();
+            const refreshed = { ...session, ...this.toSession(tokens) };
+            refreshed.refresh_token = tokens.refresh_token || session.refresh_token;
+            await this.saveSession(refreshed);
+            console.log('Access token refreshed');
+            return refreshed.access_token;
+        } catch (error) {
+            console.error('Error refreshing access token:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Drop the tokens of a session the server no longer accepts, keeping who
+     * was signed in so the popup can ask them to sign in again
+     */
+    async expireSession(session) {
+        const { access_token, refresh_token, expires_at, ...rest } = session;
+        await this.saveSession({ ...rest, expired: true });
+    }
+
+    /**
+     * Sign in with an API token, checking it against the server first
+     * @param {string} token - API token
+     * @returns {Promise<Object>} { success, user } or { success: false, error }
+     */
+    async signInWithToken(token) {
+        const accessToken = String(token || '').trim();
+        if (!accessToken) {
+            return { success: false, error: 'Enter an API token' };
+        }
+
+        try {
+            const user = await this.fetchUser(accessToken);
+            await this.saveSession({
+                method: AUTH_METHODS.TOKEN,
+                server: this.baseUrl,
+                access_token: accessToken,
+                user
+            });
+            console.log('Signed in with an API token as', user.email || user.id);
+            return { success: true, user };
+        } catch (error) {
+            console.error('Error signing in with token:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Sign in through the server's OAuth2 authorization page (code flow with PKCE)
+     * @returns {Promise<Object>} { success, user } or { success: false, error }
+     */
+    async signInWithOAuth() {
+        try {
+            const redirectUri = chrome.identity.getRedirectURL('oauth2');
+            const verifier = randomString();
+            const state = randomString(16);
+
+            const authorizeUrl = new URL(`${this.baseUrl}/auth/authorize`);
+            authorizeUrl.search = new URLSearchParams({
+                response_type: 'code',
+                client_id: OAUTH_CLIENT_ID,
+                redirect_uri: redirectUri,
+                code_challenge: await createCodeChallenge(verifier),
+                code_challenge_method: 'S256',
+                state
+            }).toString();
+
+            const responseUrl = await chrome.identity.launchWebAuthFlow({
+                url: authorizeUrl.href,
+                interactive: true
+            });
+
+            const params = new URL(responseUrl).searchParams;
+            if (params.get('error')) {
+                throw new Error(params.get('error_description') || params.get('error'));
+            }
+            if (params.get('state') !== state) {
+                throw new Error('Sign-in response did not match the request');
+            }
+
+            const response = await this.post('/auth/token', {
+                grant_type: 'authorization_code',
+                client_id: OAUTH_CLIENT_ID,
+                code: params.get('code'),
+                code_verifier: verifier,
+                redirect_uri: redirectUri
+            });
+            if (!response.ok) {
+                throw new Error(`Sign-in failed: server returned ${response.status}`);
+            }
+
+            const tokens = await response.json();
+            const user = tokens.user || await this.fetchUser(tokens.access_token);
+            await this.saveSession({
+                method: AUTH_METHODS.OAUTH,
+                server: this.baseUrl,
+                ...this.toSession(tokens),
+                refresh_token: tokens.refresh_token || null,
+                user
+            });
+            console.log('Signed in as', user.email || user.id);
+            return { success: true, user };
+        } catch (error) {
+            console.error('Error signing in:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Forget the session and the installation id, and ask the server to revoke
+     * the refresh token. Local notes are purged by the caller.
+     * @returns {Promise<Object>} { success }
+     */
+    async signOut() {
+        const session = await this.getSession();
+
+        if (session?.refresh_token) {
+            // Best effort: the local session ends either way
+            await this.post('/auth/logout', { refresh_token: session.refresh_token })
+                .catch(error => console.warn('Could not revoke the session on the server:', error.message));
+        }
+
+        await chrome.storage.local.remove([AUTH_KEY, INSTALLATION_ID_KEY]);
+        console.log('Signed out');
+        return { success: true };
+    }
+
+    /**
+     * Token fields of a token response
+     * @param {Object} tokens - { access_token, expires_in }
+     * @returns {Object} { access_token, expires_at }
+     */
+    toSession(tokens) {
+        if (!tokens?.access_token) {
+            throw new Error('Server did not return an access token');
+        }
+        return {
+            access_token: tokens.access_token,
+            expires_at: tokens.expires_in ? this.now() + tokens.expires_in * 1000 : null,
+            expired: false
+        };
+    }
+
+    /**
+     * Look up who a token belongs to
+     * @param {string} accessToken - Access token
+     * @returns {Promise<Object>} { id, email, name }
+     */
+    async fetchUser(accessToken) {
+        const response = await fetch(`${this.baseUrl}/auth/me`, {
+            method: 'GET',
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${accessToken}`
+            },
+            signal: AbortSignal.timeout(AUTH_TIMEOUT)
+        });
+
+        if (response.status === 401 || response.status === 403) {
+            throw new Error('The server did not accept this token');
+        }
+        if (!response.ok) {
+            throw new Error(`Server returned ${response.status}`);
+        }
+
+        const user = await response.json();
+        if (!user?.id) {
+            throw new Error('Server did not say who the token belongs to');
+        }
+        return { id: String(user.id), email: user.email || null, name: user.name || null };
+    }
+
+    post(path, body) {
+        return fetch(`${this.baseUrl}${path}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body),
+            signal: AbortSignal.timeout(AUTH_TIMEOUT)
+        });
+    }
+}
+
+export {
+    AuthManager,
+    AUTH_METHODS,
+    AUTH_KEY,
+    INSTALLATION_ID_KEY
+};
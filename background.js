@@ -1,121 +1,657 @@
 import { BatchProcessor } from './batch-processor.js';
+import { toMessageParts } from './exporter.js';
+import { DEFAULT_SETTINGS, getSettings, saveSettings, onSettingsChanged, toProcessorOptions } from './settings.js';
+import {
+    saveHighlight,
+    removeHighlight,
+    getHighlightsForUrl,
+    clearHighlights,
+    isHighlightingEnabled,
+    toggleSiteHighlighting
+} from './highlights.js';
+import {
+    DEFAULT_INTENT,
+    getIntents,
+    getIntentMenuItemId,
+    getIntentFromMenuItemId
+} from './intents.js';
+import { extractSelectionContext, getSelectedText } from './content/selection-context.js';
+import { renderAnnotationOverlay } from './content/annotation-overlay.js';
+import { extractImageContext, extractLinkContext } from './content/element-context.js';
+import { extractPageArticle } from './content/page-extractor.js';
+import { CaptureBlockedError, getSiteFromUrl, matchesPattern } from './privacy.js';
 
-const BATCH_INTERVAL = 2 * 60 * 1000; // 2 minutes
-const MAX_LOCAL_NOTES = 50; // Keep only recent notes locally
-const API_BASE_URL = 'http://localhost:8000/api';
+const MENU_ID = 'browserBud';
 
-let batchProcessor = null;
+// Context menu contexts BrowserBud can capture from
+const CAPTURE_CONTEXTS = ["selection", "image", "link", "page"];
 
-// Get consistent user ID
-function getUserId() {
-    return new Promise((resolve) => {
-        chrome.storage.local.get(['user_id'], (result) => {
-            if (result.user_id) {
-                resolve(result.user_id);
-            } else {
-                const newUserId = `user_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-                chrome.storage.local.set({ user_id: newUserId });
-                resolve(newUserId);
-            }
-        });
-    });
-}
+// Keyboard shortcuts declared under "commands" in manifest.json
+const COMMANDS = {
+    CAPTURE_SELECTION: 'capture-selection',
+    OPEN_QUICK_NOTE: 'open-quick-note',
+    BAKE_NOW: 'bake-now'
+};
+
+// Badge shown briefly after a keyboard shortcut
+const CAPTURE_BADGES = {
+    saved: { text: '✓', color: '#4CAF50' },
+    annotating: { text: '✎', color: '#1a73e8' },
+    duplicate: { text: '=', color: '#9E9E9E' },
+    empty: { text: '–', color: '#9E9E9E' },
+    blocked: { text: '⊘', color: '#9E9E9E' },
+    failed: { text: '!', color: '#F44336' }
+};
+
+// Makes object URLs for exports, which the service worker can't
+const OFFSCREEN_DOCUMENT = 'offscreen/offscreen.html';
+
+// Re-highlights captures on revisits, registered for the sites the user gave access to
+const HIGHLIGHTER_SCRIPT = {
+    id: 'highlighter',
+    js: ['content/highlighter.js'],
+    css: ['content/highlighter.css'],
+    runAt: 'document_idle'
+};
+
+let batchProcessor = null;
+let menuIntentsKey = null; // custom intents the context menu was last built with
+let offscreenOpening = null; // offscreen document being created
 
 /**
  * Handle extension installation
  */
-const onInstalled = () => {
-    console.log('Context menu created');
+const onInstalled = async () => {
     chrome.contextMenus.create({
-        id: "browserBud",
+        id: MENU_ID,
         title: "BrowserBud",
-        contexts: ["selection"]
+        contexts: CAPTURE_CONTEXTS
     });
 
-    initializeBatchProcessor();
+    ensureBatchProcessor();
+    await syncHighlighterRegistration();
+    const settings = await getSettings();
+    createIntentMenuItems(settings);
+    if (settings.capturePaused) {
+        chrome.contextMenus.update(MENU_ID, getRootMenuState(settings));
+    }
+    console.log('Context menu created');
     console.log('Extension setup complete');
-
 };
 
+/**
+ * The BrowserBud menu item is greyed out while capturing is paused
+ * @param {Object} settings - Current settings
+ * @returns {Object} { title, enabled }
+ */
+function getRootMenuState(settings) {
+    return settings.capturePaused
+        ? { title: "BrowserBud (paused)", enabled: false }
+        : { title: "BrowserBud", enabled: true };
+}
+
+/**
+ * Add one context menu entry per intent under the BrowserBud item
+ * @param {Object} settings - Current settings
+ */
+function createIntentMenuItems(settings) {
+    getIntents(settings).forEach(intent => {
+        chrome.contextMenus.create({
+            id: getIntentMenuItemId(intent.id),
+            parentId: MENU_ID,
+            title: intent.title,
+            contexts: CAPTURE_CONTEXTS
+        });
+    });
+    menuIntentsKey = JSON.stringify(settings.customIntents || []);
+}
+
+/**
+ * Rebuild the context menu when the user's intents change, and grey it out
+ * while capturing is paused
+ * @param {Object} settings - New settings
+ */
+async function updateContextMenu(settings) {
+    if (JSON.stringify(settings.customIntents || []) === menuIntentsKey) {
+        try {
+            await chrome.contextMenus.update(MENU_ID, getRootMenuState(settings));
+        } catch (error) {
+            console.error('Error updating context menu:', error);
+        }
+        return;
+    }
+
+    try {
+        await chrome.contextMenus.removeAll();
+        chrome.contextMenus.create({
+            id: MENU_ID,
+            contexts: CAPTURE_CONTEXTS,
+            ...getRootMenuState(settings)
+        });
+        createIntentMenuItems(settings);
+        console.log('Context menu updated with intents:', settings.customIntents);
+    } catch (error) {
+        console.error('Error updating context menu:', error);
+    }
+}
+
+/**
+ * Register the highlighter for every http(s) origin the extension has been
+ * granted, and unregister it when there are none. Registrations persist, so
+ * this runs on install and update and whenever host permissions change.
+ */
+async function syncHighlighterRegistration() {
+    try {
+        const { origins = [] } = await chrome.permissions.getAll();
+        const matches = origins.filter(origin => /^(https?|\*):\/\//.test(origin));
+        const registered = await chrome.scripting.getRegisteredContentScripts({ ids: [HIGHLIGHTER_SCRIPT.id] });
+
+        if (matches.length === 0) {
+            if (registered.length > 0) {
+                await chrome.scripting.unregisterContentScripts({ ids: [HIGHLIGHTER_SCRIPT.id] });
+            }
+            return;
+        }
+
+        const script = { ...HIGHLIGHTER_SCRIPT, matches };
+        if (registered.length > 0) {
+            await chrome.scripting.updateContentScripts([script]);
+        } else {
+            await chrome.scripting.registerContentScripts([script]);
+        }
+    } catch (error) {
+        console.error('Error registering the highlighter:', error);
+    }
+}
+
 /**
  * Handle extension startup (browser restart)
  */
 const onStartup = () => {
     console.log('BrowserBud extension startup');
-    initializeBatchProcessor();
+    ensureBatchProcessor();
 };
 
+/**
+ * Handle alarms - they wake the suspended service worker, so the batch
+ * processor may have to be rebuilt before it can run the scheduled work
+ */
+const onAlarm = async (alarm) => {
+    console.log('Alarm fired:', alarm.name);
 
-const extractPageMetadata = (tab) => {
-    return new Promise((resolve) => {
-        resolve({
-            url: tab.url,
-            title: tab.title,
-            timestamp: new Date().toISOString()
-        });
-    });
+    const processor = ensureBatchProcessor();
+    if (!processor) {
+        return;
+    }
+
+    try {
+        const handled = await processor.handleAlarm(alarm);
+        if (!handled) {
+            console.warn('Unknown alarm:', alarm.name);
+        }
+    } catch (error) {
+        console.error(`Error handling alarm ${alarm.name}:`, error);
+    }
+};
+
+
+/**
+ * Run a self-contained function in one frame of a tab
+ * @param {Object} tab - Tab to inject into
+ * @param {number} frameId - Frame to inject into, or the top frame if not set
+ * @param {Function} func - Function to run in the page
+ * @param {Array} args - Arguments passed to the function
+ * @returns {Promise<*>} The function's result
+ */
+async function executeInFrame(tab, frameId, func, args) {
+    const target = { tabId: tab.id };
+    if (typeof frameId === 'number') {
+        target.frameIds = [frameId];
+    }
+
+    const details = { target, func };
+    if (args) {
+        details.args = args;
+    }
+
+    const [injection] = await chrome.scripting.executeScript(details);
+    return injection ? injection.result : undefined;
+}
+
+/**
+ * Extract page metadata and the selection's context by injecting the
+ * extractor into the frame the selection was made in
+ */
+const extractPageMetadata = async (tab, frameId) => {
+    const result = await executeInFrame(tab, frameId, extractSelectionContext);
+
+    if (!result) {
+        throw new Error('Metadata extraction failed');
+    }
+
+    return result;
 };
 
 /**
  * Handle context menu click
+ * @returns {Promise<string>} Outcome: saved, annotating, duplicate, empty, blocked or failed
  */
 const onClicked = async (info, tab) => {
     console.log('Context menu item clicked:', info);
     
-    if (!info.selectionText) {
-        console.log('No text selected, skipping save.');
-        return;
+    if (!getCaptureType(info)) {
+        console.log('Nothing to capture, skipping save.');
+        return 'empty';
     }
 
+    // Refuse before anything is read from the page
+    if (ensureBatchProcessor()) {
+        const decision = await batchProcessor.checkCapture({
+            url: info.pageUrl || tab?.url,
+            incognito: Boolean(tab?.incognito)
+        });
+        if (!decision.allowed) {
+            console.log('Capture refused:', decision.reason);
+            return 'blocked';
+        }
+    }
+
+    const intent = getIntentFromMenuItemId(info.menuItemId) || DEFAULT_INTENT;
+
     try { 
-        const note = await createNoteFromSelection(info, tab);
-        console.log('Saving Note for Batch Processing:', note);
-        
-        if (batchProcessor) {
-            batchProcessor.addNote(note);
-        } else {
-            console.error('Batch processor not initialized');
+        const note = await createNoteFromContext(info, tab, intent);
+
+        // The overlay saves the note through the addNote message once it's annotated
+        if (await openAnnotationOverlay(note, tab, info.frameId)) {
+            console.log('Waiting for quick annotation of note');
+            return 'annotating';
         }
+
+        console.log('Saving Note for Batch Processing:', note);
+        return getSaveOutcome(await saveNote(note, tab));
     } catch (error) {
+        if (error instanceof CaptureBlockedError) {
+            console.log('Capture refused:', error.message);
+            return 'blocked';
+        }
         console.error('Error creating note:', error);
 
-        const fallbackNote = await createFallbackNote(info, tab);
-        if (batchProcessor) {
-            batchProcessor.addNote(fallbackNote);
+        try {
+            const fallbackNote = await createFallbackNote(info, tab, intent);
+            return getSaveOutcome(await saveNote(fallbackNote, tab));
+        } catch (fallbackError) {
+            console.error('Error saving fallback note:', fallbackError);
+            return 'failed';
         }
     }
 };
 
 /**
- * Create a note object from selection and metadata
+ * Handle keyboard shortcuts
+ * @param {string} command - Command name from the manifest
+ * @param {Object} tab - Active tab
  */
-async function createNoteFromSelection(info, tab) {
-    const userId = await getUserId();
+const onCommand = async (command, tab) => {
+    console.log('Command received:', command);
+
+    const processor = ensureBatchProcessor();
+
+    switch (command) {
+        case COMMANDS.CAPTURE_SELECTION: {
+            const outcome = await captureSelectionFromTab(tab);
+            const badge = CAPTURE_BADGES[outcome];
+            processor?.flashBadge(badge.text, badge.color);
+            return outcome;
+        }
+
+        case COMMANDS.OPEN_QUICK_NOTE:
+            await openQuickNote();
+            return 'opened';
+
+        case COMMANDS.BAKE_NOW: {
+            if (!processor) {
+                return 'failed';
+            }
+            processor.updateBadge('…', '#FF5722');
+            const result = await processor.triggerBake('', false);
+            if (!result.success) {
+                console.error('Bake from shortcut failed:', result.error);
+                processor.flashBadge('!', '#F44336', 3000);
+            }
+            return result.success ? 'baked' : 'failed';
+        }
+
+        default:
+            console.warn('Unknown command:', command);
+            return 'unknown';
+    }
+};
+
+/**
+ * Capture the active tab's selection the same way as the context menu
+ * @param {Object} tab - Active tab
+ * @returns {Promise<string>} Outcome of the capture
+ */
+async function captureSelectionFromTab(tab) {
+    if (!tab || typeof tab.id !== 'number') {
+        return 'empty';
+    }
+
+    let injections;
+    try {
+        injections = await chrome.scripting.executeScript({
+            target: { tabId: tab.id, allFrames: true },
+            func: getSelectedText
+        });
+    } catch (error) {
+        console.error('Could not read the selection:', error);
+        return 'failed';
+    }
+
+    // Only one frame can hold the selection
+    const selected = (injections || []).find(injection => injection && injection.result && injection.result.trim());
+    if (!selected) {
+        console.log('No text selected, nothing to capture');
+        return 'empty';
+    }
+
+    return onClicked({
+        menuItemId: MENU_ID,
+        selectionText: selected.result,
+        frameId: selected.frameId,
+        pageUrl: tab.url
+    }, tab);
+}
+
+/**
+ * Open the popup with its note field, or a popup window if the action
+ * popup can't be opened (e.g. no focused browser window)
+ */
+async function openQuickNote() {
+    try {
+        await chrome.action.openPopup();
+    } catch (error) {
+        console.log('Opening quick note in a window:', error.message);
+        await chrome.windows.create({
+            url: chrome.runtime.getURL('popup/popup.html'),
+            type: 'popup',
+            width: 420,
+            height: 600
+        });
+    }
+}
+
+/**
+ * Show the quick-annotate overlay next to the selection
+ * @param {Object} note - Captured note
+ * @param {Object} tab - Tab the selection was made in
+ * @param {number} frameId - Frame the selection was made in
+ * @returns {Promise<boolean>} Whether the overlay took over saving the note
+ */
+async function openAnnotationOverlay(note, tab, frameId) {
+    try {
+        const settings = await getSettings();
+        if (!settings.quickAnnotate) {
+            return false;
+        }
+
+        const intents = getIntents(settings).map(({ id, title }) => ({ id, title }));
+        const { tags = [] } = await ensureBatchProcessor().getTags();
+        const shown = await executeInFrame(tab, frameId, renderAnnotationOverlay, [
+            note,
+            intents,
+            settings.quickAnnotateTimeout,
+            tags.map(({ value }) => value)
+        ]);
+
+        return shown === true;
+    } catch (error) {
+        console.error('Could not show the annotation overlay:', error);
+        return false;
+    }
+}
+
+/**
+ * Queue a note and remember its anchor so the passage is highlighted on revisits
+ * @param {Object} note - Note to save
+ * @param {Object} tab - Tab the note was captured in, if any
+ * @returns {Promise<Object|null>} The queued note, or null if it was rejected
+ * @throws {CaptureBlockedError} If the privacy rules refuse the capture
+ */
+async function saveNote(note, tab) {
+    if (!ensureBatchProcessor()) {
+        throw new Error('Batch processor not initialized');
+    }
+
+    // Only the tab can say whether a note comes from an incognito window
+    delete note.incognito;
+    if (tab?.incognito) {
+        note.incognito = true;
+    }
+
+    const saved = await batchProcessor.addNote(note);
+
+    // Highlights keep the captured text readable, so they are off while notes are encrypted
+    if (saved && saved.anchor && !batchProcessor.encryption.isEnabled()) {
+        try {
+            await saveHighlight(saved);
+            if (tab && typeof tab.id === 'number') {
+                chrome.tabs.sendMessage(tab.id, { action: 'refreshHighlights' }).catch(() => {
+                    // No highlighter in this tab (e.g. the page was open before install)
+                });
+            }
+        } catch (error) {
+            console.error('Error saving highlight:', error);
+        }
+    }
+
+    return saved;
+}
+
+/**
+ * @param {Object|null} saved - Note returned by saveNote
+ * @returns {string} saved, or duplicate for a note held as a possible duplicate
+ */
+function getSaveOutcome(saved) {
+    return saved && !saved.duplicate ? 'saved' : 'duplicate';
+}
+
+/**
+ * Work out what a context menu click captures. A selection wins over the
+ * element it was made in, and an image wins over the link around it.
+ * @param {Object} info - Context menu click info
+ * @returns {string|null} Capture type, or null if there's nothing to capture
+ */
+function getCaptureType(info) {
+    if (info.selectionText) {
+        return 'selection';
+    }
+    if (info.mediaType === 'image' && info.srcUrl) {
+        return 'image';
+    }
+    if (info.linkUrl) {
+        return 'link';
+    }
+    if (info.pageUrl) {
+        return 'page';
+    }
+    return null;
+}
+
+/**
+ * Create a note for whatever the context menu was opened on
+ * @param {Object} info - Context menu click info
+ * @param {Object} tab - Tab the menu was opened in
+ * @param {string} intent - Intent picked from the menu
+ */
+async function createNoteFromContext(info, tab, intent = DEFAULT_INTENT) {
+    switch (getCaptureType(info)) {
+        case 'image':
+            return createImageNote(info, tab, intent);
+        case 'link':
+            return createLinkNote(info, tab, intent);
+        case 'page':
+            return createPageNote(info, tab, intent);
+        default:
+            return createNoteFromSelection(info, tab, intent);
+    }
+}
+
+/**
+ * Fields shared by every captured note. The user id is stamped by the batch
+ * processor, the same way for every capture path.
+ * @param {Object} tab - Tab the note was captured in
+ * @param {Object} fields - Type-specific fields
+ */
+async function createBaseNote(tab, fields) {
     return {
-        content: info.selectionText,
-        user_id: userId,
         source_url: tab.url,
         title: tab.title,
         timestamp: new Date().toISOString(),
-        intent: "learn",
-        user_note: ""
+        intent: DEFAULT_INTENT,
+        user_note: "",
+        tags: [],
+        ...fields
     };
 }
 
 /**
- * Create a fallback note when metadata extraction fails
+ * Page metadata for captures that have no selection
  */
-async function createFallbackNote(info, tab) {
-    const userId = await getUserId();
-    return {
+async function extractElementPageMetadata(tab, frameId) {
+    const { url, title, anchor, ...metadata } = await extractPageMetadata(tab, frameId);
+    if (url && url !== tab.url) {
+        metadata.frameUrl = url;
+    }
+    return { title, metadata };
+}
+
+/**
+ * Create a note object from selection and metadata
+ * @param {Object} info - Context menu click info
+ * @param {Object} tab - Tab the selection was made in
+ * @param {string} intent - Intent picked from the menu
+ */
+async function createNoteFromSelection(info, tab, intent = DEFAULT_INTENT) {
+    const { url, title, anchor, ...metadata } = await extractPageMetadata(tab, info.frameId);
+
+    // Selections inside iframes keep the tab as their source
+    if (url && url !== tab.url) {
+        metadata.frameUrl = url;
+    }
+
+    return createBaseNote(tab, {
+        type: "selection",
         content: info.selectionText,
-        user_id: userId,
-        source_url: tab.url,
-        title: tab.title,
-        timestamp: new Date().toISOString(),
-        intent: "learn",
-        user_note: ""
-    };
+        title: tab.title || title,
+        intent,
+        anchor,
+        metadata: {
+            ...metadata,
+            selectionLength: info.selectionText.length
+        }
+    });
+}
+
+/**
+ * Create a note for a right-clicked image
+ */
+async function createImageNote(info, tab, intent = DEFAULT_INTENT) {
+    const { title, metadata } = await extractElementPageMetadata(tab, info.frameId);
+    const image = await executeInFrame(tab, info.frameId, extractImageContext, [info.srcUrl]) || {};
+
+    return createBaseNote(tab, {
+        type: "image",
+        content: image.caption || image.alt_text || image.title || info.srcUrl,
+        title: tab.title || title,
+        intent,
+        payload: {
+            src_url: info.srcUrl,
+            alt_text: image.alt_text || '',
+            caption: image.caption || '',
+            width: image.width || null,
+            height: image.height || null,
+            link_url: info.linkUrl || null
+        },
+        metadata
+    });
+}
+
+/**
+ * Create a note for a right-clicked link
+ */
+async function createLinkNote(info, tab, intent = DEFAULT_INTENT) {
+    const { title, metadata } = await extractElementPageMetadata(tab, info.frameId);
+    const link = await executeInFrame(tab, info.frameId, extractLinkContext, [info.linkUrl]) || {};
+
+    return createBaseNote(tab, {
+        type: "link",
+        content: link.text || info.linkUrl,
+        title: tab.title || title,
+        intent,
+        payload: {
+            href: info.linkUrl,
+            text: link.text || '',
+            title: link.title || ''
+        },
+        metadata
+    });
+}
+
+/**
+ * Create a note holding the main article of the page
+ */
+async function createPageNote(info, tab, intent = DEFAULT_INTENT) {
+    const { metadata } = await extractElementPageMetadata(tab, info.frameId);
+    const article = await executeInFrame(tab, info.frameId, extractPageArticle);
+
+    if (!article || !article.text) {
+        throw new Error('Page extraction found no article text');
+    }
+
+    return createBaseNote(tab, {
+        type: "page",
+        content: article.text,
+        title: article.title || tab.title,
+        intent,
+        payload: {
+            excerpt: article.excerpt,
+            byline: article.byline,
+            site_name: article.site_name,
+            published_time: article.published_time,
+            word_count: article.word_count,
+            truncated: article.truncated
+        },
+        metadata
+    });
+}
+
+/**
+ * Create a fallback note when metadata extraction fails
+ */
+async function createFallbackNote(info, tab, intent = DEFAULT_INTENT) {
+    const type = getCaptureType(info) || 'selection';
+    const fields = { type, intent, metadata: { error: 'Metadata extraction failed' } };
+
+    switch (type) {
+        case 'image':
+            fields.content = info.srcUrl;
+            fields.payload = { src_url: info.srcUrl, link_url: info.linkUrl || null };
+            break;
+        case 'link':
+            fields.content = info.linkUrl;
+            fields.payload = { href: info.linkUrl };
+            break;
+        case 'page':
+            fields.content = tab.title || tab.url;
+            fields.payload = {};
+            break;
+        default:
+            fields.content = info.selectionText;
+            fields.metadata.selectionLength = info.selectionText.length;
+    }
+
+    return createBaseNote(tab, fields);
 }
 
 /**
@@ -126,15 +662,18 @@ function initializeBatchProcessor() {
     
     try {
         // Create new batch processor instance
-        batchProcessor = new BatchProcessor({
-            apiBaseUrl: API_BASE_URL,
-            batchInterval: BATCH_INTERVAL,
-            maxLocalNotes: MAX_LOCAL_NOTES,
-            maxBatchSize: 10
-        });
+        batchProcessor = new BatchProcessor(toProcessorOptions(DEFAULT_SETTINGS));
+
+        // Settings load asynchronously; queue work waits until they're applied
+        const processor = batchProcessor;
+        processor.waitFor(
+            getSettings().then(settings => processor.configure(toProcessorOptions(settings)))
+        );
         
         // Start the processor
-        batchProcessor.start();
+        batchProcessor.start().catch(error => {
+            console.error('Failed to schedule batch processor alarms:', error);
+        });
         
         console.log('Batch processor initialized and started successfully');
     } catch (error) {
@@ -142,13 +681,193 @@ function initializeBatchProcessor() {
     }
 }
 
+/**
+ * Get the batch processor, initializing it if the service worker was just woken up
+ * @returns {BatchProcessor|null} The batch processor
+ */
+function ensureBatchProcessor() {
+    if (!batchProcessor) {
+        initializeBatchProcessor();
+    }
+    return batchProcessor;
+}
+
+/**
+ * Keep a note's highlight in step with an edit or delete made in the popup
+ * @param {Object} note - Edited or deleted note
+ * @param {boolean} deleted - Whether the note was deleted
+ */
+async function syncNoteHighlight(note, deleted) {
+    if (!note || !note.anchor) {
+        return;
+    }
+
+    try {
+        const changed = deleted ? await removeHighlight(note) : (await saveHighlight(note), true);
+        if (changed) {
+            await refreshAllHighlights();
+        }
+    } catch (error) {
+        console.error('Error updating highlight:', error);
+    }
+}
+
+/**
+ * Ask the highlighter in every open tab to redraw from storage
+ */
+async function refreshAllHighlights() {
+    const tabs = await chrome.tabs.query({});
+    tabs.filter(tab => typeof tab.id === 'number').forEach(tab => {
+        chrome.tabs.sendMessage(tab.id, { action: 'refreshHighlights' }).catch(() => {});
+    });
+}
+
+/**
+ * Sign out and purge everything captured on this device: notes, queued
+ * edits, the search index and page highlights
+ * @returns {Promise<Object>} { success }
+ */
+async function signOut() {
+    const result = await batchProcessor.signOut();
+    await clearHighlights();
+    await refreshAllHighlights();
+    return result;
+}
+
+/**
+ * Turn on note encryption. Stored highlights are dropped, since they keep
+ * the captured passages readable.
+ * @param {string} passphrase - New passphrase
+ * @returns {Promise<Object>} { success } or { success: false, error }
+ */
+async function enableEncryption(passphrase) {
+    const result = await batchProcessor.enableEncryption(passphrase);
+    if (result.success) {
+        await clearHighlights();
+        await refreshAllHighlights();
+    }
+    return result;
+}
+
+/**
+ * Whether the offscreen document is open
+ * @returns {Promise<boolean>}
+ */
+async function hasOffscreenDocument() {
+    const contexts = await chrome.runtime.getContexts({
+        contextTypes: ['OFFSCREEN_DOCUMENT'],
+        documentUrls: [chrome.runtime.getURL(OFFSCREEN_DOCUMENT)]
+    });
+    return contexts.length > 0;
+}
+
+/**
+ * Open the offscreen document, unless it is open already
+ */
+async function ensureOffscreenDocument() {
+    if (await hasOffscreenDocument()) {
+        return;
+    }
+    if (!offscreenOpening) {
+        offscreenOpening = chrome.offscreen.createDocument({
+            url: OFFSCREEN_DOCUMENT,
+            reasons: ['BLOBS'],
+            justification: 'Save exported notes as a file'
+        }).finally(() => {
+            offscreenOpening = null;
+        });
+    }
+    await offscreenOpening;
+}
+
+function sendToOffscreen(message) {
+    return chrome.runtime.sendMessage({ target: 'offscreen', ...message });
+}
+
+/**
+ * Object URL for an exported file, made by the offscreen document from the
+ * file sent over in parts
+ * @param {Object} file - { data, mimeType }, see buildExport
+ * @returns {Promise<string>} blob: URL
+ */
+async function createExportUrl(file) {
+    await ensureOffscreenDocument();
+
+    const exportId = `export_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    for (const part of toMessageParts(file.data)) {
+        await sendToOffscreen({ action: 'addExportPart', exportId, part });
+    }
+
+    const response = await sendToOffscreen({ action: 'createExportUrl', exportId, mimeType: file.mimeType });
+    if (!response?.success) {
+        throw new Error(response?.error || 'Could not prepare the export file');
+    }
+    return response.url;
+}
+
+/**
+ * Export notes to a file and hand it to the downloads manager. Runs in the
+ * service worker, so closing the popup does not stop a large export.
+ * @param {Object} options - { format, filter }, see BatchProcessor.exportNotes
+ * @returns {Promise<Object>} { success, count, filename } or { success: false, error }
+ */
+async function exportNotes(options = {}) {
+    const processor = ensureBatchProcessor();
+    const result = await processor.exportNotes(options);
+    if (!result.success) {
+        return result;
+    }
+
+    const url = await createExportUrl(result);
+    try {
+        const downloadId = await chrome.downloads.download({ url, filename: result.filename, saveAs: true });
+        // The URL is revoked when the download is over, see onDownloadChanged.
+        // A small file can be done before it is tracked, so look once more.
+        await sendToOffscreen({ action: 'trackDownload', downloadId, url });
+        const [download] = await chrome.downloads.search({ id: downloadId });
+        if (download) {
+            await onDownloadChanged({ id: downloadId, state: { current: download.state } });
+        }
+    } catch (error) {
+        await sendToOffscreen({ action: 'revokeExportUrl', url });
+        throw error;
+    }
+    return { success: true, count: result.count, filename: result.filename };
+}
+
+/**
+ * Revoke an export's object URL once its download is over, and close the
+ * offscreen document when no other export needs it. A listener registered
+ * at the top level, so it also runs after the worker was suspended while
+ * the Save As dialog was open.
+ * @param {Object} delta - chrome.downloads.onChanged details
+ */
+async function onDownloadChanged(delta) {
+    const state = delta.state?.current;
+    if (state !== 'complete' && state !== 'interrupted') {
+        return;
+    }
+
+    try {
+        if (!(await hasOffscreenDocument())) {
+            return;
+        }
+        const response = await sendToOffscreen({ action: 'revokeExportUrl', downloadId: delta.id });
+        if (response?.revoked && response.remaining === 0) {
+            await chrome.offscreen.closeDocument();
+        }
+    } catch (error) {
+        console.error('Error releasing export file:', error);
+    }
+}
+
 /**
  * Handle messages from popup and other extension parts
  */
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     console.log('Background received message:', request);
     
-    if (!batchProcessor) {
+    if (!ensureBatchProcessor()) {
         console.error('Batch processor not initialized');
         sendResponse({ error: 'Batch processor not initialized' });
         return;
@@ -189,9 +908,12 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
             
         case 'addNote':
             console.log('Adding note via message');
-            batchProcessor.addNote(request.note);
-            sendResponse({ status: 'added' });
-            break;
+            saveNote(request.note, sender.tab)
+                .then(saved => sendResponse(saved?.duplicate
+                    ? { status: 'duplicate', duplicate: saved.duplicate }
+                    : { status: 'added' }))
+                .catch(error => sendResponse({ error: error.message }));
+            return true; // Keep message channel open until the note is persisted
             
         case 'forceBatchProcess':
             console.log('Force processing batch');
@@ -215,9 +937,17 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
             
         case 'resetBatchProcessor':
             console.log('Resetting batch processor');
-            batchProcessor.reset();
-            sendResponse({ status: 'reset' });
-            break;
+            batchProcessor.reset()
+                .then(() => sendResponse({ status: 'reset' }))
+                .catch(error => sendResponse({ error: error.message }));
+            return true;
+
+        case 'clearBatch':
+            console.log('Clearing pending batch');
+            batchProcessor.reset()
+                .then(() => sendResponse({ status: 'cleared' }))
+                .catch(error => sendResponse({ error: error.message }));
+            return true;
         
         case 'getServerStatus':
             console.log('Getting Flask API server status');
@@ -233,6 +963,266 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
             })();
             return true;
         
+        case 'clearServerNotes':
+            console.log('Clearing notes on the server');
+            batchProcessor.clearServerNotes()
+                .then(result => sendResponse({ success: true, result }))
+                .catch(error => sendResponse({ success: false, error: error.message }));
+            return true;
+
+        case 'getHighlights':
+            (async () => {
+                try {
+                    const url = sender.tab?.url || request.url;
+                    const settings = await getSettings();
+                    const enabled = isHighlightingEnabled(url, settings);
+                    const highlights = enabled ? await getHighlightsForUrl(url) : [];
+                    sendResponse({ enabled, highlights });
+                } catch (error) {
+                    console.error('Error getting highlights:', error);
+                    sendResponse({ enabled: false, highlights: [], error: error.message });
+                }
+            })();
+            return true;
+
+        case 'getSiteHighlighting':
+            getSettings()
+                .then(settings => sendResponse({ enabled: isHighlightingEnabled(request.url, settings) }))
+                .catch(error => sendResponse({ error: error.message }));
+            return true;
+
+        case 'setSiteHighlighting':
+            console.log('Setting highlighting for site:', request.url, request.enabled);
+            (async () => {
+                try {
+                    const settings = await getSettings();
+                    const result = await saveSettings({
+                        highlightDisabledSites: toggleSiteHighlighting(request.url, request.enabled, settings)
+                    });
+                    if (!result.success) {
+                        throw new Error(Object.values(result.errors).join(', '));
+                    }
+
+                    if (typeof request.tabId === 'number') {
+                        chrome.tabs.sendMessage(request.tabId, {
+                            action: request.enabled ? 'refreshHighlights' : 'removeHighlights'
+                        }).catch(() => {});
+                    }
+                    sendResponse({ success: true, enabled: request.enabled });
+                } catch (error) {
+                    console.error('Error updating site highlighting:', error);
+                    sendResponse({ success: false, error: error.message });
+                }
+            })();
+            return true;
+
+        case 'getPrivacyState':
+            getSettings()
+                .then(settings => {
+                    const site = getSiteFromUrl(request.url);
+                    sendResponse({
+                        success: true,
+                        paused: settings.capturePaused,
+                        site,
+                        siteBlocked: Boolean(site) && settings.captureBlocklist.some(pattern => matchesPattern(request.url, pattern))
+                    });
+                })
+                .catch(error => sendResponse({ success: false, error: error.message }));
+            return true;
+
+        case 'setCapturePaused':
+            console.log('Setting capture paused:', request.paused);
+            saveSettings({ capturePaused: Boolean(request.paused) })
+                .then(result => sendResponse(result.success
+                    ? { success: true, paused: Boolean(request.paused) }
+                    : { success: false, error: Object.values(result.errors).join(', ') }))
+                .catch(error => sendResponse({ success: false, error: error.message }));
+            return true;
+
+        case 'setSiteBlocked':
+            console.log('Setting capture blocked for site:', request.url, request.blocked);
+            (async () => {
+                try {
+                    const site = getSiteFromUrl(request.url);
+                    if (!site) {
+                        throw new Error('Only web pages can be blocked');
+                    }
+
+                    // Unblocking drops every entry covering the page, not just the one added here
+                    const settings = await getSettings();
+                    const blocklist = request.blocked
+                        ? [...settings.captureBlocklist, site]
+                        : settings.captureBlocklist.filter(pattern => !matchesPattern(request.url, pattern));
+                    const result = await saveSettings({ captureBlocklist: blocklist });
+                    if (!result.success) {
+                        throw new Error(Object.values(result.errors).join(', '));
+                    }
+                    sendResponse({ success: true, site, blocked: Boolean(request.blocked) });
+                } catch (error) {
+                    console.error('Error updating the blocklist:', error);
+                    sendResponse({ success: false, error: error.message });
+                }
+            })();
+            return true;
+
+        case 'getNotes':
+            batchProcessor.getStoredNotes(request.filter || {})
+                .then(notes => sendResponse({ success: true, notes }))
+                .catch(error => {
+                    console.error('Error loading notes:', error);
+                    sendResponse({ success: false, error: error.message });
+                });
+            return true;
+
+        case 'clearLocalNotes':
+            console.log('Clearing all stored notes');
+            batchProcessor.clearStoredNotes()
+                .then(() => sendResponse({ success: true }))
+                .catch(error => sendResponse({ success: false, error: error.message }));
+            return true;
+
+        case 'searchNotes':
+            batchProcessor.searchNotes(request.params || {})
+                .then(result => sendResponse({ success: true, ...result }))
+                .catch(error => {
+                    console.error('Error searching notes:', error);
+                    sendResponse({ success: false, error: error.message });
+                });
+            return true;
+
+        case 'updateNote':
+            batchProcessor.updateNote(request.id, request.changes || {})
+                .then(async result => {
+                    if (result.success) {
+                        await syncNoteHighlight(result.note, false);
+                    }
+                    sendResponse(result);
+                })
+                .catch(error => sendResponse({ success: false, error: error.message }));
+            return true;
+
+        case 'deleteNote':
+            batchProcessor.deleteNote(request.id)
+                .then(async result => {
+                    if (result.success) {
+                        await syncNoteHighlight(result.note, true);
+                    }
+                    sendResponse(result);
+                })
+                .catch(error => sendResponse({ success: false, error: error.message }));
+            return true;
+
+        case 'getDuplicates':
+            batchProcessor.getDuplicates()
+                .then(sendResponse)
+                .catch(error => sendResponse({ success: false, error: error.message }));
+            return true;
+
+        case 'resolveDuplicate':
+            batchProcessor.resolveDuplicate(request.id, request.choice)
+                .then(async result => {
+                    if (result.success && result.removed) {
+                        await syncNoteHighlight(result.removed, true);
+                        await syncNoteHighlight(result.note, false);
+                    }
+                    sendResponse(result);
+                })
+                .catch(error => sendResponse({ success: false, error: error.message }));
+            return true;
+
+        case 'getRedactionPreview':
+            batchProcessor.getRedactionPreview()
+                .then(sendResponse)
+                .catch(error => sendResponse({ success: false, error: error.message }));
+            return true;
+
+        case 'setRedactionOverride':
+            batchProcessor.setRedactionOverride(request.id, Boolean(request.override))
+                .then(sendResponse)
+                .catch(error => sendResponse({ success: false, error: error.message }));
+            return true;
+
+        case 'retryRejectedNote':
+            batchProcessor.retryRejectedNote(request.id)
+                .then(sendResponse)
+                .catch(error => sendResponse({ success: false, error: error.message }));
+            return true;
+
+        case 'resolveConflict':
+            batchProcessor.resolveConflict(request.id, request.resolution)
+                .then(sendResponse)
+                .catch(error => sendResponse({ success: false, error: error.message }));
+            return true;
+
+        case 'getIntents':
+            getSettings()
+                .then(settings => sendResponse({
+                    success: true,
+                    intents: getIntents(settings).map(({ id, title }) => ({ id, title }))
+                }))
+                .catch(error => sendResponse({ success: false, error: error.message }));
+            return true;
+
+        case 'getAuthState':
+            batchProcessor.getAuthState()
+                .then(state => sendResponse({ success: true, ...state }))
+                .catch(error => sendResponse({ success: false, error: error.message }));
+            return true;
+
+        case 'signIn':
+            batchProcessor.signIn({ token: request.token })
+                .then(sendResponse)
+                .catch(error => sendResponse({ success: false, error: error.message }));
+            return true;
+
+        case 'signOut':
+            signOut()
+                .then(sendResponse)
+                .catch(error => sendResponse({ success: false, error: error.message }));
+            return true;
+
+        case 'getEncryptionStatus':
+            batchProcessor.getEncryptionStatus()
+                .then(status => sendResponse({ success: true, ...status }))
+                .catch(error => sendResponse({ success: false, error: error.message }));
+            return true;
+
+        case 'enableEncryption':
+            enableEncryption(request.passphrase)
+                .then(sendResponse)
+                .catch(error => sendResponse({ success: false, error: error.message }));
+            return true;
+
+        case 'unlockEncryption':
+            batchProcessor.unlockEncryption(request.passphrase)
+                .then(sendResponse)
+                .catch(error => sendResponse({ success: false, error: error.message }));
+            return true;
+
+        case 'lockEncryption':
+            batchProcessor.lockEncryption()
+                .then(sendResponse)
+                .catch(error => sendResponse({ success: false, error: error.message }));
+            return true;
+
+        case 'changeEncryptionPassphrase':
+            batchProcessor.changeEncryptionPassphrase(request.passphrase, request.newPassphrase)
+                .then(sendResponse)
+                .catch(error => sendResponse({ success: false, error: error.message }));
+            return true;
+
+        case 'disableEncryption':
+            batchProcessor.disableEncryption(request.passphrase)
+                .then(sendResponse)
+                .catch(error => sendResponse({ success: false, error: error.message }));
+            return true;
+
+        case 'clearHighlights':
+            clearHighlights()
+                .then(() => sendResponse({ status: 'cleared' }))
+                .catch(error => sendResponse({ error: error.message }));
+            return true;
+
         case 'checkConnectivity':
             console.log('Checking Flask API server connectivity');
             
@@ -282,6 +1272,60 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
             })();
             
             return true;
+
+        case 'exportNotes':
+            exportNotes({ format: request.format, filter: request.filter })
+                .then(sendResponse)
+                .catch(error => sendResponse({ success: false, error: error.message }));
+            return true;
+
+        case 'importNotes':
+            batchProcessor.importNotes({ files: request.files, intent: request.intent })
+                .then(sendResponse)
+                .catch(error => sendResponse({ success: false, error: error.message }));
+            return true;
+
+        case 'getTags':
+            batchProcessor.getTags()
+                .then(sendResponse)
+                .catch(error => sendResponse({ success: false, error: error.message }));
+            return true;
+
+        case 'tagNotes':
+            batchProcessor.tagNotes(request.ids, { add: request.add, remove: request.remove })
+                .then(sendResponse)
+                .catch(error => sendResponse({ success: false, error: error.message }));
+            return true;
+
+        case 'renameTag':
+            batchProcessor.renameTag(request.from, request.to)
+                .then(sendResponse)
+                .catch(error => sendResponse({ success: false, error: error.message }));
+            return true;
+
+        case 'mergeTags':
+            batchProcessor.mergeTags(request.tags, request.into)
+                .then(sendResponse)
+                .catch(error => sendResponse({ success: false, error: error.message }));
+            return true;
+
+        case 'deleteTag':
+            batchProcessor.deleteTag(request.tag)
+                .then(sendResponse)
+                .catch(error => sendResponse({ success: false, error: error.message }));
+            return true;
+
+        case 'previewBake':
+            batchProcessor.previewBake(request.scope)
+                .then(sendResponse)
+                .catch(error => sendResponse({ success: false, error: error.message }));
+            return true;
+
+        case 'getBakeJobs':
+            batchProcessor.getBakeJobs()
+                .then(jobs => sendResponse({ success: true, ...jobs }))
+                .catch(error => sendResponse({ success: false, error: error.message }));
+            return true;
             
         default:
             console.warn('Unknown action:', request.action);
@@ -295,10 +1339,49 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
                     'forceBatchProcess',
                     'getStatistics',
                     'resetBatchProcessor',
+                    'clearBatch',
+                    'clearServerNotes',
+                    'getHighlights',
+                    'getSiteHighlighting',
+                    'setSiteHighlighting',
+                    'getPrivacyState',
+                    'setCapturePaused',
+                    'setSiteBlocked',
+                    'clearHighlights',
+                    'getNotes',
+                    'clearLocalNotes',
+                    'searchNotes',
+                    'updateNote',
+                    'deleteNote',
+                    'resolveConflict',
+                    'retryRejectedNote',
+                    'getIntents',
+                    'getAuthState',
+                    'signIn',
+                    'signOut',
+                    'getEncryptionStatus',
+                    'enableEncryption',
+                    'unlockEncryption',
+                    'lockEncryption',
+                    'changeEncryptionPassphrase',
+                    'disableEncryption',
                     'getServerStatus',
                     'checkConnectivity',
                     'getPendingCount',
-                    'triggerBakeWithData'
+                    'triggerBakeWithData',
+                    'previewBake',
+                    'getBakeJobs',
+                    'exportNotes',
+                    'importNotes',
+                    'getTags',
+                    'tagNotes',
+                    'renameTag',
+                    'mergeTags',
+                    'deleteTag',
+                    'getDuplicates',
+                    'resolveDuplicate',
+                    'getRedactionPreview',
+                    'setRedactionOverride'
                 ] 
             });
     }
@@ -310,17 +1393,34 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
 chrome.runtime.onInstalled.addListener(onInstalled);
 chrome.runtime.onStartup.addListener(onStartup);
 chrome.contextMenus.onClicked.addListener(onClicked);
+chrome.alarms.onAlarm.addListener(onAlarm);
+chrome.commands.onCommand.addListener(onCommand);
+chrome.downloads.onChanged.addListener(onDownloadChanged);
+chrome.permissions.onAdded.addListener(syncHighlighterRegistration);
+chrome.permissions.onRemoved.addListener(syncHighlighterRegistration);
 
 /**
- * Handle extension suspension (cleanup)
+ * Apply settings changed on the options page to the running processor
  */
-chrome.runtime.onSuspend.addListener(() => {
-    console.log('Extension suspending - cleaning up batch processor');
+onSettingsChanged((settings) => {
+    updateContextMenu(settings);
+
     if (batchProcessor) {
-        batchProcessor.stop();
+        console.log('Settings changed - reconfiguring batch processor');
+        batchProcessor.configure(toProcessorOptions(settings)).catch(error => {
+            console.error('Failed to apply new settings:', error);
+        });
     }
 });
 
+/**
+ * Handle extension suspension. Alarms are left scheduled so they can wake
+ * the worker again, and queued notes are already persisted in the outbox.
+ */
+chrome.runtime.onSuspend.addListener(() => {
+    console.log('Extension suspending - batch processor will resume on the next alarm');
+});
+
 
 /**
  * Export for testing
@@ -329,9 +1429,20 @@ if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
         onInstalled,
         onClicked,
+        onCommand,
+        onAlarm,
         extractPageMetadata,
+        openAnnotationOverlay,
+        getCaptureType,
+        createNoteFromContext,
         initializeBatchProcessor,
+        ensureBatchProcessor,
+        updateContextMenu,
         createNoteFromSelection,
+        saveNote,
+        exportNotes,
+        onDownloadChanged,
+        syncHighlighterRegistration,
         createFallbackNote    
     };
 }
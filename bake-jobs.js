@@ -0,0 +1,271 @@
+/**
+ * BakeJobs - The bake running on the server and the history of past bakes.
+ *
+ * POST /bake answers with a job id; the batch processor polls the job's
+ * status until it finishes. The running job and the history are kept in
+ * chrome.storage.local so polling picks up where it left off after the
+ * service worker is suspended, and so the popup can show them when opened.
+ *
+ * A bake can be limited to a scope (chosen notes, a site, an intent, a tag or
+ * a time window) and asks the server for one of the bake templates.
+ */
+
+import { hasTag } from './tags.js';
+
+const BAKE_JOBS_KEY = 'bake_jobs';
+const BAKE_HISTORY_LIMIT = 20;
+
+const BAKE_STATUS = {
+    QUEUED: 'queued',
+    RUNNING: 'running',
+    COMPLETED: 'completed',
+    FAILED: 'failed'
+};
+
+const BAKE_TEMPLATES = {
+    SUMMARY: 'summary',
+    FLASHCARDS: 'flashcards',
+    OUTLINE: 'outline'
+};
+
+// Other names servers use for the same states
+const STATUS_ALIASES = {
+    pending: BAKE_STATUS.QUEUED,
+    accepted: BAKE_STATUS.QUEUED,
+    started: BAKE_STATUS.RUNNING,
+    processing: BAKE_STATUS.RUNNING,
+    in_progress: BAKE_STATUS.RUNNING,
+    done: BAKE_STATUS.COMPLETED,
+    succeeded: BAKE_STATUS.COMPLETED,
+    success: BAKE_STATUS.COMPLETED,
+    error: BAKE_STATUS.FAILED,
+    cancelled: BAKE_STATUS.FAILED
+};
+
+/**
+ * Whether a job has finished, successfully or not
+ * @param {Object} job - Bake job
+ * @returns {boolean}
+ */
+function isFinished(job) {
+    return job.status === BAKE_STATUS.COMPLETED || job.status === BAKE_STATUS.FAILED;
+}
+
+/**
+ * Progress as a whole percentage. Servers report it as 0-1 or 0-100.
+ * @param {*} value - Reported progress
+ * @returns {number|null} 0 to 100, or null if none was reported
+ */
+function toPercent(value) {
+    const progress = Number(value);
+    if (value === null || value === undefined || !Number.isFinite(progress)) {
+        return null;
+    }
+    return Math.round(Math.min(100, Math.max(0, progress <= 1 ? progress * 100 : progress)));
+}
+
+/**
+ * Insights produced by a finished bake, whatever shape the server sent them in
+ * @param {Object} result - Job result
+ * @returns {Array<Object>} [{ title, content }]
+ */
+function getInsights(result) {
+    const insights = Array.isArray(result) ? result : result?.insights || result?.items || [];
+    return insights.map(insight => (
+        typeof insight === 'string'
+            ? { title: null, content: insight }
+            : {
+                title: insight.title || insight.topic || null,
+                content: insight.content || insight.summary || insight.text || ''
+            }
+    ));
+}
+
+/**
+ * Read a job status response into the fields kept for a job
+ * @param {Object} data - Server response for a job
+ * @returns {Object} { status, progress, stage }, plus { insights, summary } or { error } once finished
+ */
+function parseJobStatus(data = {}) {
+    const reported = String(data.status || data.state || '').toLowerCase();
+    const status = Object.values(BAKE_STATUS).includes(reported)
+        ? reported
+        : STATUS_ALIASES[reported] || BAKE_STATUS.RUNNING;
+
+    const fields = {
+        status,
+        progress: status === BAKE_STATUS.COMPLETED ? 100 : toPercent(data.progress),
+        stage: data.stage || data.message || null
+    };
+
+    if (status === BAKE_STATUS.COMPLETED) {
+        const result = data.result || data;
+        fields.insights = getInsights(result);
+        fields.summary = result.summary || null;
+    }
+    if (status === BAKE_STATUS.FAILED) {
+        fields.error = data.error?.message || data.error || data.reason || 'The server could not finish this bake';
+    }
+    return fields;
+}
+
+/**
+ * Check and tidy a bake scope. Empty fields are dropped; no fields at all
+ * means every note.
+ * @param {Object|null} scope - { note_ids, domain, intent, tag, from, to }
+ * @returns {Object|null} Scope, or null for every note
+ * @throws {Error} If a field is not usable
+ */
+function normalizeBakeScope(scope) {
+    if (!scope) {
+        return null;
+    }
+
+    const normalized = {};
+
+    if (scope.note_ids !== undefined && scope.note_ids !== null) {
+        if (!Array.isArray(scope.note_ids) || scope.note_ids.length === 0) {
+            throw new Error('Select at least one note to bake');
+        }
+        normalized.note_ids = [...new Set(scope.note_ids.map(String))];
+    }
+
+    ['domain', 'intent', 'tag'].forEach(field => {
+        const value = String(scope[field] ?? '').trim();
+        if (value) {
+            normalized[field] = field === 'domain' ? value.toLowerCase() : value;
+        }
+    });
+
+    ['from', 'to'].forEach(field => {
+        if (scope[field] === undefined || scope[field] === null || scope[field] === '') {
+            return;
+        }
+        const time = new Date(scope[field]).getTime();
+        if (Number.isNaN(time)) {
+            throw new Error(`Not a valid date: ${scope[field]}`);
+        }
+        normalized[field] = new Date(time).toISOString();
+    });
+
+    if (normalized.from && normalized.to && normalized.from > normalized.to) {
+        throw new Error('The start of the time window is after its end');
+    }
+
+    return Object.keys(normalized).length > 0 ? normalized : null;
+}
+
+/**
+ * Whether a note falls in a bake scope. The site, intent and time window are
+ * matched by the repository query; this checks the fields it does not index.
+ * @param {Object} note - Note
+ * @param {Object|null} scope - Normalized scope
+ * @returns {boolean}
+ */
+function matchesBakeScope(note, scope) {
+    if (!scope) {
+        return true;
+    }
+    if (scope.note_ids && !scope.note_ids.includes(note.id)) {
+        return false;
+    }
+    if (scope.tag) {
+        return hasTag(note, scope.tag);
+    }
+    return true;
+}
+
+class BakeJobStore {
+    /**
+     * Stored jobs
+     * @returns {Promise<Object>} { active, history }
+     */
+    async load() {
+        const result = await chrome.storage.local.get([BAKE_JOBS_KEY]);
+        const stored = result?.[BAKE_JOBS_KEY];
+        return {
+            active: stored?.active || null,
+            history: stored?.history || []
+        };
+    }
+
+    async save(jobs) {
+        await chrome.storage.local.set({ [BAKE_JOBS_KEY]: jobs });
+    }
+
+    /**
+     * The job being polled
+     * @returns {Promise<Object|null>} Job, or null if no bake is running
+     */
+    async getActive() {
+        return (await this.load()).active;
+    }
+
+    /**
+     * Remember a job the server started
+     * @param {Object} job - Job with id, status and started_at
+     * @returns {Promise<Object>} The job
+     */
+    async start(job) {
+        const jobs = await this.load();
+        jobs.active = job;
+        await this.save(jobs);
+        return job;
+    }
+
+    /**
+     * Update the running job. A finished job moves to the history.
+     * @param {string} id - Job id
+     * @param {Object} changes - Fields to change
+     * @returns {Promise<Object|null>} Updated job, or null if it is no longer running
+     */
+    async update(id, changes) {
+        const jobs = await this.load();
+        if (!jobs.active || jobs.active.id !== id) {
+            return null;
+        }
+
+        const job = { ...jobs.active, ...changes, updated_at: new Date().toISOString() };
+        if (isFinished(job)) {
+            job.finished_at = job.updated_at;
+            jobs.active = null;
+            jobs.history = [job, ...jobs.history].slice(0, BAKE_HISTORY_LIMIT);
+        } else {
+            jobs.active = job;
+        }
+
+        await this.save(jobs);
+        return job;
+    }
+
+    /**
+     * Add a bake that finished as soon as it was requested to the history
+     * @param {Object} job - Finished job
+     * @returns {Promise<Object>} The job
+     */
+    async record(job) {
+        const jobs = await this.load();
+        const finished = { ...job, finished_at: job.finished_at || new Date().toISOString() };
+        jobs.history = [finished, ...jobs.history].slice(0, BAKE_HISTORY_LIMIT);
+        await this.save(jobs);
+        return finished;
+    }
+
+    async clear() {
+        await chrome.storage.local.remove(BAKE_JOBS_KEY);
+    }
+}
+
+export {
+    BakeJobStore,
+    BAKE_STATUS,
+    BAKE_TEMPLATES,
+    BAKE_JOBS_KEY,
+    BAKE_HISTORY_LIMIT,
+    parseJobStatus,
+    normalizeBakeScope,
+    matchesBakeScope,
+    getInsights,
+    isFinished,
+    toPercent
+};
@@ -1,23 +1,166 @@
 /**
  * BatchProcessor - Handles automatic batching and processing of notes
  */
+
+import { NotesRepository, getNoteDomain } from './notes-repository.js';
+import { SearchIndex, buildSnippet } from './search-index.js';
+import { ApiClient, AuthError, CircuitOpenError, CIRCUIT_STATES } from './api-client.js';
+import { AuthManager } from './auth.js';
+import { NoteEncryption, EncryptionLockedError } from './encryption.js';
+import {
+    BakeJobStore,
+    BAKE_STATUS,
+    BAKE_TEMPLATES,
+    parseJobStatus,
+    isFinished,
+    normalizeBakeScope,
+    matchesBakeScope
+} from './bake-jobs.js';
+import { buildExport, EXPORT_FORMATS } from './exporter.js';
+import { parseImport } from './importer.js';
+import { DEFAULT_INTENT } from './intents.js';
+import { normalizeTag, normalizeTags, hasTag, replaceTags } from './tags.js';
+import {
+    DUPLICATE_KINDS,
+    NEAR_DUPLICATE_DISTANCE,
+    DUPLICATE_WINDOW,
+    fingerprintNote,
+    getFingerprintText,
+    hashText,
+    hammingDistance,
+    mergeOverlap,
+    findDuplicate
+} from './duplicates.js';
+import { INCOGNITO_POLICIES, CaptureBlockedError, getCaptureDecision } from './privacy.js';
+import { REDACTION_MODES, PII_DETECTORS, redactNote } from './redaction.js';
+
+// What a note was captured from. Notes without a type are selections.
+const NOTE_TYPES = ['selection', 'image', 'link', 'page', 'manual'];
+
+// Delivery states persisted with every queued note
+const DELIVERY_STATUS = {
+    PENDING: 'pending',
+    SENDING: 'sending',
+    FAILED: 'failed',
+    REJECTED: 'rejected', // refused by the server as invalid; kept aside, not retried
+    LOCAL: 'local', // kept on this device only by the privacy rules, never uploaded
+    CONFLICT: 'conflict' // operations only: the server's copy changed first
+};
+
+// Changes to notes the server already has, replayed in order
+const OPERATION_TYPES = {
+    UPDATE: 'update',
+    DELETE: 'delete'
+};
+
+// Note fields that can be changed after capture
+const EDITABLE_FIELDS = ['content', 'intent', 'user_note', 'pinned', 'tags'];
+
+/**
+ * Version of a note used to detect changes on the server: when it was last edited
+ * @param {Object} note - Note
+ * @returns {string} ISO timestamp
+ */
+function getNoteVersion(note) {
+    return note.updated_at || note.timestamp;
+}
+
+/**
+ * Create a key the server can use to recognize a note it has already received
+ * @returns {string} Key
+ */
+function createIdempotencyKey() {
+    if (globalThis.crypto?.randomUUID) {
+        return globalThis.crypto.randomUUID();
+    }
+    return `${Date.now().toString(36)}-${Math.random().toString(36).substr(2, 9)}-${Math.random().toString(36).substr(2, 9)}`;
+}
+
+/**
+ * Id of a batch, also sent as its idempotency key: a 64-bit hash of the
+ * idempotency keys of its notes, so a batch of the same notes sent again in
+ * a later cycle has the same id
+ * @param {Array<Object>} payloads - Serialized notes
+ * @returns {string} Batch id
+ */
+function getBatchId(payloads) {
+    const keys = payloads.map(payload => payload.idempotency_key).sort().join('\n');
+    const hash = [hashText(keys), hashText(keys, 0x050C5D1F)]
+        .map(half => half.toString(16).padStart(8, '0'))
+        .join('');
+    return `batch_${hash}_${payloads.length}`;
+}
+
+/**
+ * Copy of a note without its conflict marker
+ * @param {Object} note - Note
+ * @returns {Object} Note
+ */
+function withoutConflict(note) {
+    const { conflict, ...rest } = note;
+    return rest;
+}
+
+// Named alarms driving the processor. Unlike timers, alarms fire (and wake
+// the service worker) even after it has been suspended.
+const ALARMS = {
+    BATCH: 'browserbud-batch',
+    HEALTH_CHECK: 'browserbud-health-check',
+    CLEANUP: 'browserbud-cleanup',
+    BAKE_POLL: 'browserbud-bake-poll' // only while a bake job is running
+};
+
+const HEALTH_CHECK_PERIOD = 5; // minutes
+const CLEANUP_PERIOD = 60; // minutes
+const FIRST_FLUSH_DELAY = 0.5; // minutes, the shortest delay Chrome allows
+
+const BAKE_POLL_INTERVAL = 3000; // ms between job status checks while the worker is awake
+const BAKE_POLL_PERIOD = 0.5; // minutes, resumes polling after the worker was suspended
+const BAKE_TIMEOUT = 30 * 60 * 1000; // ms a bake job may run before it is given up on
+
+const IMPORT_CHUNK_SIZE = 50; // imported notes stored per write
+
 class BatchProcessor {
     constructor(options = {}) {
         this.apiBaseUrl = options.apiBaseUrl || 'http://localhost:8000/api';
         this.batchInterval = options.batchInterval || 2 * 60 * 1000; // 2 minutes
         this.maxLocalNotes = options.maxLocalNotes || 50;
         this.maxBatchSize = options.maxBatchSize || 10;
+        this.privacy = options.privacy || {
+            capturePaused: false,
+            captureBlocklist: [],
+            captureAllowlist: [],
+            incognitoPolicy: INCOGNITO_POLICIES.BLOCK
+        };
+        this.redaction = options.redaction || {
+            enabled: true,
+            mode: REDACTION_MODES.MASK,
+            detectors: PII_DETECTORS.map(detector => detector.id),
+            patterns: []
+        };
 
-        this.maxRetries = 3;
-        this.retryDelay = 1000; // ms
+        this.maxRetries = 3; // attempts per batch upload
+        this.retryDelay = 1000; // ms before the first retry, doubled on each one
+        this.stuckThreshold = options.stuckThreshold || 5; // failed batches before a note is reported as stuck
+        this.duplicateWindow = DUPLICATE_WINDOW; // newest notes searched for near duplicates
         this.lastHealthCheck = null;
         
         // Internal state
         this.pendingNotes = [];
-        this.batchTimer = null;
         this.lastBatchTime = null;
         this.isProcessing = false;
+        this.isReplaying = false;
+        this.isRunning = false;
+        this.operationCounts = { pending: 0, conflict: 0 };
+        this.rejectedCount = 0;
         this.serverConnected = false;
+        this.authRequired = false; // the server refused our credentials
+        this.auth = options.auth || new AuthManager({ baseUrl: this.apiBaseUrl });
+        this.api = new ApiClient({
+            baseUrl: this.apiBaseUrl,
+            auth: this.auth,
+            onCircuitChange: (state) => this.handleCircuitChange(state)
+        });
         
         // Bind methods to preserve context
         this.processBatch = this.processBatch.bind(this);
@@ -27,233 +170,1695 @@ class BatchProcessor {
         this.activeBakeRequests = new Map(); // Track active bake requests
         this.lastBakeTime = null; // Track last bake timestamp
         this.bakeThrottleTime = 10000; // 10 seconds between bakes
+        this.bakeJobs = new BakeJobStore(); // running bake job and past bakes
+        this.bakePollTimer = null;
+        this.isPollingBake = false;
+
+        // Every note is stored in the repository; the search index follows it
+        this.repository = options.repository || new NotesRepository();
+        this.searchIndex = new SearchIndex();
+
+        // Opt-in encryption of note text, at rest and in uploads
+        this.encryption = new NoteEncryption({
+            repository: this.repository,
+            iterations: options.encryptionIterations
+        });
+        this.repository.setCipher(this.encryption);
+
+        // The service worker can be killed at any time, so the queue is rebuilt
+        // from the notes persisted in the repository
+        this.ready = this.repository.open()
+            .then(() => this.loadEncryption())
+            .then(() => this.initSearchIndex())
+            .then(() => this.restorePendingNotes())
+            .then(() => this.refreshOperationCounts())
+            .then(() => this.refreshRejectedCount())
+            .catch(error => console.error('Failed to open the notes repository:', error));
         
         console.log('BatchProcessor initialized with options:', options);
     }
 
+    /**
+     * Read the encryption settings. With encryption on, the search index is
+     * only kept in memory.
+     */
+    async loadEncryption() {
+        try {
+            await this.encryption.load();
+            this.searchIndex.persistent = !this.encryption.isEnabled();
+        } catch (error) {
+            console.error('Failed to load encryption settings:', error);
+        }
+    }
+
+    /**
+     * Rebuild the pending queue from the repository's undelivered notes
+     */
+    async restorePendingNotes() {
+        try {
+            const restored = [
+                ...await this.repository.query({ sync: 'pending' }),
+                ...await this.repository.query({ sync: 'failed' })
+            ];
+
+            // Notes interrupted mid-upload go back to pending
+            const interrupted = restored.filter(note => note.delivery.status === DELIVERY_STATUS.SENDING);
+            interrupted.forEach(note => {
+                note.delivery = { ...note.delivery, status: DELIVERY_STATUS.PENDING };
+            });
+
+            if (interrupted.length > 0) {
+                await this.setStoredNotes(interrupted);
+                console.log(`Reconciled ${interrupted.length} notes interrupted mid-upload`);
+            }
+
+            this.pendingNotes = restored.sort((a, b) => new Date(a.timestamp || 0) - new Date(b.timestamp || 0));
+            console.log(`Restored ${restored.length} pending notes from the repository`);
+
+            if (this.pendingNotes.length > 0) {
+                this.updateBadge(this.pendingNotes.length.toString(), '#FF9800');
+            }
+        } catch (error) {
+            console.error('Failed to restore pending notes:', error);
+        }
+    }
+
+    /**
+     * Load the search index, rebuilding it from the repository when missing or outdated
+     */
+    async initSearchIndex() {
+        try {
+            if (!(await this.searchIndex.load())) {
+                await this.rebuildSearchIndex();
+            }
+        } catch (error) {
+            console.error('Failed to load search index:', error);
+        }
+    }
+
+    /**
+     * Rebuild the search index from every note in the repository
+     */
+    async rebuildSearchIndex() {
+        await this.searchIndex.rebuild(await this.repository.query());
+    }
+
+    /**
+     * Search stored notes
+     * @param {Object} params - Query, filters and page; see SearchIndex.search
+     * @returns {Promise<Object>} { results: [{ note, score, snippet }], total, page, pageSize, facets }
+     */
+    async searchNotes(params = {}) {
+        await this.ready;
+
+        const { results, total, page, pageSize, terms } = this.searchIndex.search(params);
+        const ids = results.map(result => result.id);
+        const stored = ids.length > 0 ? await this.repository.getMany(ids) : {};
+
+        // The index is saved separately from the notes, so a write can be lost in between
+        const missing = ids.filter(id => !stored[id]);
+        if (missing.length > 0) {
+            await this.searchIndex.remove(missing);
+        }
+
+        return {
+            results: results
+                .filter(result => stored[result.id])
+                .map(result => {
+                    const note = stored[result.id];
+                    return {
+                        note,
+                        score: result.score,
+                        snippet: buildSnippet(note.content, terms)
+                    };
+                }),
+            total: total - missing.length,
+            page,
+            pageSize,
+            terms,
+            facets: this.searchIndex.getFacets()
+        };
+    }
+
     /**
      * Start the batch processor
      */
-    start() {
+    async start() {
         console.log('Starting BatchProcessor...');
-        
-        // Clear any existing timer
-        this.stop();
-        
-        this.batchTimer = setInterval(this.processBatch, this.batchInterval);
+
+        await this.ready;
+        this.isRunning = true;
+
+        await this.ensureAlarm(ALARMS.BATCH, this.batchInterval / 60000);
+        await this.ensureAlarm(ALARMS.HEALTH_CHECK, HEALTH_CHECK_PERIOD);
+        await this.ensureAlarm(ALARMS.CLEANUP, CLEANUP_PERIOD);
+
+        // Pick up a bake that was running when the worker was suspended
+        if (await this.bakeJobs.getActive()) {
+            await this.scheduleBakePoll();
+        }
         
         this.checkConnectivity();
         
-        // Process any pending notes after a delay
-        setTimeout(this.processBatch, 5000);
-        
-        // periodic connectivity checks every 5 minutes
-        this.connectivityTimer = setInterval(this.checkConnectivity, 5 * 60 * 1000);
-
-        this.cleanupTimer = setInterval(() => {
-            this.cleanupProcessedNoteIds();
-            this.cleanupLocalStorage();
-        }, 60 * 60 * 1000); // 1 hour
-        
         console.log('BatchProcessor started successfully');
     }
 
     /**
      * Stop the batch processor
      */
-    stop() {
-        if (this.batchTimer) {
-            clearInterval(this.batchTimer);
-            this.batchTimer = null;
-        }
+    async stop() {
+        this.isRunning = false;
+        clearTimeout(this.bakePollTimer);
+        await Promise.all(Object.values(ALARMS).map(name => chrome.alarms.clear(name)));
         
-        if (this.connectivityTimer) {
-            clearInterval(this.connectivityTimer);
-            this.connectivityTimer = null;
+        console.log('BatchProcessor stopped');
+    }
+
+    /**
+     * Delay queue work until an asynchronous setup step (such as loading
+     * settings) has finished
+     * @param {Promise} promise - Setup step
+     */
+    waitFor(promise) {
+        this.ready = Promise.all([
+            this.ready,
+            promise.catch(error => console.error('BatchProcessor setup step failed:', error))
+        ]).then(() => undefined);
+    }
+
+    /**
+     * Apply new options to the running processor without rebuilding it
+     * @param {Object} options - apiBaseUrl, batchInterval, maxBatchSize, maxLocalNotes, privacy and/or redaction
+     */
+    async configure(options = {}) {
+        const previous = {
+            apiBaseUrl: this.apiBaseUrl,
+            batchInterval: this.batchInterval
+        };
+
+        this.apiBaseUrl = options.apiBaseUrl || this.apiBaseUrl;
+        this.batchInterval = options.batchInterval || this.batchInterval;
+        this.maxBatchSize = options.maxBatchSize || this.maxBatchSize;
+        this.maxLocalNotes = options.maxLocalNotes || this.maxLocalNotes;
+        this.privacy = options.privacy || this.privacy;
+        this.redaction = options.redaction || this.redaction;
+
+        console.log('BatchProcessor reconfigured:', options);
+
+        if (this.isRunning && this.batchInterval !== previous.batchInterval) {
+            await this.ensureAlarm(ALARMS.BATCH, this.batchInterval / 60000);
+        }
+
+        if (this.isRunning && this.apiBaseUrl !== previous.apiBaseUrl) {
+            this.serverConnected = false;
+            await this.checkConnectivity();
+        }
+
+        if (this.isRunning && this.getReadyNotes().length >= this.maxBatchSize) {
+            this.processBatch();
+        }
+    }
+
+    /**
+     * Create a periodic alarm unless one with the same period is already scheduled.
+     * Re-creating an alarm resets its schedule, and start() runs on every wake-up.
+     * @param {string} name - Alarm name
+     * @param {number} periodInMinutes - Alarm period
+     */
+    async ensureAlarm(name, periodInMinutes) {
+        const existing = await chrome.alarms.get(name);
+
+        if (existing && existing.periodInMinutes === periodInMinutes) {
+            return;
+        }
+
+        await chrome.alarms.create(name, {
+            delayInMinutes: Math.min(FIRST_FLUSH_DELAY, periodInMinutes),
+            periodInMinutes
+        });
+        console.log(`Scheduled alarm ${name} every ${periodInMinutes} minutes`);
+    }
+
+    /**
+     * Run the work for one of the processor's alarms
+     * @param {Object} alarm - Alarm from chrome.alarms.onAlarm
+     * @returns {Promise<boolean>} Whether the alarm belongs to the processor
+     */
+    async handleAlarm(alarm) {
+        switch (alarm.name) {
+            case ALARMS.BATCH:
+                await this.processBatch();
+                return true;
+
+            case ALARMS.HEALTH_CHECK:
+                await this.checkConnectivity();
+                return true;
+
+            case ALARMS.CLEANUP:
+                await this.ready;
+                this.cleanupProcessedNoteIds();
+                await this.cleanupLocalStorage();
+                return true;
+
+            case ALARMS.BAKE_POLL:
+                await this.pollBakeJob();
+                return true;
+
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * Add a note to the pending batch. A note that repeats or overlaps one
+     * already saved is queued with a duplicate flag and held back from
+     * upload until the user merges it or keeps both (see resolveDuplicate).
+     * A note the privacy rules keep on this device is stored but not queued.
+     * @param {Object} note - The note to add
+     * @returns {Promise<Object|null>} The queued note, or null if it was rejected
+     * @throws {CaptureBlockedError} If the privacy rules refuse the capture
+     */
+    async addNote(note) {
+        // Validate note has required content
+        if (!note || !note.content || typeof note.content !== 'string') {
+            console.error('Invalid note - missing content:', note);
+            return null;
+        }
+
+        note.type = note.type || 'selection';
+        if (!NOTE_TYPES.includes(note.type)) {
+            console.error('Invalid note - unknown type:', note.type);
+            return null;
+        }
+        note.tags = normalizeTags(note.tags || []);
+
+        await this.ready;
+
+        // The note could not be stored without the key
+        if (this.encryption.isLocked()) {
+            throw new EncryptionLockedError();
+        }
+
+        // The background checks before capturing; this covers every other way in
+        const decision = await this.checkCapture({ url: note.source_url, incognito: note.incognito });
+        if (!decision.allowed) {
+            throw new CaptureBlockedError(decision.reason);
+        }
+        if (decision.localOnly) {
+            await this.stampNote(note);
+            note.delivery.status = DELIVERY_STATUS.LOCAL;
+            await this.saveNoteToLocalStorage(note);
+            console.log('Incognito capture kept on this device only');
+            return note;
         }
 
-        if (this.cleanupTimer) {
-            clearInterval(this.cleanupTimer);
-            this.cleanupTimer = null;
+        const match = await this.findDuplicateOf(note);
+        if (match) {
+            note.duplicate = { of: match.note.id, kind: match.kind, similarity: match.similarity };
+            console.log(`Possible ${match.kind} duplicate of note ${match.note.id}, holding it for review`);
         }
+
+        await this.stampNote(note);
+        this.pendingNotes.push(note);
+        await this.saveNoteToLocalStorage(note);
         
-        console.log('BatchProcessor stopped');
+        // Process if batch is full
+        if (this.getReadyNotes().length >= this.maxBatchSize) {
+            this.processBatch();
+        }
+        
+        this.updateBadge(this.pendingNotes.length.toString(), '#FF9800');
+        return note;
+    }
+
+    /**
+     * Whether the privacy rules let a page be captured from
+     * @param {Object} source - { url, incognito }
+     * @returns {Promise<Object>} { allowed, localOnly, reason }, see privacy.js
+     */
+    async checkCapture(source) {
+        await this.ready;
+        return getCaptureDecision(source, this.privacy);
+    }
+
+    /**
+     * Take the queued notes the privacy rules no longer let leave this device
+     * (their site was blocked, or incognito captures made local-only, after
+     * they were queued) out of the upload and keep them locally
+     */
+    async keepPrivateNotesLocal() {
+        // Pausing stops capturing, not the upload of notes already taken
+        const rules = { ...this.privacy, capturePaused: false };
+        const kept = this.pendingNotes.filter(note => {
+            const decision = getCaptureDecision({ url: note.source_url, incognito: note.incognito }, rules);
+            return !decision.allowed || decision.localOnly;
+        });
+        if (kept.length === 0) {
+            return;
+        }
+
+        kept.forEach(note => {
+            note.delivery = { ...note.delivery, status: DELIVERY_STATUS.LOCAL };
+        });
+        this.pendingNotes = this.pendingNotes.filter(note => !kept.includes(note));
+        await this.setStoredNotes(kept);
+        this.updateBadge(this.pendingNotes.length > 0 ? this.pendingNotes.length.toString() : '', '#FF9800');
+        console.log(`Kept ${kept.length} notes on this device: the privacy rules no longer allow uploading them`);
+    }
+
+    /**
+     * Find the saved note a capture repeats or overlaps, anywhere in the history
+     * @param {Object} note - New capture
+     * @returns {Promise<Object|null>} { note, kind, similarity, merged }, see duplicates.js
+     */
+    async findDuplicateOf(note) {
+        const { fingerprint, simhash } = fingerprintNote(note);
+        const ids = new Set(await this.repository.findByFingerprint(fingerprint));
+
+        // The simhash only picks candidates; findDuplicate compares their text
+        if (simhash) {
+            (await this.repository.getSimhashes(this.duplicateWindow)).forEach(entry => {
+                if (hammingDistance(simhash, entry.simhash) <= NEAR_DUPLICATE_DISTANCE) {
+                    ids.add(entry.id);
+                }
+            });
+        }
+        const candidates = ids.size > 0 ? Object.values(await this.repository.getMany([...ids])) : [];
+
+        // Other selections from the same page, which may overlap this one
+        const domain = note.source_url ? getNoteDomain(note) : '';
+        if (domain) {
+            const samePage = await this.repository.query({ domain, limit: this.duplicateWindow });
+            candidates.push(...samePage.filter(other => other.source_url === note.source_url && !ids.has(other.id)));
+        }
+
+        return findDuplicate(note, candidates);
+    }
+
+    /**
+     * Queued notes that can be sent: all but the ones held as possible duplicates
+     * @returns {Array<Object>} Notes
+     */
+    getReadyNotes() {
+        return this.pendingNotes.filter(note => !note.duplicate);
+    }
+
+    /**
+     * Give a new note its id, owner and delivery state
+     * @param {Object} note - Note about to be queued
+     * @returns {Promise<Object>} The note
+     */
+    async stampNote(note) {
+        note.id = `note_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+        note.user_id = await this.auth.getUserId();
+        note.idempotency_key = note.idempotency_key || createIdempotencyKey();
+        note.delivery = {
+            status: DELIVERY_STATUS.PENDING,
+            attempts: 0,
+            last_attempt_at: null,
+            last_error: null
+        };
+        return note;
+    }
+
+    /**
+     * Send the pending notes in batches of at most maxBatchSize. A batch that
+     * cannot be delivered stops the run; its notes and the rest wait for the
+     * next cycle.
+     */
+    async processBatch() {
+        await this.ready;
+
+        // The privacy rules may have changed since these notes were captured
+        if (!this.isProcessing) {
+            await this.keepPrivateNotesLocal();
+        }
+
+        if (this.getReadyNotes().length === 0) {
+            console.log('No pending notes to process');
+            await this.processOperations();
+            return;
+        }
+
+        if (this.isProcessing) {
+            console.log('Batch processing already in progress, skipping');
+            return;
+        }
+
+        // Notes are not sent, nor counted as failed, while the server is down
+        if (!this.api.breaker.isAvailable()) {
+            console.log(`Server unavailable, holding ${this.pendingNotes.length} notes until ${this.api.breaker.getStatus().retryAt}`);
+            return;
+        }
+
+        this.isProcessing = true;
+        const queue = this.getReadyNotes();
+        console.log(`Processing ${queue.length} notes in batches of up to ${this.maxBatchSize}...`);
+
+        let acceptedCount = 0;
+        let delivered = false;
+
+        try {
+            for (let start = 0; start < queue.length; start += this.maxBatchSize) {
+                // Notes deleted while earlier batches were sent are skipped
+                const notes = queue.slice(start, start + this.maxBatchSize)
+                    .filter(note => this.pendingNotes.includes(note));
+                if (notes.length === 0) {
+                    continue;
+                }
+
+                const accepted = await this.sendBatch(notes);
+                if (accepted === null) {
+                    break;
+                }
+                acceptedCount += accepted;
+                delivered = true;
+            }
+        } finally {
+            this.isProcessing = false;
+        }
+
+        if (delivered) {
+            this.notifyPopupOfProcessing(acceptedCount);
+
+            this.updateBadge('✓', '#4CAF50');
+            setTimeout(() => this.updateBadge('', ''), 3000);
+
+            // Edits made while these notes were in flight can go out now
+            await this.processOperations();
+        }
+    }
+
+    /**
+     * Upload one batch and settle each note by the server's result for it
+     * @param {Array<Object>} notesToProcess - At most maxBatchSize queued notes
+     * @returns {Promise<number|null>} Notes accepted, or null if the batch was not delivered
+     */
+    async sendBatch(notesToProcess) {
+        try {
+            await this.updateDeliveryState(notesToProcess, {
+                status: DELIVERY_STATUS.SENDING,
+                last_attempt_at: new Date().toISOString()
+            });
+
+            // Redacted before encryption, so the report can say what was taken out
+            const uploads = await Promise.all(notesToProcess.map(note => this.redactForUpload(note)));
+            notesToProcess.forEach((note, i) => {
+                if (uploads[i].report) {
+                    note.redaction_report = uploads[i].report;
+                }
+            });
+
+            const batchPayload = {
+                batch_id: getBatchId(uploads.map(({ payload }) => payload)),
+                notes: await Promise.all(uploads.map(({ payload }) => this.encryption.sealNote(payload))),
+                timestamp: new Date().toISOString(),
+            };
+
+            // Send to server
+            const response = await this.sendBatchWithRetry(batchPayload);
+
+            // Refused before sending, or for want of a sign-in: the notes go
+            // back to waiting without a failed attempt
+            if (response.circuitOpen || response.authRequired) {
+                await this.updateDeliveryState(notesToProcess, { status: DELIVERY_STATUS.PENDING });
+                return null;
+            }
+
+            if (!response.success) {
+                throw new Error(response.error || 'Batch upload failed');
+            }
+
+            console.log('Batch processed successfully:', response.data);
+            const { accepted, rejected, retry } = this.getBatchResults(notesToProcess, response.data);
+            await this.markNotesSynced(notesToProcess, accepted);
+            await this.markNotesRejected(notesToProcess, rejected);
+
+            // Transient failures are sent again next cycle
+            if (retry.length > 0) {
+                console.warn(`${retry.length} notes were not accepted this time and will be retried`);
+                await this.recordDeliveryFailure(retry, new Error('Not acknowledged by the server'));
+            }
+
+            this.lastBatchTime = new Date().toISOString();
+            this.serverConnected = true;
+            this.authRequired = false;
+            return accepted.size;
+        } catch (error) {
+            console.error('Batch processing failed:', error);
+            this.serverConnected = false;
+
+            await this.recordDeliveryFailure(notesToProcess, error);
+
+            // Update badge with error
+            this.updateBadge('!', '#F44336');
+            setTimeout(() => this.updateBadge('⚠', '#FF9800'), 5000);
+
+            // Keep notes in pending for retry
+            console.log('Notes will be retried in next batch cycle');
+            return null;
+        }
+    }
+
+    /**
+     * Sort the notes of a batch by the server's per-note results. A response
+     * without results accepts the whole batch; notes missing from the results
+     * or with a temporary error are retried.
+     * @param {Array<Object>} notes - Notes sent in the batch
+     * @param {Object} data - Batch response body
+     * @returns {Object} { accepted: Map of note id -> server id, rejected: Map of note id -> reason, retry: notes to send again }
+     */
+    getBatchResults(notes, data) {
+        const accepted = new Map();
+        const rejected = new Map();
+
+        if (!Array.isArray(data?.results)) {
+            notes.forEach(note => accepted.set(note.id, note.id));
+            return { accepted, rejected, retry: [] };
+        }
+
+        const results = new Map(data.results
+            .filter(result => result && result.id)
+            .map(result => [result.id, result]));
+
+        notes.forEach(note => {
+            const result = results.get(note.id);
+
+            switch (result?.status) {
+                case 'accepted':
+                case 'duplicate': // already received under this idempotency key
+                    accepted.set(note.id, result.server_id || note.id);
+                    break;
+                case 'rejected':
+                    rejected.set(note.id, result.error || 'Rejected by the server');
+                    break;
+            }
+        });
+
+        const retry = notes.filter(note => !accepted.has(note.id) && !rejected.has(note.id));
+        return { accepted, rejected, retry };
+    }
+
+    /**
+     * Move notes the server refused as invalid out of the outbox and into the
+     * dead-letter list, where they wait for the user to fix or discard them
+     * @param {Array<Object>} notes - Notes sent in the batch
+     * @param {Map<string, string>} rejected - Note id -> reason
+     */
+    async markNotesRejected(notes, rejected) {
+        const refused = notes.filter(note => rejected.has(note.id) && this.pendingNotes.includes(note));
+        if (refused.length === 0) {
+            return;
+        }
+
+        refused.forEach(note => {
+            note.delivery = {
+                ...note.delivery,
+                status: DELIVERY_STATUS.REJECTED,
+                attempts: (note.delivery?.attempts || 0) + 1,
+                last_error: rejected.get(note.id)
+            };
+        });
+        this.pendingNotes = this.pendingNotes.filter(note => !rejected.has(note.id));
+
+        await this.setStoredNotes(refused);
+        await this.refreshRejectedCount();
+        console.warn(`${refused.length} notes were rejected by the server:`, refused.map(note => note.delivery.last_error));
+    }
+
+    /**
+     * Put a rejected note back in the outbox, usually after editing it
+     * @param {string} id - Note id
+     * @returns {Promise<Object>} { success, note } or { success: false, error }
+     */
+    async retryRejectedNote(id) {
+        await this.ready;
+
+        try {
+            const note = await this.repository.get(id);
+            if (!note || note.delivery?.status !== DELIVERY_STATUS.REJECTED) {
+                return { success: false, error: `Note ${id} was not rejected` };
+            }
+
+            note.delivery = {
+                status: DELIVERY_STATUS.PENDING,
+                attempts: 0,
+                last_attempt_at: null,
+                last_error: null
+            };
+            this.pendingNotes.push(note);
+            await this.setStoredNotes([note]);
+            await this.refreshRejectedCount();
+
+            this.updateBadge(this.pendingNotes.length.toString(), '#FF9800');
+            return { success: true, note };
+        } catch (error) {
+            console.error('Error retrying rejected note:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Recount notes in the dead-letter list for the status display
+     */
+    async refreshRejectedCount() {
+        this.rejectedCount = await this.repository.countBySyncState(DELIVERY_STATUS.REJECTED);
+    }
+
+    /**
+     * Mark acknowledged notes as synced and take them out of the outbox. They
+     * stay in the repository as history until evicted by maxLocalNotes.
+     * @param {Array<Object>} notes - Notes sent in the batch
+     * @param {Map<string, string>} acknowledged - Note id -> server id
+     */
+    async markNotesSynced(notes, acknowledged) {
+        const syncedAt = new Date().toISOString();
+        const synced = notes.filter(note => acknowledged.has(note.id));
+
+        if (synced.length === 0) {
+            console.log('No notes acknowledged by the server');
+            return;
+        }
+
+        this.pendingNotes = this.pendingNotes.filter(note => !acknowledged.has(note.id));
+
+        // Notes deleted while the batch was in flight stay deleted
+        const stored = await this.repository.getMany(synced.map(note => note.id));
+        const updated = synced
+            .filter(note => stored[note.id])
+            .map(note => {
+                const { delivery, ...rest } = note;
+                return { ...rest, synced_at: syncedAt, server_id: acknowledged.get(note.id) };
+            });
+
+        await this.setStoredNotes(updated);
+        await this.cleanupLocalStorage();
+        console.log(`Marked ${updated.length} notes as synced`);
+    }
+
+    /**
+     * Apply delivery state changes to queued notes and persist them
+     * @param {Array} notes - Notes to update
+     * @param {Object|Function} changes - Delivery fields to set, or a function of the note returning them
+     */
+    async updateDeliveryState(notes, changes) {
+        // Notes discarded while the batch was in flight must not be written back
+        const queued = notes.filter(note => this.pendingNotes.includes(note));
+
+        queued.forEach(note => {
+            const fields = typeof changes === 'function' ? changes(note) : changes;
+            note.delivery = { ...note.delivery, ...fields };
+        });
+
+        if (queued.length > 0) {
+            await this.setStoredNotes(queued);
+        }
+    }
+
+    /**
+     * Record a failed delivery attempt for each note in a batch
+     * @param {Array} notes - Notes from the failed batch
+     * @param {Error} error - Failure reason
+     */
+    async recordDeliveryFailure(notes, error) {
+        try {
+            await this.updateDeliveryState(notes, (note) => ({
+                status: DELIVERY_STATUS.FAILED,
+                attempts: (note.delivery?.attempts || 0) + 1,
+                last_error: error.message
+            }));
+
+            const stuckCount = this.getStuckNotes().length;
+            if (stuckCount > 0) {
+                console.warn(`${stuckCount} notes have failed ${this.stuckThreshold}+ delivery attempts`);
+            }
+        } catch (storageError) {
+            console.error('Failed to record delivery failure:', storageError);
+        }
+    }
+
+    /**
+     * Get queued notes that keep failing to deliver
+     * @returns {Array} Stuck notes
+     */
+    getStuckNotes() {
+        return this.pendingNotes.filter(note => (note.delivery?.attempts || 0) >= this.stuckThreshold);
+    }
+
+    /**
+     * Strip local bookkeeping from a note before upload
+     * @param {Object} note - Queued note
+     * @returns {Object} Note payload
+     */
+    serializeNote(note) {
+        const { delivery, conflict, duplicate, incognito, redaction_override, redaction_report, ...payload } = note;
+        // Notes queued before idempotency keys existed use their id
+        payload.idempotency_key = note.idempotency_key || note.id;
+        payload.tags = normalizeTags(note.tags || []);
+        return payload;
+    }
+
+    /**
+     * Upload payload of a note with personal data redacted, unless the user
+     * chose to send the note as captured
+     * @param {Object} note - Queued note
+     * @returns {Promise<Object>} { payload, report } where report is null while redaction is off
+     */
+    async redactForUpload(note) {
+        const payload = this.serializeNote(note);
+        if (!this.redaction.enabled) {
+            return { payload, report: null };
+        }
+
+        const { note: redacted, items } = await redactNote(payload, this.redaction);
+        const override = Boolean(note.redaction_override);
+        return {
+            payload: override ? payload : redacted,
+            report: {
+                mode: this.redaction.mode,
+                override,
+                redacted_at: new Date().toISOString(),
+                // What was found, without the values themselves
+                items: items.map(({ detector, field, replacement }) => ({
+                    detector,
+                    field,
+                    replacement: override ? null : replacement
+                }))
+            }
+        };
+    }
+
+    /**
+     * What will be redacted from the notes going out in the next batches
+     * @returns {Promise<Object>} { success, enabled, mode, notes: [{ note, override, items }] } for notes with matches
+     */
+    async getRedactionPreview() {
+        await this.ready;
+
+        if (!this.redaction.enabled) {
+            return { success: true, enabled: false, mode: this.redaction.mode, notes: [] };
+        }
+
+        try {
+            const previews = [];
+            for (const note of this.getReadyNotes()) {
+                const { items } = await redactNote(this.serializeNote(note), this.redaction);
+                if (items.length > 0) {
+                    previews.push({ note, override: Boolean(note.redaction_override), items });
+                }
+            }
+            return { success: true, enabled: true, mode: this.redaction.mode, notes: previews };
+        } catch (error) {
+            console.error('Error previewing redactions:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Send a queued note as captured, or redact it again
+     * @param {string} id - Queued note id
+     * @param {boolean} override - true to send the note without redaction
+     * @returns {Promise<Object>} { success, note } or { success: false, error }
+     */
+    async setRedactionOverride(id, override) {
+        await this.ready;
+
+        const note = this.pendingNotes.find(queued => queued.id === id);
+        if (!note || note.delivery?.status === DELIVERY_STATUS.SENDING) {
+            return { success: false, error: `Note ${id} is not waiting for upload` };
+        }
+
+        try {
+            if (override) {
+                note.redaction_override = true;
+            } else {
+                delete note.redaction_override;
+            }
+            await this.setStoredNotes([note]);
+            console.log(`Note ${id} will be sent ${override ? 'as captured' : 'redacted'}`);
+            return { success: true, note };
+        } catch (error) {
+            console.error('Error updating redaction override:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * List stored notes, newest first
+     * @param {Object} filter - See NotesRepository.query
+     * @returns {Promise<Array<Object>>} Notes
+     */
+    async getStoredNotes(filter = {}) {
+        await this.ready;
+        const notes = await this.repository.query(filter);
+
+        // Notes read while locked stay encrypted and are left out
+        return this.encryption.isLocked()
+            ? notes.filter(note => !this.encryption.hasEncryptedFields(note))
+            : notes;
+    }
+
+    /**
+     * Write notes to the repository and the search index
+     * @param {Array<Object>} notes - Notes with ids
+     */
+    async setStoredNotes(notes) {
+        await this.repository.put(notes);
+        await this.searchIndex.add(notes);
+    }
+
+    /**
+     * Remove notes from the repository and the search index
+     * @param {Array<string>} ids - Note ids
+     */
+    async removeStoredNotes(ids) {
+        await this.repository.delete(ids);
+        await this.searchIndex.remove(ids);
+    }
+
+    /**
+     * Delete every stored note, delivered or not
+     */
+    async clearStoredNotes() {
+        await this.ready;
+
+        this.pendingNotes = [];
+        await this.repository.clear();
+        await this.searchIndex.rebuild([]);
+        this.operationCounts = { pending: 0, conflict: 0 };
+        this.rejectedCount = 0;
+
+        this.updateBadge('', '');
+        console.log('Cleared all stored notes');
+    }
+
+    /**
+     * Edit a stored note. Notes still waiting in the outbox are changed in place;
+     * notes the server already has get an update operation queued for replay.
+     * @param {string} id - Note id
+     * @param {Object} changes - New values for content, intent, user_note and pinned
+     * @returns {Promise<Object>} { success, note, queued } or { success: false, error }
+     */
+    async updateNote(id, changes = {}) {
+        await this.ready;
+
+        const fields = {};
+        EDITABLE_FIELDS.forEach(field => {
+            if (changes[field] !== undefined) {
+                fields[field] = changes[field];
+            }
+        });
+
+        if (Object.keys(fields).length === 0) {
+            return { success: false, error: 'No editable fields given' };
+        }
+        if (fields.content !== undefined && (typeof fields.content !== 'string' || !fields.content.trim())) {
+            return { success: false, error: 'Note content cannot be empty' };
+        }
+        if (fields.pinned !== undefined) {
+            fields.pinned = Boolean(fields.pinned);
+        }
+        if (fields.tags !== undefined) {
+            fields.tags = normalizeTags(fields.tags);
+        }
+
+        try {
+            const stored = await this.repository.get(id);
+            if (!stored) {
+                return { success: false, error: `Note ${id} not found` };
+            }
+
+            fields.updated_at = new Date().toISOString();
+
+            const queued = this.pendingNotes.find(note => note.id === id);
+            const note = queued ? Object.assign(queued, fields) : { ...stored, ...fields };
+
+            // An upload that failed without an answer may still have reached the
+            // server. Sent again under the same key, the server would answer
+            // 'duplicate' with the copy it has and the edit would be lost.
+            if (queued && (queued.delivery?.status === DELIVERY_STATUS.SENDING || queued.delivery?.attempts > 0)) {
+                note.idempotency_key = createIdempotencyKey();
+            }
+            await this.setStoredNotes([note]);
+
+            // A note already sent (or being sent) has to be changed on the server
+            let operationQueued = false;
+            if (this.isOnServer(stored, queued)) {
+                await this.enqueueOperation({
+                    type: OPERATION_TYPES.UPDATE,
+                    note_id: id,
+                    server_id: stored.server_id,
+                    changes: fields,
+                    base_version: getNoteVersion(stored)
+                });
+                operationQueued = true;
+            }
+
+            console.log(`Updated note ${id}`, Object.keys(fields));
+            return { success: true, note, queued: operationQueued };
+        } catch (error) {
+            console.error('Error updating note:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Delete a stored note. Notes the server already has get a delete
+     * operation queued for replay.
+     * @param {string} id - Note id
+     * @returns {Promise<Object>} { success, note, queued } or { success: false, error }
+     */
+    async deleteNote(id) {
+        await this.ready;
+
+        try {
+            const stored = await this.repository.get(id);
+            if (!stored) {
+                return { success: false, error: `Note ${id} not found` };
+            }
+
+            const queued = this.pendingNotes.find(note => note.id === id);
+            this.pendingNotes = this.pendingNotes.filter(note => note.id !== id);
+            await this.removeStoredNotes([id]);
+            if (stored.delivery?.status === DELIVERY_STATUS.REJECTED) {
+                await this.refreshRejectedCount();
+            }
+
+            let operationQueued = false;
+            if (this.isOnServer(stored, queued)) {
+                await this.enqueueOperation({
+                    type: OPERATION_TYPES.DELETE,
+                    note_id: id,
+                    server_id: stored.server_id,
+                    base_version: getNoteVersion(stored)
+                });
+                operationQueued = true;
+            }
+
+            this.updateBadge(this.pendingNotes.length > 0 ? this.pendingNotes.length.toString() : '', '#FF9800');
+            console.log(`Deleted note ${id}`);
+            return { success: true, note: stored, queued: operationQueued };
+        } catch (error) {
+            console.error('Error deleting note:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Queued notes held as possible duplicates, each with the note it repeats
+     * @returns {Promise<Object>} { success, duplicates: [{ note, match, kind, similarity, merged }] }
+     */
+    async getDuplicates() {
+        await this.ready;
+
+        const held = this.pendingNotes.filter(note => note.duplicate);
+        const matches = held.length > 0 ? await this.repository.getMany(held.map(note => note.duplicate.of)) : {};
+
+        return {
+            success: true,
+            duplicates: held.map(note => {
+                const match = matches[note.duplicate.of] || null;
+                return {
+                    note,
+                    match,
+                    kind: note.duplicate.kind,
+                    similarity: note.duplicate.similarity,
+                    merged: match && note.duplicate.kind === DUPLICATE_KINDS.OVERLAP
+                        ? mergeOverlap(match.content, note.content)
+                        : null
+                };
+            })
+        };
+    }
+
+    /**
+     * Settle a note held as a possible duplicate. Merging folds its comment
+     * and tags into the note it repeats (and, for overlapping selections,
+     * joins the two passages) and drops it; keeping both releases it for upload.
+     * @param {string} id - Held note id
+     * @param {string} choice - 'merge' or 'keep'
+     * @returns {Promise<Object>} { success, note, removed } or { success: false, error }
+     */
+    async resolveDuplicate(id, choice) {
+        await this.ready;
+
+        const note = this.pendingNotes.find(queued => queued.id === id && queued.duplicate);
+        if (!note) {
+            return { success: false, error: `Note ${id} is not held as a duplicate` };
+        }
+        if (choice !== 'merge' && choice !== 'keep') {
+            return { success: false, error: `Unknown choice: ${choice}` };
+        }
+
+        try {
+            const match = choice === 'merge' ? await this.repository.get(note.duplicate.of) : null;
+
+            // Kept, or the note it repeats is gone and there is nothing to merge into
+            if (!match) {
+                delete note.duplicate;
+                await this.setStoredNotes([note]);
+                if (this.getReadyNotes().length >= this.maxBatchSize) {
+                    this.processBatch();
+                }
+                console.log(`Keeping note ${id} alongside the note it resembles`);
+                return { success: true, note, removed: null };
+            }
+
+            const changes = {
+                user_note: [...new Set([match.user_note, note.user_note].map(text => (text || '').trim()).filter(Boolean))].join('\n\n'),
+                tags: [...(match.tags || []), ...(note.tags || [])]
+            };
+            if (note.duplicate.kind === DUPLICATE_KINDS.OVERLAP) {
+                changes.content = mergeOverlap(match.content, note.content) || match.content;
+            }
+
+            const updated = await this.updateNote(match.id, changes);
+            if (!updated.success) {
+                return updated;
+            }
+            await this.deleteNote(id);
+
+            console.log(`Merged note ${id} into ${match.id}`);
+            return { success: true, note: updated.note, removed: note };
+        } catch (error) {
+            console.error('Error resolving duplicate:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Tags in use, most used first
+     * @returns {Promise<Object>} { success, tags: [{ value, count }] }
+     */
+    async getTags() {
+        await this.ready;
+        return { success: true, tags: this.searchIndex.getFacets().tags };
+    }
+
+    /**
+     * Add tags to, or remove them from, several notes at once
+     * @param {Array<string>} ids - Note ids
+     * @param {Object} changes - { add: tags to add, remove: tags to remove }
+     * @returns {Promise<Object>} { success, updated } or { success: false, error }
+     */
+    async tagNotes(ids = [], changes = {}) {
+        await this.ready;
+
+        const add = normalizeTags(changes.add || []);
+        const remove = normalizeTags(changes.remove || []);
+        if (ids.length === 0) {
+            return { success: false, error: 'Select the notes to tag' };
+        }
+        if (add.length === 0 && remove.length === 0) {
+            return { success: false, error: 'Enter a tag' };
+        }
+
+        const stored = await this.repository.getMany(ids);
+        return this.retagNotes(Object.values(stored), tags => normalizeTags([...replaceTags(tags, remove, null), ...add]));
+    }
+
+    /**
+     * Rename a tag on every note. Renaming to a tag already in use merges the two.
+     * @param {string} from - Tag to rename
+     * @param {string} to - New name
+     * @returns {Promise<Object>} { success, updated } or { success: false, error }
+     */
+    renameTag(from, to) {
+        return this.mergeTags([from], to);
+    }
+
+    /**
+     * Replace several tags with one on every note
+     * @param {Array<string>} tags - Tags to merge
+     * @param {string} into - Tag they become, new or already in use
+     * @returns {Promise<Object>} { success, updated } or { success: false, error }
+     */
+    async mergeTags(tags = [], into) {
+        const target = normalizeTag(into);
+        if (!target) {
+            return { success: false, error: 'Enter the new tag name' };
+        }
+        return this.rewriteTag(tags, target);
+    }
+
+    /**
+     * Remove a tag from every note
+     * @param {string} tag - Tag
+     * @returns {Promise<Object>} { success, updated } or { success: false, error }
+     */
+    deleteTag(tag) {
+        return this.rewriteTag([tag], null);
+    }
+
+    /**
+     * Replace or remove tags on every note that has them
+     * @param {Array<string>} sources - Tags
+     * @param {string|null} target - Tag they become, or null to remove them
+     * @returns {Promise<Object>} { success, updated } or { success: false, error }
+     */
+    async rewriteTag(sources, target) {
+        await this.ready;
+
+        const tags = normalizeTags(sources);
+        if (tags.length === 0) {
+            return { success: false, error: 'Choose a tag' };
+        }
+
+        const notes = (await this.repository.query({})).filter(note => tags.some(tag => hasTag(note, tag)));
+        return this.retagNotes(notes, noteTags => replaceTags(noteTags, tags, target));
+    }
+
+    /**
+     * Save new tags on the notes where they changed, through updateNote so
+     * notes on the server get the change too
+     * @param {Array<Object>} notes - Notes
+     * @param {Function} change - Note's tags -> new tags
+     * @returns {Promise<Object>} { success, updated } or { success: false, error, updated }
+     */
+    async retagNotes(notes, change) {
+        let updated = 0;
+
+        for (const note of notes) {
+            const current = normalizeTags(note.tags || []);
+            const tags = change(current);
+            if (tags.join('\n') === current.join('\n')) {
+                continue;
+            }
+
+            const result = await this.updateNote(note.id, { tags });
+            if (!result.success) {
+                return { success: false, error: result.error, updated };
+            }
+            updated++;
+        }
+
+        console.log(`Changed the tags of ${updated} notes`);
+        return { success: true, updated };
+    }
+
+    /**
+     * Whether the server has (or is being sent) a note, so changes to it
+     * have to be replayed there
+     * @param {Object} stored - Stored note
+     * @param {Object} queued - The note in the outbox, if it is there
+     * @returns {boolean}
+     */
+    isOnServer(stored, queued) {
+        if (queued) {
+            return queued.delivery?.status === DELIVERY_STATUS.SENDING;
+        }
+        // Rejected notes never reached the server
+        return !stored.delivery;
+    }
+
+    /**
+     * Add an operation to the end of the replay queue
+     * @param {Object} fields - { type, note_id, server_id, changes, base_version }
+     * @returns {Promise<Object>} Stored operation
+     */
+    async enqueueOperation(fields) {
+        const operation = {
+            id: `op_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            ...fields,
+            created_at: new Date().toISOString(),
+            delivery: {
+                status: DELIVERY_STATUS.PENDING,
+                attempts: 0,
+                last_attempt_at: null,
+                last_error: null
+            },
+            conflict: null
+        };
+
+        operation.seq = await this.repository.addOperation(operation);
+        await this.refreshOperationCounts();
+        return operation;
+    }
+
+    /**
+     * Recount queued and conflicting operations for the status display
+     */
+    async refreshOperationCounts() {
+        const operations = await this.repository.getOperations();
+        const conflict = operations.filter(op => op.delivery.status === DELIVERY_STATUS.CONFLICT).length;
+
+        this.operationCounts = {
+            pending: operations.length - conflict,
+            conflict
+        };
+    }
+
+    /**
+     * Replay queued operations in order. A failure stops the replay so later
+     * operations never overtake it; a conflict only holds back that note's
+     * later operations until it is resolved.
+     */
+    async processOperations() {
+        if (this.isReplaying) {
+            return;
+        }
+        this.isReplaying = true;
+
+        try {
+            const operations = await this.repository.getOperations();
+            const heldNotes = new Set();
+
+            for (const op of operations) {
+                if (op.delivery.status === DELIVERY_STATUS.CONFLICT || heldNotes.has(op.note_id)) {
+                    heldNotes.add(op.note_id);
+                    continue;
+                }
+
+                // The note itself has not reached the server yet
+                const queued = this.pendingNotes.find(note => note.id === op.note_id);
+                if (queued) {
+                    if (queued.delivery?.status === DELIVERY_STATUS.SENDING) {
+                        heldNotes.add(op.note_id);
+                        continue;
+                    }
+                    if (op.type === OPERATION_TYPES.UPDATE) {
+                        // The queued note already carries the edit
+                        await this.repository.deleteOperations([op.seq]);
+                        continue;
+                    }
+                }
+
+                op.delivery = {
+                    ...op.delivery,
+                    status: DELIVERY_STATUS.SENDING,
+                    last_attempt_at: new Date().toISOString()
+                };
+
+                try {
+                    const result = await this.sendOperation(op);
+
+                    if (result.conflict) {
+                        await this.recordConflict(op, result.serverNote);
+                        heldNotes.add(op.note_id);
+                    } else {
+                        await this.repository.deleteOperations([op.seq]);
+                    }
+                } catch (error) {
+                    console.error(`Operation ${op.id} failed:`, error);
+                    op.delivery = {
+                        ...op.delivery,
+                        status: DELIVERY_STATUS.FAILED,
+                        attempts: (op.delivery.attempts || 0) + 1,
+                        last_error: error.message
+                    };
+                    await this.repository.putOperations([op]);
+                    break;
+                }
+            }
+        } catch (error) {
+            console.error('Error replaying note operations:', error);
+        } finally {
+            this.isReplaying = false;
+            await this.refreshOperationCounts().catch(error => console.error('Error counting operations:', error));
+        }
+    }
+
+    /**
+     * Changes of a queued edit with personal data redacted, the same way as
+     * the note was when it was uploaded
+     * @param {Object} op - Queued operation
+     * @returns {Promise<Object>} Changes to send
+     */
+    async redactChanges(op) {
+        if (!this.redaction.enabled) {
+            return op.changes;
+        }
+        const stored = await this.repository.get(op.note_id);
+        if (stored?.redaction_report?.override) {
+            return op.changes;
+        }
+        return (await redactNote(op.changes, this.redaction)).note;
+    }
+
+    /**
+     * Send one operation to the server. The note's version when the change was
+     * made goes in If-Match so the server can refuse changes made on a stale copy.
+     * @param {Object} op - Queued operation
+     * @returns {Promise<Object>} { conflict, serverNote }
+     */
+    async sendOperation(op) {
+        const isDelete = op.type === OPERATION_TYPES.DELETE;
+
+        // Notes edited while in flight only learn their server id once delivered
+        const serverId = op.server_id || (await this.repository.get(op.note_id))?.server_id || op.note_id;
+
+        const response = await this.request('operation', `/notes/${encodeURIComponent(serverId)}`, {
+            method: isDelete ? 'DELETE' : 'PATCH',
+            headers: {
+                'Content-Type': 'application/json',
+                'Idempotency-Key': op.id,
+                'If-Match': `"${op.base_version}"`
+            },
+            body: isDelete ? undefined : JSON.stringify({
+                operation_id: op.id,
+                changes: await this.encryption.sealNote(await this.redactChanges(op))
+            })
+        });
+
+        // Deleting a note the server no longer has is already done
+        if (response.ok || (isDelete && response.status === 404)) {
+            return { conflict: false };
+        }
+
+        if (response.status === 409 || response.status === 412) {
+            const body = await response.json().catch(() => ({}));
+            return { conflict: true, serverNote: body.note || null };
+        }
+
+        if (response.status === 404) {
+            return { conflict: true, serverNote: null };
+        }
+
+        const errorText = await response.text().catch(() => '');
+        throw new Error(`HTTP ${response.status}: ${errorText}`);
+    }
+
+    /**
+     * Mark an operation as conflicting and flag its note for the popup
+     * @param {Object} op - Operation the server refused
+     * @param {Object|null} serverNote - The server's copy, null if it was deleted there
+     */
+    async recordConflict(op, serverNote) {
+        console.warn(`Conflict on note ${op.note_id}, waiting for the user to resolve it`);
+
+        op.delivery = { ...op.delivery, status: DELIVERY_STATUS.CONFLICT };
+        op.conflict = {
+            server_note: serverNote,
+            detected_at: new Date().toISOString()
+        };
+        await this.repository.putOperations([op]);
+
+        // A deleted note comes back so the user can see what changed
+        const server = serverNote && await this.encryption.openNote(serverNote);
+        const local = await this.repository.get(op.note_id) || server;
+        if (local) {
+            await this.setStoredNotes([{
+                ...local,
+                conflict: {
+                    operation_id: op.id,
+                    type: op.type,
+                    server_content: server ? server.content : null,
+                    server_deleted: !serverNote
+                }
+            }]);
+        }
+    }
+
+    /**
+     * Resolve a conflict on a note
+     * @param {string} noteId - Note id
+     * @param {string} resolution - 'local' to keep this copy, 'server' to take the server's
+     * @returns {Promise<Object>} { success } or { success: false, error }
+     */
+    async resolveConflict(noteId, resolution) {
+        await this.ready;
+
+        try {
+            const operations = await this.repository.getOperations(noteId);
+            const conflicted = operations.find(op => op.delivery.status === DELIVERY_STATUS.CONFLICT);
+            if (!conflicted) {
+                return { success: false, error: `No conflict on note ${noteId}` };
+            }
+
+            const serverNote = conflicted.conflict?.server_note || null;
+            const local = await this.repository.get(noteId);
+            const seqs = operations.map(op => op.seq);
+
+            if (resolution === 'server') {
+                await this.repository.deleteOperations(seqs);
+                if (serverNote) {
+                    const server = await this.encryption.openNote({ ...serverNote, id: noteId });
+                    await this.setStoredNotes([withoutConflict(server)]);
+                } else {
+                    await this.removeStoredNotes([noteId]);
+                }
+            } else if (resolution === 'local') {
+                if (!serverNote && conflicted.type === OPERATION_TYPES.UPDATE && local) {
+                    // The server deleted it: send this copy again as a new note
+                    await this.repository.deleteOperations(seqs);
+                    const note = withoutConflict(local);
+                    note.delivery = {
+                        status: DELIVERY_STATUS.PENDING,
+                        attempts: 0,
+                        last_attempt_at: null,
+                        last_error: null
+                    };
+                    this.pendingNotes.push(note);
+                    await this.setStoredNotes([note]);
+                } else {
+                    // Replay against the server's current version
+                    conflicted.base_version = serverNote ? getNoteVersion(serverNote) : conflicted.base_version;
+                    conflicted.delivery = { ...conflicted.delivery, status: DELIVERY_STATUS.PENDING };
+                    conflicted.conflict = null;
+                    await this.repository.putOperations([conflicted]);
+
+                    if (conflicted.type === OPERATION_TYPES.DELETE) {
+                        await this.removeStoredNotes([noteId]);
+                    } else if (local) {
+                        await this.setStoredNotes([withoutConflict(local)]);
+                    }
+                }
+                this.processOperations();
+            } else {
+                return { success: false, error: `Unknown resolution: ${resolution}` };
+            }
+
+            await this.refreshOperationCounts();
+            console.log(`Resolved conflict on note ${noteId} with the ${resolution} copy`);
+            return { success: true };
+        } catch (error) {
+            console.error('Error resolving conflict:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Send an API request through the shared request layer
+     * @param {string} endpoint - Endpoint policy, see ENDPOINT_POLICIES
+     * @param {string} path - Path under the API base URL
+     * @param {Object} init - fetch options and policy overrides
+     * @returns {Promise<Response>} Response
+     */
+    async request(endpoint, path, init = {}) {
+        this.api.setBaseUrl(this.apiBaseUrl);
+        try {
+            return await this.api.request(endpoint, path, { baseDelay: this.retryDelay, ...init });
+        } catch (error) {
+            if (error instanceof AuthError && !this.authRequired) {
+                console.warn('Server refused our credentials - sign in to resume syncing');
+                this.authRequired = true;
+                this.updateBadge('⚠', '#FF9800');
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Sign in and resume syncing. Notes queued while signed out are
+     * attributed to the user who signed in.
+     * @param {Object} credentials - { token } for an API token, empty for the OAuth flow
+     * @returns {Promise<Object>} { success, user } or { success: false, error }
+     */
+    async signIn(credentials = {}) {
+        await this.ready;
+        this.auth.setBaseUrl(this.apiBaseUrl);
+
+        const result = credentials.token
+            ? await this.auth.signInWithToken(credentials.token)
+            : await this.auth.signInWithOAuth();
+        if (!result.success) {
+            return result;
+        }
+
+        this.authRequired = false;
+        this.pendingNotes.forEach(note => {
+            note.user_id = result.user.id;
+        });
+        await this.setStoredNotes(this.pendingNotes);
+
+        if (this.pendingNotes.length > 0 || this.operationCounts.pending > 0) {
+            this.processBatch();
+        }
+        return result;
+    }
+
+    /**
+     * Sign out and purge every note stored on this device, delivered or not
+     * @returns {Promise<Object>} { success }
+     */
+    async signOut() {
+        await this.ready;
+        this.auth.setBaseUrl(this.apiBaseUrl);
+
+        await this.auth.signOut();
+        await this.clearStoredNotes();
+        await this.stopBakePoll();
+        await this.bakeJobs.clear();
+        this.authRequired = false;
+        return { success: true };
+    }
+
+    /**
+     * Encryption state for the popup and options page
+     * @returns {Promise<Object>} { enabled, locked, keyId }
+     */
+    async getEncryptionStatus() {
+        await this.ready;
+        return this.encryption.getStatus();
+    }
+
+    /**
+     * Turn on encryption and encrypt every stored note with a key derived from the passphrase
+     * @param {string} passphrase - New passphrase
+     * @returns {Promise<Object>} { success } or { success: false, error }
+     */
+    enableEncryption(passphrase) {
+        return this.changeEncryption('enable', () => this.encryption.enable(passphrase));
+    }
+
+    /**
+     * Unlock encrypted notes for this browser session
+     * @param {string} passphrase - Passphrase
+     * @returns {Promise<Object>} { success } or { success: false, error }
+     */
+    unlockEncryption(passphrase) {
+        return this.changeEncryption('unlock', () => this.encryption.unlock(passphrase));
+    }
+
+    /**
+     * Forget the key; captures wait until the passphrase is entered again
+     * @returns {Promise<Object>} { success }
+     */
+    lockEncryption() {
+        return this.changeEncryption('lock', async () => {
+            await this.encryption.lock();
+            return { success: true };
+        });
+    }
+
+    /**
+     * Re-key every stored note under a new passphrase
+     * @param {string} passphrase - Current passphrase
+     * @param {string} newPassphrase - New passphrase
+     * @returns {Promise<Object>} { success } or { success: false, error }
+     */
+    changeEncryptionPassphrase(passphrase, newPassphrase) {
+        return this.changeEncryption('re-key', () => this.encryption.changePassphrase(passphrase, newPassphrase));
     }
 
     /**
-     * Add a note to the pending batch
-     * @param {Object} note - The note to add
+     * Turn off encryption and store every note in the clear again
+     * @param {string} passphrase - Current passphrase
+     * @returns {Promise<Object>} { success } or { success: false, error }
      */
-    addNote(note) {
-        // Validate note has required content
-        if (!note || !note.content || typeof note.content !== 'string') {
-            console.error('Invalid note - missing content:', note);
-            return;
-        }
-        const noteId = `note_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-        note.id = noteId;
-    
-        // Simple content hash for duplicates
-        const contentHash = this.hashContent(note.content);
-        const existingNote = this.pendingNotes.find(n => this.hashContent(n.content) === contentHash);
-    
-        if (existingNote) {
-            console.log('Duplicate content detected, skipping');
-            return;
-        }
-    
-        this.pendingNotes.push(note);
-        this.saveNoteToLocalStorage(note);
-        
-        // Process if batch is full
-        if (this.pendingNotes.length >= this.maxBatchSize) {
-            this.processBatch();
-        }
-        
-        this.updateBadge(this.pendingNotes.length.toString(), '#FF9800');
+    disableEncryption(passphrase) {
+        return this.changeEncryption('disable', () => this.encryption.disable(passphrase));
     }
-    
-    
 
     /**
-     * Process the current batch of notes
+     * Run an encryption change, then reload the queue and search index so
+     * they hold notes as the new key state reads them
+     * @param {string} label - For the log
+     * @param {Function} change - Returns { success } or { success: false, error }
+     * @returns {Promise<Object>} Result of the change
      */
-    async processBatch() {
-        if (this.pendingNotes.length === 0) {
-            console.log('No pending notes to process');
-            return;
-        }
-        
+    async changeEncryption(label, change) {
+        await this.ready;
+
         if (this.isProcessing) {
-            console.log('Batch processing already in progress, skipping');
-            return;
+            return { success: false, error: 'Notes are being uploaded - try again in a moment' };
         }
-        
-        this.isProcessing = true;
-        console.log(`Processing batch of ${this.pendingNotes.length} notes...`);
 
-        const notesToProcess = [...this.pendingNotes];
-        const processedCount = notesToProcess.length;
-        
         try {
-            // Create batch payload
-            const batchPayload = {
-                batch_id: `batch_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-                notes: this.pendingNotes,
-                timestamp: new Date().toISOString(),
-            };
-            
-            // Send to server
-            const response = await this.sendBatchWithRetry(batchPayload);
-        
-            if (response.success) {
-                console.log('Batch processed successfully:', response.data);
-                await this.clearAllProcessedNotesFromLocal(notesToProcess);
-
-                // Remove processed notes from pending (only the ones that were actually processed)
-                this.pendingNotes = this.pendingNotes.filter(note => 
-                    !notesToProcess.some(processed => 
-                        processed.id === note.id || 
-                        processed.metadata?.local_id === note.metadata?.local_id
-                    )
-                );
-                this.lastBatchTime = new Date().toISOString();
-                this.serverConnected = true;
-
-                this.notifyPopupOfProcessing(processedCount);
+            const result = await change();
+            if (!result.success) {
+                return result;
+            }
 
-                this.updateBadge('✓', '#4CAF50');
-                setTimeout(() => this.updateBadge('', ''), 3000);
+            await this.searchIndex.setPersistent(!this.encryption.isEnabled());
+            await this.restorePendingNotes();
+            await this.rebuildSearchIndex();
 
-            } else {
-                throw new Error(response.error || 'Batch upload failed');
-            }
-            
+            console.log(`Encryption ${label} done:`, this.encryption.getStatus());
+            return result;
         } catch (error) {
-            console.error('Batch processing failed:', error);
-            this.serverConnected = false;
-            
-            // Update badge with error
-            this.updateBadge('!', '#F44336');
-            setTimeout(() => this.updateBadge('⚠', '#FF9800'), 5000);
-            
-            // Keep notes in pending for retry
-            console.log('Notes will be retried in next batch cycle');
-        } finally {
-            this.isProcessing = false;
+            console.error(`Encryption ${label} failed:`, error);
+            return { success: false, error: error.message };
         }
     }
 
     /**
-     * Clear ALL processed notes from local storage (not just by ID)
+     * Sign-in state for the popup and options page
+     * @returns {Promise<Object>} { signedIn, method, user, expired, server }
      */
-    async clearAllProcessedNotesFromLocal(processedNotes) {
-        return new Promise((resolve) => {
-            chrome.storage.local.get(null, (result) => {
-
-                const allNoteKeys = Object.keys(result).filter(key => 
-                    key.startsWith('note_') || 
-                    key.startsWith('local_') || 
-                    key.startsWith('manual_')
-                );
-                
-                if (allNoteKeys.length > 0) {
-                    // Clear ALL notes from storage after successful batch processing
-                    chrome.storage.local.remove(allNoteKeys, () => {
-                        if (chrome.runtime.lastError) {
-                            console.error('Error clearing all processed notes:', chrome.runtime.lastError);
-                        } else {
-                            console.log(`🧹 Cleared ALL ${allNoteKeys.length} notes from local storage after batch processing`);
-                        }
-                        resolve();
-                    });
-                } else {
-                    console.log('No notes found in storage to clear');
-                    resolve();
-                }
-            });
-        });
+    async getAuthState() {
+        this.auth.setBaseUrl(this.apiBaseUrl);
+        return this.auth.getState();
     }
 
-    async sendBatchWithRetry(batchData, attempt = 1) {
+    /**
+     * Upload a batch, retrying with backoff. The body, and so the batch's
+     * idempotency key, is the same on every attempt.
+     * @param {Object} batchData - Batch payload
+     * @returns {Promise<Object>} { success, data } or { success: false, error, circuitOpen, authRequired }
+     */
+    async sendBatchWithRetry(batchData) {
         try {
-            const response = await fetch(`${this.apiBaseUrl}/notes/batch`, {
+            const response = await this.request('batch', '/notes/batch', {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json',
+                    'Idempotency-Key': batchData.batch_id
                 },
                 body: JSON.stringify(batchData),
-                signal: AbortSignal.timeout(30000) // 30 second timeout
+                maxAttempts: this.maxRetries
             });
-    
+
             if (!response.ok) {
                 const errorData = await response.text();
                 throw new Error(`HTTP ${response.status}: ${errorData}`);
             }
-    
+
             const responseData = await response.json();
             return { success: true, data: responseData };
-    
+
         } catch (error) {
-            console.error(`Batch send attempt ${attempt} failed:`, error.message);
-    
-            if (attempt < this.maxRetries) {
-                console.log(`Retrying in ${this.retryDelay}ms... (attempt ${attempt + 1}/${this.maxRetries})`);
-                await new Promise(resolve => setTimeout(resolve, this.retryDelay));
-                return this.sendBatchWithRetry(batchData, attempt + 1);
-            } else {
-                return { success: false, error: error.message };
-            }
+            console.error('Batch send failed:', error.message);
+            return {
+                success: false,
+                error: error.message,
+                circuitOpen: error instanceof CircuitOpenError,
+                authRequired: error instanceof AuthError
+            };
         }
     }
 
     /**
-     * Handle bake request from popup
-     * @param {Object} bakeData - Bake request data
+     * Handle bake request from popup. The server answers with a job id, which
+     * is polled until the bake finishes.
+     * @param {Object} bakeData - Bake request data, with an optional scope and template
+     * @returns {Promise<Object>} { success, data, job } or { success: false, error }
      */
-    async handleBakeRequest(bakeData) {
+    async handleBakeRequest(bakeData = {}) {
         console.log('Handling bake request from popup');
 
+        const template = bakeData.template || BAKE_TEMPLATES.SUMMARY;
+        if (!Object.values(BAKE_TEMPLATES).includes(template)) {
+            return { success: false, error: `Unknown bake template: ${template}` };
+        }
+
+        let scope;
+        try {
+            scope = normalizeBakeScope(bakeData.scope);
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+
         const now = Date.now();
         if (this.lastBakeTime && (now - this.lastBakeTime) < this.bakeThrottleTime) {
             const timeLeft = Math.ceil((this.bakeThrottleTime - (now - this.lastBakeTime)) / 1000);
@@ -264,6 +1869,15 @@ class BatchProcessor {
             };
         }
 
+        const runningJob = await this.bakeJobs.getActive();
+        if (runningJob) {
+            console.log('Bake job still running:', runningJob.id);
+            return {
+                success: false,
+                error: 'A bake is already running. Wait for it to finish.'
+            };
+        }
+
         const bakeId = `bake_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
 
         if (this.activeBakeRequests.has(bakeId)) {
@@ -287,6 +1901,12 @@ class BatchProcessor {
                 console.log('Processing pending notes before bake...');
                 await this.processBatch();
             }
+
+            // A scoped bake names its notes, by their server ids once they are synced
+            const scopedNotes = scope ? await this.getBakeNotes(scope) : null;
+            if (scopedNotes && scopedNotes.length === 0) {
+                throw new Error('No notes match this bake scope');
+            }
             
             // Send bake request to server
             const bakePayload = {
@@ -295,16 +1915,18 @@ class BatchProcessor {
                 trigger_source: 'user_action',
                 includeAdditionalNotes: bakeData.includeAdditionalNotes || false,
                 additionalNotes: bakeData.additionalNotes || '',
-                ...bakeData
+                ...bakeData,
+                template,
+                scope,
+                note_ids: scopedNotes ? scopedNotes.map(note => note.server_id || note.id) : null
             };
             
-            const response = await fetch(`${this.apiBaseUrl}/bake`, {
+            const response = await this.request('bake', '/bake', {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json',
                 },
-                body: JSON.stringify(bakePayload),
-                signal: AbortSignal.timeout(300000) // 5 minute timeout
+                body: JSON.stringify(bakePayload)
             });
             
             if (!response.ok) {
@@ -316,14 +1938,26 @@ class BatchProcessor {
             console.log('Bake request processed:', result);
 
             this.lastBakeTime = now;
-            
-            // Update badge to show baking in progress
-            this.updateBadge('🔥', '#FF5722');
-            return { success: true, data: result };
+
+            const job = await this.startBakeJob(bakeId, result, now, {
+                template,
+                scope,
+                notes_count: scopedNotes ? scopedNotes.length : null
+            });
+            return { success: true, data: result, job };
             
         } catch (error) {
             console.error('Bake request failed:', error);
             this.updateBadge('!', '#F44336');
+            await this.bakeJobs.record({
+                id: bakeId,
+                status: BAKE_STATUS.FAILED,
+                progress: null,
+                error: error.message,
+                template,
+                scope,
+                started_at: new Date(now).toISOString()
+            });
             return { success: false, error: error.message };
         } finally {
             // Mark bake as complete
@@ -331,6 +1965,367 @@ class BatchProcessor {
         }
     }
 
+    /**
+     * Track the job a bake request started. A server that bakes within the
+     * request (no job id) is recorded as finished right away.
+     * @param {string} bakeId - Local id of the request
+     * @param {Object} result - Server response to POST /bake
+     * @param {number} startedAt - When the bake was requested
+     * @param {Object} request - { template, scope, notes_count } the bake was asked for
+     * @returns {Promise<Object>} The job
+     */
+    async startBakeJob(bakeId, result, startedAt, request = {}) {
+        const jobId = result.job_id || result.id;
+        const job = {
+            id: jobId ? String(jobId) : bakeId,
+            template: request.template || BAKE_TEMPLATES.SUMMARY,
+            scope: request.scope || null,
+            notes_count: result.notes_count ?? request.notes_count ?? null,
+            started_at: new Date(startedAt).toISOString()
+        };
+
+        if (!jobId) {
+            const finished = await this.bakeJobs.record({
+                ...job,
+                ...parseJobStatus({ ...result, status: BAKE_STATUS.COMPLETED })
+            });
+            this.showBakeJob(finished);
+            return finished;
+        }
+
+        const started = await this.bakeJobs.start({
+            ...job,
+            ...parseJobStatus({ ...result, status: result.status || BAKE_STATUS.QUEUED })
+        });
+        this.showBakeJob(started);
+        await this.scheduleBakePoll();
+        return started;
+    }
+
+    /**
+     * Stored notes in a bake scope
+     * @param {Object} scope - Normalized scope, see normalizeBakeScope
+     * @returns {Promise<Array<Object>>} Notes, newest first
+     */
+    async getBakeNotes(scope) {
+        await this.ready;
+
+        const notes = await this.repository.query({
+            domain: scope.domain,
+            intent: scope.intent,
+            from: scope.from ? Date.parse(scope.from) : null,
+            to: scope.to ? Date.parse(scope.to) : null
+        });
+        return notes.filter(note => matchesBakeScope(note, scope));
+    }
+
+    /**
+     * How many notes a bake would take in, for the popup to show before it starts
+     * @param {Object|null} scope - Bake scope; none for every note
+     * @returns {Promise<Object>} { success, count, pendingCount, scope } or { success: false, error }
+     */
+    async previewBake(scope) {
+        await this.ready;
+
+        try {
+            const normalized = normalizeBakeScope(scope);
+            const notes = normalized
+                ? await this.getBakeNotes(normalized)
+                : await this.repository.query();
+            return {
+                success: true,
+                count: notes.length,
+                pendingCount: notes.filter(note => !note.synced_at).length,
+                scope: normalized
+            };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Build an export file of every stored note matching the filters, with
+     * no limit on how many
+     * @param {Object} options - { format, filter: { intent, domain, from, to } }
+     * @returns {Promise<Object>} { success, count, filename, mimeType, data } or { success: false, error }
+     */
+    async exportNotes(options = {}) {
+        await this.ready;
+
+        const { format = EXPORT_FORMATS.MARKDOWN, filter = {} } = options;
+        if (!Object.values(EXPORT_FORMATS).includes(format)) {
+            return { success: false, error: `Unknown export format: ${format}` };
+        }
+        if (this.encryption.isLocked()) {
+            return { success: false, error: new EncryptionLockedError().message };
+        }
+
+        try {
+            const [from, to] = [filter.from, filter.to].map(value => {
+                if (!value) {
+                    return null;
+                }
+                const time = new Date(value).getTime();
+                if (Number.isNaN(time)) {
+                    throw new Error(`Not a valid date: ${value}`);
+                }
+                return time;
+            });
+
+            const notes = await this.repository.query({
+                intent: filter.intent || null,
+                domain: filter.domain || null,
+                from,
+                to,
+                order: 'asc'
+            });
+            if (notes.length === 0) {
+                return { success: false, error: 'No notes match these filters' };
+            }
+
+            const file = buildExport(notes, format);
+            console.log(`Exported ${notes.length} notes as ${format}`);
+            return { success: true, count: notes.length, ...file };
+        } catch (error) {
+            console.error('Export failed:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Import notes from files. Notes already stored, or repeated within the
+     * files, are skipped; the rest go through the privacy rules and duplicate
+     * review of new captures and are queued for upload like them.
+     * Progress is sent to the page that asked as importProgress messages.
+     * @param {Object} options - { files: [{ name, text }], intent: for notes that have none }
+     * @returns {Promise<Object>} Report: { success, total, imported, duplicates, held, skipped, files, errors }
+     */
+    async importNotes(options = {}) {
+        await this.ready;
+
+        const { files = [], intent = DEFAULT_INTENT } = options;
+        if (files.length === 0) {
+            return { success: false, error: 'Choose at least one file to import' };
+        }
+        if (this.encryption.isLocked()) {
+            return { success: false, error: new EncryptionLockedError().message };
+        }
+
+        const report = { success: true, total: 0, imported: 0, duplicates: 0, held: 0, skipped: 0, files: [], errors: [] };
+        const parsed = [];
+
+        files.forEach(file => {
+            try {
+                const { format, notes, errors } = parseImport(file.text, { fileName: file.name, intent });
+                report.files.push({ name: file.name, format, count: notes.length });
+                report.errors.push(...errors.map(error => ({ file: file.name, ...error })));
+                report.skipped += errors.length;
+                parsed.push(...notes);
+            } catch (error) {
+                console.error(`Could not read ${file.name}:`, error);
+                report.files.push({ name: file.name, format: null, count: 0 });
+                report.errors.push({ file: file.name, reason: error.message });
+            }
+        });
+        report.total = parsed.length;
+
+        try {
+            // Same passage from the same page or book, whatever the whitespace. The
+            // whole text is the key: a short hash would let distinct notes collide.
+            const importKey = note => `${note.source_url || note.title || ''}\n${getFingerprintText(note)}`
+                .replace(/\s+/g, ' ')
+                .trim();
+            const known = new Set((await this.repository.query({})).map(importKey));
+
+            const queue = [];
+            const localOnly = new Set();
+            for (const note of parsed) {
+                if (!note.content || typeof note.content !== 'string' || !NOTE_TYPES.includes(note.type)) {
+                    report.skipped++;
+                    report.errors.push({ entry: note.title || null, reason: `Not a note BrowserBud can store (${note.type})` });
+                    continue;
+                }
+                const key = importKey(note);
+                if (known.has(key)) {
+                    report.duplicates++;
+                    continue;
+                }
+                known.add(key);
+
+                // The same privacy rules and duplicate review as a new capture, see addNote
+                const decision = await this.checkCapture({ url: note.source_url, incognito: note.incognito });
+                if (!decision.allowed) {
+                    report.skipped++;
+                    report.errors.push({ entry: note.title || null, reason: decision.reason });
+                    continue;
+                }
+                if (decision.localOnly) {
+                    localOnly.add(note);
+                } else {
+                    const match = await this.findDuplicateOf(note);
+                    if (match) {
+                        note.duplicate = { of: match.note.id, kind: match.kind, similarity: match.similarity };
+                        report.held++;
+                    }
+                }
+                queue.push(note);
+            }
+
+            // Stored in chunks so the search index is written once per chunk, not once per note
+            for (let i = 0; i < queue.length; i += IMPORT_CHUNK_SIZE) {
+                const chunk = queue.slice(i, i + IMPORT_CHUNK_SIZE);
+                for (const note of chunk) {
+                    await this.stampNote(note);
+                    if (localOnly.has(note)) {
+                        note.delivery.status = DELIVERY_STATUS.LOCAL;
+                    }
+                }
+                await this.setStoredNotes(chunk);
+                this.pendingNotes.push(...chunk.filter(note => !localOnly.has(note)));
+                report.imported += chunk.length;
+                this.notifyImportProgress(report.imported + report.duplicates, report.total);
+            }
+        } catch (error) {
+            console.error('Import failed:', error);
+            return { ...report, success: false, error: error.message };
+        }
+
+        console.log(`Imported ${report.imported} notes (${report.held} held as possible duplicates), ${report.duplicates} already saved, ${report.skipped} skipped`);
+        if (this.pendingNotes.length > 0) {
+            this.updateBadge(this.pendingNotes.length.toString(), '#FF9800');
+        }
+        if (this.getReadyNotes().length >= this.maxBatchSize) {
+            this.processBatch();
+        }
+        return report;
+    }
+
+    /**
+     * Tell the page running an import how far it has got
+     * @param {number} processed - Notes stored or skipped as duplicates
+     * @param {number} total - Notes read from the files
+     */
+    notifyImportProgress(processed, total) {
+        try {
+            chrome.runtime.sendMessage({ action: 'importProgress', processed, total }).catch(() => {
+                // The page might have been closed - the import carries on
+            });
+        } catch (error) {
+            console.log('Could not report import progress:', error.message);
+        }
+    }
+
+    /**
+     * Check the running bake job's status, and keep polling until it finishes
+     * @returns {Promise<Object|null>} The job, or null if none is running
+     */
+    async pollBakeJob() {
+        if (this.isPollingBake) {
+            return null;
+        }
+        this.isPollingBake = true;
+
+        try {
+            const job = await this.bakeJobs.getActive();
+            if (!job) {
+                await this.stopBakePoll();
+                return null;
+            }
+
+            let changes;
+            try {
+                const response = await this.request('bakeStatus', `/bake/${encodeURIComponent(job.id)}`, {
+                    method: 'GET',
+                    headers: { 'Content-Type': 'application/json' }
+                });
+
+                if (response.status === 404) {
+                    changes = { status: BAKE_STATUS.FAILED, error: 'The server no longer knows this bake' };
+                } else if (!response.ok) {
+                    throw new Error(`Server returned ${response.status}`);
+                } else {
+                    changes = parseJobStatus(await response.json());
+                }
+            } catch (error) {
+                // Unreachable for now: ask again on the next poll
+                console.warn('Could not check the bake status:', error.message);
+                changes = {};
+            }
+
+            const timedOut = Date.now() - Date.parse(job.started_at) > BAKE_TIMEOUT;
+            if (timedOut && !isFinished({ ...job, ...changes })) {
+                changes = {
+                    status: BAKE_STATUS.FAILED,
+                    error: `The bake did not finish within ${BAKE_TIMEOUT / 60000} minutes`
+                };
+            }
+
+            const updated = await this.bakeJobs.update(job.id, changes);
+            if (!updated) {
+                return null;
+            }
+
+            this.showBakeJob(updated);
+            if (isFinished(updated)) {
+                console.log(`Bake job ${updated.id} ${updated.status}`, updated.error || '');
+                await this.stopBakePoll();
+            } else {
+                await this.scheduleBakePoll();
+            }
+            return updated;
+        } finally {
+            this.isPollingBake = false;
+        }
+    }
+
+    /**
+     * Poll again shortly while the worker is awake, with an alarm to resume
+     * if it is suspended first
+     */
+    async scheduleBakePoll() {
+        clearTimeout(this.bakePollTimer);
+        this.bakePollTimer = setTimeout(() => {
+            this.pollBakeJob().catch(error => console.error('Error polling bake job:', error));
+        }, BAKE_POLL_INTERVAL);
+        await this.ensureAlarm(ALARMS.BAKE_POLL, BAKE_POLL_PERIOD);
+    }
+
+    async stopBakePoll() {
+        clearTimeout(this.bakePollTimer);
+        this.bakePollTimer = null;
+        await chrome.alarms.clear(ALARMS.BAKE_POLL);
+    }
+
+    /**
+     * Show a bake job's progress on the badge and tell the popup
+     * @param {Object} job - Bake job
+     */
+    showBakeJob(job) {
+        if (job.status === BAKE_STATUS.COMPLETED) {
+            this.flashBadge('✓', '#4CAF50', 3000);
+        } else if (job.status === BAKE_STATUS.FAILED) {
+            this.flashBadge('!', '#F44336', 5000);
+        } else {
+            this.updateBadge(job.progress !== null && job.progress !== undefined ? `${job.progress}%` : '🔥', '#FF5722');
+        }
+
+        try {
+            chrome.runtime.sendMessage({ action: 'bakeJobUpdated', job }).catch(() => {
+                // Popup might not be open - that's fine
+            });
+        } catch (error) {
+            console.log('Could not notify popup (popup may be closed):', error.message);
+        }
+    }
+
+    /**
+     * The running bake job and past bakes, newest first
+     * @returns {Promise<Object>} { active, history }
+     */
+    async getBakeJobs() {
+        return this.bakeJobs.load();
+    }
+
     /**
      * Get current batch status
      * @returns {Object} Status information
@@ -340,8 +2335,16 @@ class BatchProcessor {
             pendingCount: this.pendingNotes.length,
             lastBatchTime: this.lastBatchTime,
             batchInterval: this.batchInterval / 1000 / 60, // minutes
-            serverConnected: this.serverConnected,
+            serverConnected: this.serverConnected && this.api.breaker.state !== CIRCUIT_STATES.OPEN,
+            circuit: this.api.breaker.getStatus(),
+            authRequired: this.authRequired,
+            encryption: this.encryption.getStatus(),
             isProcessing: this.isProcessing,
+            stuckCount: this.getStuckNotes().length,
+            pendingOperations: this.operationCounts.pending,
+            conflictCount: this.operationCounts.conflict,
+            rejectedCount: this.rejectedCount,
+            duplicateCount: this.pendingNotes.length - this.getReadyNotes().length,
             maxBatchSize: this.maxBatchSize,
             lastHealthCheck: this.lastHealthCheck,
             apiUrl: this.apiBaseUrl,
@@ -363,17 +2366,15 @@ class BatchProcessor {
     }
 
     /**
-     * Save note to local storage temporarily
+     * Save note to the repository until it is delivered
      * @param {Object} note - Note to save
      */
-    saveNoteToLocalStorage(note) {
-        const noteId = `note_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-    
-        chrome.storage.local.set({ [noteId]: note }, () => {
-            if (chrome.runtime.lastError) {
-                console.error('Error saving note:', chrome.runtime.lastError);
-            }
-        });
+    async saveNoteToLocalStorage(note) {
+        try {
+            await this.setStoredNotes([note]);
+        } catch (error) {
+            console.error('Error saving note:', error);
+        }
     }
 
     /**
@@ -401,6 +2402,23 @@ class BatchProcessor {
 }
 
 
+    /**
+     * Delete all of the user's notes on the server
+     * @returns {Promise<Object>} Server response
+     */
+    async clearServerNotes() {
+        const response = await this.request('clear', '/notes', {
+            method: 'DELETE',
+            headers: { 'Content-Type': 'application/json' }
+        });
+
+        if (!response.ok) {
+            throw new Error(`Server error: ${response.status}`);
+        }
+
+        return await response.json();
+    }
+
     async triggerBake(additionalNotes = '', includeAdditionalNotes = false) {
         const bakeData = {
             additionalNotes,
@@ -411,10 +2429,9 @@ class BatchProcessor {
 
     async getServerStatus() {
         try {
-            const response = await fetch(`${this.apiBaseUrl}/status`, {
+            const response = await this.request('status', '/status', {
                 method: 'GET',
-                headers: { 'Content-Type': 'application/json' },
-                signal: AbortSignal.timeout(5000)
+                headers: { 'Content-Type': 'application/json' }
             });
             
             if (response.ok) {
@@ -445,22 +2462,25 @@ class BatchProcessor {
     }
 
     /**
-     * Clean up old notes from local storage
+     * Evict the oldest synced notes beyond maxLocalNotes. Notes still waiting
+     * for delivery, pinned notes and notes with edits not yet replayed are
+     * never evicted.
      */
-    cleanupLocalStorage() {
-        chrome.storage.local.get(null, (result) => {
-            const notes = Object.keys(result)
-                .filter(key => key.startsWith('note_'))
-                .map(key => ({ ...result[key], key }))
-                .sort((a, b) => new Date(b.source?.timestamp || 0) - new Date(a.source?.timestamp || 0));
-            
-            if (notes.length > this.maxLocalNotes) {
-                const notesToRemove = notes.slice(this.maxLocalNotes).map(note => note.key);
-                chrome.storage.local.remove(notesToRemove, () => {
-                    console.log(`Cleaned up ${notesToRemove.length} old notes from local storage`);
-                });
+    async cleanupLocalStorage() {
+        try {
+            const operations = await this.repository.getOperations();
+            const editedIds = new Set(operations.map(op => op.note_id));
+            const synced = (await this.repository.query({ sync: 'synced' }))
+                .filter(note => !note.pinned && !editedIds.has(note.id));
+
+            if (synced.length > this.maxLocalNotes) {
+                const notesToRemove = synced.slice(this.maxLocalNotes).map(note => note.id);
+                await this.removeStoredNotes(notesToRemove);
+                console.log(`Cleaned up ${notesToRemove.length} old notes from the repository`);
             }
-        });
+        } catch (error) {
+            console.error('Error cleaning up stored notes:', error);
+        }
     }
 
     /**
@@ -468,12 +2488,11 @@ class BatchProcessor {
      */
     async checkConnectivity() {
         try {
-            const response = await fetch(`${this.apiBaseUrl}/health`, {
+            const response = await this.request('health', '/health', {
                 method: 'GET',
                 headers: {
                     'Content-Type': 'application/json',
-                },
-                signal: AbortSignal.timeout(5000)
+                }
             });
             
             if (response.ok) {
@@ -497,6 +2516,21 @@ class BatchProcessor {
         }
     }
 
+    /**
+     * Show the circuit breaker's state: offline while it is open, back to the
+     * pending count once the server answers again
+     * @param {string} state - Circuit state
+     */
+    handleCircuitChange(state) {
+        if (state === CIRCUIT_STATES.OPEN) {
+            this.serverConnected = false;
+            this.updateBadge('⚠', '#FF9800');
+        } else if (state === CIRCUIT_STATES.CLOSED) {
+            this.serverConnected = true;
+            this.updateBadge(this.pendingNotes.length > 0 ? this.pendingNotes.length.toString() : '', '#FF9800');
+        }
+    }
+
     /**
      * Update extension badge
      * @param {string} text - Badge text
@@ -511,6 +2545,20 @@ class BatchProcessor {
         }
     }
 
+    /**
+     * Show a short-lived badge, then go back to the pending count
+     * @param {string} text - Badge text
+     * @param {string} color - Badge color
+     * @param {number} duration - How long to show it, in ms
+     */
+    flashBadge(text, color, duration = 2000) {
+        this.updateBadge(text, color);
+        setTimeout(() => {
+            const pendingCount = this.pendingNotes.length;
+            this.updateBadge(pendingCount > 0 ? pendingCount.toString() : '', '#FF9800');
+        }, duration);
+    }
+
     /**
      * Get statistics about batch processing
      * @returns {Object} Statistics
@@ -521,6 +2569,10 @@ class BatchProcessor {
             lastBatchTime: this.lastBatchTime,
             serverConnected: this.serverConnected,
             isProcessing: this.isProcessing,
+            stuckNotes: this.getStuckNotes().length,
+            pendingOperations: this.operationCounts.pending,
+            conflicts: this.operationCounts.conflict,
+            rejectedNotes: this.rejectedCount,
             batchInterval: this.batchInterval,
             maxBatchSize: this.maxBatchSize,
             maxLocalNotes: this.maxLocalNotes
@@ -536,18 +2588,25 @@ class BatchProcessor {
     }
 
     /**
-     * Reset the batch processor state
+     * Reset the batch processor state. Queued notes are dropped from storage
+     * too, otherwise they would be restored on the next wake-up.
      */
-    reset() {
+    async reset() {
+        const discardedIds = this.pendingNotes.map(note => note.id).filter(Boolean);
         this.pendingNotes = [];
         this.lastBatchTime = null;
         this.isProcessing = false;
+
+        if (discardedIds.length > 0) {
+            await this.removeStoredNotes(discardedIds);
+        }
+
         this.updateBadge('', '');
         console.log('BatchProcessor state reset');
     }
 }
 
-export { BatchProcessor };
+export { BatchProcessor, NOTE_TYPES, DELIVERY_STATUS, OPERATION_TYPES, EDITABLE_FIELDS, ALARMS };
 if (typeof window !== 'undefined') {
     window.BatchProcessor = BatchProcessor;
 }
\ No newline at end of file
@@ -0,0 +1,244 @@
+/**
+ * Quick-annotate overlay - injected into the page with chrome.scripting
+ * after a context menu capture.
+ *
+ * Shows the captured note next to the selection so a comment, intent and
+ * tags can be added before it is saved. Saving (or the timeout running out
+ * untouched) sends the note through the background's addNote message;
+ * cancelling drops the capture.
+ *
+ * executeScript serializes the function and runs it in the page, so it must
+ * stay self-contained: every helper lives inside its body.
+ *
+ * @param {Object} note - Captured note
+ * @param {Array<Object>} intents - Intents to pick from, as { id, title }
+ * @param {number} timeoutSeconds - Seconds before the note is saved as-is
+ * @param {Array<string>} knownTags - Tags already in use, offered as the tags are typed
+ * @returns {boolean} Whether the overlay is showing
+ */
+function renderAnnotationOverlay(note, intents, timeoutSeconds, knownTags = []) {
+    const HOST_ID = 'browserbud-annotation-overlay';
+    const OVERLAY_WIDTH = 320;
+    const MAX_QUOTE_LENGTH = 160;
+    const MAX_TAG_SUGGESTIONS = 8;
+
+    const STYLES = `
+        :host { all: initial; }
+        form {
+            position: absolute;
+            z-index: 2147483647;
+            width: ${OVERLAY_WIDTH}px;
+            box-sizing: border-box;
+            padding: 12px;
+            background: #ffffff;
+            color: #202124;
+            border: 1px solid #dadce0;
+            border-radius: 8px;
+            box-shadow: 0 4px 16px rgba(0, 0, 0, 0.2);
+            font: 13px/1.4 -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+        }
+        .header { display: flex; justify-content: space-between; margin-bottom: 8px; }
+        .title { font-weight: 600; color: #1a73e8; }
+        .countdown { font-size: 11px; color: #5f6368; }
+        blockquote {
+            margin: 0 0 8px;
+            padding-left: 8px;
+            border-left: 3px solid #fbbc04;
+            color: #5f6368;
+            font-size: 12px;
+        }
+        textarea, select, input {
+            box-sizing: border-box;
+            width: 100%;
+            padding: 6px 8px;
+            border: 1px solid #dadce0;
+            border-radius: 4px;
+            font: inherit;
+            color: inherit;
+            background: #ffffff;
+        }
+        textarea { height: 64px; resize: vertical; margin-bottom: 8px; }
+        .row { display: flex; gap: 8px; margin-bottom: 10px; }
+        .actions { display: flex; justify-content: flex-end; gap: 8px; }
+        button { border: none; border-radius: 4px; padding: 6px 14px; font: inherit; cursor: pointer; }
+        .cancel { background: #f1f3f4; color: #202124; }
+        .save { background: #1a73e8; color: #ffffff; }
+    `;
+
+    // An overlay left open from an earlier capture is saved before it's replaced
+    const existing = document.getElementById(HOST_ID);
+    if (existing) {
+        existing.dispatchEvent(new CustomEvent('browserbud-replace'));
+        existing.remove();
+    }
+
+    const host = document.createElement('div');
+    host.id = HOST_ID;
+    // Closed, so the page's scripts can't read the note or the comment being typed
+    const shadow = host.attachShadow({ mode: 'closed' });
+
+    const style = document.createElement('style');
+    style.textContent = STYLES;
+    shadow.appendChild(style);
+
+    const form = document.createElement('form');
+    form.innerHTML = `
+        <div class="header">
+            <span class="title">BrowserBud</span>
+            <span class="countdown"></span>
+        </div>
+        <blockquote></blockquote>
+        <textarea name="user_note" placeholder="Add a comment..."></textarea>
+        <div class="row">
+            <select name="intent"></select>
+            <input name="tags" type="text" list="browserbud-tags" placeholder="Tags, comma separated" autocomplete="off">
+            <datalist id="browserbud-tags"></datalist>
+        </div>
+        <div class="actions">
+            <button type="button" class="cancel">Cancel</button>
+            <button type="submit" class="save">Save</button>
+        </div>
+    `;
+    shadow.appendChild(form);
+
+    const quote = note.content.length > MAX_QUOTE_LENGTH
+        ? note.content.substring(0, MAX_QUOTE_LENGTH) + '…'
+        : note.content;
+    form.querySelector('blockquote').textContent = quote;
+    form.elements.user_note.value = note.user_note || '';
+    form.elements.tags.value = (note.tags || []).join(', ');
+
+    // Offer tags in use that start with the one being typed, keeping the ones before it
+    const tagOptions = form.querySelector('datalist');
+    const suggestTags = () => {
+        const parts = form.elements.tags.value.split(',');
+        const typing = parts.pop().trim().replace(/^#/, '').toLowerCase();
+        const typed = parts.map(tag => tag.trim()).filter(Boolean);
+        const prefix = typed.length > 0 ? `${typed.join(', ')}, ` : '';
+
+        tagOptions.textContent = '';
+        knownTags
+            .filter(tag => tag.toLowerCase().startsWith(typing) &&
+                !typed.some(chosen => chosen.toLowerCase() === tag.toLowerCase()))
+            .slice(0, MAX_TAG_SUGGESTIONS)
+            .forEach(tag => {
+                const option = document.createElement('option');
+                option.value = prefix + tag;
+                tagOptions.appendChild(option);
+            });
+    };
+    form.elements.tags.addEventListener('input', suggestTags);
+    form.elements.tags.addEventListener('focus', suggestTags);
+
+    intents.forEach(intent => {
+        const option = document.createElement('option');
+        option.value = intent.id;
+        option.textContent = intent.title;
+        form.elements.intent.appendChild(option);
+    });
+    form.elements.intent.value = note.intent;
+
+    // Place the overlay under the selection, kept inside the viewport
+    let top = window.scrollY + 16;
+    let left = window.scrollX + document.documentElement.clientWidth - OVERLAY_WIDTH - 16;
+    try {
+        const rect = window.getSelection().getRangeAt(0).getBoundingClientRect();
+        top = window.scrollY + rect.bottom + 8;
+        left = window.scrollX + Math.min(
+            Math.max(8, rect.left),
+            document.documentElement.clientWidth - OVERLAY_WIDTH - 8
+        );
+    } catch (error) {
+        // Selection is gone - keep the top-right corner
+    }
+    form.style.top = `${Math.max(0, top)}px`;
+    form.style.left = `${Math.max(0, left)}px`;
+
+    const countdown = form.querySelector('.countdown');
+    let remaining = timeoutSeconds;
+    let timer = null;
+    let finished = false;
+
+    const stopCountdown = () => {
+        clearInterval(timer);
+        countdown.textContent = '';
+    };
+
+    const finish = (action) => {
+        if (finished) {
+            return;
+        }
+        finished = true;
+        stopCountdown();
+        document.removeEventListener('visibilitychange', onVisibilityChange);
+        host.remove();
+
+        if (action === 'cancel') {
+            return;
+        }
+
+        let annotated = note;
+        if (action === 'save') {
+            const tags = form.elements.tags.value
+                .split(',')
+                .map(tag => tag.trim())
+                .filter((tag, index, all) => tag && all.indexOf(tag) === index);
+            annotated = {
+                ...note,
+                user_note: form.elements.user_note.value.trim(),
+                intent: form.elements.intent.value || note.intent,
+                tags
+            };
+        }
+
+        chrome.runtime.sendMessage({ action: 'addNote', note: annotated }).catch(error => {
+            console.error('BrowserBud could not save the note:', error);
+        });
+    };
+
+    // Leaving the page shouldn't lose the capture or the comment typed so far.
+    // Hidden is the last state a page reliably gets to run in: pagehide and
+    // unload are skipped when a backgrounded tab is discarded.
+    const onVisibilityChange = () => {
+        if (document.visibilityState === 'hidden') {
+            finish('save');
+        }
+    };
+
+    form.addEventListener('submit', (event) => {
+        event.preventDefault();
+        finish('save');
+    });
+    form.querySelector('.cancel').addEventListener('click', () => finish('cancel'));
+    form.addEventListener('keydown', (event) => {
+        event.stopPropagation(); // keep page shortcuts from firing while typing
+        if (event.key === 'Escape') {
+            finish('cancel');
+        } else if (event.key === 'Enter' && (event.ctrlKey || event.metaKey)) {
+            event.preventDefault();
+            finish('save');
+        }
+    });
+
+    // The timeout only applies while the overlay is untouched
+    form.addEventListener('focusin', stopCountdown);
+    form.addEventListener('input', stopCountdown);
+
+    host.addEventListener('browserbud-replace', () => finish('timeout'));
+    document.addEventListener('visibilitychange', onVisibilityChange);
+
+    countdown.textContent = `Saving in ${remaining}s`;
+    timer = setInterval(() => {
+        remaining--;
+        if (remaining <= 0) {
+            finish('timeout');
+        } else {
+            countdown.textContent = `Saving in ${remaining}s`;
+        }
+    }, 1000);
+
+    document.documentElement.appendChild(host);
+    return true;
+}
+
+export { renderAnnotationOverlay };
@@ -0,0 +1,57 @@
+/**
+ * Element context extractors - injected into the page with chrome.scripting
+ * for image and link captures.
+ *
+ * The context menu only reports an element's URL, so these look the element
+ * up again to read what the page says about it. executeScript serializes each
+ * function and runs it in the page, so they must stay self-contained.
+ */
+
+/**
+ * Describe the image that was right-clicked
+ * @param {string} srcUrl - Image URL from the context menu
+ * @returns {Object} { alt_text, title, width, height, caption }
+ */
+function extractImageContext(srcUrl) {
+    const collapseWhitespace = (text) => (text || '').replace(/\s+/g, ' ').trim();
+
+    const image = Array.from(document.images).find(img => img.currentSrc === srcUrl || img.src === srcUrl);
+    if (!image) {
+        return { alt_text: '', title: '', width: null, height: null, caption: '' };
+    }
+
+    const figure = image.closest('figure');
+    const caption = figure ? figure.querySelector('figcaption') : null;
+
+    return {
+        alt_text: collapseWhitespace(image.alt),
+        title: collapseWhitespace(image.title),
+        width: image.naturalWidth || image.width || null,
+        height: image.naturalHeight || image.height || null,
+        caption: caption ? collapseWhitespace(caption.textContent) : ''
+    };
+}
+
+/**
+ * Describe the link that was right-clicked
+ * @param {string} linkUrl - Link URL from the context menu
+ * @returns {Object} { text, title }
+ */
+function extractLinkContext(linkUrl) {
+    const collapseWhitespace = (text) => (text || '').replace(/\s+/g, ' ').trim();
+
+    const link = Array.from(document.links).find(anchor => anchor.href === linkUrl);
+    if (!link) {
+        return { text: '', title: '' };
+    }
+
+    // Image links have no text of their own
+    const image = link.querySelector('img[alt]');
+
+    return {
+        text: collapseWhitespace(link.textContent) || (image ? collapseWhitespace(image.alt) : ''),
+        title: collapseWhitespace(link.title)
+    };
+}
+
+export { extractImageContext, extractLinkContext };
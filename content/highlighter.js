@@ -0,0 +1,269 @@
+/**
+ * Highlighter - Content script that re-highlights captured passages when a
+ * page is revisited. Anchors are re-attached by text quote: every occurrence
+ * of the captured text is scored on how well its surrounding text matches
+ * the stored prefix and suffix.
+ */
+
+const HIGHLIGHT_CLASS = 'browserbud-highlight';
+const TOOLTIP_ID = 'browserbud-highlight-tooltip';
+const RETRY_DELAY = 2000; // ms, for content rendered after document_idle
+
+/**
+ * Collect the body's text nodes with their offsets in the concatenated text
+ * @returns {Object} { text, nodes } where nodes are { node, start }
+ */
+function buildTextIndex() {
+    const nodes = [];
+    let text = '';
+
+    if (!document.body) {
+        return { text, nodes };
+    }
+
+    const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_TEXT);
+    for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+        nodes.push({ node, start: text.length });
+        text += node.data;
+    }
+
+    return { text, nodes };
+}
+
+/**
+ * Length of the common suffix of two strings
+ */
+function commonSuffixLength(a, b) {
+    let length = 0;
+    while (length < a.length && length < b.length &&
+           a[a.length - 1 - length] === b[b.length - 1 - length]) {
+        length++;
+    }
+    return length;
+}
+
+/**
+ * Length of the common prefix of two strings
+ */
+function commonPrefixLength(a, b) {
+    let length = 0;
+    while (length < a.length && length < b.length && a[length] === b[length]) {
+        length++;
+    }
+    return length;
+}
+
+/**
+ * Find the best match for a text quote anchor
+ * @param {string} text - Page text
+ * @param {Object} quote - { exact, prefix, suffix }
+ * @param {Object} position - Optional { start } hint from capture time
+ * @returns {Object|null} { start, end } in page text
+ */
+function findQuote(text, quote, position) {
+    const { exact, prefix = '', suffix = '' } = quote || {};
+    if (!exact) {
+        return null;
+    }
+
+    let best = null;
+    for (let index = text.indexOf(exact); index !== -1; index = text.indexOf(exact, index + 1)) {
+        const end = index + exact.length;
+        const contextScore =
+            commonSuffixLength(text.substring(Math.max(0, index - prefix.length), index), prefix) +
+            commonPrefixLength(text.substring(end, end + suffix.length), suffix);
+
+        // Context wins; the original position only breaks ties
+        const distance = position && typeof position.start === 'number' ? Math.abs(position.start - index) : 0;
+        const score = contextScore - distance / (text.length + 1);
+
+        if (!best || score > best.score) {
+            best = { start: index, end, score };
+        }
+    }
+
+    return best ? { start: best.start, end: best.end } : null;
+}
+
+/**
+ * Wrap the text between two page-text offsets in highlight marks
+ * @param {Object} textIndex - Result of buildTextIndex()
+ * @param {number} start - Start offset
+ * @param {number} end - End offset
+ * @param {Object} highlight - Highlight data for the marks
+ * @returns {Array<Element>} Created marks
+ */
+function wrapTextRange(textIndex, start, end, highlight) {
+    const marks = [];
+
+    textIndex.nodes.forEach(({ node, start: nodeStart }) => {
+        const nodeEnd = nodeStart + node.data.length;
+        if (nodeEnd <= start || nodeStart >= end) {
+            return;
+        }
+
+        // Don't wrap whitespace between blocks or text that can't hold markup
+        const parent = node.parentElement;
+        if (!parent || parent.closest('script, style, textarea, select') || !node.data.trim()) {
+            return;
+        }
+
+        let target = node;
+        const localStart = Math.max(0, start - nodeStart);
+        const localEnd = Math.min(node.data.length, end - nodeStart);
+        if (localEnd < target.data.length) {
+            target.splitText(localEnd);
+        }
+        if (localStart > 0) {
+            target = target.splitText(localStart);
+        }
+
+        const mark = document.createElement('mark');
+        mark.className = HIGHLIGHT_CLASS;
+        mark.dataset.noteId = highlight.note_id;
+        target.parentNode.insertBefore(mark, target);
+        mark.appendChild(target);
+        marks.push(mark);
+    });
+
+    return marks;
+}
+
+/**
+ * Highlight captured passages on the page
+ * @param {Array} highlights - Highlights from the background script
+ * @returns {Array} Highlights that could not be anchored
+ */
+function applyHighlights(highlights) {
+    const unresolved = [];
+    const applied = new Set(
+        Array.from(document.querySelectorAll(`.${HIGHLIGHT_CLASS}`), mark => mark.dataset.noteId)
+    );
+
+    highlights.forEach((highlight) => {
+        if (applied.has(highlight.note_id)) {
+            return;
+        }
+
+        // Re-index for every highlight, wrapping splits text nodes
+        const textIndex = buildTextIndex();
+        const match = findQuote(textIndex.text, highlight.quote, highlight.position);
+        if (!match) {
+            unresolved.push(highlight);
+            return;
+        }
+
+        wrapTextRange(textIndex, match.start, match.end, highlight).forEach((mark) => {
+            mark.addEventListener('mouseenter', () => showTooltip(mark, highlight));
+            mark.addEventListener('mouseleave', hideTooltip);
+        });
+    });
+
+    return unresolved;
+}
+
+/**
+ * Remove all highlights, restoring the original text nodes
+ */
+function removeHighlights() {
+    hideTooltip();
+    document.querySelectorAll(`.${HIGHLIGHT_CLASS}`).forEach((mark) => {
+        const parent = mark.parentNode;
+        while (mark.firstChild) {
+            parent.insertBefore(mark.firstChild, mark);
+        }
+        parent.removeChild(mark);
+        parent.normalize();
+    });
+}
+
+/**
+ * Show a highlight's intent and note next to it
+ */
+function showTooltip(mark, highlight) {
+    let tooltip = document.getElementById(TOOLTIP_ID);
+    if (!tooltip) {
+        tooltip = document.createElement('div');
+        tooltip.id = TOOLTIP_ID;
+        document.body.appendChild(tooltip);
+    }
+
+    tooltip.textContent = '';
+
+    const intent = document.createElement('span');
+    intent.className = 'browserbud-tooltip-intent';
+    intent.textContent = highlight.intent || 'captured';
+    tooltip.appendChild(intent);
+
+    const note = document.createElement('div');
+    note.className = 'browserbud-tooltip-note';
+    note.textContent = highlight.user_note || 'No note added';
+    tooltip.appendChild(note);
+
+    if (highlight.timestamp) {
+        const date = document.createElement('div');
+        date.className = 'browserbud-tooltip-date';
+        date.textContent = `Captured ${new Date(highlight.timestamp).toLocaleDateString()}`;
+        tooltip.appendChild(date);
+    }
+
+    const rect = mark.getBoundingClientRect();
+    tooltip.style.top = `${window.scrollY + rect.bottom + 6}px`;
+    tooltip.style.left = `${window.scrollX + rect.left}px`;
+    tooltip.style.display = 'block';
+}
+
+function hideTooltip() {
+    const tooltip = document.getElementById(TOOLTIP_ID);
+    if (tooltip) {
+        tooltip.style.display = 'none';
+    }
+}
+
+/**
+ * Ask the background script for this page's highlights and apply them
+ */
+async function loadHighlights() {
+    try {
+        const response = await chrome.runtime.sendMessage({ action: 'getHighlights', url: location.href });
+        if (!response || !response.enabled || !response.highlights?.length) {
+            return;
+        }
+
+        const unresolved = applyHighlights(response.highlights);
+        if (unresolved.length > 0) {
+            setTimeout(() => applyHighlights(unresolved), RETRY_DELAY);
+        }
+    } catch (error) {
+        // The extension may have been reloaded - nothing to highlight then
+        console.log('BrowserBud highlights unavailable:', error.message);
+    }
+}
+
+/**
+ * Handle messages from the background script
+ */
+function onHighlighterMessage(message) {
+    if (message.action === 'refreshHighlights') {
+        loadHighlights();
+    } else if (message.action === 'removeHighlights') {
+        removeHighlights();
+    }
+}
+
+if (!window.__browserBudHighlighter) {
+    window.__browserBudHighlighter = true;
+    chrome.runtime.onMessage.addListener(onHighlighterMessage);
+    loadHighlights();
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        buildTextIndex,
+        findQuote,
+        applyHighlights,
+        removeHighlights,
+        loadHighlights,
+        onHighlighterMessage
+    };
+}
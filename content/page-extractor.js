@@ -0,0 +1,188 @@
+/**
+ * Page extractor - injected into the page with chrome.scripting for
+ * full-page captures.
+ *
+ * A readability-style pass: paragraphs score the elements that contain
+ * them, link-heavy and boilerplate-looking containers are penalised, and the
+ * best-scoring container (plus related siblings) is kept as the article.
+ *
+ * executeScript serializes the function and runs it in the page, so it must
+ * stay self-contained: every helper lives inside its body.
+ */
+function extractPageArticle() {
+    const MAX_TEXT_LENGTH = 100000;
+    const EXCERPT_LENGTH = 300;
+    const MIN_PARAGRAPH_LENGTH = 25;
+    const SCORED_SELECTOR = 'p, pre, td, blockquote';
+    const BLOCK_SELECTOR = 'h1, h2, h3, h4, h5, h6, p, pre, blockquote, li, figcaption';
+    const EXCLUDED_SELECTOR = 'script, style, noscript, template, iframe, svg, canvas, form, button, ' +
+        'nav, aside, footer, [hidden], [aria-hidden="true"], [role="navigation"], [role="complementary"]';
+    const UNLIKELY_NAMES = /comment|footer|sidebar|nav|menu|share|social|related|promo|sponsor|advert|banner|cookie|popup|subscribe|newsletter|breadcrumb/i;
+    const LIKELY_NAMES = /article|content|entry|main|post|story|body|text|blog/i;
+
+    const collapseWhitespace = (text) => (text || '').replace(/\s+/g, ' ').trim();
+
+    const truncate = (text, maxLength) => (
+        text.length > maxLength ? text.substring(0, maxLength) + '…' : text
+    );
+
+    const getMeta = (...names) => {
+        for (const name of names) {
+            const meta = document.querySelector(`meta[property="${name}"], meta[name="${name}"]`);
+            if (meta && meta.content) {
+                return collapseWhitespace(meta.content);
+            }
+        }
+        return '';
+    };
+
+    const classWeight = (element) => {
+        const names = `${element.className || ''} ${element.id || ''}`;
+        let weight = 0;
+        if (UNLIKELY_NAMES.test(names)) {
+            weight -= 25;
+        }
+        if (LIKELY_NAMES.test(names)) {
+            weight += 25;
+        }
+        return weight;
+    };
+
+    const initialScore = (element) => {
+        const tagScores = { ARTICLE: 10, MAIN: 10, SECTION: 5, DIV: 5, PRE: 3, TD: 3, BLOCKQUOTE: 3, UL: -3, OL: -3, FORM: -3 };
+        return (tagScores[element.tagName] || 0) + classWeight(element);
+    };
+
+    const linkDensity = (element) => {
+        const textLength = collapseWhitespace(element.textContent).length;
+        if (textLength === 0) {
+            return 0;
+        }
+        const linkLength = Array.from(element.querySelectorAll('a'))
+            .reduce((total, link) => total + collapseWhitespace(link.textContent).length, 0);
+        return linkLength / textLength;
+    };
+
+    const isExcluded = (element, root) => {
+        const excluded = element.closest(EXCLUDED_SELECTOR);
+        return !!excluded && (!root || root.contains(excluded));
+    };
+
+    // Comment threads, share bars and the like nested inside the article
+    const isBoilerplate = (element, root) => {
+        for (let ancestor = element; ancestor && ancestor !== root; ancestor = ancestor.parentElement) {
+            if (classWeight(ancestor) < 0) {
+                return true;
+            }
+        }
+        return false;
+    };
+
+    const body = document.body;
+    const result = {
+        title: getMeta('og:title', 'twitter:title') || collapseWhitespace(document.title),
+        byline: getMeta('author', 'article:author'),
+        site_name: getMeta('og:site_name') || location.hostname,
+        published_time: getMeta('article:published_time', 'date'),
+        language: document.documentElement.lang || '',
+        excerpt: getMeta('description', 'og:description'),
+        text: '',
+        word_count: 0,
+        truncated: false
+    };
+
+    if (!body) {
+        return result;
+    }
+
+    // Score every paragraph's parent and grandparent
+    const scores = new Map();
+    const addScore = (element, score) => {
+        if (!element || element === document.documentElement) {
+            return;
+        }
+        if (!scores.has(element)) {
+            scores.set(element, initialScore(element));
+        }
+        scores.set(element, scores.get(element) + score);
+    };
+
+    body.querySelectorAll(SCORED_SELECTOR).forEach((paragraph) => {
+        const text = collapseWhitespace(paragraph.textContent);
+        if (text.length < MIN_PARAGRAPH_LENGTH || isExcluded(paragraph)) {
+            return;
+        }
+
+        const score = 1 + text.split(',').length + Math.min(Math.floor(text.length / 100), 3);
+        addScore(paragraph.parentElement, score);
+        addScore(paragraph.parentElement && paragraph.parentElement.parentElement, score / 2);
+    });
+
+    let top = null;
+    let topScore = -Infinity;
+    scores.forEach((score, element) => {
+        const finalScore = score * (1 - linkDensity(element));
+        scores.set(element, finalScore);
+        if (finalScore > topScore) {
+            top = element;
+            topScore = finalScore;
+        }
+    });
+
+    // Keep siblings that look like part of the same article
+    const containers = [];
+    if (!top) {
+        containers.push(body);
+    } else if (!top.parentElement) {
+        containers.push(top);
+    } else {
+        const threshold = Math.max(10, topScore * 0.2);
+        Array.from(top.parentElement.children).forEach((sibling) => {
+            if (sibling === top) {
+                containers.push(sibling);
+                return;
+            }
+
+            const siblingText = collapseWhitespace(sibling.textContent);
+            const looksLikeContent = sibling.tagName === 'P' && siblingText.length > 80 && linkDensity(sibling) < 0.25;
+            if ((scores.get(sibling) || 0) >= threshold || looksLikeContent) {
+                containers.push(sibling);
+            }
+        });
+    }
+
+    // Read the kept containers' text blocks in document order
+    const paragraphs = [];
+    containers.forEach((container) => {
+        const blocks = container.matches(BLOCK_SELECTOR) && !container.querySelector(BLOCK_SELECTOR)
+            ? [container]
+            : Array.from(container.querySelectorAll(BLOCK_SELECTOR));
+
+        blocks.forEach((block) => {
+            // Blocks that hold other blocks are read through their children
+            if (block.querySelector(BLOCK_SELECTOR) || isExcluded(block, container) ||
+                isBoilerplate(block, container)) {
+                return;
+            }
+
+            const text = collapseWhitespace(block.textContent);
+            if (text) {
+                paragraphs.push(text);
+            }
+        });
+    });
+
+    const text = paragraphs.join('\n\n');
+    result.text = text.length > MAX_TEXT_LENGTH ? text.substring(0, MAX_TEXT_LENGTH) : text;
+    result.truncated = text.length > MAX_TEXT_LENGTH;
+    result.word_count = text.split(/\s+/).filter(Boolean).length;
+
+    if (!result.excerpt) {
+        const firstParagraph = paragraphs.find(paragraph => paragraph.length >= MIN_PARAGRAPH_LENGTH) || '';
+        result.excerpt = truncate(firstParagraph, EXCERPT_LENGTH);
+    }
+
+    return result;
+}
+
+export { extractPageArticle };
@@ -0,0 +1,156 @@
+/**
+ * Selection context extractor - injected into the page with chrome.scripting.
+ *
+ * executeScript serializes the function and runs it in the page, so it must
+ * stay self-contained: every helper lives inside its body.
+ */
+function extractSelectionContext() {
+    const QUOTE_CONTEXT_LENGTH = 32; // characters of prefix/suffix kept in the text quote anchor
+    const MAX_SURROUNDING_TEXT = 1000;
+    const MAX_SELECTION_HTML = 20000;
+    const BLOCK_SELECTOR = 'p, li, blockquote, pre, td, th, dd, dt, figcaption, h1, h2, h3, h4, h5, h6';
+
+    const collapseWhitespace = (text) => (text || '').replace(/\s+/g, ' ').trim();
+
+    const truncate = (text, maxLength) => (
+        text.length > maxLength ? text.substring(0, maxLength) + '…' : text
+    );
+
+    // XPath to a node, anchored at the nearest ancestor with a unique id
+    const getXPath = (node) => {
+        const parts = [];
+
+        while (node && node.nodeType !== Node.DOCUMENT_NODE) {
+            if (node.nodeType === Node.ELEMENT_NODE && node.id && !node.id.includes('"') &&
+                document.getElementById(node.id) === node) {
+                parts.unshift(`/*[@id="${node.id}"]`);
+                return '/' + parts.join('/');
+            }
+
+            const isText = node.nodeType === Node.TEXT_NODE;
+            const name = isText ? 'text()' : node.nodeName.toLowerCase();
+            let index = 1;
+            for (let sibling = node.previousSibling; sibling; sibling = sibling.previousSibling) {
+                if (isText ? sibling.nodeType === Node.TEXT_NODE : sibling.nodeName === node.nodeName) {
+                    index++;
+                }
+            }
+
+            parts.unshift(`${name}[${index}]`);
+            node = node.parentNode;
+        }
+
+        return '/' + parts.join('/');
+    };
+
+    // Headings above the selection, outermost first (e.g. h1 > h2 > h3)
+    const getHeadingChain = (range) => {
+        const chain = [];
+
+        document.querySelectorAll('h1, h2, h3, h4, h5, h6').forEach((heading) => {
+            // Headings containing the selection count as preceding it too
+            if (!(heading.compareDocumentPosition(range.startContainer) & Node.DOCUMENT_POSITION_FOLLOWING)) {
+                return;
+            }
+
+            const level = Number(heading.tagName.substring(1));
+            while (chain.length > 0 && chain[chain.length - 1].level >= level) {
+                chain.pop();
+            }
+            chain.push({ level, text: truncate(collapseWhitespace(heading.textContent), 200) });
+        });
+
+        return chain;
+    };
+
+    const body = document.body;
+    const bodyText = body ? body.textContent : '';
+    const selection = window.getSelection();
+    const range = selection && selection.rangeCount > 0 && !selection.isCollapsed
+        ? selection.getRangeAt(0)
+        : null;
+
+    const metadata = {
+        url: location.href,
+        title: document.title,
+        domain: location.hostname,
+        language: document.documentElement.lang || navigator.language || '',
+        contentType: document.contentType,
+        pageLoadTimestamp: new Date(performance.timeOrigin || Date.now()).toISOString(),
+        wordCount: collapseWhitespace(bodyText).split(' ').filter(Boolean).length,
+        linkCount: document.links.length,
+        textPosition: null,
+        associatedTags: '',
+        hasCode: false,
+        hasMathFormula: false,
+        surroundingText: '',
+        headings: [],
+        selectionHtml: '',
+        anchor: null
+    };
+
+    if (!range || !body) {
+        return metadata;
+    }
+
+    const container = range.commonAncestorContainer.nodeType === Node.ELEMENT_NODE
+        ? range.commonAncestorContainer
+        : range.commonAncestorContainer.parentElement;
+
+    const fragment = document.createElement('div');
+    fragment.appendChild(range.cloneContents());
+
+    // Character offsets of the selection within the body's text
+    const precedingRange = document.createRange();
+    precedingRange.setStart(body, 0);
+    precedingRange.setEnd(range.startContainer, range.startOffset);
+    const exact = range.toString();
+    const start = precedingRange.toString().length;
+    const end = start + exact.length;
+
+    const block = container.closest(BLOCK_SELECTOR) || container;
+    const ancestorTags = [];
+    for (let element = container; element && element !== body.parentElement; element = element.parentElement) {
+        ancestorTags.push(element.tagName);
+    }
+
+    metadata.textPosition = start;
+    metadata.associatedTags = ancestorTags.join(' < ');
+    metadata.hasCode = !!(container.closest('pre, code, kbd, samp') || fragment.querySelector('pre, code, kbd, samp'));
+    metadata.hasMathFormula = !!(
+        container.closest('math, .katex, .MathJax, mjx-container') ||
+        fragment.querySelector('math, .katex, .MathJax, mjx-container') ||
+        /\$[^$\n]+\$|\\\(|\\\[|\\(frac|sum|int|sqrt)\b/.test(exact)
+    );
+    metadata.surroundingText = truncate(collapseWhitespace(block.textContent), MAX_SURROUNDING_TEXT);
+    metadata.headings = getHeadingChain(range);
+    metadata.selectionHtml = truncate(fragment.innerHTML, MAX_SELECTION_HTML);
+    metadata.anchor = {
+        quote: {
+            exact,
+            prefix: bodyText.substring(Math.max(0, start - QUOTE_CONTEXT_LENGTH), start),
+            suffix: bodyText.substring(end, end + QUOTE_CONTEXT_LENGTH)
+        },
+        position: { start, end },
+        range: {
+            startXPath: getXPath(range.startContainer),
+            startOffset: range.startOffset,
+            endXPath: getXPath(range.endContainer),
+            endOffset: range.endOffset
+        }
+    };
+
+    return metadata;
+}
+
+/**
+ * Read the current selection - used to find the frame a keyboard shortcut
+ * capture should come from
+ * @returns {string} Selected text
+ */
+function getSelectedText() {
+    const selection = window.getSelection();
+    return selection ? selection.toString() : '';
+}
+
+export { extractSelectionContext, getSelectedText };
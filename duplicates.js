@@ -0,0 +1,268 @@
+/**
+ * Duplicates - Finds captures that repeat or overlap notes already saved.
+ *
+ * Text is compared as its words, without case, accents, punctuation or
+ * spacing, so a selection that differs only by a trailing space is the same
+ * note. Every note carries a fingerprint (a hash of those words) to find
+ * exact repeats and a 64-bit simhash of its word shingles to find notes
+ * that are nearly the same; candidates are confirmed by the share of
+ * shingles they have in common. Two selections from the same page that
+ * overlap can be merged into one passage. Exact repeats are looked up in an
+ * index; near duplicates and overlaps are only looked for among the newest
+ * DUPLICATE_WINDOW notes, so a capture costs the same however many are saved.
+ */
+
+const DUPLICATE_KINDS = {
+    EXACT: 'exact',     // same words
+    NEAR: 'near',       // most shingles in common
+    OVERLAP: 'overlap'  // same page, one passage runs into or contains the other
+};
+
+const TEXT_TYPES = ['selection', 'manual'];
+const SHINGLE_SIZE = 2;
+const NEAR_DUPLICATE_DISTANCE = 18;   // simhash bits that may differ for a candidate (unrelated texts differ in about 32)
+const NEAR_DUPLICATE_SIMILARITY = 0.6; // shingles in common for a near duplicate
+const MIN_OVERLAP_WORDS = 3;
+const DUPLICATE_WINDOW = 500; // newest notes searched for near duplicates and overlaps
+
+/**
+ * Words of a text with where each ends, for comparing and cutting
+ * @param {string} text - Text
+ * @returns {Array<Object>} [{ word, end }]
+ */
+function getWords(text) {
+    return Array.from(String(text || '').matchAll(/[\p{L}\p{M}\p{N}]+/gu), match => ({
+        word: match[0].normalize('NFKD').replace(/\p{M}/gu, '').toLowerCase(),
+        end: match.index + match[0].length
+    }));
+}
+
+/**
+ * @param {string} text - Text
+ * @returns {string} Its words in lower case, one space apart
+ */
+function normalizeText(text) {
+    return getWords(text).map(({ word }) => word).join(' ');
+}
+
+/**
+ * Text that identifies a capture. Images, links and pages are the same
+ * capture when they point at the same resource.
+ * @param {Object} note - Note
+ * @returns {string} Fingerprint text
+ */
+function getFingerprintText(note) {
+    switch (note.type) {
+        case 'image':
+            return `image:${note.payload?.src_url || note.content}`;
+        case 'link':
+            return `link:${note.payload?.href || note.content}`;
+        case 'page':
+            return `page:${note.source_url || note.content}`;
+        default:
+            return normalizeText(note.content);
+    }
+}
+
+/**
+ * 32-bit FNV-1a hash
+ * @param {string} text - Text
+ * @param {number} seed - Offset basis; a different seed gives an unrelated hash
+ * @returns {number} Unsigned hash
+ */
+function hashText(text, seed = 0x811C9DC5) {
+    let hash = seed >>> 0;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    return hash;
+}
+
+/**
+ * Runs of SHINGLE_SIZE words; a shorter text is one shingle
+ * @param {string} text - Text
+ * @returns {Set<string>} Shingles
+ */
+function getShingles(text) {
+    const words = getWords(text).map(({ word }) => word);
+    const shingles = new Set();
+    for (let i = 0; i + SHINGLE_SIZE <= words.length; i++) {
+        shingles.add(words.slice(i, i + SHINGLE_SIZE).join(' '));
+    }
+    if (shingles.size === 0 && words.length > 0) {
+        shingles.add(words.join(' '));
+    }
+    return shingles;
+}
+
+/**
+ * 64-bit simhash of a text's shingles
+ * @param {string} text - Text
+ * @returns {string|null} 16 hex digits, or null for a text without words
+ */
+function simhash(text) {
+    const shingles = getShingles(text);
+    if (shingles.size === 0) {
+        return null;
+    }
+
+    const weights = new Array(64).fill(0);
+    shingles.forEach(shingle => {
+        const halves = [hashText(shingle), hashText(shingle, 0x050C5D1F)];
+        for (let bit = 0; bit < 64; bit++) {
+            weights[bit] += (halves[bit >> 5] >>> (bit & 31)) & 1 ? 1 : -1;
+        }
+    });
+
+    const halves = [0, 0];
+    weights.forEach((weight, bit) => {
+        if (weight > 0) {
+            halves[bit >> 5] |= 1 << (bit & 31);
+        }
+    });
+    return halves.map(half => (half >>> 0).toString(16).padStart(8, '0')).join('');
+}
+
+function countBits(value) {
+    let v = value - ((value >>> 1) & 0x55555555);
+    v = (v & 0x33333333) + ((v >>> 2) & 0x33333333);
+    return (((v + (v >>> 4)) & 0x0F0F0F0F) * 0x01010101) >>> 24;
+}
+
+/**
+ * Number of bits two simhashes differ in
+ * @param {string} a - Simhash
+ * @param {string} b - Simhash
+ * @returns {number} 0 to 64
+ */
+function hammingDistance(a, b) {
+    return countBits(parseInt(a.slice(0, 8), 16) ^ parseInt(b.slice(0, 8), 16)) +
+        countBits(parseInt(a.slice(8), 16) ^ parseInt(b.slice(8), 16));
+}
+
+/**
+ * Share of shingles two texts have in common (Jaccard)
+ * @param {string} a - Text
+ * @param {string} b - Text
+ * @returns {number} 0 to 1
+ */
+function similarity(a, b) {
+    const first = getShingles(a);
+    const second = getShingles(b);
+    if (first.size === 0 || second.size === 0) {
+        return 0;
+    }
+
+    let shared = 0;
+    first.forEach(shingle => {
+        if (second.has(shingle)) {
+            shared++;
+        }
+    });
+    return shared / (first.size + second.size - shared);
+}
+
+/**
+ * Index fields of a note: its fingerprint and, for text, its simhash
+ * @param {Object} note - Note
+ * @returns {Object} { fingerprint, simhash }; simhash is undefined for images, links and pages
+ */
+function fingerprintNote(note) {
+    const isText = TEXT_TYPES.includes(note.type || 'selection');
+    return {
+        fingerprint: hashText(getFingerprintText(note)).toString(16),
+        simhash: isText ? simhash(note.content) || undefined : undefined
+    };
+}
+
+/**
+ * Join two passages where the end of one repeats the start of the other,
+ * or keep the one that contains the other, if they share at least
+ * MIN_OVERLAP_WORDS words
+ * @param {string} a - Passage
+ * @param {string} b - Passage
+ * @returns {string|null} Merged passage, or null if they don't overlap
+ */
+function mergeOverlap(a, b) {
+    const first = getWords(a);
+    const second = getWords(b);
+    const startsAt = (words, part, offset) => part.every((entry, i) => words[offset + i]?.word === entry.word);
+
+    // As short a selection as a word or two turns up inside most passages
+    const contains = (outer, inner) => inner.length >= MIN_OVERLAP_WORDS &&
+        outer.some((_, offset) => offset + inner.length <= outer.length && startsAt(outer, inner, offset));
+    if (contains(first, second)) {
+        return a;
+    }
+    if (contains(second, first)) {
+        return b;
+    }
+
+    // The longest run of words that ends one passage and starts the other
+    const join = (head, tail, headText, tailText) => {
+        for (let size = Math.min(head.length, tail.length) - 1; size >= MIN_OVERLAP_WORDS; size--) {
+            if (startsAt(head, tail.slice(0, size), head.length - size)) {
+                return `${headText.slice(0, head[head.length - 1].end)}${tailText.slice(tail[size - 1].end)}`;
+            }
+        }
+        return null;
+    };
+    return join(first, second, a, b) || join(second, first, b, a);
+}
+
+/**
+ * Find the saved note a capture repeats or overlaps
+ * @param {Object} note - New capture
+ * @param {Array<Object>} candidates - Saved notes to compare it with
+ * @returns {Object|null} { note, kind, similarity, merged } for the best match, or null
+ */
+function findDuplicate(note, candidates) {
+    const text = getFingerprintText(note);
+    const isText = TEXT_TYPES.includes(note.type || 'selection');
+    let overlap = null;
+    let near = null;
+
+    for (const candidate of candidates) {
+        if (candidate.id === note.id) {
+            continue;
+        }
+        if (getFingerprintText(candidate) === text) {
+            return { note: candidate, kind: DUPLICATE_KINDS.EXACT, similarity: 1, merged: null };
+        }
+        if (!isText || !TEXT_TYPES.includes(candidate.type || 'selection')) {
+            continue;
+        }
+
+        if (!overlap && note.source_url && candidate.source_url === note.source_url) {
+            const merged = mergeOverlap(candidate.content, note.content);
+            if (merged !== null) {
+                overlap = { note: candidate, kind: DUPLICATE_KINDS.OVERLAP, similarity: similarity(candidate.content, note.content), merged };
+            }
+        }
+
+        const score = similarity(candidate.content, note.content);
+        if (score >= NEAR_DUPLICATE_SIMILARITY && (!near || score > near.similarity)) {
+            near = { note: candidate, kind: DUPLICATE_KINDS.NEAR, similarity: score, merged: null };
+        }
+    }
+
+    return overlap || near;
+}
+
+export {
+    DUPLICATE_KINDS,
+    NEAR_DUPLICATE_DISTANCE,
+    NEAR_DUPLICATE_SIMILARITY,
+    MIN_OVERLAP_WORDS,
+    DUPLICATE_WINDOW,
+    normalizeText,
+    getFingerprintText,
+    hashText,
+    simhash,
+    hammingDistance,
+    similarity,
+    fingerprintNote,
+    mergeOverlap,
+    findDuplicate
+};
@@ -0,0 +1,456 @@
+/**
+ * NoteEncryption - Opt-in end-to-end encryption of note text with WebCrypto.
+ *
+ * Private fields are encrypted with AES-GCM under a key derived from the
+ * user's passphrase with PBKDF2, both before notes are written to the
+ * repository and before they are uploaded, so neither IndexedDB nor the
+ * server sees them in the clear. Fields the pipeline routes on (id, type,
+ * intent, timestamp, domain, tags and delivery state) stay readable.
+ *
+ * The key settings and a key check value live in the repository's meta
+ * store, so switching keys rewrites the notes and the settings in one
+ * transaction. The unlocked key is kept in chrome.storage.session, which is
+ * held in memory and only readable by the extension's own pages, so it
+ * survives the service worker being suspended but not a browser restart.
+ */
+
+import { getNoteDomain } from './notes-repository.js';
+
+const ENCRYPTION_META_KEY = 'encryption';
+const SESSION_KEY = 'encryption_key';
+
+// Fields encrypted in notes and in queued edits: the captured text, the
+// comment, the page title and URL, and the fields that repeat them
+const ENCRYPTED_FIELDS = [
+    'content',
+    'user_note',
+    'title',
+    'source_url',
+    'anchor',
+    'payload',
+    'metadata.surroundingText',
+    'metadata.selectionHtml',
+    'metadata.frameUrl',
+    'metadata.headings',
+    'conflict.server_content'
+];
+
+const CIPHER = 'AES-GCM';
+const PBKDF2_ITERATIONS = 310000;
+const MIN_PASSPHRASE_LENGTH = 8;
+const KEY_CHECK_TEXT = 'browserbud-key-check';
+const INDEX_KEY_INFO = 'browserbud-index-key';
+
+/**
+ * Error for writing or reading private fields while the key is not unlocked
+ */
+class EncryptionLockedError extends Error {
+    constructor(message = 'Notes are encrypted - unlock them with your passphrase first') {
+        super(message);
+        this.name = 'EncryptionLockedError';
+    }
+}
+
+function toBase64(bytes) {
+    let binary = '';
+    new Uint8Array(bytes).forEach(byte => {
+        binary += String.fromCharCode(byte);
+    });
+    return btoa(binary);
+}
+
+function fromBase64(text) {
+    return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+}
+
+/**
+ * Whether a field value is ciphertext
+ * @param {*} value - Field value
+ * @returns {boolean}
+ */
+function isEncryptedValue(value) {
+    return !!value && typeof value === 'object' && value.cipher === CIPHER && typeof value.data === 'string';
+}
+
+function getPath(object, path) {
+    return path.split('.').reduce((value, key) => (value && typeof value === 'object' ? value[key] : undefined), object);
+}
+
+/**
+ * Copy of an object with one (possibly nested) field replaced
+ */
+function setPath(object, path, value) {
+    const [key, ...rest] = path.split('.');
+    if (rest.length === 0) {
+        return { ...object, [key]: value };
+    }
+    return { ...object, [key]: setPath(object[key] || {}, rest.join('.'), value) };
+}
+
+class NoteEncryption {
+    /**
+     * @param {Object} options - repository (for the key settings), iterations
+     */
+    constructor(options = {}) {
+        this.repository = options.repository;
+        this.iterations = options.iterations || PBKDF2_ITERATIONS;
+        this.config = null; // key settings; null while encryption is off
+        this.key = null; // CryptoKey; null while locked
+        this.indexKey = null; // { source, key }: HMAC key derived from the key in source
+    }
+
+    /**
+     * Read the key settings and pick up a key unlocked earlier in this browser session
+     */
+    async load() {
+        const config = await this.repository.getMeta(ENCRYPTION_META_KEY);
+        this.config = config?.enabled ? config : null;
+        this.key = null;
+
+        if (this.config && chrome.storage.session) {
+            const result = await chrome.storage.session.get([SESSION_KEY]);
+            const stored = result?.[SESSION_KEY];
+            if (stored && stored.key_id === this.config.key_id) {
+                this.key = await crypto.subtle.importKey('raw', fromBase64(stored.raw), CIPHER, true, ['encrypt', 'decrypt']);
+            }
+        }
+    }
+
+    isEnabled() {
+        return !!this.config;
+    }
+
+    isLocked() {
+        return this.isEnabled() && !this.key;
+    }
+
+    /**
+     * @returns {Object} { enabled, locked, keyId }
+     */
+    getStatus() {
+        return {
+            enabled: this.isEnabled(),
+            locked: this.isLocked(),
+            keyId: this.config?.key_id || null
+        };
+    }
+
+    /**
+     * Derive the AES key for a passphrase
+     * @param {string} passphrase - Passphrase
+     * @param {Uint8Array} salt - Salt
+     * @param {number} iterations - PBKDF2 iterations
+     * @returns {Promise<CryptoKey>} Key
+     */
+    async deriveKey(passphrase, salt, iterations) {
+        const material = await crypto.subtle.importKey(
+            'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']
+        );
+        return crypto.subtle.deriveKey(
+            { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+            material,
+            { name: CIPHER, length: 256 },
+            true, // exported to session storage while unlocked
+            ['encrypt', 'decrypt']
+        );
+    }
+
+    /**
+     * New key settings for a passphrase, with a fresh salt and key id
+     * @param {string} passphrase - Passphrase
+     * @returns {Promise<Object>} { config, key }
+     */
+    async createKey(passphrase) {
+        if (typeof passphrase !== 'string' || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+            throw new Error(`Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`);
+        }
+
+        const salt = crypto.getRandomValues(new Uint8Array(16));
+        const key = await this.deriveKey(passphrase, salt, this.iterations);
+        const keyId = toBase64(crypto.getRandomValues(new Uint8Array(6)));
+
+        return {
+            key,
+            config: {
+                key: ENCRYPTION_META_KEY,
+                enabled: true,
+                key_id: keyId,
+                salt: toBase64(salt),
+                iterations: this.iterations,
+                check: await this.encryptValue(KEY_CHECK_TEXT, key, keyId),
+                created_at: new Date().toISOString()
+            }
+        };
+    }
+
+    /**
+     * Derive the key for a passphrase and check it against the stored check value
+     * @param {string} passphrase - Passphrase
+     * @returns {Promise<CryptoKey|null>} Key, or null if the passphrase is wrong
+     */
+    async verifyPassphrase(passphrase) {
+        if (!this.config) {
+            return null;
+        }
+
+        const key = await this.deriveKey(String(passphrase || ''), fromBase64(this.config.salt), this.config.iterations);
+        try {
+            return await this.decryptValue(this.config.check, key) === KEY_CHECK_TEXT ? key : null;
+        } catch (error) {
+            // AES-GCM refuses to decrypt with the wrong key
+            return null;
+        }
+    }
+
+    /**
+     * Unlock with the passphrase
+     * @param {string} passphrase - Passphrase
+     * @returns {Promise<Object>} { success } or { success: false, error }
+     */
+    async unlock(passphrase) {
+        if (!this.isEnabled()) {
+            return { success: false, error: 'Encryption is not turned on' };
+        }
+
+        const key = await this.verifyPassphrase(passphrase);
+        if (!key) {
+            return { success: false, error: 'Wrong passphrase' };
+        }
+
+        await this.activate(this.config, key);
+        return { success: true };
+    }
+
+    /**
+     * Forget the key until the passphrase is entered again
+     */
+    async lock() {
+        this.key = null;
+        await chrome.storage.session?.remove(SESSION_KEY);
+    }
+
+    /**
+     * Turn encryption on and encrypt every stored note and queued edit
+     * @param {string} passphrase - New passphrase
+     * @returns {Promise<Object>} { success } or { success: false, error }
+     */
+    async enable(passphrase) {
+        if (this.isEnabled()) {
+            return { success: false, error: 'Encryption is already on' };
+        }
+
+        const { config, key } = await this.createKey(passphrase);
+        await this.rewrite(config, key);
+        return { success: true };
+    }
+
+    /**
+     * Re-key: encrypt everything again under a key derived from a new passphrase
+     * @param {string} passphrase - Current passphrase
+     * @param {string} newPassphrase - New passphrase
+     * @returns {Promise<Object>} { success } or { success: false, error }
+     */
+    async changePassphrase(passphrase, newPassphrase) {
+        const currentKey = await this.verifyPassphrase(passphrase);
+        if (!currentKey) {
+            return { success: false, error: 'Wrong passphrase' };
+        }
+
+        // Notes are read with the current key before being written under the new one
+        await this.activate(this.config, currentKey);
+
+        const { config, key } = await this.createKey(newPassphrase);
+        await this.rewrite(config, key);
+        return { success: true };
+    }
+
+    /**
+     * Turn encryption off and store every note in the clear again
+     * @param {string} passphrase - Current passphrase
+     * @returns {Promise<Object>} { success } or { success: false, error }
+     */
+    async disable(passphrase) {
+        const key = await this.verifyPassphrase(passphrase);
+        if (!key) {
+            return { success: false, error: 'Wrong passphrase' };
+        }
+
+        await this.activate(this.config, key);
+        await this.rewrite({ key: ENCRYPTION_META_KEY, enabled: false }, null);
+        return { success: true };
+    }
+
+    /**
+     * Read everything with the current key and write it back under a new
+     * one, together with the new key settings, in one transaction
+     * @param {Object} config - New key settings
+     * @param {CryptoKey|null} key - New key, null to store in the clear
+     */
+    async rewrite(config, key) {
+        const notes = await this.repository.query();
+        const operations = await this.repository.getOperations();
+        if ([...notes, ...operations.map(op => op.changes || {})].some(item => this.hasEncryptedFields(item))) {
+            throw new Error('Some notes could not be decrypted with this passphrase');
+        }
+
+        const previous = { config: this.config, key: this.key };
+        await this.activate(config.enabled ? config : null, key);
+
+        try {
+            await this.repository.put(notes, { operations, meta: config });
+        } catch (error) {
+            await this.activate(previous.config, previous.key);
+            throw error;
+        }
+        console.log(`Re-encrypted ${notes.length} notes and ${operations.length} edits`,
+            config.enabled ? `under key ${config.key_id}` : 'in the clear');
+    }
+
+    async activate(config, key) {
+        this.config = config;
+        this.key = key;
+
+        if (!chrome.storage.session) {
+            return;
+        }
+        if (config && key) {
+            const raw = await crypto.subtle.exportKey('raw', key);
+            await chrome.storage.session.set({ [SESSION_KEY]: { key_id: config.key_id, raw: toBase64(raw) } });
+        } else {
+            await chrome.storage.session.remove(SESSION_KEY);
+        }
+    }
+
+    /**
+     * Encrypt a value (any JSON value)
+     * @returns {Promise<Object>} { cipher, kid, iv, data }
+     */
+    async encryptValue(value, key = this.key, keyId = this.config?.key_id) {
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const data = await crypto.subtle.encrypt(
+            { name: CIPHER, iv },
+            key,
+            new TextEncoder().encode(JSON.stringify(value))
+        );
+        return { cipher: CIPHER, kid: keyId, iv: toBase64(iv), data: toBase64(data) };
+    }
+
+    async decryptValue(encrypted, key = this.key) {
+        const data = await crypto.subtle.decrypt(
+            { name: CIPHER, iv: fromBase64(encrypted.iv) },
+            key,
+            fromBase64(encrypted.data)
+        );
+        return JSON.parse(new TextDecoder().decode(data));
+    }
+
+    /**
+     * Copy of a note (or a note's changes) with its private fields encrypted.
+     * Fields that are already encrypted are kept as they are, so notes read
+     * while locked can be written back.
+     * @param {Object} note - Note
+     * @returns {Promise<Object>} Encrypted note
+     * @throws {EncryptionLockedError} If there are fields to encrypt and no key
+     */
+    async sealNote(note) {
+        if (!this.isEnabled() || !note) {
+            return note;
+        }
+
+        const plain = ENCRYPTED_FIELDS.filter(path => {
+            const value = getPath(note, path);
+            return value !== undefined && value !== null && !isEncryptedValue(value);
+        });
+        if (plain.length === 0) {
+            return note;
+        }
+        if (!this.key) {
+            throw new EncryptionLockedError();
+        }
+
+        // The domain stays readable for routing once the URL is encrypted
+        let sealed = note.source_url && !isEncryptedValue(note.source_url) && !note.metadata?.domain
+            ? setPath(note, 'metadata.domain', getNoteDomain(note))
+            : note;
+
+        for (const path of plain) {
+            sealed = setPath(sealed, path, await this.encryptValue(getPath(note, path)));
+        }
+        return sealed;
+    }
+
+    /**
+     * Copy of a note with the fields encrypted under the current key
+     * decrypted. Without the key, the note is returned as it is.
+     * @param {Object} note - Note
+     * @returns {Promise<Object>} Note
+     */
+    async openNote(note) {
+        if (!this.key || !note) {
+            return note;
+        }
+
+        let opened = note;
+        for (const path of ENCRYPTED_FIELDS) {
+            const value = getPath(note, path);
+            if (isEncryptedValue(value) && value.kid === this.config.key_id) {
+                opened = setPath(opened, path, await this.decryptValue(value));
+            }
+        }
+        return opened;
+    }
+
+    /**
+     * HMAC key for index values, derived from the current key with HKDF
+     * @returns {Promise<CryptoKey>} Key
+     */
+    async getIndexKey() {
+        if (this.indexKey?.source !== this.key) {
+            const material = await crypto.subtle.importKey(
+                'raw', await crypto.subtle.exportKey('raw', this.key), 'HKDF', false, ['deriveKey']
+            );
+            const key = await crypto.subtle.deriveKey(
+                { name: 'HKDF', hash: 'SHA-256', salt: new Uint8Array(0), info: new TextEncoder().encode(INDEX_KEY_INFO) },
+                material,
+                { name: 'HMAC', hash: 'SHA-256', length: 256 },
+                false,
+                ['sign']
+            );
+            this.indexKey = { source: this.key, key };
+        }
+        return this.indexKey.key;
+    }
+
+    /**
+     * Key a value the repository indexes, such as a fingerprint, so the
+     * index can still be looked up without repeating what the note encrypts
+     * @param {string} value - Index value
+     * @returns {Promise<string>} HMAC-SHA-256 of the value
+     * @throws {EncryptionLockedError} If there is no key
+     */
+    async keyIndexValue(value) {
+        if (!this.key) {
+            throw new EncryptionLockedError();
+        }
+        const signature = await crypto.subtle.sign('HMAC', await this.getIndexKey(), new TextEncoder().encode(value));
+        return toBase64(signature);
+    }
+
+    /**
+     * Whether any private field of a note is still encrypted
+     * @param {Object} note - Note
+     * @returns {boolean}
+     */
+    hasEncryptedFields(note) {
+        return ENCRYPTED_FIELDS.some(path => isEncryptedValue(getPath(note, path)));
+    }
+}
+
+export {
+    NoteEncryption,
+    EncryptionLockedError,
+    ENCRYPTED_FIELDS,
+    isEncryptedValue,
+    getPath,
+    setPath
+};
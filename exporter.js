@@ -0,0 +1,391 @@
+/**
+ * Exporter - Turns stored notes into downloadable files.
+ *
+ * Formats: one Markdown file with YAML front-matter per note, lossless JSON
+ * (the notes exactly as stored, which the importer reads back), CSV for
+ * spreadsheets, and a vault zip with one Markdown file per note in a folder
+ * per site, as Obsidian and similar tools expect. Files are built in the
+ * service worker, so a large export does not depend on the popup staying open,
+ * and passed in parts to the offscreen document, which makes the object URL
+ * the downloads manager saves them from.
+ */
+
+import { getNoteDomain } from './notes-repository.js';
+
+const EXPORT_FORMATS = {
+    MARKDOWN: 'markdown',
+    JSON: 'json',
+    CSV: 'csv',
+    VAULT: 'vault'
+};
+
+const EXPORT_FORMAT_VERSION = 1;
+
+// Characters per part of a file sent to the offscreen document, well under
+// the size of a runtime message once JSON-encoded
+const MESSAGE_PART_SIZE = 4 * 1024 * 1024;
+
+const CSV_COLUMNS = [
+    'id', 'timestamp', 'type', 'intent', 'domain', 'title', 'source_url',
+    'content', 'user_note', 'tags', 'sync_state', 'server_id'
+];
+
+/**
+ * Quote a value for YAML when it is not a plain scalar
+ * @param {*} value - Value
+ * @returns {string} YAML scalar
+ */
+function toYamlValue(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    if (typeof value === 'number' || typeof value === 'boolean') {
+        return String(value);
+    }
+    return JSON.stringify(String(value)); // a JSON string is a valid double-quoted YAML scalar
+}
+
+/**
+ * YAML front-matter block for a note
+ * @param {Object} note - Note
+ * @returns {string} Front-matter, including the --- fences
+ */
+function toFrontMatter(note) {
+    const lines = [
+        `id: ${toYamlValue(note.id)}`,
+        `type: ${toYamlValue(note.type || 'selection')}`,
+        `intent: ${toYamlValue(note.intent || '')}`,
+        `captured: ${toYamlValue(note.timestamp)}`,
+        `source: ${toYamlValue(note.source_url || '')}`,
+        `title: ${toYamlValue(note.title || '')}`,
+        `domain: ${toYamlValue(getNoteDomain(note))}`
+    ];
+
+    const tags = note.tags || [];
+    lines.push(tags.length > 0 ? `tags:\n${tags.map(tag => `  - ${toYamlValue(tag)}`).join('\n')}` : 'tags: []');
+
+    if (note.pinned) {
+        lines.push('pinned: true');
+    }
+    return `---\n${lines.join('\n')}\n---`;
+}
+
+/**
+ * Body of a note in Markdown. Images, links and pages keep what they point to.
+ * @param {Object} note - Note
+ * @returns {string} Markdown
+ */
+function toMarkdownBody(note) {
+    const payload = note.payload || {};
+    const content = note.content || '';
+
+    switch (note.type) {
+        case 'image':
+            return `![${content}](${payload.src_url || ''})` +
+                (payload.link_url ? `\n\nLinks to: ${payload.link_url}` : '');
+        case 'link':
+            return `[${content}](${payload.href || ''})`;
+        case 'page':
+            return `# ${note.title || 'Untitled page'}\n\n` +
+                (payload.byline ? `*${payload.byline}*\n\n` : '') +
+                content;
+        default:
+            return content;
+    }
+}
+
+/**
+ * A note as Markdown: front-matter, the captured text, the comment and a link back
+ * @param {Object} note - Note
+ * @returns {string} Markdown
+ */
+function toMarkdownNote(note) {
+    const parts = [toFrontMatter(note), '', toMarkdownBody(note)];
+
+    if (note.user_note) {
+        parts.push('', `> ${note.user_note.replace(/\n/g, '\n> ')}`);
+    }
+    if (note.source_url) {
+        parts.push('', `[${note.title || getNoteDomain(note)}](${note.source_url})`);
+    }
+    return `${parts.join('\n')}\n`;
+}
+
+/**
+ * @param {Array<Object>} notes - Notes
+ * @returns {string} Markdown, one front-matter block per note
+ */
+function toMarkdown(notes) {
+    return notes.map(toMarkdownNote).join('\n');
+}
+
+/**
+ * @param {Array<Object>} notes - Notes, exactly as stored
+ * @param {Date} exportedAt - Export time
+ * @returns {string} JSON the importer reads back
+ */
+function toJson(notes, exportedAt = new Date()) {
+    return JSON.stringify({
+        format: 'browserbud-export',
+        version: EXPORT_FORMAT_VERSION,
+        exported_at: exportedAt.toISOString(),
+        notes
+    }, null, 2);
+}
+
+function toCsvField(value) {
+    let text = value === null || value === undefined ? '' : String(value);
+    // Spreadsheets run cells that start like a formula, and captured text is untrusted
+    if (/^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * @param {Array<Object>} notes - Notes
+ * @returns {string} CSV with a header row
+ */
+function toCsv(notes) {
+    const rows = notes.map(note => CSV_COLUMNS.map(column => {
+        switch (column) {
+            case 'domain':
+                return getNoteDomain(note);
+            case 'tags':
+                return (note.tags || []).join(', ');
+            case 'sync_state':
+                return note.synced_at ? 'synced' : note.delivery?.status || 'pending';
+            default:
+                return note[column];
+        }
+    }).map(toCsvField).join(','));
+
+    return [CSV_COLUMNS.join(','), ...rows].join('\r\n');
+}
+
+/**
+ * File name for a note in the vault: date and the first words of the note
+ * @param {Object} note - Note
+ * @returns {string} File name without a folder
+ */
+function toVaultFileName(note) {
+    const date = String(note.timestamp || '').slice(0, 10) || 'undated';
+    const words = String(note.title || note.content || 'note')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '')
+        .slice(0, 50)
+        .replace(/-+$/, '');
+    return `${date}-${words || 'note'}`;
+}
+
+/**
+ * @param {Array<Object>} notes - Notes
+ * @returns {Array<Object>} [{ path, content }], one Markdown file per note in a folder per site
+ */
+function toVaultFiles(notes) {
+    const used = new Set();
+    const nextNumber = new Map(); // base -> first suffix not yet tried, so many notes with one name stay fast
+
+    return notes.map(note => {
+        const folder = (getNoteDomain(note) || 'unknown').replace(/[^a-z0-9.-]/gi, '_');
+        const base = `${folder}/${toVaultFileName(note)}`;
+        let path = `${base}.md`;
+        if (used.has(path)) {
+            let n = nextNumber.get(base) || 2;
+            while (used.has(`${base}-${n}.md`)) {
+                n++;
+            }
+            path = `${base}-${n}.md`;
+            nextNumber.set(base, n + 1);
+        }
+        used.add(path);
+        return { path, content: toMarkdownNote(note) };
+    });
+}
+
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+function crc32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * DOS date and time fields for zip headers
+ * @param {Date} date - Time
+ * @returns {Object} { time, day }
+ */
+function toDosTime(date) {
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        day: ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+/**
+ * Zip archive of text files, stored without compression
+ * @param {Array<Object>} files - [{ path, content }]
+ * @param {Date} modifiedAt - Modification time recorded for every file
+ * @returns {Uint8Array} Zip file
+ */
+function createZip(files, modifiedAt = new Date()) {
+    const encoder = new TextEncoder();
+    const { time, day } = toDosTime(modifiedAt);
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    files.forEach(file => {
+        const name = encoder.encode(file.path);
+        const data = encoder.encode(file.content);
+        const crc = crc32(data);
+
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034B50, true); // local file header
+        local.setUint16(4, 20, true);          // version needed
+        local.setUint16(6, 0x0800, true);      // UTF-8 names
+        local.setUint16(8, 0, true);           // stored
+        local.setUint16(10, time, true);
+        local.setUint16(12, day, true);
+        local.setUint32(14, crc, true);
+        local.setUint32(18, data.length, true);
+        local.setUint32(22, data.length, true);
+        local.setUint16(26, name.length, true);
+        local.setUint16(28, 0, true);
+
+        const central = new DataView(new ArrayBuffer(46));
+        central.setUint32(0, 0x02014B50, true); // central directory header
+        central.setUint16(4, 20, true);          // version made by
+        central.setUint16(6, 20, true);
+        central.setUint16(8, 0x0800, true);
+        central.setUint16(10, 0, true);
+        central.setUint16(12, time, true);
+        central.setUint16(14, day, true);
+        central.setUint32(16, crc, true);
+        central.setUint32(20, data.length, true);
+        central.setUint32(24, data.length, true);
+        central.setUint16(28, name.length, true);
+        central.setUint32(42, offset, true);     // where the local header starts
+
+        localParts.push(new Uint8Array(local.buffer), name, data);
+        centralParts.push(new Uint8Array(central.buffer), name);
+        offset += 30 + name.length + data.length;
+    });
+
+    const centralSize = centralParts.reduce((size, part) => size + part.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054B50, true); // end of central directory
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+    const zip = new Uint8Array(parts.reduce((size, part) => size + part.length, 0));
+    let position = 0;
+    parts.forEach(part => {
+        zip.set(part, position);
+        position += part.length;
+    });
+    return zip;
+}
+
+/**
+ * Build an export file
+ * @param {Array<Object>} notes - Notes to export
+ * @param {string} format - One of EXPORT_FORMATS
+ * @param {Date} exportedAt - Export time, used in the file name
+ * @returns {Object} { filename, mimeType, data } where data is a string or, for the vault, bytes
+ */
+function buildExport(notes, format, exportedAt = new Date()) {
+    const stamp = exportedAt.toISOString().split('T')[0];
+
+    switch (format) {
+        case EXPORT_FORMATS.MARKDOWN:
+            return { filename: `browserbud-${stamp}.md`, mimeType: 'text/markdown', data: toMarkdown(notes) };
+        case EXPORT_FORMATS.JSON:
+            return { filename: `browserbud-${stamp}.json`, mimeType: 'application/json', data: toJson(notes, exportedAt) };
+        case EXPORT_FORMATS.CSV:
+            return { filename: `browserbud-${stamp}.csv`, mimeType: 'text/csv', data: toCsv(notes) };
+        case EXPORT_FORMATS.VAULT:
+            return {
+                filename: `browserbud-vault-${stamp}.zip`,
+                mimeType: 'application/zip',
+                data: createZip(toVaultFiles(notes), exportedAt)
+            };
+        default:
+            throw new Error(`Unknown export format: ${format}`);
+    }
+}
+
+/**
+ * Split a file into parts that can each be sent in a runtime message.
+ * Messages are JSON, so bytes are sent as text with one character per byte.
+ * @param {string|Uint8Array} data - File contents
+ * @param {number} size - Characters or bytes per part
+ * @returns {Array<Object>} [{ text }] or [{ bytes }]
+ */
+function toMessageParts(data, size = MESSAGE_PART_SIZE) {
+    const parts = [];
+    for (let start = 0; start < data.length; start += size) {
+        if (typeof data === 'string') {
+            parts.push({ text: data.slice(start, start + size) });
+            continue;
+        }
+
+        const bytes = data.subarray(start, start + size);
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+        }
+        parts.push({ bytes: binary });
+    }
+    return parts;
+}
+
+/**
+ * Blob part for a part made by toMessageParts
+ * @param {Object} part - { text } or { bytes }
+ * @returns {string|Uint8Array} Blob part
+ */
+function fromMessagePart(part) {
+    if (typeof part.text === 'string') {
+        return part.text;
+    }
+
+    const bytes = new Uint8Array(part.bytes.length);
+    for (let i = 0; i < bytes.length; i++) {
+        bytes[i] = part.bytes.charCodeAt(i);
+    }
+    return bytes;
+}
+
+export {
+    EXPORT_FORMATS,
+    EXPORT_FORMAT_VERSION,
+    MESSAGE_PART_SIZE,
+    buildExport,
+    toMarkdown,
+    toMarkdownNote,
+    toJson,
+    toCsv,
+    toVaultFiles,
+    createZip,
+    crc32,
+    toMessageParts,
+    fromMessagePart
+};
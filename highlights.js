@@ -0,0 +1,146 @@
+/**
+ * Highlights - Anchors of captured passages, kept per page so they can be
+ * highlighted again when the page is revisited
+ */
+
+const HIGHLIGHTS_KEY = 'highlights';
+
+/**
+ * Normalize a page URL so revisits match (the fragment is ignored)
+ * @param {string} url - Page URL
+ * @returns {string|null} Normalized URL, or null if it can't be parsed
+ */
+function normalizeSourceUrl(url) {
+    try {
+        const parsed = new URL(url);
+        parsed.hash = '';
+        return parsed.href;
+    } catch (error) {
+        return null;
+    }
+}
+
+async function loadHighlights() {
+    const result = await chrome.storage.local.get([HIGHLIGHTS_KEY]);
+    return result?.[HIGHLIGHTS_KEY] || {};
+}
+
+/**
+ * Remember the anchor of a saved note
+ * @param {Object} note - Saved note with an anchor
+ * @returns {Promise<boolean>} Whether a highlight was stored
+ */
+async function saveHighlight(note) {
+    const url = normalizeSourceUrl(note.source_url);
+    if (!url || !note.anchor?.quote?.exact) {
+        return false;
+    }
+
+    const highlights = await loadHighlights();
+    const pageHighlights = (highlights[url] || []).filter(highlight => highlight.note_id !== note.id);
+
+    pageHighlights.push({
+        note_id: note.id,
+        quote: note.anchor.quote,
+        position: note.anchor.position || null,
+        intent: note.intent || '',
+        user_note: note.user_note || '',
+        timestamp: note.timestamp
+    });
+    highlights[url] = pageHighlights;
+
+    await chrome.storage.local.set({ [HIGHLIGHTS_KEY]: highlights });
+    return true;
+}
+
+/**
+ * Forget the highlight of a deleted note
+ * @param {Object} note - Deleted note
+ * @returns {Promise<boolean>} Whether a highlight was removed
+ */
+async function removeHighlight(note) {
+    const url = normalizeSourceUrl(note.source_url);
+    if (!url) {
+        return false;
+    }
+
+    const highlights = await loadHighlights();
+    const pageHighlights = highlights[url] || [];
+    const remaining = pageHighlights.filter(highlight => highlight.note_id !== note.id);
+    if (remaining.length === pageHighlights.length) {
+        return false;
+    }
+
+    if (remaining.length > 0) {
+        highlights[url] = remaining;
+    } else {
+        delete highlights[url];
+    }
+
+    await chrome.storage.local.set({ [HIGHLIGHTS_KEY]: highlights });
+    return true;
+}
+
+/**
+ * Get the highlights captured on a page
+ * @param {string} url - Page URL
+ * @returns {Promise<Array>} Highlights
+ */
+async function getHighlightsForUrl(url) {
+    const normalized = normalizeSourceUrl(url);
+    if (!normalized) {
+        return [];
+    }
+
+    const highlights = await loadHighlights();
+    return highlights[normalized] || [];
+}
+
+/**
+ * Forget every stored highlight
+ */
+async function clearHighlights() {
+    await chrome.storage.local.remove(HIGHLIGHTS_KEY);
+}
+
+/**
+ * Check whether highlighting is switched on for a page's site
+ * @param {string} url - Page URL
+ * @param {Object} settings - Current settings
+ * @returns {boolean} Whether highlights should be shown
+ */
+function isHighlightingEnabled(url, settings) {
+    try {
+        return !(settings.highlightDisabledSites || []).includes(new URL(url).hostname);
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Build the disabled-sites list with a site switched on or off
+ * @param {string} url - Page URL
+ * @param {boolean} enabled - Whether highlighting should be on
+ * @param {Object} settings - Current settings
+ * @returns {Array<string>} Updated list of hostnames with highlighting off
+ */
+function toggleSiteHighlighting(url, enabled, settings) {
+    const hostname = new URL(url).hostname;
+    const disabledSites = (settings.highlightDisabledSites || []).filter(site => site !== hostname);
+
+    if (!enabled) {
+        disabledSites.push(hostname);
+    }
+
+    return disabledSites;
+}
+
+export {
+    normalizeSourceUrl,
+    saveHighlight,
+    removeHighlight,
+    getHighlightsForUrl,
+    clearHighlights,
+    isHighlightingEnabled,
+    toggleSiteHighlighting
+};
@@ -0,0 +1,444 @@
+/**
+ * Importer - Reads notes kept elsewhere into the note schema.
+ *
+ * Sources: BrowserBud's own JSON export, Markdown files with YAML
+ * front-matter (BrowserBud's Markdown and vault exports, Obsidian and similar
+ * tools), and Kindle "My Clippings.txt" files. Parsing only maps entries onto
+ * notes; the batch processor skips notes already stored and queues the rest.
+ */
+
+import { EXPORT_FORMAT_VERSION } from './exporter.js';
+import { normalizeTags } from './tags.js';
+
+const IMPORT_FORMATS = {
+    JSON: 'json',
+    MARKDOWN: 'markdown',
+    CLIPPINGS: 'clippings'
+};
+
+const CLIPPINGS_SEPARATOR = '==========';
+
+// Fields describing a note's state in this browser or on the server, not the note
+const LOCAL_FIELDS = [
+    'id', 'user_id', 'idempotency_key', 'delivery', 'synced_at', 'server_id', 'conflict',
+    'duplicate', 'redaction_override', 'redaction_report'
+];
+
+// Front-matter keys other tools use for the fields of a note
+const FRONT_MATTER_KEYS = {
+    source_url: ['source', 'source_url', 'url', 'link'],
+    timestamp: ['captured', 'timestamp', 'created', 'date'],
+    title: ['title'],
+    intent: ['intent'],
+    type: ['type'],
+    tags: ['tags'],
+    pinned: ['pinned'],
+    author: ['author']
+};
+
+/**
+ * Work out which format a file is in, from its name and then its contents
+ * @param {string} fileName - File name
+ * @param {string} text - File contents
+ * @returns {string|null} One of IMPORT_FORMATS, or null if it is none of them
+ */
+function detectImportFormat(fileName, text) {
+    const name = String(fileName || '').toLowerCase();
+    const start = String(text || '').replace(/^\uFEFF/, '').trimStart();
+
+    if (name.endsWith('.json')) {
+        return IMPORT_FORMATS.JSON;
+    }
+    if (name.endsWith('.md') || name.endsWith('.markdown')) {
+        return IMPORT_FORMATS.MARKDOWN;
+    }
+    if (start.includes(CLIPPINGS_SEPARATOR)) {
+        return IMPORT_FORMATS.CLIPPINGS;
+    }
+    if (start.startsWith('{') || start.startsWith('[')) {
+        return IMPORT_FORMATS.JSON;
+    }
+    if (start.startsWith('---')) {
+        return IMPORT_FORMATS.MARKDOWN;
+    }
+    return null;
+}
+
+/**
+ * ISO timestamp for a date as written in a file
+ * @param {*} value - Date
+ * @returns {string|null} ISO timestamp, or null if it is not a date
+ */
+function toTimestamp(value) {
+    if (value === null || value === undefined || value === '') {
+        return null;
+    }
+    const time = new Date(value).getTime();
+    return Number.isNaN(time) ? null : new Date(time).toISOString();
+}
+
+/**
+ * A note from the fields of an imported entry, with the defaults for what it lacks
+ * @param {Object} fields - Note fields
+ * @param {Object} defaults - { intent }
+ * @returns {Object} Note
+ */
+function toImportedNote(fields, defaults = {}) {
+    const note = { ...fields };
+    LOCAL_FIELDS.forEach(field => delete note[field]);
+
+    return {
+        ...note,
+        type: note.type || 'selection',
+        title: note.title || null,
+        source_url: note.source_url || null,
+        timestamp: toTimestamp(note.timestamp) || new Date().toISOString(),
+        intent: note.intent || defaults.intent,
+        user_note: note.user_note || '',
+        tags: normalizeTags(note.tags || [])
+    };
+}
+
+/**
+ * Read a BrowserBud JSON export, or a plain list of notes
+ * @param {string} text - File contents
+ * @param {Object} defaults - { intent }
+ * @returns {Object} { notes, errors }
+ * @throws {Error} If the file is not an export BrowserBud can read
+ */
+function parseJsonImport(text, defaults = {}) {
+    let data;
+    try {
+        data = JSON.parse(text.replace(/^\uFEFF/, ''));
+    } catch (error) {
+        throw new Error(`Not valid JSON: ${error.message}`);
+    }
+
+    if (data && !Array.isArray(data) && data.format === 'browserbud-export' && data.version > EXPORT_FORMAT_VERSION) {
+        throw new Error('This export was made by a newer version of BrowserBud');
+    }
+
+    const entries = Array.isArray(data) ? data : data?.notes;
+    if (!Array.isArray(entries)) {
+        throw new Error('No notes found in this file');
+    }
+
+    const notes = [];
+    const errors = [];
+    entries.forEach((entry, index) => {
+        if (!entry || typeof entry !== 'object') {
+            errors.push({ entry: index + 1, reason: 'Not a note' });
+            return;
+        }
+        notes.push(toImportedNote(entry, defaults));
+    });
+    return { notes, errors };
+}
+
+/**
+ * Read one YAML scalar, flow list or quoted string as written in front-matter
+ * @param {string} raw - Value after the colon
+ * @returns {*} Value
+ */
+function parseYamlValue(raw) {
+    const value = raw.trim();
+
+    if (value.startsWith('"')) {
+        try {
+            return JSON.parse(value);
+        } catch (error) {
+            return value.replace(/^"|"$/g, '');
+        }
+    }
+    if (value.startsWith("'")) {
+        return value.replace(/^'|'$/g, '').replace(/''/g, "'");
+    }
+    if (value.startsWith('[') && value.endsWith(']')) {
+        return value.slice(1, -1).split(',').map(item => parseYamlValue(item)).filter(item => item !== '');
+    }
+    if (value === 'true' || value === 'false') {
+        return value === 'true';
+    }
+    return value;
+}
+
+/**
+ * Read a front-matter block of key: value lines and "- item" lists
+ * @param {Array<string>} lines - Lines between the --- fences
+ * @returns {Object} Keys, lowercased, and their values
+ */
+function parseFrontMatter(lines) {
+    const data = {};
+    let listKey = null;
+
+    lines.forEach(line => {
+        const item = line.match(/^\s+-\s*(.*)$/) || line.match(/^-\s+(.*)$/);
+        if (item && listKey) {
+            data[listKey].push(parseYamlValue(item[1]));
+            return;
+        }
+
+        const pair = line.match(/^([A-Za-z_][\w-]*):\s*(.*)$/);
+        if (!pair) {
+            return;
+        }
+        const key = pair[1].toLowerCase();
+        if (pair[2].trim() === '') {
+            data[key] = [];
+            listKey = key;
+        } else {
+            data[key] = parseYamlValue(pair[2]);
+            listKey = null;
+        }
+    });
+    return data;
+}
+
+/**
+ * Where each front-matter block starts and ends. A --- line only opens
+ * front-matter when key: value lines and a closing --- follow, so horizontal
+ * rules in a note's text are left alone.
+ * @param {Array<string>} lines - Lines of the file
+ * @returns {Array<Object>} [{ start, end }] line numbers of the fences
+ */
+function findFrontMatterBlocks(lines) {
+    const blocks = [];
+
+    for (let start = 0; start < lines.length; start++) {
+        if (lines[start].trim() !== '---' || !/^[A-Za-z_][\w-]*:/.test(lines[start + 1] || '')) {
+            continue;
+        }
+
+        let end = start + 1;
+        while (end < lines.length && /^([A-Za-z_][\w-]*:|\s+-|-\s)/.test(lines[end])) {
+            end++;
+        }
+        if (end < lines.length && lines[end].trim() === '---') {
+            blocks.push({ start, end });
+            start = end;
+        }
+    }
+    return blocks;
+}
+
+/**
+ * Note fields from a Markdown body. The parts BrowserBud's own export adds
+ * (the link back to the page and the comment above it) are read back into
+ * their fields.
+ * @param {string} body - Markdown after the front-matter
+ * @param {Object} note - Fields read from the front-matter
+ * @returns {Object} { content, user_note, payload }
+ */
+function parseMarkdownBody(body, note) {
+    const paragraphs = body.trim().split(/\n\s*\n/);
+    const fields = { user_note: '' };
+
+    const last = paragraphs[paragraphs.length - 1] || '';
+    if (note.source_url && last.trim().endsWith(`](${note.source_url})`) && /^\[[^\n]*\]\([^\n]*\)$/.test(last.trim())) {
+        paragraphs.pop();
+        const comment = paragraphs[paragraphs.length - 1] || '';
+        if (paragraphs.length > 1 && comment.split('\n').every(line => line.startsWith('>'))) {
+            paragraphs.pop();
+            fields.user_note = comment.split('\n').map(line => line.replace(/^> ?/, '')).join('\n');
+        }
+    }
+
+    let content = paragraphs.join('\n\n').trim();
+    const image = content.match(/^!\[([^\]]*)\]\(([^)\s]*)\)/);
+    const link = content.match(/^\[([^\]]*)\]\(([^)\s]*)\)$/);
+
+    if (note.type === 'image' && image) {
+        fields.payload = { src_url: image[2] };
+        content = image[1];
+    } else if (note.type === 'link' && link) {
+        fields.payload = { href: link[2] };
+        content = link[1];
+    } else if (note.type === 'page' && note.title && content.startsWith(`# ${note.title}`)) {
+        content = content.slice(`# ${note.title}`.length).trim();
+    }
+
+    fields.content = content;
+    return fields;
+}
+
+/**
+ * Read a Markdown file of one or more notes, each with front-matter. A file
+ * without front-matter is one note, titled by its first heading or its name.
+ * @param {string} text - File contents
+ * @param {Object} defaults - { intent, fileName }
+ * @returns {Object} { notes, errors }
+ */
+function parseMarkdownImport(text, defaults = {}) {
+    const lines = text.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').split('\n');
+    const blocks = findFrontMatterBlocks(lines);
+    const notes = [];
+    const errors = [];
+
+    if (blocks.length === 0 || lines.slice(0, blocks[0].start).some(line => line.trim())) {
+        blocks.unshift({ start: -1, end: -1 }); // text before the first front-matter is a note of its own
+    }
+
+    blocks.forEach((block, index) => {
+        const data = block.start >= 0 ? parseFrontMatter(lines.slice(block.start + 1, block.end)) : {};
+        const next = blocks[index + 1] ? blocks[index + 1].start : lines.length;
+        const body = lines.slice(block.end + 1, next).join('\n');
+
+        const fields = {};
+        Object.entries(FRONT_MATTER_KEYS).forEach(([field, keys]) => {
+            const key = keys.find(name => data[name] !== undefined && data[name] !== '');
+            if (key) {
+                fields[field] = data[key];
+            }
+        });
+
+        const { author, ...note } = fields;
+        if (author) {
+            note.metadata = { author: String(author) };
+        }
+        if (!note.title) {
+            const heading = body.match(/^#\s+(.+)$/m);
+            note.title = heading ? heading[1].trim()
+                : blocks.length === 1 && defaults.fileName ? defaults.fileName.replace(/\.(md|markdown)$/i, '') : null;
+        }
+
+        const parsed = toImportedNote({ ...note, ...parseMarkdownBody(body, note) }, defaults);
+        if (!parsed.content) {
+            errors.push({ entry: parsed.title || index + 1, reason: 'No text' });
+            return;
+        }
+        notes.push(parsed);
+    });
+    return { notes, errors };
+}
+
+/**
+ * Read one entry of a Kindle clippings file
+ * @param {string} entry - Text between separators
+ * @returns {Object|null} { kind, title, author, page, location, added, text }, or null if it is not an entry
+ */
+function parseClipping(entry) {
+    const lines = entry.replace(/\uFEFF/g, '').split('\n');
+    while (lines.length > 0 && !lines[0].trim()) {
+        lines.shift();
+    }
+    if (lines.length < 2) {
+        return null;
+    }
+
+    const heading = lines[0].trim();
+    const meta = lines[1].trim();
+    const kind = meta.match(/^-\s*Your\s+(\w+)/i);
+    if (!kind) {
+        return null;
+    }
+
+    const book = heading.match(/^(.*?)\s*\(([^()]*)\)$/);
+    const location = meta.match(/Location\s+(\d+)(?:-(\d+))?/i);
+    const page = meta.match(/page\s+([\w-]+)/i);
+    const added = meta.match(/Added on\s+(?:\w+,\s*)?(.+)$/i);
+
+    return {
+        kind: kind[1].toLowerCase(),
+        title: book ? book[1] : heading,
+        author: book ? book[2] : null,
+        page: page ? page[1] : null,
+        location: location ? { start: Number(location[1]), end: Number(location[2] || location[1]) } : null,
+        added: added ? toTimestamp(added[1].trim()) : null,
+        text: lines.slice(2).join('\n').trim()
+    };
+}
+
+/**
+ * Read a Kindle "My Clippings.txt". Highlights become notes; a note the
+ * reader typed becomes the comment of the highlight it was written on, or a
+ * note of its own. Bookmarks have no text and are skipped.
+ * @param {string} text - File contents
+ * @param {Object} defaults - { intent }
+ * @returns {Object} { notes, errors }
+ */
+function parseClippingsImport(text, defaults = {}) {
+    const clippings = [];
+    const errors = [];
+
+    text.replace(/\r\n?/g, '\n').split(CLIPPINGS_SEPARATOR).forEach((entry, index) => {
+        if (!entry.trim()) {
+            return;
+        }
+
+        const clipping = parseClipping(entry);
+        if (!clipping) {
+            errors.push({ entry: index + 1, reason: 'Not a clipping' });
+        } else if (clipping.kind === 'bookmark' || !clipping.text) {
+            errors.push({ entry: clipping.title, reason: 'No text' });
+        } else {
+            clipping.note = toImportedNote({
+                type: clipping.kind === 'note' ? 'manual' : 'selection',
+                content: clipping.text,
+                title: clipping.title,
+                timestamp: clipping.added,
+                metadata: {
+                    source: 'kindle',
+                    author: clipping.author,
+                    page: clipping.page,
+                    location: clipping.location ? `${clipping.location.start}-${clipping.location.end}` : null
+                }
+            }, defaults);
+            clippings.push(clipping);
+        }
+    });
+
+    // Kindle files a typed note before or after its highlight, at a location inside it
+    const highlights = clippings.filter(clipping => clipping.kind !== 'note');
+    const notes = clippings.filter(clipping => {
+        if (clipping.kind !== 'note') {
+            return true;
+        }
+        const highlight = clipping.location && highlights.find(other => (
+            other.title === clipping.title &&
+            other.location &&
+            !other.note.user_note &&
+            clipping.location.start >= other.location.start &&
+            clipping.location.start <= other.location.end
+        ));
+        if (highlight) {
+            highlight.note.user_note = clipping.text;
+            return false;
+        }
+        return true;
+    });
+
+    return { notes: notes.map(clipping => clipping.note), errors };
+}
+
+/**
+ * Read an import file in whichever format it is in
+ * @param {string} text - File contents
+ * @param {Object} options - { fileName, intent: for notes that have none }
+ * @returns {Object} { format, notes, errors }
+ * @throws {Error} If the format is not recognized or the file cannot be read
+ */
+function parseImport(text, options = {}) {
+    const format = detectImportFormat(options.fileName, text);
+    const defaults = { intent: options.intent, fileName: options.fileName };
+
+    switch (format) {
+        case IMPORT_FORMATS.JSON:
+            return { format, ...parseJsonImport(text, defaults) };
+        case IMPORT_FORMATS.MARKDOWN:
+            return { format, ...parseMarkdownImport(text, defaults) };
+        case IMPORT_FORMATS.CLIPPINGS:
+            return { format, ...parseClippingsImport(text, defaults) };
+        default:
+            throw new Error('Not a BrowserBud export, Markdown file or Kindle clippings file');
+    }
+}
+
+export {
+    IMPORT_FORMATS,
+    detectImportFormat,
+    parseImport,
+    parseJsonImport,
+    parseMarkdownImport,
+    parseClippingsImport,
+    parseFrontMatter
+};
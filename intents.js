@@ -0,0 +1,74 @@
+/**
+ * Intents - Why a passage was captured. The pipeline treats each intent
+ * differently, so the id is sent with every note.
+ */
+
+const BUILT_IN_INTENTS = [
+    { id: 'learn', title: 'Learn' },
+    { id: 'reference', title: 'Reference' },
+    { id: 'question', title: 'Question' },
+    { id: 'todo', title: 'To-Do' },
+    { id: 'quote', title: 'Quote' }
+];
+
+const DEFAULT_INTENT = 'learn';
+
+const INTENT_MENU_PREFIX = 'browserBud-intent-';
+
+/**
+ * Turn a user-defined intent name into the id sent to the server
+ * @param {string} title - Intent name, e.g. "Book idea"
+ * @returns {string} Intent id, e.g. "book-idea"
+ */
+function toIntentId(title) {
+    return String(title)
+        .trim()
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Get the built-in intents followed by the user's own
+ * @param {Object} settings - Current settings
+ * @returns {Array<Object>} Intents as { id, title, custom }
+ */
+function getIntents(settings = {}) {
+    const custom = (settings.customIntents || []).map(title => ({
+        id: toIntentId(title),
+        title,
+        custom: true
+    }));
+
+    return [...BUILT_IN_INTENTS.map(intent => ({ ...intent, custom: false })), ...custom];
+}
+
+/**
+ * Context menu item id for an intent
+ * @param {string} intentId - Intent id
+ * @returns {string} Menu item id
+ */
+function getIntentMenuItemId(intentId) {
+    return INTENT_MENU_PREFIX + intentId;
+}
+
+/**
+ * Intent picked from the context menu
+ * @param {string} menuItemId - Clicked menu item id
+ * @returns {string|null} Intent id, or null for other menu items
+ */
+function getIntentFromMenuItemId(menuItemId) {
+    if (typeof menuItemId !== 'string' || !menuItemId.startsWith(INTENT_MENU_PREFIX)) {
+        return null;
+    }
+    return menuItemId.substring(INTENT_MENU_PREFIX.length) || null;
+}
+
+export {
+    BUILT_IN_INTENTS,
+    DEFAULT_INTENT,
+    toIntentId,
+    getIntents,
+    getIntentMenuItemId,
+    getIntentFromMenuItemId
+};
@@ -0,0 +1,573 @@
+/**
+ * NotesRepository - IndexedDB store for every note the extension keeps.
+ *
+ * Each note is stored in a record next to the fields its indexes need
+ * (timestamp in ms, domain, intent, sync state and the fingerprint and
+ * simhash duplicate detection looks notes up by), so the note itself is
+ * kept exactly as it will be uploaded. Edits and deletes of notes the server
+ * already has are kept in order in the operations store until replayed.
+ *
+ * With a cipher set (see encryption.js), notes and the changes in queued
+ * edits are encrypted on the way in and decrypted on the way out. The
+ * indexes would otherwise repeat what the note encrypts, so the fingerprint
+ * is keyed with an HMAC and the simhash is left out. The domain stays
+ * indexed, as it does in the note's readable metadata.domain.
+ */
+
+import { fingerprintNote } from './duplicates.js';
+
+const DB_NAME = 'browserbud';
+const NOTES_STORE = 'notes';
+const META_STORE = 'meta';
+const OPERATIONS_STORE = 'operations';
+
+// Schema migrations, keyed by the version they upgrade to. Schema changes
+// get a new entry; entries that have shipped are never edited.
+const MIGRATIONS = {
+    1: (db) => {
+        const notes = db.createObjectStore(NOTES_STORE, { keyPath: 'id' });
+        notes.createIndex('timestamp', 'timestamp');
+        notes.createIndex('domain', 'domain');
+        notes.createIndex('intent', 'intent');
+        notes.createIndex('sync_state', 'sync_state');
+
+        db.createObjectStore(META_STORE, { keyPath: 'key' });
+    },
+    2: (db) => {
+        // Auto-incremented keys keep operations in the order they were made
+        const operations = db.createObjectStore(OPERATIONS_STORE, { keyPath: 'seq', autoIncrement: true });
+        operations.createIndex('note_id', 'note_id');
+    },
+    3: (db, transaction) => {
+        const notes = transaction.objectStore(NOTES_STORE);
+        notes.createIndex('fingerprint', 'fingerprint');
+        notes.createIndex('simhash', 'simhash');
+
+        // Encrypted notes can't be read here; they are fingerprinted when next saved
+        notes.openCursor().onsuccess = (event) => {
+            const cursor = event.target.result;
+            if (!cursor) {
+                return;
+            }
+            if (typeof cursor.value.note.content === 'string') {
+                cursor.update({ ...cursor.value, ...fingerprintNote(cursor.value.note) });
+            }
+            cursor.continue();
+        };
+    },
+    4: (db, transaction) => {
+        // Encrypted notes were indexed by their fingerprint, simhash and domain
+        // in the clear. Those are dropped; the fingerprint is keyed when the note is next saved.
+        transaction.objectStore(NOTES_STORE).openCursor().onsuccess = (event) => {
+            const cursor = event.target.result;
+            if (!cursor) {
+                return;
+            }
+            if (cursor.value.note.content && typeof cursor.value.note.content !== 'string') {
+                const { fingerprint, simhash, domain, ...record } = cursor.value;
+                cursor.update(record);
+            }
+            cursor.continue();
+        };
+    },
+    5: (db, transaction) => {
+        // The domain is readable in every encrypted note's metadata, so index it again
+        transaction.objectStore(NOTES_STORE).openCursor().onsuccess = (event) => {
+            const cursor = event.target.result;
+            if (!cursor) {
+                return;
+            }
+            if (!cursor.value.domain) {
+                cursor.update({ ...cursor.value, domain: getNoteDomain(cursor.value.note) });
+            }
+            cursor.continue();
+        };
+    }
+};
+
+const DB_VERSION = Math.max(...Object.keys(MIGRATIONS).map(Number));
+
+// chrome.storage.local keys notes were kept under before the repository
+const LEGACY_NOTE_KEY_PREFIXES = ['note_', 'local_', 'manual_'];
+const LEGACY_MIGRATION_KEY = 'legacy_storage_migrated';
+
+/**
+ * Sync state of a note: pending, failed, rejected (by the server, not retried),
+ * local (kept on this device by the privacy rules) or synced
+ * @param {Object} note - Note
+ * @returns {string} Sync state
+ */
+function getSyncState(note) {
+    const status = note.delivery?.status;
+    if (status === 'failed' || status === 'rejected' || status === 'local') {
+        return status;
+    }
+    if (status === 'pending' || status === 'sending') {
+        return 'pending';
+    }
+    return 'synced';
+}
+
+/**
+ * Domain a note was captured on
+ * @param {Object} note - Note
+ * @returns {string} Hostname, or an empty string for manual notes
+ */
+function getNoteDomain(note) {
+    if (note.metadata?.domain) {
+        return note.metadata.domain;
+    }
+    try {
+        return new URL(note.source_url).hostname;
+    } catch (error) {
+        return '';
+    }
+}
+
+/**
+ * Wrap a note in a record with its indexed fields
+ * @param {Object} note - Note with an id
+ * @returns {Object} Record
+ */
+function toRecord(note) {
+    return {
+        id: note.id,
+        timestamp: new Date(note.timestamp || 0).getTime() || 0,
+        domain: getNoteDomain(note),
+        intent: note.intent || '',
+        sync_state: getSyncState(note),
+        // A note still encrypted (read while locked) can't be fingerprinted
+        ...(typeof note.content === 'string' ? fingerprintNote(note) : {}),
+        note
+    };
+}
+
+/**
+ * Turn a note found under a legacy chrome.storage.local key into a repository note
+ * @param {string} key - Storage key
+ * @param {Object} note - Stored note
+ * @returns {Object} Note, with the key as its id
+ */
+function fromLegacyEntry(key, note) {
+    const migrated = { ...note, id: key };
+
+    // Everything under note_ keys was waiting to be uploaded
+    if (key.startsWith('note_') && !migrated.delivery) {
+        migrated.delivery = {
+            status: 'pending',
+            attempts: 0,
+            last_attempt_at: null,
+            last_error: null
+        };
+    }
+
+    return migrated;
+}
+
+class NotesRepository {
+    /**
+     * @param {Object} options - { dbName }
+     */
+    constructor(options = {}) {
+        this.dbName = options.dbName || DB_NAME;
+        this.opening = null;
+        this.cipher = null;
+    }
+
+    /**
+     * Encrypt notes at rest
+     * @param {Object|null} cipher - { isEnabled, sealNote, openNote, keyIndexValue }, null to store notes as they are
+     */
+    setCipher(cipher) {
+        this.cipher = cipher;
+    }
+
+    isEncrypting() {
+        return !!this.cipher && this.cipher.isEnabled();
+    }
+
+    async sealRecord(note) {
+        if (!this.isEncrypting()) {
+            return toRecord(note);
+        }
+
+        const { simhash, ...record } = toRecord(note);
+        record.note = await this.cipher.sealNote(note);
+        if (record.fingerprint) {
+            record.fingerprint = await this.cipher.keyIndexValue(record.fingerprint);
+        }
+        return record;
+    }
+
+    async sealOperation(operation) {
+        if (!this.cipher || !operation.changes) {
+            return operation;
+        }
+        return { ...operation, changes: await this.cipher.sealNote(operation.changes) };
+    }
+
+    async openNotes(notes) {
+        return this.cipher ? Promise.all(notes.map(note => this.cipher.openNote(note))) : notes;
+    }
+
+    async openOperations(operations) {
+        if (!this.cipher) {
+            return operations;
+        }
+        return Promise.all(operations.map(async operation => (
+            operation.changes ? { ...operation, changes: await this.cipher.openNote(operation.changes) } : operation
+        )));
+    }
+
+    /**
+     * Open the database, running schema migrations and the one-time move of
+     * notes out of chrome.storage.local
+     * @returns {Promise<IDBDatabase>} Database
+     */
+    open() {
+        if (!this.opening) {
+            this.opening = this.openDatabase()
+                .then(async (db) => {
+                    await this.migrateLegacyStorage(db);
+                    return db;
+                })
+                .catch((error) => {
+                    this.opening = null;
+                    throw error;
+                });
+        }
+        return this.opening;
+    }
+
+    openDatabase() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, DB_VERSION);
+
+            request.onupgradeneeded = (event) => {
+                for (let version = event.oldVersion + 1; version <= DB_VERSION; version++) {
+                    MIGRATIONS[version](request.result, request.transaction);
+                    console.log(`Notes database migrated to version ${version}`);
+                }
+            };
+
+            request.onsuccess = () => {
+                const db = request.result;
+                // Let a newer version of the extension upgrade the schema
+                db.onversionchange = () => {
+                    db.close();
+                    this.opening = null;
+                };
+                resolve(db);
+            };
+
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => console.warn('Notes database upgrade is waiting for another connection to close');
+        });
+    }
+
+    /**
+     * Run work in a transaction
+     * @param {IDBDatabase} db - Database
+     * @param {Array<string>} storeNames - Stores the transaction covers
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} work - Called with the transaction; may return a function giving the result once it completes
+     * @returns {Promise<*>} Result of the transaction
+     */
+    runTransaction(db, storeNames, mode, work) {
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeNames, mode);
+            const getResult = work(transaction);
+
+            transaction.oncomplete = () => resolve(typeof getResult === 'function' ? getResult() : undefined);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+        });
+    }
+
+    async transact(storeNames, mode, work) {
+        const db = await this.open();
+        return this.runTransaction(db, storeNames, mode, work);
+    }
+
+    /**
+     * Move notes out of chrome.storage.local, once
+     * @param {IDBDatabase} db - Database
+     * @returns {Promise<number>} Number of notes moved
+     */
+    async migrateLegacyStorage(db) {
+        const migrated = await this.runTransaction(db, [META_STORE], 'readonly', (transaction) => {
+            const request = transaction.objectStore(META_STORE).get(LEGACY_MIGRATION_KEY);
+            return () => request.result;
+        });
+        if (migrated) {
+            return 0;
+        }
+
+        const stored = await chrome.storage.local.get(null);
+        const keys = Object.keys(stored || {}).filter(key => (
+            LEGACY_NOTE_KEY_PREFIXES.some(prefix => key.startsWith(prefix)) &&
+            stored[key] && typeof stored[key].content === 'string'
+        ));
+
+        await this.runTransaction(db, [NOTES_STORE, META_STORE], 'readwrite', (transaction) => {
+            const notes = transaction.objectStore(NOTES_STORE);
+            keys.forEach(key => notes.put(toRecord(fromLegacyEntry(key, stored[key]))));
+            transaction.objectStore(META_STORE).put({
+                key: LEGACY_MIGRATION_KEY,
+                migrated_at: new Date().toISOString(),
+                count: keys.length
+            });
+        });
+
+        // Only removed once the notes are safely in the database
+        if (keys.length > 0) {
+            await chrome.storage.local.remove(keys);
+            console.log(`Moved ${keys.length} notes from chrome.storage.local to IndexedDB`);
+        }
+        return keys.length;
+    }
+
+    /**
+     * Get a note
+     * @param {string} id - Note id
+     * @returns {Promise<Object|null>} Note, or null if there is none
+     */
+    async get(id) {
+        const note = await this.transact([NOTES_STORE], 'readonly', (transaction) => {
+            const request = transaction.objectStore(NOTES_STORE).get(id);
+            return () => request.result?.note || null;
+        });
+        return note && (await this.openNotes([note]))[0];
+    }
+
+    /**
+     * Get several notes
+     * @param {Array<string>} ids - Note ids
+     * @returns {Promise<Object>} Notes keyed by id; missing ids are left out
+     */
+    async getMany(ids) {
+        const notes = await this.transact([NOTES_STORE], 'readonly', (transaction) => {
+            const store = transaction.objectStore(NOTES_STORE);
+            const requests = ids.map(id => store.get(id));
+            return () => requests
+                .filter(request => request.result)
+                .map(request => request.result.note);
+        });
+        return Object.fromEntries((await this.openNotes(notes)).map(note => [note.id, note]));
+    }
+
+    /**
+     * List notes, newest first unless asked otherwise
+     * @param {Object} filter - { sync, intent, domain, from, to (ms), limit, order: 'desc' | 'asc' }
+     * @returns {Promise<Array<Object>>} Notes
+     */
+    async query(filter = {}) {
+        const { sync, intent, domain, from, to, limit, order = 'desc' } = filter;
+        const hasFrom = from !== undefined && from !== null;
+        const hasTo = to !== undefined && to !== null;
+
+        // Walk the most selective index and check the other conditions on each record
+        let indexName = 'timestamp';
+        let range = null;
+        if (sync) {
+            indexName = 'sync_state';
+            range = IDBKeyRange.only(sync);
+        } else if (intent) {
+            indexName = 'intent';
+            range = IDBKeyRange.only(intent);
+        } else if (domain) {
+            indexName = 'domain';
+            range = IDBKeyRange.only(domain);
+        } else if (hasFrom || hasTo) {
+            range = hasFrom && hasTo ? IDBKeyRange.bound(from, to)
+                : hasFrom ? IDBKeyRange.lowerBound(from) : IDBKeyRange.upperBound(to);
+        }
+
+        const records = await this.transact([NOTES_STORE], 'readonly', (transaction) => {
+            const request = transaction.objectStore(NOTES_STORE).index(indexName).getAll(range);
+            return () => request.result;
+        });
+
+        const notes = records
+            .filter(record => (
+                (!intent || record.intent === intent) &&
+                (!domain || record.domain === domain) &&
+                (!hasFrom || record.timestamp >= from) &&
+                (!hasTo || record.timestamp <= to)
+            ))
+            .sort((a, b) => (order === 'asc' ? a.timestamp - b.timestamp : b.timestamp - a.timestamp))
+            .map(record => record.note);
+
+        return this.openNotes(limit ? notes.slice(0, limit) : notes);
+    }
+
+    /**
+     * Ids of the notes with a fingerprint
+     * @param {string} fingerprint - Fingerprint, see duplicates.js
+     * @returns {Promise<Array<string>>} Note ids
+     */
+    async findByFingerprint(fingerprint) {
+        const key = this.isEncrypting() ? await this.cipher.keyIndexValue(fingerprint) : fingerprint;
+        return this.transact([NOTES_STORE], 'readonly', (transaction) => {
+            const request = transaction.objectStore(NOTES_STORE).index('fingerprint').getAllKeys(IDBKeyRange.only(key));
+            return () => request.result;
+        });
+    }
+
+    /**
+     * Simhashes among the newest notes, without opening the notes. Encrypted
+     * notes have none.
+     * @param {number} limit - Newest notes to look at
+     * @returns {Promise<Array<Object>>} [{ id, simhash }]
+     */
+    getSimhashes(limit) {
+        return this.transact([NOTES_STORE], 'readonly', (transaction) => {
+            const simhashes = [];
+            let seen = 0;
+            transaction.objectStore(NOTES_STORE).index('timestamp').openCursor(null, 'prev').onsuccess = (event) => {
+                const cursor = event.target.result;
+                if (!cursor) {
+                    return;
+                }
+                if (cursor.value.simhash) {
+                    simhashes.push({ id: cursor.primaryKey, simhash: cursor.value.simhash });
+                }
+                if (++seen < limit) {
+                    cursor.continue();
+                }
+            };
+            return () => simhashes;
+        });
+    }
+
+    /**
+     * Count notes in a sync state
+     * @param {string} sync - pending, failed or synced
+     * @returns {Promise<number>} Count
+     */
+    countBySyncState(sync) {
+        return this.transact([NOTES_STORE], 'readonly', (transaction) => {
+            const request = transaction.objectStore(NOTES_STORE).index('sync_state').count(IDBKeyRange.only(sync));
+            return () => request.result;
+        });
+    }
+
+    /**
+     * Add or replace notes, optionally with queued operations and a meta
+     * entry, all in one transaction
+     * @param {Array<Object>} notes - Notes with ids
+     * @param {Object} extra - { operations: operations with their seq, meta: entry with a key }
+     */
+    async put(notes, { operations = [], meta = null } = {}) {
+        // Encryption is async, so it has to be done before the transaction starts
+        const records = await Promise.all(notes.map(note => this.sealRecord(note)));
+        const sealedOperations = await Promise.all(operations.map(operation => this.sealOperation(operation)));
+
+        const storeNames = [NOTES_STORE];
+        if (sealedOperations.length > 0) {
+            storeNames.push(OPERATIONS_STORE);
+        }
+        if (meta) {
+            storeNames.push(META_STORE);
+        }
+
+        return this.transact(storeNames, 'readwrite', (transaction) => {
+            const store = transaction.objectStore(NOTES_STORE);
+            records.forEach(record => store.put(record));
+            if (sealedOperations.length > 0) {
+                const operationStore = transaction.objectStore(OPERATIONS_STORE);
+                sealedOperations.forEach(operation => operationStore.put(operation));
+            }
+            if (meta) {
+                transaction.objectStore(META_STORE).put(meta);
+            }
+        });
+    }
+
+    /**
+     * Read an entry of the meta store
+     * @param {string} key - Entry key
+     * @returns {Promise<Object|null>} Entry
+     */
+    getMeta(key) {
+        return this.transact([META_STORE], 'readonly', (transaction) => {
+            const request = transaction.objectStore(META_STORE).get(key);
+            return () => request.result || null;
+        });
+    }
+
+    /**
+     * Delete notes
+     * @param {Array<string>} ids - Note ids
+     */
+    delete(ids) {
+        return this.transact([NOTES_STORE], 'readwrite', (transaction) => {
+            const store = transaction.objectStore(NOTES_STORE);
+            ids.forEach(id => store.delete(id));
+        });
+    }
+
+    /**
+     * Delete every note and queued operation
+     */
+    clear() {
+        return this.transact([NOTES_STORE, OPERATIONS_STORE], 'readwrite', (transaction) => {
+            transaction.objectStore(NOTES_STORE).clear();
+            transaction.objectStore(OPERATIONS_STORE).clear();
+        });
+    }
+
+    /**
+     * Queue an operation behind the ones already queued
+     * @param {Object} operation - Operation without a seq
+     * @returns {Promise<number>} Its position in the queue
+     */
+    async addOperation(operation) {
+        const sealed = await this.sealOperation(operation);
+        return this.transact([OPERATIONS_STORE], 'readwrite', (transaction) => {
+            const request = transaction.objectStore(OPERATIONS_STORE).add(sealed);
+            return () => request.result;
+        });
+    }
+
+    /**
+     * List queued operations in the order they were made
+     * @param {string} noteId - Only the operations on this note, when given
+     * @returns {Promise<Array<Object>>} Operations
+     */
+    async getOperations(noteId) {
+        const operations = await this.transact([OPERATIONS_STORE], 'readonly', (transaction) => {
+            const store = transaction.objectStore(OPERATIONS_STORE);
+            const request = noteId
+                ? store.index('note_id').getAll(IDBKeyRange.only(noteId))
+                : store.getAll();
+            return () => request.result.sort((a, b) => a.seq - b.seq);
+        });
+        return this.openOperations(operations);
+    }
+
+    /**
+     * Update queued operations
+     * @param {Array<Object>} operations - Operations with their seq
+     */
+    async putOperations(operations) {
+        const sealed = await Promise.all(operations.map(operation => this.sealOperation(operation)));
+        return this.transact([OPERATIONS_STORE], 'readwrite', (transaction) => {
+            const store = transaction.objectStore(OPERATIONS_STORE);
+            sealed.forEach(operation => store.put(operation));
+        });
+    }
+
+    /**
+     * Remove queued operations
+     * @param {Array<number>} seqs - Operation seqs
+     */
+    deleteOperations(seqs) {
+        return this.transact([OPERATIONS_STORE], 'readwrite', (transaction) => {
+            const store = transaction.objectStore(OPERATIONS_STORE);
+            seqs.forEach(seq => store.delete(seq));
+        });
+    }
+}
+
+export { NotesRepository, DB_VERSION, LEGACY_NOTE_KEY_PREFIXES, getSyncState, getNoteDomain };
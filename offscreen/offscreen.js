@@ -0,0 +1,73 @@
+/**
+ * Offscreen document - Makes object URLs for exported files. The service
+ * worker can't create object URLs, and a data: URL would hold the whole file
+ * in its memory as base64.
+ *
+ * The background sends a file in parts (see toMessageParts in exporter.js),
+ * asks for its URL, hands that to the downloads manager and says when the
+ * download is over, so the URL can be revoked.
+ */
+
+import { fromMessagePart } from '../exporter.js';
+
+// Files being put together, by export id
+const pendingFiles = new Map();
+
+// Object URLs handed to the downloads manager, by download id
+const downloadUrls = new Map();
+
+/**
+ * Handle a message meant for this document
+ * @param {Object} message - { target: 'offscreen', action, ... }
+ * @returns {Object|undefined} Response, or undefined for messages meant for others
+ */
+function onOffscreenMessage(message) {
+    if (message?.target !== 'offscreen') {
+        return undefined;
+    }
+
+    switch (message.action) {
+        case 'addExportPart': {
+            const parts = pendingFiles.get(message.exportId) || [];
+            parts.push(fromMessagePart(message.part));
+            pendingFiles.set(message.exportId, parts);
+            return { success: true };
+        }
+
+        case 'createExportUrl': {
+            const parts = pendingFiles.get(message.exportId) || [];
+            pendingFiles.delete(message.exportId);
+            return { success: true, url: URL.createObjectURL(new Blob(parts, { type: message.mimeType })) };
+        }
+
+        case 'trackDownload':
+            downloadUrls.set(message.downloadId, message.url);
+            return { success: true };
+
+        case 'revokeExportUrl': {
+            const url = message.url || downloadUrls.get(message.downloadId);
+            if (url) {
+                URL.revokeObjectURL(url);
+            }
+            downloadUrls.delete(message.downloadId);
+            // Every download ending is reported, not only exports
+            return { success: true, revoked: Boolean(url), remaining: downloadUrls.size + pendingFiles.size };
+        }
+
+        default:
+            return { success: false, error: `Unknown action: ${message.action}` };
+    }
+}
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    const response = onOffscreenMessage(message);
+    if (response) {
+        sendResponse(response);
+    }
+});
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        onOffscreenMessage
+    };
+}
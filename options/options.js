@@ -0,0 +1,573 @@
+import {
+    DEFAULT_SETTINGS,
+    SETTING_LIMITS,
+    validateSettings,
+    getSettings,
+    saveSettings,
+    getHostPermissionPattern
+} from '../settings.js';
+import { PII_DETECTORS } from '../redaction.js';
+
+const SETTING_FIELDS = [
+    'apiBaseUrl',
+    'batchInterval',
+    'maxBatchSize',
+    'maxLocalNotes',
+    'quickAnnotate',
+    'quickAnnotateTimeout',
+    'customIntents',
+    'capturePaused',
+    'captureBlocklist',
+    'captureAllowlist',
+    'incognitoPolicy',
+    'redactionEnabled',
+    'redactionMode',
+    'redactionDetectors',
+    'redactionPatterns'
+];
+
+// Settings edited as one entry per line
+const LIST_FIELDS = ['customIntents', 'captureBlocklist', 'captureAllowlist', 'redactionPatterns'];
+
+// Settings edited with a checkbox
+const BOOLEAN_FIELDS = ['quickAnnotate', 'capturePaused', 'redactionEnabled'];
+
+// Settings edited with a group of checkboxes, one per value
+const CHECKLIST_FIELDS = ['redactionDetectors'];
+
+// Problems listed after an import; the rest are counted
+const IMPORT_REPORT_LIMIT = 20;
+
+let elements = {};
+
+/**
+ * Initialize the options page when DOM is loaded
+ */
+document.addEventListener('DOMContentLoaded', function() {
+    initializeOptions();
+});
+
+/**
+ * Initialize options page functionality
+ */
+async function initializeOptions() {
+    console.log('Initializing BrowserBud options...');
+
+    elements = {
+        form: document.getElementById('settingsForm'),
+        testConnectionBtn: document.getElementById('testConnectionBtn'),
+        resetBtn: document.getElementById('resetBtn'),
+        status: document.getElementById('status'),
+        connectionStatus: document.getElementById('connectionStatus'),
+        accountStatus: document.getElementById('accountStatus'),
+        signedOutControls: document.getElementById('signedOutControls'),
+        signedInControls: document.getElementById('signedInControls'),
+        signInBtn: document.getElementById('signInBtn'),
+        apiToken: document.getElementById('apiToken'),
+        useTokenBtn: document.getElementById('useTokenBtn'),
+        signOutBtn: document.getElementById('signOutBtn'),
+        encryptionStatus: document.getElementById('encryptionStatus'),
+        encryptionOffControls: document.getElementById('encryptionOffControls'),
+        encryptionOnControls: document.getElementById('encryptionOnControls'),
+        newPassphrase: document.getElementById('newPassphrase'),
+        confirmPassphrase: document.getElementById('confirmPassphrase'),
+        currentPassphrase: document.getElementById('currentPassphrase'),
+        changePassphrase: document.getElementById('changePassphrase'),
+        enableEncryptionBtn: document.getElementById('enableEncryptionBtn'),
+        unlockEncryptionBtn: document.getElementById('unlockEncryptionBtn'),
+        lockEncryptionBtn: document.getElementById('lockEncryptionBtn'),
+        disableEncryptionBtn: document.getElementById('disableEncryptionBtn'),
+        changePassphraseBtn: document.getElementById('changePassphraseBtn'),
+        importFiles: document.getElementById('importFiles'),
+        importIntent: document.getElementById('importIntent'),
+        importBtn: document.getElementById('importBtn'),
+        importProgress: document.getElementById('importProgress'),
+        importProgressBar: document.getElementById('importProgressBar'),
+        importReport: document.getElementById('importReport')
+    };
+    SETTING_FIELDS.forEach(field => {
+        elements[field] = document.getElementById(field);
+    });
+    renderDetectorChoices();
+
+    // Mirror the validation bounds on the inputs
+    Object.entries(SETTING_LIMITS).forEach(([field, { min, max }]) => {
+        elements[field].min = min;
+        elements[field].max = max;
+    });
+
+    elements.form.addEventListener('submit', handleSave);
+    elements.testConnectionBtn.addEventListener('click', handleTestConnection);
+    elements.resetBtn.addEventListener('click', () => {
+        fillForm(DEFAULT_SETTINGS);
+        showErrors({});
+        updateStatus('Defaults restored - save to apply');
+    });
+
+    elements.signInBtn.addEventListener('click', () => handleSignIn());
+    elements.useTokenBtn.addEventListener('click', () => handleSignIn(elements.apiToken.value.trim()));
+    elements.signOutBtn.addEventListener('click', handleSignOut);
+
+    elements.enableEncryptionBtn.addEventListener('click', handleEnableEncryption);
+    elements.unlockEncryptionBtn.addEventListener('click', () => runEncryptionAction(
+        { action: 'unlockEncryption', passphrase: elements.currentPassphrase.value },
+        'Notes unlocked'
+    ));
+    elements.lockEncryptionBtn.addEventListener('click', () => runEncryptionAction(
+        { action: 'lockEncryption' },
+        'Notes locked'
+    ));
+    elements.disableEncryptionBtn.addEventListener('click', handleDisableEncryption);
+    elements.changePassphraseBtn.addEventListener('click', () => runEncryptionAction(
+        {
+            action: 'changeEncryptionPassphrase',
+            passphrase: elements.currentPassphrase.value,
+            newPassphrase: elements.changePassphrase.value
+        },
+        'Passphrase changed - every note was encrypted again'
+    ));
+
+    elements.importBtn.addEventListener('click', handleImport);
+    chrome.runtime.onMessage.addListener(message => {
+        if (message.action === 'importProgress') {
+            showImportProgress(message.processed, message.total);
+        }
+    });
+
+    fillForm(await getSettings());
+    await loadAccount();
+    await loadEncryption();
+    await loadImportIntents();
+}
+
+/**
+ * Offer the built-in and custom intents for imported notes that have none
+ */
+async function loadImportIntents() {
+    try {
+        const result = await chrome.runtime.sendMessage({ action: 'getIntents' });
+        elements.importIntent.innerHTML = '';
+        (result?.intents || [{ id: 'learn', title: 'Learn' }]).forEach(({ id, title }) => {
+            elements.importIntent.appendChild(new Option(title, id));
+        });
+    } catch (error) {
+        console.error('Error loading intents:', error);
+    }
+}
+
+/**
+ * Read the chosen files and import them through the background
+ */
+async function handleImport() {
+    const files = Array.from(elements.importFiles.files || []);
+    if (files.length === 0) {
+        updateStatus('Choose the files to import', true);
+        return;
+    }
+
+    elements.importBtn.disabled = true;
+    elements.importReport.hidden = true;
+    showImportProgress(0, 1);
+    updateStatus('Importing...');
+
+    try {
+        const contents = await Promise.all(files.map(async file => ({ name: file.name, text: await file.text() })));
+        const report = await chrome.runtime.sendMessage({
+            action: 'importNotes',
+            files: contents,
+            intent: elements.importIntent.value
+        });
+        if (!report || (!report.success && !report.files)) {
+            throw new Error(report?.error || 'No response');
+        }
+
+        showImportReport(report);
+        updateStatus(report.success ? `Imported ${report.imported} notes` : 'Import stopped: ' + report.error, !report.success);
+        elements.importFiles.value = '';
+    } catch (error) {
+        console.error('Error importing notes:', error);
+        updateStatus('Could not import: ' + error.message, true);
+    } finally {
+        elements.importBtn.disabled = false;
+        elements.importProgress.hidden = true;
+    }
+}
+
+function showImportProgress(processed, total) {
+    elements.importProgress.hidden = false;
+    elements.importProgressBar.style.width = `${total > 0 ? Math.round(processed / total * 100) : 0}%`;
+}
+
+/**
+ * Show what an import brought in and what it left out
+ * @param {Object} report - { imported, duplicates, held, skipped, files, errors }
+ */
+function showImportReport(report) {
+    const summary = document.createElement('div');
+    summary.textContent = [
+        `${report.imported} imported from ${report.files.length} ${report.files.length === 1 ? 'file' : 'files'}`,
+        report.held > 0 ? `${report.held} held for duplicate review in the popup` : null,
+        `${report.duplicates} already saved`,
+        `${report.skipped} skipped`
+    ].filter(Boolean).join(', ');
+
+    elements.importReport.textContent = '';
+    elements.importReport.appendChild(summary);
+
+    if (report.errors.length > 0) {
+        const list = document.createElement('ul');
+        report.errors.slice(0, IMPORT_REPORT_LIMIT).forEach(error => {
+            const item = document.createElement('li');
+            const where = [error.file, error.entry].filter(part => part !== undefined && part !== null).join(' - ');
+            item.textContent = `${where}: ${error.reason}`;
+            list.appendChild(item);
+        });
+        if (report.errors.length > IMPORT_REPORT_LIMIT) {
+            const more = document.createElement('li');
+            more.textContent = `and ${report.errors.length - IMPORT_REPORT_LIMIT} more`;
+            list.appendChild(more);
+        }
+        elements.importReport.appendChild(list);
+    }
+    elements.importReport.hidden = false;
+}
+
+/**
+ * Show whether notes are encrypted and unlocked
+ */
+async function loadEncryption() {
+    try {
+        const state = await chrome.runtime.sendMessage({ action: 'getEncryptionStatus' }) || {};
+
+        elements.encryptionStatus.textContent = !state.enabled ? 'Off'
+            : state.locked ? 'On - locked until you enter the passphrase' : 'On - unlocked';
+        elements.encryptionOffControls.hidden = !!state.enabled;
+        elements.encryptionOnControls.hidden = !state.enabled;
+    } catch (error) {
+        console.error('Error loading encryption state:', error);
+    }
+}
+
+/**
+ * Send an encryption action to the background, then show the new state.
+ * Passphrase fields are cleared either way.
+ * @param {Object} message - Message for the background
+ * @param {string} successMessage - Shown when it worked
+ * @returns {Promise<boolean>} Whether it worked
+ */
+async function runEncryptionAction(message, successMessage) {
+    updateStatus('Working...');
+
+    try {
+        const result = await chrome.runtime.sendMessage(message);
+        if (!result || !result.success) {
+            throw new Error(result?.error || 'No response');
+        }
+        updateStatus(successMessage);
+        return true;
+    } catch (error) {
+        console.error(`Error in ${message.action}:`, error);
+        updateStatus(error.message, true);
+        return false;
+    } finally {
+        ['newPassphrase', 'confirmPassphrase', 'currentPassphrase', 'changePassphrase'].forEach(field => {
+            elements[field].value = '';
+        });
+        await loadEncryption();
+    }
+}
+
+async function handleEnableEncryption() {
+    if (elements.newPassphrase.value !== elements.confirmPassphrase.value) {
+        updateStatus('The passphrases do not match', true);
+        return;
+    }
+
+    await runEncryptionAction(
+        { action: 'enableEncryption', passphrase: elements.newPassphrase.value },
+        'Encryption is on - every note was encrypted'
+    );
+}
+
+async function handleDisableEncryption() {
+    if (!confirm('Turn off encryption and store every note in the clear again?')) {
+        return;
+    }
+
+    await runEncryptionAction(
+        { action: 'disableEncryption', passphrase: elements.currentPassphrase.value },
+        'Encryption is off'
+    );
+}
+
+/**
+ * Show who is signed in to the saved server. Tokens stay in the background.
+ */
+async function loadAccount() {
+    try {
+        const state = await chrome.runtime.sendMessage({ action: 'getAuthState' });
+        showAccount(state || {});
+    } catch (error) {
+        console.error('Error loading account:', error);
+        showAccount({});
+    }
+}
+
+function showAccount(state) {
+    const name = state.user?.email || state.user?.name || state.user?.id;
+
+    if (state.signedIn) {
+        elements.accountStatus.textContent = `Signed in as ${name}`;
+    } else if (state.expired) {
+        elements.accountStatus.textContent = `Session for ${name} expired - sign in again`;
+    } else {
+        elements.accountStatus.textContent = 'Not signed in';
+    }
+    elements.accountStatus.classList.toggle('error', !!state.expired && !state.signedIn);
+
+    elements.signedOutControls.hidden = !!state.signedIn;
+    elements.signedInControls.hidden = !state.signedIn;
+}
+
+/**
+ * Sign in to the saved server, through its sign-in page or with an API token
+ * @param {string} token - API token, empty for the sign-in page
+ */
+async function handleSignIn(token = '') {
+    const button = token ? elements.useTokenBtn : elements.signInBtn;
+    button.disabled = true;
+    updateStatus('Signing in...');
+
+    try {
+        const result = await chrome.runtime.sendMessage({ action: 'signIn', token: token || undefined });
+        if (!result || !result.success) {
+            throw new Error(result?.error || 'No response');
+        }
+
+        elements.apiToken.value = '';
+        updateStatus('Signed in');
+        await loadAccount();
+    } catch (error) {
+        console.error('Error signing in:', error);
+        updateStatus('Could not sign in: ' + error.message, true);
+    } finally {
+        button.disabled = false;
+    }
+}
+
+/**
+ * Sign out and purge the notes stored in this browser
+ */
+async function handleSignOut() {
+    if (!confirm('Sign out and delete every note stored in this browser? Notes not synced yet will be lost.')) {
+        return;
+    }
+
+    try {
+        const result = await chrome.runtime.sendMessage({ action: 'signOut' });
+        if (!result || !result.success) {
+            throw new Error(result?.error || 'No response');
+        }
+
+        updateStatus('Signed out - local notes deleted');
+        await loadAccount();
+    } catch (error) {
+        console.error('Error signing out:', error);
+        updateStatus('Could not sign out: ' + error.message, true);
+    }
+}
+
+/**
+ * One checkbox per kind of personal data that can be redacted
+ */
+function renderDetectorChoices() {
+    elements.redactionDetectors.innerHTML = PII_DETECTORS.map(detector => `
+        <label class="checkbox-label">
+            <input type="checkbox" value="${detector.id}">
+            ${detector.label}
+        </label>
+    `).join('');
+}
+
+/**
+ * Populate the form from settings
+ */
+function fillForm(settings) {
+    SETTING_FIELDS.forEach(field => {
+        if (BOOLEAN_FIELDS.includes(field)) {
+            elements[field].checked = settings[field];
+        } else if (CHECKLIST_FIELDS.includes(field)) {
+            elements[field].querySelectorAll('input[type="checkbox"]').forEach(input => {
+                input.checked = (settings[field] || []).includes(input.value);
+            });
+        } else if (LIST_FIELDS.includes(field)) {
+            elements[field].value = (settings[field] || []).join('\n');
+        } else {
+            elements[field].value = settings[field];
+        }
+    });
+}
+
+/**
+ * Read settings from the form
+ */
+function readForm() {
+    const values = {};
+    SETTING_FIELDS.forEach(field => {
+        if (BOOLEAN_FIELDS.includes(field)) {
+            values[field] = elements[field].checked;
+        } else if (CHECKLIST_FIELDS.includes(field)) {
+            values[field] = Array.from(elements[field].querySelectorAll('input[type="checkbox"]:checked'), input => input.value);
+        } else if (LIST_FIELDS.includes(field)) {
+            values[field] = elements[field].value.split('\n');
+        } else {
+            values[field] = elements[field].value.trim();
+        }
+    });
+    return values;
+}
+
+/**
+ * Show validation errors next to their fields
+ * @param {Object} errors - Error messages keyed by setting name
+ */
+function showErrors(errors) {
+    SETTING_FIELDS.forEach(field => {
+        const errorElement = elements.form.querySelector(`.field-error[data-field="${field}"]`);
+        if (errorElement) {
+            errorElement.textContent = errors[field] || '';
+        }
+        elements[field].classList.toggle('invalid', !!errors[field]);
+    });
+}
+
+/**
+ * Ask for access to the API server's origin. Must run from a user gesture.
+ * @param {string} apiBaseUrl - API base URL
+ * @returns {Promise<boolean>} Whether access was granted
+ */
+async function requestHostPermission(apiBaseUrl) {
+    try {
+        return await chrome.permissions.request({ origins: [getHostPermissionPattern(apiBaseUrl)] });
+    } catch (error) {
+        console.error('Error requesting host permission:', error);
+        return false;
+    }
+}
+
+/**
+ * Check that an API server answers its health endpoint
+ * @param {string} apiBaseUrl - API base URL
+ * @returns {Promise<Object>} { success, data } or { success: false, error }
+ */
+async function testConnection(apiBaseUrl) {
+    try {
+        const response = await fetch(`${apiBaseUrl}/health`, {
+            method: 'GET',
+            headers: { 'Content-Type': 'application/json' },
+            signal: AbortSignal.timeout(5000)
+        });
+
+        if (!response.ok) {
+            return { success: false, error: `Server returned ${response.status}` };
+        }
+
+        const data = await response.json().catch(() => ({}));
+        return { success: true, data };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Validate, request access to the server and save the settings
+ */
+async function handleSave(event) {
+    event.preventDefault();
+
+    const { valid, errors, settings } = validateSettings(readForm());
+    showErrors(errors);
+
+    if (!valid) {
+        updateStatus('Please fix the highlighted settings', true);
+        return;
+    }
+
+    const granted = await requestHostPermission(settings.apiBaseUrl);
+    if (!granted) {
+        updateStatus('BrowserBud needs access to the server to sync notes', true);
+        return;
+    }
+
+    try {
+        const result = await saveSettings(settings);
+        if (!result.success) {
+            showErrors(result.errors);
+            updateStatus('Please fix the highlighted settings', true);
+            return;
+        }
+
+        fillForm(result.settings);
+        updateStatus('Settings saved');
+
+        // Sessions belong to a server, so a new URL may mean signed out
+        await loadAccount();
+    } catch (error) {
+        console.error('Error saving settings:', error);
+        updateStatus('Error saving settings: ' + error.message, true);
+    }
+}
+
+/**
+ * Test the server URL currently in the form
+ */
+async function handleTestConnection() {
+    const { errors, settings } = validateSettings({ apiBaseUrl: elements.apiBaseUrl.value.trim() });
+    showErrors({ apiBaseUrl: errors.apiBaseUrl });
+
+    if (errors.apiBaseUrl) {
+        return;
+    }
+
+    const granted = await requestHostPermission(settings.apiBaseUrl);
+    if (!granted) {
+        updateConnectionStatus('Permission to access the server was denied', 'error');
+        return;
+    }
+
+    updateConnectionStatus('Testing connection...', '');
+    const result = await testConnection(settings.apiBaseUrl);
+
+    if (result.success) {
+        updateConnectionStatus('✅ Server is reachable', 'success');
+    } else {
+        updateConnectionStatus(`❌ Could not reach server: ${result.error}`, 'error');
+    }
+}
+
+function updateConnectionStatus(message, state) {
+    elements.connectionStatus.textContent = message;
+    elements.connectionStatus.className = `connection-status ${state}`;
+}
+
+/**
+ * Update status message
+ */
+function updateStatus(message, isError = false) {
+    elements.status.textContent = message;
+    elements.status.classList.toggle('error', isError);
+    console.log('Status:', message);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        initializeOptions,
+        handleSave,
+        handleTestConnection,
+        handleSignIn,
+        handleSignOut,
+        handleEnableEncryption,
+        handleImport,
+        testConnection
+    };
+}
@@ -1,15 +1,66 @@
 const CHUNK_SIZE = 8000; // Maximum size per chunk
 const MAX_CHUNKS = 100;   // Limit total chunks to stay within storage quota
-const API_BASE_URL = 'http://localhost:8000/api';
+const NOTES_PAGE_SIZE = 10;
+const SEARCH_DEBOUNCE = 200; // ms
 
 let currentSessionData = {
     notes: [],
     domain: null,
+    tabId: null,
+    tabUrl: null,
     batchStatus: null,
     totalCaptured: 0,
     serverConnected: false
 };
 
+// Query, filters and page of the saved notes list
+let searchState = {
+    query: '',
+    intent: '',
+    domain: '',
+    tag: '',
+    sync: '',
+    dateFrom: '',
+    dateTo: '',
+    page: 0
+};
+
+// Notes currently listed, by id, for the per-note actions
+let displayedNotes = {};
+let rejectedNotes = {};
+let duplicateNotes = {};
+let redactedNotes = {};
+
+// Notes ticked in the list for a "Selected notes" bake or bulk tagging, and
+// the sites, intents and tags notes use, offered in filters and suggestions
+let selectedNoteIds = new Set();
+let bakeScopeFacets = { domains: [], intents: [], tags: [] };
+
+// Tags suggested as one is typed
+const TAG_SUGGESTION_LIMIT = 20;
+
+const BAKE_TEMPLATE_LABELS = {
+    summary: 'a summary',
+    flashcards: 'flashcards',
+    outline: 'an outline'
+};
+
+// Kinds of personal data the background redacts
+const REDACTION_LABELS = {
+    api_key: 'API key',
+    email: 'Email',
+    card: 'Card number',
+    phone: 'Phone',
+    custom: 'Custom pattern'
+};
+
+// Scopes that need a value, and what to ask for
+const BAKE_SCOPE_VALUE_LABELS = {
+    domain: 'a site',
+    intent: 'an intent',
+    tag: 'a tag'
+};
+
 let elements = {};
 
 /**
@@ -32,6 +83,10 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
             updateStatus(`${count} notes auto-synced to server`);
         });
     }
+
+    if (message.action === 'bakeJobUpdated') {
+        loadBakeJobs();
+    }
 });
 
 
@@ -46,16 +101,67 @@ function initializePopup() {
         saveBtn: document.getElementById('saveBtn'),
         clearBtn: document.getElementById('clearBtn'),
         downloadBtn: document.getElementById('downloadBtn'),
+        settingsBtn: document.getElementById('settingsBtn'),
         bakeBtn: document.getElementById('bakeBtn'),
         status: document.getElementById('status'),
         charCounter: document.getElementById('charCounter'),
         sessionNotesCount: document.getElementById('sessionNotesCount'),
         sessionDomain: document.getElementById('sessionDomain'),
         batchStatus: document.getElementById('batchStatus'),
+        siteHighlightToggle: document.getElementById('siteHighlightToggle'),
+        siteBlockToggle: document.getElementById('siteBlockToggle'),
+        pauseToggle: document.getElementById('pauseToggle'),
+        unlockBar: document.getElementById('unlockBar'),
+        unlockPassphrase: document.getElementById('unlockPassphrase'),
         notesList: document.getElementById('notesList'),
         notesContainer: document.getElementById('notesContainer'),
+        searchInput: document.getElementById('searchInput'),
+        intentFilter: document.getElementById('intentFilter'),
+        domainFilter: document.getElementById('domainFilter'),
+        syncFilter: document.getElementById('syncFilter'),
+        dateFrom: document.getElementById('dateFrom'),
+        dateTo: document.getElementById('dateTo'),
+        pager: document.getElementById('pager'),
+        prevPage: document.getElementById('prevPage'),
+        nextPage: document.getElementById('nextPage'),
+        pageInfo: document.getElementById('pageInfo'),
+        deadLetter: document.getElementById('deadLetter'),
+        deadLetterCount: document.getElementById('deadLetterCount'),
+        deadLetterList: document.getElementById('deadLetterList'),
+        duplicates: document.getElementById('duplicates'),
+        duplicateCount: document.getElementById('duplicateCount'),
+        duplicateList: document.getElementById('duplicateList'),
+        redactions: document.getElementById('redactions'),
+        redactionCount: document.getElementById('redactionCount'),
+        redactionList: document.getElementById('redactionList'),
+        exportPanel: document.getElementById('exportPanel'),
+        exportFormat: document.getElementById('exportFormat'),
+        exportIntent: document.getElementById('exportIntent'),
+        exportDomain: document.getElementById('exportDomain'),
+        exportFrom: document.getElementById('exportFrom'),
+        exportTo: document.getElementById('exportTo'),
+        exportConfirmBtn: document.getElementById('exportConfirmBtn'),
+        exportCancelBtn: document.getElementById('exportCancelBtn'),
+        bakeScope: document.getElementById('bakeScope'),
+        bakeScopeValue: document.getElementById('bakeScopeValue'),
+        bakeScopeOptions: document.getElementById('bakeScopeOptions'),
+        bakeTemplate: document.getElementById('bakeTemplate'),
+        bakePreview: document.getElementById('bakePreview'),
         bakeStatus: document.querySelector('.bake-status'),
-        processingResults: document.querySelector('.processing-results')
+        bakeProgressBar: document.getElementById('bakeProgressBar'),
+        processingResults: document.querySelector('.processing-results'),
+        resultsContent: document.getElementById('resultsContent'),
+        bakeHistoryList: document.getElementById('bakeHistoryList'),
+        manualTags: document.getElementById('manualTags'),
+        tagOptions: document.getElementById('tagOptions'),
+        tagFilter: document.getElementById('tagFilter'),
+        tagManager: document.getElementById('tagManager'),
+        tagManagerList: document.getElementById('tagManagerList'),
+        bulkTagBar: document.getElementById('bulkTagBar'),
+        bulkTagCount: document.getElementById('bulkTagCount'),
+        bulkTagInput: document.getElementById('bulkTagInput'),
+        bulkAddTagBtn: document.getElementById('bulkAddTagBtn'),
+        bulkRemoveTagBtn: document.getElementById('bulkRemoveTagBtn')
     };
 
     if (!validateElements()) {
@@ -95,11 +201,6 @@ function setupEventListeners() {
         elements.saveBtn.addEventListener('click', saveNotes);
     }
 
-    // Bake button
-    if (elements.bakeBtn) {
-        elements.bakeBtn.addEventListener('click', handleBake);
-    }
-
     // Clear button
     if (elements.clearBtn) {
         elements.clearBtn.addEventListener('click', clearNotes);
@@ -107,7 +208,96 @@ function setupEventListeners() {
 
     // Download button
     if (elements.downloadBtn) {
-        elements.downloadBtn.addEventListener('click', downloadNotes);
+        elements.downloadBtn.addEventListener('click', toggleExportPanel);
+    }
+
+    // Export dialog
+    if (elements.exportConfirmBtn) {
+        elements.exportConfirmBtn.addEventListener('click', exportNotes);
+    }
+    if (elements.exportCancelBtn) {
+        elements.exportCancelBtn.addEventListener('click', toggleExportPanel);
+    }
+
+    // Settings button
+    if (elements.settingsBtn) {
+        elements.settingsBtn.addEventListener('click', () => chrome.runtime.openOptionsPage());
+    }
+
+    // Unlock encrypted notes
+    if (elements.unlockBar) {
+        elements.unlockBar.addEventListener('submit', unlockNotes);
+    }
+
+    // Per-site highlighting toggle
+    if (elements.siteHighlightToggle) {
+        elements.siteHighlightToggle.addEventListener('change', toggleSiteHighlighting);
+    }
+
+    // Privacy: never capture from this site, pause all capturing
+    if (elements.siteBlockToggle) {
+        elements.siteBlockToggle.addEventListener('change', toggleSiteBlocked);
+    }
+    if (elements.pauseToggle) {
+        elements.pauseToggle.addEventListener('change', toggleCapturePaused);
+    }
+
+    // Search box, searching once typing pauses
+    if (elements.searchInput) {
+        let searchTimeout;
+
+        elements.searchInput.addEventListener('input', () => {
+            clearTimeout(searchTimeout);
+            searchTimeout = setTimeout(() => {
+                searchState.query = elements.searchInput.value;
+                searchState.page = 0;
+                searchNotes();
+            }, SEARCH_DEBOUNCE);
+        });
+    }
+
+    // Filters
+    [
+        ['intentFilter', 'intent'],
+        ['domainFilter', 'domain'],
+        ['tagFilter', 'tag'],
+        ['syncFilter', 'sync'],
+        ['dateFrom', 'dateFrom'],
+        ['dateTo', 'dateTo']
+    ].forEach(([elementName, field]) => {
+        if (elements[elementName]) {
+            elements[elementName].addEventListener('change', () => {
+                searchState[field] = elements[elementName].value;
+                searchState.page = 0;
+                searchNotes();
+            });
+        }
+    });
+
+    // Pages of results
+    if (elements.prevPage && elements.nextPage) {
+        elements.prevPage.addEventListener('click', () => {
+            searchState.page = Math.max(0, searchState.page - 1);
+            searchNotes();
+        });
+        elements.nextPage.addEventListener('click', () => {
+            searchState.page += 1;
+            searchNotes();
+        });
+    }
+
+    // Pin, edit, delete and conflict buttons on each listed note
+    if (elements.notesList) {
+        elements.notesList.addEventListener('click', handleNoteAction);
+    }
+    if (elements.deadLetterList) {
+        elements.deadLetterList.addEventListener('click', handleNoteAction);
+    }
+    if (elements.duplicateList) {
+        elements.duplicateList.addEventListener('click', handleNoteAction);
+    }
+    if (elements.redactionList) {
+        elements.redactionList.addEventListener('click', handleNoteAction);
     }
 
     // Auto-save and character counting
@@ -127,6 +317,58 @@ function setupEventListeners() {
         elements.bakeBtn.addEventListener('click', handleBakeNotes);
     }
 
+    // Bake scope and template, previewing how many notes a bake would take in
+    if (elements.bakeScope) {
+        elements.bakeScope.addEventListener('change', () => {
+            updateBakeScopeControls();
+            updateBakePreview();
+        });
+    }
+    if (elements.bakeTemplate) {
+        elements.bakeTemplate.addEventListener('change', updateBakePreview);
+    }
+    if (elements.bakeScopeValue) {
+        let previewTimeout;
+
+        elements.bakeScopeValue.addEventListener('input', () => {
+            clearTimeout(previewTimeout);
+            previewTimeout = setTimeout(updateBakePreview, SEARCH_DEBOUNCE);
+        });
+    }
+
+    // Ticking notes in the list picks them for a "Selected notes" bake
+    if (elements.notesList) {
+        elements.notesList.addEventListener('change', handleNoteSelection);
+    }
+
+    // Tag suggestions in every tag box, including the note editor's
+    document.addEventListener('input', (event) => {
+        if (event.target.classList && event.target.classList.contains('tag-input')) {
+            suggestTags(event.target);
+        }
+    });
+    document.addEventListener('focusin', (event) => {
+        if (event.target.classList && event.target.classList.contains('tag-input')) {
+            suggestTags(event.target);
+        }
+    });
+
+    // Tagging the selected notes
+    if (elements.bulkAddTagBtn && elements.bulkRemoveTagBtn) {
+        elements.bulkAddTagBtn.addEventListener('click', () => tagSelectedNotes('add'));
+        elements.bulkRemoveTagBtn.addEventListener('click', () => tagSelectedNotes('remove'));
+    }
+
+    // Renaming, merging and deleting tags
+    if (elements.tagManager) {
+        elements.tagManager.addEventListener('toggle', () => {
+            if (elements.tagManager.open) {
+                loadTagManager();
+            }
+        });
+        elements.tagManagerList.addEventListener('click', handleTagManagerAction);
+    }
+
     // Process pending batch button (if exists)
     const processPendingBtn = document.getElementById('processPendingBtn');
     if (processPendingBtn) {
@@ -144,6 +386,8 @@ async function loadInitialData() {
         // Get current tab info
         console.log('Step 1: Getting tab info...');
         await getCurrentTabInfo();
+        await loadSiteHighlighting();
+        await loadPrivacyState();
         
         // Load batch status from background script
         console.log('Step 2: Loading batch status...');
@@ -155,6 +399,10 @@ async function loadInitialData() {
         // Load recent notes
         console.log('Step 3: Loading recent notes...');
         await loadRecentNotes();
+
+        // Running bake and past results
+        await loadBakeJobs();
+        await updateBakePreview();
         
         // Update session display
         console.log('Step 4: Updating session display...');
@@ -177,6 +425,8 @@ async function getCurrentTabInfo() {
         const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
         if (tab) {
             currentSessionData.domain = new URL(tab.url).hostname;
+            currentSessionData.tabId = tab.id;
+            currentSessionData.tabUrl = tab.url;
         }
     } catch (error) {
         console.error('Error getting tab info:', error);
@@ -184,6 +434,149 @@ async function getCurrentTabInfo() {
     }
 }
 
+/**
+ * Show whether captured passages are highlighted on the current site
+ */
+async function loadSiteHighlighting() {
+    if (!elements.siteHighlightToggle) {
+        return;
+    }
+
+    // Highlights only exist on regular web pages
+    const isWebPage = /^https?:/.test(currentSessionData.tabUrl || '');
+    elements.siteHighlightToggle.disabled = !isWebPage;
+    if (!isWebPage) {
+        elements.siteHighlightToggle.checked = false;
+        return;
+    }
+
+    try {
+        const response = await chrome.runtime.sendMessage({
+            action: 'getSiteHighlighting',
+            url: currentSessionData.tabUrl
+        });
+        const granted = await chrome.permissions.contains({ origins: [getSitePattern(currentSessionData.tabUrl)] });
+        elements.siteHighlightToggle.checked = response?.enabled !== false && granted;
+    } catch (error) {
+        console.error('Error loading site highlighting:', error);
+    }
+}
+
+/**
+ * @param {string} url - Page URL
+ * @returns {string} Match pattern for the page's site
+ */
+function getSitePattern(url) {
+    const { protocol, hostname } = new URL(url);
+    return `${protocol}//${hostname}/*`;
+}
+
+/**
+ * Switch highlighting on or off for the current site. The highlighter only
+ * runs on sites BrowserBud has access to, so switching it on asks for that.
+ */
+async function toggleSiteHighlighting() {
+    const enabled = elements.siteHighlightToggle.checked;
+
+    try {
+        // Asked first, while the click still counts as a user gesture
+        if (enabled && !(await chrome.permissions.request({ origins: [getSitePattern(currentSessionData.tabUrl)] }))) {
+            elements.siteHighlightToggle.checked = false;
+            updateStatus(`Highlighting needs access to ${currentSessionData.domain}`);
+            return;
+        }
+
+        const response = await chrome.runtime.sendMessage({
+            action: 'setSiteHighlighting',
+            url: currentSessionData.tabUrl,
+            tabId: currentSessionData.tabId,
+            enabled
+        });
+        if (!response || !response.success) {
+            throw new Error(response?.error || 'No response from background');
+        }
+
+        updateStatus(enabled
+            ? `Highlighting on for ${currentSessionData.domain}`
+            : `Highlighting off for ${currentSessionData.domain}`);
+    } catch (error) {
+        console.error('Error updating site highlighting:', error);
+        elements.siteHighlightToggle.checked = !enabled;
+        updateStatus('Could not update highlighting');
+    }
+}
+
+/**
+ * Show whether capturing is paused and whether the current site is blocked
+ */
+async function loadPrivacyState() {
+    if (!elements.pauseToggle || !elements.siteBlockToggle) {
+        return;
+    }
+
+    try {
+        const response = await chrome.runtime.sendMessage({
+            action: 'getPrivacyState',
+            url: currentSessionData.tabUrl
+        });
+        if (!response || !response.success) {
+            throw new Error(response?.error || 'No response from background');
+        }
+
+        elements.pauseToggle.checked = response.paused;
+        elements.siteBlockToggle.disabled = !response.site;
+        elements.siteBlockToggle.checked = response.siteBlocked;
+    } catch (error) {
+        console.error('Error loading privacy state:', error);
+    }
+}
+
+/**
+ * Stop or resume capturing everywhere
+ */
+async function toggleCapturePaused() {
+    const paused = elements.pauseToggle.checked;
+
+    try {
+        const response = await chrome.runtime.sendMessage({ action: 'setCapturePaused', paused });
+        if (!response || !response.success) {
+            throw new Error(response?.error || 'No response from background');
+        }
+
+        updateStatus(paused ? 'BrowserBud paused - nothing will be captured' : 'BrowserBud resumed');
+    } catch (error) {
+        console.error('Error pausing capture:', error);
+        elements.pauseToggle.checked = !paused;
+        updateStatus('Could not pause BrowserBud');
+    }
+}
+
+/**
+ * Add the current site to the blocklist, or take it off
+ */
+async function toggleSiteBlocked() {
+    const blocked = elements.siteBlockToggle.checked;
+
+    try {
+        const response = await chrome.runtime.sendMessage({
+            action: 'setSiteBlocked',
+            url: currentSessionData.tabUrl,
+            blocked
+        });
+        if (!response || !response.success) {
+            throw new Error(response?.error || 'No response from background');
+        }
+
+        updateStatus(blocked
+            ? `Captures from ${response.site} blocked`
+            : `Captures from ${response.site} allowed`);
+    } catch (error) {
+        console.error('Error updating the blocklist:', error);
+        elements.siteBlockToggle.checked = !blocked;
+        updateStatus('Could not update the blocklist');
+    }
+}
+
 /**
  * Load batch status from background script
  */
@@ -218,29 +611,20 @@ async function loadBatchStatus() {
 }
 
 /**
- * Load recent notes from local storage
+ * Load recent notes from the notes repository, through the background
  */
 async function loadRecentNotes() {
-    console.log('Loading recent notes from local storage...');
+    console.log('Loading recent notes...');
 
     try {
-        const result = await chrome.storage.local.get(null);
-        console.log('Raw storage result:', result);
-        
-        const notes = Object.keys(result)
-        .filter(key => key.startsWith('note_') || key.startsWith('local_') || key.startsWith('manual_'))
-        .map(key => ({ 
-            key,
-            id: key,
-            ...result[key]
-        }))
-        .filter(note => note.content)
-        .sort((a, b) => {
-            const aTime = new Date(a.timestamp || 0);
-            const bTime = new Date(b.timestamp || 0);
-            return bTime - aTime;
-        });
-        console.log(`Processed ${notes.length} notes:`, notes)
+        const response = await chrome.runtime.sendMessage({ action: 'getNotes' });
+        if (!response || !response.success) {
+            throw new Error(response?.error || 'No response from background');
+        }
+
+        // Newest first
+        const notes = response.notes;
+        console.log(`Loaded ${notes.length} notes:`, notes);
 
         currentSessionData.notes = notes;
 
@@ -250,7 +634,14 @@ async function loadRecentNotes() {
         
         console.log('Final note counts - Storage:', storageCount, 'Batch:', batchCount, 'Using:', currentSessionData.totalCaptured);
         
-        displayNotes(notes);
+        // The list itself shows a page of search results
+        if (!(await searchNotes())) {
+            displayNotes(notes.slice(0, NOTES_PAGE_SIZE));
+        }
+
+        displayRejectedNotes(notes.filter(note => note.delivery?.status === 'rejected'));
+        await loadDuplicates();
+        await loadRedactionPreview();
         
     } catch (error) {
         console.error('Error loading notes from storage:', error);
@@ -259,49 +650,243 @@ async function loadRecentNotes() {
     }
 }
 
-async function debugStorageKeys() {
-    const result = await chrome.storage.local.get(null);
-    console.log('=== ALL STORAGE KEYS ===');
-    
-    Object.keys(result).forEach(key => {
-        const item = result[key];
-        console.log(`Key: ${key}`);
-        console.log('  Type:', typeof item);
-        console.log('  Has content:', !!item.content);
-        console.log('  Has source:', !!item.source);
-        console.log('  Has metadata:', !!item.metadata);
-        console.log('  Data:', item);
-        console.log('---');
-    });
-    const notesList = document.getElementById('notesList');
-    if (notesList) {
-        notesList.innerHTML = '';
-        
-        const noteKeys = Object.keys(result).filter(key => 
-            key.startsWith('note_') || key.startsWith('local_') || key.startsWith('manual_')
-        );
-        
-        if (noteKeys.length === 0) {
-            notesList.innerHTML = '<li style="color: red;">No note keys found!</li>';
-        } else {
-            noteKeys.forEach(key => {
-                const note = result[key];
-                const li = document.createElement('li');
-                li.style.border = '2px solid green';
-                li.style.padding = '10px';
-                li.style.margin = '5px';
-                
-                li.innerHTML = `
-                    <strong>Key:</strong> ${key}<br>
-                    <strong>Content:</strong> ${note.content?.substring(0, 100) || 'No content'}<br>
-                    <strong>Tag:</strong> ${note.tag || 'No tag'}<br>
-                    <strong>Domain:</strong> ${note.metadata?.domain || 'No domain'}
-                `;
-                
-                notesList.appendChild(li);
-            });
+/**
+ * Show the notes the server rejected, so they can be fixed and retried or discarded
+ * @param {Array<Object>} notes - Rejected notes
+ */
+function displayRejectedNotes(notes) {
+    if (!elements.deadLetter || !elements.deadLetterList) {
+        return;
+    }
+
+    rejectedNotes = {};
+    elements.deadLetter.style.display = notes.length > 0 ? 'block' : 'none';
+    elements.deadLetterCount.textContent = notes.length;
+
+    elements.deadLetterList.innerHTML = notes.map(note => {
+        rejectedNotes[note.id] = note;
+        return `
+            <li class="note-item rejected" data-id="${escapeHtml(note.id)}">
+                <div class="note-content">${escapeHtml(note.content || '')}</div>
+                <div class="note-rejection">${escapeHtml(note.delivery.last_error || 'Rejected by the server')}</div>
+                <div class="note-edit-buttons">
+                    <button type="button" data-action="edit">Edit</button>
+                    <button type="button" data-action="retry">Retry</button>
+                    <button type="button" data-action="delete">Discard</button>
+                </div>
+            </li>
+        `;
+    }).join('');
+}
+
+/**
+ * Show the captures held as possible duplicates, next to the notes they repeat
+ */
+async function loadDuplicates() {
+    if (!elements.duplicates || !elements.duplicateList) {
+        return;
+    }
+
+    try {
+        const response = await chrome.runtime.sendMessage({ action: 'getDuplicates' });
+        if (!response || !response.success) {
+            throw new Error(response?.error || 'No response from background');
+        }
+
+        const { duplicates } = response;
+        duplicateNotes = {};
+        elements.duplicates.style.display = duplicates.length > 0 ? 'block' : 'none';
+        elements.duplicateCount.textContent = duplicates.length;
+
+        elements.duplicateList.innerHTML = duplicates.map(({ note, match, kind, similarity, merged }) => {
+            duplicateNotes[note.id] = note;
+            const label = {
+                exact: 'Same as a saved note',
+                near: `${Math.round(similarity * 100)}% like a saved note`,
+                overlap: 'Overlaps a selection from this page. Merged:'
+            }[kind];
+            const shown = merged || match?.content || 'The saved note was deleted';
+            return `
+                <li class="note-item" data-id="${escapeHtml(note.id)}">
+                    <div class="note-content">${escapeHtml(note.content || '')}</div>
+                    <div class="duplicate-match"><span class="duplicate-kind">${escapeHtml(label)}</span> ${escapeHtml(shown)}</div>
+                    <div class="note-edit-buttons">
+                        <button type="button" data-action="keep-duplicate">Keep both</button>
+                        <button type="button" data-action="merge-duplicate"${match ? '' : ' disabled'}>Merge</button>
+                    </div>
+                </li>
+            `;
+        }).join('');
+    } catch (error) {
+        console.error('Error loading duplicates:', error);
+    }
+}
+
+/**
+ * Show what will be redacted from the notes in the next batch, so a note can
+ * be sent as captured instead
+ */
+async function loadRedactionPreview() {
+    if (!elements.redactions || !elements.redactionList) {
+        return;
+    }
+
+    try {
+        const response = await chrome.runtime.sendMessage({ action: 'getRedactionPreview' });
+        if (!response || !response.success) {
+            throw new Error(response?.error || 'No response from background');
+        }
+
+        const { notes } = response;
+        redactedNotes = {};
+        elements.redactions.style.display = notes.length > 0 ? 'block' : 'none';
+        elements.redactionCount.textContent = notes.length;
+
+        elements.redactionList.innerHTML = notes.map(({ note, override, items }) => {
+            redactedNotes[note.id] = note;
+
+            // The same value turns up in the text, its anchor and its context
+            const shown = new Map();
+            items.forEach(item => shown.set(`${item.detector}:${item.text}`, item));
+            const list = Array.from(shown.values()).map(item => `
+                <li><span class="redaction-kind">${escapeHtml(REDACTION_LABELS[item.detector] || item.detector)}</span>
+                    ${escapeHtml(item.text)} → ${escapeHtml(item.replacement)}</li>
+            `).join('');
+
+            return `
+                <li class="note-item" data-id="${escapeHtml(note.id)}">
+                    <div class="note-content">${escapeHtml(note.content || '')}</div>
+                    <ul class="redaction-items${override ? ' overridden' : ''}">${list}</ul>
+                    <div class="note-edit-buttons">
+                        ${override
+                            ? '<button type="button" data-action="redact">Redact</button>'
+                            : '<button type="button" data-action="send-unredacted">Send as captured</button>'}
+                    </div>
+                </li>
+            `;
+        }).join('');
+    } catch (error) {
+        console.error('Error loading redaction preview:', error);
+    }
+}
+
+/**
+ * Search params for the background's index, from the search box and filters
+ * @returns {Object} Query, filters and page
+ */
+function getSearchParams() {
+    const params = {
+        query: searchState.query,
+        intent: searchState.intent || undefined,
+        domain: searchState.domain || undefined,
+        tag: searchState.tag || undefined,
+        sync: searchState.sync || undefined,
+        page: searchState.page,
+        pageSize: NOTES_PAGE_SIZE
+    };
+
+    // Dates are picked as local days and cover the whole day
+    if (searchState.dateFrom) {
+        params.from = new Date(`${searchState.dateFrom}T00:00:00`).getTime();
+    }
+    if (searchState.dateTo) {
+        params.to = new Date(`${searchState.dateTo}T23:59:59.999`).getTime();
+    }
+
+    return params;
+}
+
+/**
+ * Whether the list is narrowed by a query or filter
+ * @returns {boolean}
+ */
+function isSearchActive() {
+    return Boolean(searchState.query.trim() || searchState.intent || searchState.domain || searchState.tag ||
+        searchState.sync || searchState.dateFrom || searchState.dateTo);
+}
+
+/**
+ * Show the current page of notes matching the search box and filters
+ * @returns {Promise<boolean>} Whether the background answered the search
+ */
+async function searchNotes() {
+    try {
+        const response = await chrome.runtime.sendMessage({
+            action: 'searchNotes',
+            params: getSearchParams()
+        });
+
+        if (!response || !response.success) {
+            throw new Error(response?.error || 'No response from background');
+        }
+
+        // Searching or filtering can leave the current page past the end
+        if (response.results.length === 0 && response.page > 0) {
+            searchState.page = Math.max(0, Math.ceil(response.total / response.pageSize) - 1);
+            return searchNotes();
+        }
+
+        updateFilterOptions(response.facets);
+        displayNotes(response.results.map(result => ({ ...result.note, snippet: result.snippet })));
+        updatePager(response.total, response.page, response.pageSize);
+        return true;
+    } catch (error) {
+        console.error('Error searching notes:', error);
+        return false;
+    }
+}
+
+/**
+ * Fill the intent, site and tag filters with the values notes use
+ * @param {Object} facets - { intents, domains, tags } as arrays of { value, count }
+ */
+function updateFilterOptions(facets) {
+    if (!facets) {
+        return;
+    }
+
+    bakeScopeFacets = { tags: [], ...facets };
+    updateBakeScopeControls();
+
+    [
+        [elements.intentFilter, facets.intents, 'All intents', searchState.intent],
+        [elements.domainFilter, facets.domains, 'All sites', searchState.domain],
+        [elements.tagFilter, bakeScopeFacets.tags, 'All tags', searchState.tag]
+    ].forEach(([select, values, allLabel, selected]) => {
+        if (!select) {
+            return;
         }
+
+        const options = [{ value: '', label: allLabel }]
+            .concat(values.map(({ value, count }) => ({ value, label: `${value} (${count})` })));
+        // Keep a selected value that no longer has notes, so the filter can be cleared
+        if (selected && !values.some(({ value }) => value === selected)) {
+            options.push({ value: selected, label: `${selected} (0)` });
+        }
+
+        select.innerHTML = options
+            .map(({ value, label }) => `<option value="${escapeHtml(value)}">${escapeHtml(label)}</option>`)
+            .join('');
+        select.value = selected;
+    });
+}
+
+/**
+ * Show which page of results is displayed
+ * @param {number} total - Matching notes
+ * @param {number} page - Zero-based page
+ * @param {number} pageSize - Notes per page
+ */
+function updatePager(total, page, pageSize) {
+    if (!elements.pager) {
+        return;
     }
+
+    const pageCount = Math.ceil(total / pageSize);
+    elements.pager.style.display = pageCount > 1 ? 'flex' : 'none';
+    elements.pageInfo.textContent = `${page * pageSize + 1}–${Math.min(total, (page + 1) * pageSize)} of ${total}`;
+    elements.prevPage.disabled = page === 0;
+    elements.nextPage.disabled = page >= pageCount - 1;
 }
 
 /**
@@ -332,6 +917,37 @@ function updateSessionStatusDisplay() {
         elements.batchStatus.className = `batch-status ${statusText.class}`;
         console.log('Updated batch status to:', statusText.text, 'class:', statusText.class);
     }
+
+    // Encrypted notes need the passphrase before they can be read or captured
+    if (elements.unlockBar) {
+        elements.unlockBar.style.display = currentSessionData.batchStatus?.encryption?.locked ? 'flex' : 'none';
+    }
+}
+
+/**
+ * Unlock encrypted notes with the passphrase
+ */
+async function unlockNotes(event) {
+    event.preventDefault();
+
+    try {
+        const response = await chrome.runtime.sendMessage({
+            action: 'unlockEncryption',
+            passphrase: elements.unlockPassphrase.value
+        });
+        if (!response || !response.success) {
+            throw new Error(response?.error || 'No response');
+        }
+
+        elements.unlockPassphrase.value = '';
+        updateStatus('Notes unlocked');
+        await loadBatchStatus();
+        await loadRecentNotes();
+        updateSessionStatusDisplay();
+    } catch (error) {
+        console.error('Error unlocking notes:', error);
+        updateStatus('Could not unlock: ' + error.message);
+    }
 }
 
 /**
@@ -340,6 +956,25 @@ function updateSessionStatusDisplay() {
 function getStatusText(status) {
     console.log('Getting status text for:', status);
 
+    // The circuit breaker has stopped requests to a failing server
+    if (status.circuit?.state === 'open') {
+        return { text: 'Offline', class: 'offline' };
+    }
+
+    if (status.circuit?.state === 'half-open') {
+        return { text: 'Reconnecting', class: 'syncing' };
+    }
+
+    // The server refused our credentials; notes wait until the user signs in
+    if (status.authRequired) {
+        return { text: 'Sign in needed', class: 'offline' };
+    }
+
+    // Captures are refused until the passphrase is entered
+    if (status.encryption?.locked) {
+        return { text: 'Locked', class: 'pending' };
+    }
+
     if (!status.serverConnected) {
         return { text: 'Offline', class: 'offline' };
     }
@@ -347,12 +982,26 @@ function getStatusText(status) {
     if (status.isProcessing) {
         return { text: 'Syncing', class: 'syncing' };
     }
-    
-    if (status.pendingCount > 0) {
-        return { text: `${status.pendingCount} Pending`, class: 'pending' };
+
+    if (status.stuckCount > 0) {
+        return { text: `${status.stuckCount} Stuck`, class: 'offline' };
     }
-    
-    return { text: 'Connected', class: 'synced' };
+
+    if (status.rejectedCount > 0) {
+        return { text: `${status.rejectedCount} Rejected`, class: 'offline' };
+    }
+
+    if (status.conflictCount > 0) {
+        return { text: `${status.conflictCount} Conflicts`, class: 'offline' };
+    }
+
+    // New notes and edits waiting to be sent
+    const pending = (status.pendingCount || 0) + (status.pendingOperations || 0);
+    if (pending > 0) {
+        return { text: `${pending} Pending`, class: 'pending' };
+    }
+    
+    return { text: 'Connected', class: 'synced' };
 }
 
 
@@ -377,12 +1026,13 @@ async function saveNotes() {
 
         const note = {
             content: notes,
-            user_id: "browser_user",
             source_url: "",
             title: "Manual Entry",
             timestamp: new Date().toISOString(),
+            type: "manual",
             intent: "reference",
-            user_note: ""
+            user_note: "",
+            tags: parseTagInput(elements.manualTags ? elements.manualTags.value : '')
         };
 
         // Send to background script for processing
@@ -396,8 +1046,13 @@ async function saveNotes() {
             currentSessionData.totalCaptured += 1;
             updateSessionStatusDisplay();
             
-            updateStatus('Note saved and queued!');
+            updateStatus(response.status === 'duplicate'
+                ? 'Saved - it looks like a note you already have, review it above'
+                : 'Note saved and queued!');
             elements.notesArea.value = '';
+            if (elements.manualTags) {
+                elements.manualTags.value = '';
+            }
             updateCharCount();
             
             // Reload data to show new note
@@ -473,28 +1128,17 @@ async function clearNotes() {
             updateStatus('Clearing notes...');
 
             // clear notes from server
-            const response = await fetch(API_BASE_URL + '/notes', {
-                method: 'DELETE',
-                headers: {
-                    'Content-Type': 'application/json',
-                }
-            });
-            if (!response.ok) {
-                throw new Error(`Server error: ${response.status}`);
+            const response = await chrome.runtime.sendMessage({ action: 'clearServerNotes' });
+            if (!response || !response.success) {
+                throw new Error(response?.error || 'Server did not respond');
             }
-            
-            const result = await response.json();
-            console.log('Server clear result:', result);
-
-            // clear local Chrome storage
-            const storageResult = await chrome.storage.local.get(null);
-            const noteKeys = Object.keys(storageResult).filter(key => 
-                key.startsWith('note_') || key.startsWith('local_') || key.startsWith('manual_')
-            );
-            
-            if (noteKeys.length > 0) {
-                await chrome.storage.local.remove(noteKeys);
-                console.log(`Cleared ${noteKeys.length} notes from local storage:`, noteKeys);
+
+            console.log('Server clear result:', response.result);
+
+            // clear local notes, including the pending batch
+            const localResult = await chrome.runtime.sendMessage({ action: 'clearLocalNotes' });
+            if (!localResult || !localResult.success) {
+                throw new Error(localResult?.error || 'Could not clear local notes');
             }
 
             if (elements.notesArea) {
@@ -508,9 +1152,9 @@ async function clearNotes() {
             updateSessionStatusDisplay();
 
             try {
-                await chrome.runtime.sendMessage({ action: 'clearBatch' });
+                await chrome.runtime.sendMessage({ action: 'clearHighlights' });
             } catch (bgError) {
-                console.warn('Could not clear background batch:', bgError);
+                console.warn('Could not clear highlights:', bgError);
             }
             updateStatus('All notes cleared successfully');
 
@@ -521,55 +1165,6 @@ async function clearNotes() {
     }
 }
 
-/**
- * Download notes as text file
- */
-async function downloadNotes() {
-    try {
-        let content = '';
-        
-        // Add current text area content
-        const currentNotes = elements.notesArea.value.trim();
-        if (currentNotes) {
-            content += `=== Current Notes ===\n${currentNotes}\n\n`;
-        }
-        
-        // Add saved notes
-        if (currentSessionData.notes.length > 0) {
-            content += '=== Saved Notes ===\n';
-            currentSessionData.notes.forEach((note, index) => {
-                content += `\n--- Note ${index + 1} (${note.intent || 'learn'}) ---\n`;
-                content += `${note.content}\n`;
-                content += `Source: ${note.title || 'Unknown'}\n`;
-                content += `URL: ${note.source_url || 'Unknown'}\n`;
-                content += `Date: ${new Date(note.timestamp || 0).toLocaleString()}\n`;
-            });
-        }
-        
-        if (!content.trim()) {
-            updateStatus('No notes to download');
-            return;
-        }
-        
-        // Create and download file
-        const blob = new Blob([content], { type: 'text/plain' });
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = `browserbud-${new Date().toISOString().split('T')[0]}.txt`;
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
-        URL.revokeObjectURL(url);
-        
-        updateStatus('Notes downloaded!');
-        
-    } catch (error) {
-        console.error('Error downloading notes:', error);
-        updateStatus('Download failed!');
-    }
-}
-
 /**
  * Process pending batch manually
  */
@@ -597,6 +1192,23 @@ async function processPendingBatch() {
 async function handleBakeNotes() {
     try {
         console.log('🔥 Bake button clicked');
+
+        // Show how many notes the bake takes in and ask before starting it
+        const preview = await updateBakePreview();
+        if (!preview) {
+            updateStatus('Choose which notes to bake');
+            return;
+        }
+        if (preview.scope && preview.count === 0) {
+            updateStatus('No notes match this bake scope');
+            return;
+        }
+
+        const template = elements.bakeTemplate ? elements.bakeTemplate.value : 'summary';
+        const notesLabel = preview.scope ? `${preview.count} notes` : 'all your notes';
+        if (!confirm(`Bake ${notesLabel} into ${BAKE_TEMPLATE_LABELS[template] || template}?`)) {
+            return;
+        }
         
         // Disable button and show processing state
         elements.bakeBtn.disabled = true;
@@ -618,9 +1230,13 @@ async function handleBakeNotes() {
         
         // Send bake request to background script
         const response = await chrome.runtime.sendMessage({
-            action: 'triggerBake',
-            additionalNotes: additionalNotes,
-            includeAdditionalNotes: includeAdditionalNotes
+            action: 'triggerBakeWithData',
+            bakeData: {
+                additionalNotes: additionalNotes,
+                includeAdditionalNotes: includeAdditionalNotes,
+                scope: preview.scope,
+                template
+            }
         });
         
         console.log('Bake response:', response);
@@ -641,6 +1257,7 @@ async function handleBakeNotes() {
             }
             
             updateStatus(`Baking initiated! Processing ${response.data?.notes_count || ''} notes.`);
+            await loadBakeJobs();
             
             // Reset button after delay
             setTimeout(() => {
@@ -708,33 +1325,43 @@ function displayNotes(notes) {
     }
     
     elements.notesList.innerHTML = '';
+    displayedNotes = {};
+    updateBulkTagBar();
     
     if (!notes || notes.length === 0) {
         console.log('No notes to display');
         const emptyMessage = document.createElement('li');
         emptyMessage.className = 'empty-state';
-        emptyMessage.textContent = 'No notes captured yet. Select text on any webpage and right-click "BrowserBud"';
+        emptyMessage.textContent = isSearchActive()
+            ? 'No notes match your search'
+            : 'No notes captured yet. Select text on any webpage and right-click "BrowserBud"';
         elements.notesList.appendChild(emptyMessage);
         return;
     }
 
-    const notesToShow = notes.slice(0, 10);
-    console.log(`Displaying ${notesToShow.length} out of ${notes.length} notes`);
+    console.log(`Displaying ${notes.length} notes`);
     
-    notesToShow.forEach((note, index) => { 
+    notes.forEach((note, index) => { 
         try {
-            // Show only recent 10 notes
             const li = document.createElement('li');
             
             const content = note.content || 'No content';
-            const tag = note.intent || 'learn';
+            const intent = note.intent || 'learn';
             const domain = new URL(note.source_url || 'https://unknown').hostname;
             const formattedTime = new Date(note.timestamp).toLocaleString();
             const wordCount = content.trim().split(/\s+/).length;
 
+            li.className = `note-item note-${note.type || 'selection'}${note.pinned ? ' pinned' : ''}`;
+            li.dataset.id = note.id;
             li.innerHTML = `
-                ${content.length > 150 ? content.substring(0, 150) + '...' : content}
-                <span class="note-type">${tag}</span>
+                <input type="checkbox" class="note-select" title="Select for baking or tagging"${selectedNoteIds.has(note.id) ? ' checked' : ''}>
+                ${renderNoteActions(note)}
+                ${renderNoteBody(note)}
+                <span class="note-type">${escapeHtml(intent)}</span>
+                ${renderNoteTags(note)}
+                ${note.user_note ? `<div class="note-comment">${escapeHtml(note.user_note)}</div>` : ''}
+                ${renderSyncState(note)}
+                ${note.conflict ? renderNoteConflict(note) : ''}
                 <div class="note-metadata">
                     <strong>Source:</strong> ${note.title || domain}<br>
                     <strong>Captured:</strong> ${formattedTime}<br>
@@ -743,13 +1370,393 @@ function displayNotes(notes) {
             `;
             
             elements.notesList.appendChild(li);
-            console.log(`Added note ${index + 1}:`, { content: content.substring(0, 50), tag, domain });
+            displayedNotes[note.id] = note;
+            console.log(`Added note ${index + 1}:`, { content: content.substring(0, 50), intent, tags: note.tags, domain });
         } catch (error) {
             console.error('Error displaying note:', note, error);
         }
     });
 }
 
+// Labels for capture types that aren't plain text
+const CAPTURE_TYPE_LABELS = {
+    image: 'Image',
+    link: 'Link',
+    page: 'Page'
+};
+
+/**
+ * Show whether a note is waiting to be uploaded or already on the server
+ * @param {Object} note - Note to render
+ * @returns {string} HTML
+ */
+function renderSyncState(note) {
+    if (note.delivery?.status === 'failed') {
+        return `<span class="note-delivery failed" title="${escapeHtml(note.delivery.last_error || '')}">${note.delivery.attempts} failed uploads</span>`;
+    }
+
+    if (note.delivery?.status === 'local') {
+        return '<span class="note-delivery local" title="Kept on this device by your privacy settings">This device only</span>';
+    }
+
+    if (note.delivery) {
+        return '<span class="note-delivery pending">Pending</span>';
+    }
+
+    const syncedAt = note.synced_at ? `Synced ${new Date(note.synced_at).toLocaleString()}` : 'Synced';
+    return `<span class="note-delivery synced" title="${escapeHtml(syncedAt)}">Synced</span>`;
+}
+
+/**
+ * Render a note's tags; clicking one lists the notes with that tag
+ * @param {Object} note - Note to render
+ * @returns {string} HTML
+ */
+function renderNoteTags(note) {
+    const tags = note.tags || [];
+    if (tags.length === 0) {
+        return '';
+    }
+
+    return `
+        <div class="note-tags">
+            ${tags.map(tag => `<button type="button" class="note-tag" data-action="filter-tag" data-tag="${escapeHtml(tag)}" title="Show notes tagged ${escapeHtml(tag)}">#${escapeHtml(tag)}</button>`).join('')}
+        </div>
+    `;
+}
+
+/**
+ * Render the pin, edit and delete buttons of a listed note
+ * @param {Object} note - Note to render
+ * @returns {string} HTML
+ */
+function renderNoteActions(note) {
+    return `
+        <div class="note-actions">
+            <button type="button" class="note-action${note.pinned ? ' active' : ''}" data-action="pin"
+                title="${note.pinned ? 'Unpin' : 'Pin to the top'}">📌</button>
+            <button type="button" class="note-action" data-action="edit" title="Edit">✏️</button>
+            <button type="button" class="note-action" data-action="delete" title="Delete">🗑️</button>
+        </div>
+    `;
+}
+
+/**
+ * Explain a conflict between this copy of a note and the server's
+ * @param {Object} note - Note with a conflict
+ * @returns {string} HTML
+ */
+function renderNoteConflict(note) {
+    const { conflict } = note;
+    let detail;
+
+    if (conflict.server_deleted) {
+        detail = 'This note was deleted on the server.';
+    } else if (conflict.type === 'delete') {
+        detail = 'This note changed on the server after you deleted it.';
+    } else {
+        detail = `The server has a different version: <em>${escapeHtml((conflict.server_content || '').substring(0, 200))}</em>`;
+    }
+
+    return `
+        <div class="note-conflict">
+            <div>⚠️ ${detail}</div>
+            <button type="button" data-action="keep-local">Keep mine</button>
+            <button type="button" data-action="keep-server">Use server's</button>
+        </div>
+    `;
+}
+
+/**
+ * Handle the buttons on a listed note
+ * @param {Event} event - Click inside the notes list
+ */
+async function handleNoteAction(event) {
+    const button = event.target.closest('[data-action]');
+    const item = button?.closest('li[data-id]');
+    if (!button || !item) {
+        return;
+    }
+
+    const note = displayedNotes[item.dataset.id] || rejectedNotes[item.dataset.id] ||
+        duplicateNotes[item.dataset.id] || redactedNotes[item.dataset.id];
+    if (!note) {
+        return;
+    }
+
+    try {
+        switch (button.dataset.action) {
+            case 'pin':
+                await sendNoteAction({ action: 'updateNote', id: note.id, changes: { pinned: !note.pinned } },
+                    note.pinned ? 'Note unpinned' : 'Note pinned');
+                break;
+
+            case 'edit':
+                await openNoteEditor(item, note);
+                break;
+
+            case 'save-edit':
+                await sendNoteAction({
+                    action: 'updateNote',
+                    id: note.id,
+                    changes: {
+                        content: item.querySelector('.note-edit-content').value,
+                        intent: item.querySelector('.note-edit-intent').value,
+                        user_note: item.querySelector('.note-edit-comment').value.trim(),
+                        tags: parseTagInput(item.querySelector('.note-edit-tags').value)
+                    }
+                }, 'Note updated');
+                break;
+
+            case 'filter-tag':
+                searchState.tag = button.dataset.tag;
+                searchState.page = 0;
+                await searchNotes();
+                break;
+
+            case 'cancel-edit':
+                await refreshData();
+                break;
+
+            case 'delete':
+                if (confirm('Delete this note? This cannot be undone.')) {
+                    await sendNoteAction({ action: 'deleteNote', id: note.id }, 'Note deleted');
+                }
+                break;
+
+            case 'retry':
+                await sendNoteAction({ action: 'retryRejectedNote', id: note.id }, 'Note queued again');
+                break;
+
+            case 'merge-duplicate':
+            case 'keep-duplicate':
+                await sendNoteAction({
+                    action: 'resolveDuplicate',
+                    id: note.id,
+                    choice: button.dataset.action === 'merge-duplicate' ? 'merge' : 'keep'
+                }, button.dataset.action === 'merge-duplicate' ? 'Notes merged' : 'Both notes kept');
+                break;
+
+            case 'send-unredacted':
+            case 'redact':
+                await sendNoteAction({
+                    action: 'setRedactionOverride',
+                    id: note.id,
+                    override: button.dataset.action === 'send-unredacted'
+                }, button.dataset.action === 'send-unredacted' ? 'Note will be sent as captured' : 'Note will be redacted');
+                break;
+
+            case 'keep-local':
+            case 'keep-server':
+                await sendNoteAction({
+                    action: 'resolveConflict',
+                    id: note.id,
+                    resolution: button.dataset.action === 'keep-local' ? 'local' : 'server'
+                }, 'Conflict resolved');
+                break;
+        }
+    } catch (error) {
+        console.error('Error handling note action:', error);
+        updateStatus(`Error: ${error.message}`);
+    }
+}
+
+/**
+ * Send a note change to the background and refresh the list
+ * @param {Object} message - Message for the background
+ * @param {string} successMessage - Status to show once it is saved
+ */
+async function sendNoteAction(message, successMessage) {
+    const response = await chrome.runtime.sendMessage(message);
+    if (!response || !response.success) {
+        throw new Error(response?.error || 'No response from background');
+    }
+
+    updateStatus(successMessage);
+    await refreshData();
+}
+
+/**
+ * Replace a listed note with a form to edit it
+ * @param {HTMLElement} item - The note's list item
+ * @param {Object} note - Note
+ */
+async function openNoteEditor(item, note) {
+    const response = await chrome.runtime.sendMessage({ action: 'getIntents' });
+    const intents = response?.success ? response.intents : [];
+
+    // Keep an intent that is no longer configured selectable
+    if (note.intent && !intents.some(intent => intent.id === note.intent)) {
+        intents.push({ id: note.intent, title: note.intent });
+    }
+
+    item.classList.add('editing');
+    item.innerHTML = `
+        <form class="note-edit-form">
+            <textarea class="note-edit-content" rows="4">${escapeHtml(note.content || '')}</textarea>
+            <select class="note-edit-intent">
+                ${intents.map(intent => `<option value="${escapeHtml(intent.id)}"${intent.id === note.intent ? ' selected' : ''}>${escapeHtml(intent.title)}</option>`).join('')}
+            </select>
+            <input type="text" class="note-edit-comment" placeholder="Your note">
+            <input type="text" class="note-edit-tags tag-input" list="tagOptions" placeholder="Tags, comma separated" autocomplete="off">
+            <div class="note-edit-buttons">
+                <button type="button" data-action="save-edit">Save</button>
+                <button type="button" data-action="cancel-edit">Cancel</button>
+            </div>
+        </form>
+    `;
+    item.querySelector('.note-edit-comment').value = note.user_note || '';
+    item.querySelector('.note-edit-tags').value = (note.tags || []).join(', ');
+    item.querySelector('.note-edit-content').focus();
+}
+
+/**
+ * Render the part of a note list item that depends on what was captured
+ * @param {Object} note - Note to render
+ * @returns {string} HTML
+ */
+function renderNoteBody(note) {
+    const content = note.content || 'No content';
+    const payload = note.payload || {};
+    const label = CAPTURE_TYPE_LABELS[note.type]
+        ? `<span class="note-capture-type">${CAPTURE_TYPE_LABELS[note.type]}</span>`
+        : '';
+
+    switch (note.type) {
+        case 'image':
+            return `
+                ${label}
+                ${payload.src_url ? `<img class="note-image" src="${escapeHtml(payload.src_url)}" alt="${escapeHtml(payload.alt_text || '')}">` : ''}
+                <div class="note-caption">${escapeHtml(content === payload.src_url ? 'No description' : content)}</div>
+            `;
+        case 'link': {
+            let hostname = '';
+            try {
+                hostname = new URL(payload.href).hostname;
+            } catch (error) {
+                hostname = payload.href || '';
+            }
+            return `
+                ${label}
+                <a class="note-link" href="${escapeHtml(payload.href || '')}" target="_blank" rel="noopener">${escapeHtml(content)}</a>
+                <span class="note-link-host">${escapeHtml(hostname)}</span>
+            `;
+        }
+        case 'page': {
+            const summary = payload.excerpt || content;
+            return `
+                ${label}
+                <strong class="note-page-title">${escapeHtml(note.title || 'Untitled page')}</strong>
+                <div class="note-caption">${hasSnippetMatches(note)
+                    ? renderSnippet(note.snippet)
+                    : escapeHtml(summary.length > 150 ? summary.substring(0, 150) + '...' : summary)}</div>
+            `;
+        }
+        default:
+            if (hasSnippetMatches(note)) {
+                return renderSnippet(note.snippet);
+            }
+            return escapeHtml(content.length > 150 ? content.substring(0, 150) + '...' : content);
+    }
+}
+
+/**
+ * Whether a search result's snippet has matched words to highlight
+ * @param {Object} note - Note, with the snippet from searchNotes
+ * @returns {boolean}
+ */
+function hasSnippetMatches(note) {
+    return Boolean(note.snippet && note.snippet.ranges.length > 0);
+}
+
+/**
+ * Render a snippet with its matched words marked
+ * @param {Object} snippet - { text, ranges } from the search index
+ * @returns {string} HTML
+ */
+function renderSnippet(snippet) {
+    let html = '';
+    let position = 0;
+
+    snippet.ranges.forEach(([start, end]) => {
+        html += escapeHtml(snippet.text.substring(position, start)) +
+            `<mark>${escapeHtml(snippet.text.substring(start, end))}</mark>`;
+        position = end;
+    });
+
+    return html + escapeHtml(snippet.text.substring(position));
+}
+
+/**
+ * Open or close the export dialog, offering the intents and sites notes use
+ */
+function toggleExportPanel() {
+    if (!elements.exportPanel) return;
+
+    const opening = elements.exportPanel.style.display === 'none';
+    elements.exportPanel.style.display = opening ? 'flex' : 'none';
+    if (!opening) return;
+
+    [
+        [elements.exportIntent, bakeScopeFacets.intents, 'All intents'],
+        [elements.exportDomain, bakeScopeFacets.domains, 'All sites']
+    ].forEach(([select, values, allLabel]) => {
+        if (!select) return;
+        const selected = select.value;
+        select.innerHTML = [`<option value="">${allLabel}</option>`]
+            .concat(values.map(({ value, count }) => (
+                `<option value="${escapeHtml(value)}">${escapeHtml(`${value} (${count})`)}</option>`
+            )))
+            .join('');
+        select.value = values.some(({ value }) => value === selected) ? selected : '';
+    });
+}
+
+/**
+ * Export every note matching the dialog's filters. The background builds
+ * and downloads the file, so the popup can close meanwhile.
+ */
+async function exportNotes() {
+    const format = elements.exportFormat ? elements.exportFormat.value : 'markdown';
+    const filter = {
+        intent: elements.exportIntent ? elements.exportIntent.value : '',
+        domain: elements.exportDomain ? elements.exportDomain.value : '',
+        // Date boxes are whole local days
+        from: elements.exportFrom?.value ? new Date(`${elements.exportFrom.value}T00:00:00`).toISOString() : null,
+        to: elements.exportTo?.value ? new Date(`${elements.exportTo.value}T23:59:59.999`).toISOString() : null
+    };
+
+    try {
+        elements.exportConfirmBtn.disabled = true;
+        updateStatus('Exporting notes...');
+
+        const response = await chrome.runtime.sendMessage({ action: 'exportNotes', format, filter });
+        if (!response || !response.success) {
+            throw new Error(response?.error || 'No response');
+        }
+
+        updateStatus(`Exported ${response.count} notes to ${response.filename}`);
+        toggleExportPanel();
+    } catch (error) {
+        console.error('Error exporting notes:', error);
+        updateStatus(`Export failed: ${error.message}`);
+    } finally {
+        elements.exportConfirmBtn.disabled = false;
+    }
+}
+
+/**
+ * Escape text for use in HTML, in element content or in a quoted attribute value
+ */
+function escapeHtml(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
 /**
  * Show bake status
  */
@@ -764,6 +1771,375 @@ function showBakeStatus(title, subtitle) {
     }
 }
 
+/**
+ * Scope picked for the next bake
+ * @returns {Object|null|undefined} Scope, null for every note, or undefined
+ *   while the chosen kind of scope still needs a value
+ */
+function getBakeScope() {
+    const kind = elements.bakeScope ? elements.bakeScope.value : 'all';
+    const value = elements.bakeScopeValue ? elements.bakeScopeValue.value.trim() : '';
+
+    switch (kind) {
+        case 'selected':
+            return { note_ids: [...selectedNoteIds] };
+
+        case 'today': {
+            const startOfDay = new Date();
+            startOfDay.setHours(0, 0, 0, 0);
+            return { from: startOfDay.toISOString() };
+        }
+
+        case 'week':
+            return { from: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString() };
+
+        case 'domain':
+        case 'intent':
+        case 'tag':
+            return value ? { [kind]: value } : undefined;
+
+        default:
+            return null;
+    }
+}
+
+/**
+ * Show the value box for scopes that need one, with the values notes use
+ */
+function updateBakeScopeControls() {
+    if (!elements.bakeScope || !elements.bakeScopeValue) return;
+
+    const kind = elements.bakeScope.value;
+    const label = BAKE_SCOPE_VALUE_LABELS[kind];
+    elements.bakeScopeValue.style.display = label ? 'block' : 'none';
+    if (!label) return;
+
+    elements.bakeScopeValue.placeholder = `Choose ${label}`;
+
+    let values = [];
+    if (kind === 'domain') {
+        values = bakeScopeFacets.domains.map(({ value }) => value);
+    } else if (kind === 'intent') {
+        values = bakeScopeFacets.intents.map(({ value }) => value);
+    } else {
+        values = bakeScopeFacets.tags.map(({ value }) => value);
+    }
+
+    if (elements.bakeScopeOptions) {
+        elements.bakeScopeOptions.innerHTML = values
+            .map(value => `<option value="${escapeHtml(value)}"></option>`)
+            .join('');
+    }
+}
+
+/**
+ * Tick or untick a note for a "Selected notes" bake
+ */
+function handleNoteSelection(event) {
+    const checkbox = event.target.closest('.note-select');
+    const item = checkbox?.closest('li[data-id]');
+    if (!checkbox || !item) {
+        return;
+    }
+
+    if (checkbox.checked) {
+        selectedNoteIds.add(item.dataset.id);
+        if (elements.bakeScope && elements.bakeScope.value !== 'selected') {
+            elements.bakeScope.value = 'selected';
+            updateBakeScopeControls();
+        }
+    } else {
+        selectedNoteIds.delete(item.dataset.id);
+    }
+
+    updateBulkTagBar();
+    updateBakePreview();
+}
+
+/**
+ * Tags typed in a box, comma separated
+ * @param {string} text - Box contents
+ * @returns {Array<string>} Tags; the background tidies them further
+ */
+function parseTagInput(text) {
+    return text.split(',').map(tag => tag.trim()).filter(Boolean);
+}
+
+/**
+ * Suggest tags in use that start with the one being typed. The box can hold
+ * several tags, so each suggestion keeps the ones already typed.
+ * @param {HTMLInputElement} input - Tag box
+ */
+function suggestTags(input) {
+    if (!elements.tagOptions) return;
+
+    const parts = input.value.split(',');
+    const typing = parts.pop().trim().replace(/^#/, '').toLowerCase();
+    const typed = parts.map(part => part.trim()).filter(Boolean);
+    const chosen = typed.map(tag => tag.toLowerCase());
+    const prefix = typed.length > 0 ? `${typed.join(', ')}, ` : '';
+
+    elements.tagOptions.innerHTML = bakeScopeFacets.tags
+        .filter(({ value }) => value.toLowerCase().startsWith(typing) && !chosen.includes(value.toLowerCase()))
+        .slice(0, TAG_SUGGESTION_LIMIT)
+        .map(({ value }) => `<option value="${escapeHtml(prefix + value)}"></option>`)
+        .join('');
+}
+
+/**
+ * Show the bulk tagging bar while notes are ticked
+ */
+function updateBulkTagBar() {
+    if (!elements.bulkTagBar) return;
+
+    elements.bulkTagBar.style.display = selectedNoteIds.size > 0 ? 'flex' : 'none';
+    elements.bulkTagCount.textContent = `${selectedNoteIds.size} selected`;
+}
+
+/**
+ * Add the typed tags to the ticked notes, or remove them
+ * @param {string} change - 'add' or 'remove'
+ */
+async function tagSelectedNotes(change) {
+    const tags = parseTagInput(elements.bulkTagInput.value);
+    if (tags.length === 0) {
+        updateStatus('Type a tag first');
+        return;
+    }
+
+    try {
+        const response = await chrome.runtime.sendMessage({
+            action: 'tagNotes',
+            ids: [...selectedNoteIds],
+            [change]: tags
+        });
+        if (!response || !response.success) {
+            throw new Error(response?.error || 'No response from background');
+        }
+
+        elements.bulkTagInput.value = '';
+        updateStatus(change === 'add'
+            ? `Tagged ${response.updated} notes`
+            : `Removed the tag from ${response.updated} notes`);
+        await refreshData();
+    } catch (error) {
+        console.error('Error tagging notes:', error);
+        updateStatus(`Error: ${error.message}`);
+    }
+}
+
+/**
+ * List every tag with how many notes have it
+ */
+async function loadTagManager() {
+    if (!elements.tagManagerList) return;
+
+    try {
+        const response = await chrome.runtime.sendMessage({ action: 'getTags' });
+        if (!response || !response.success) {
+            throw new Error(response?.error || 'No response from background');
+        }
+
+        elements.tagManagerList.innerHTML = response.tags.length === 0
+            ? '<li class="empty-state">No tags yet. Add them when capturing, editing or in bulk.</li>'
+            : response.tags.map(({ value, count }) => `
+                <li data-tag="${escapeHtml(value)}" data-count="${count}">
+                    <span class="tag-name">#${escapeHtml(value)}</span>
+                    <span class="tag-count">${count}</span>
+                    <button type="button" data-tag-action="rename">Rename</button>
+                    <button type="button" data-tag-action="merge">Merge</button>
+                    <button type="button" data-tag-action="delete">Delete</button>
+                </li>
+            `).join('');
+    } catch (error) {
+        console.error('Error loading tags:', error);
+        elements.tagManagerList.innerHTML = '<li class="empty-state">Could not load tags</li>';
+    }
+}
+
+/**
+ * Rename, merge or delete a tag across every note
+ * @param {Event} event - Click inside the tag manager
+ */
+async function handleTagManagerAction(event) {
+    const button = event.target.closest('[data-tag-action]');
+    const item = button?.closest('li[data-tag]');
+    if (!button || !item) {
+        return;
+    }
+
+    const tag = item.dataset.tag;
+    const isExisting = (name) => bakeScopeFacets.tags.some(({ value }) => (
+        value.toLowerCase() === name.toLowerCase() && value.toLowerCase() !== tag.toLowerCase()
+    ));
+    let message;
+    let done;
+
+    switch (button.dataset.tagAction) {
+        case 'rename': {
+            const name = (prompt(`Rename "${tag}" to:`, tag) || '').trim();
+            if (!name || name === tag) return;
+            if (isExisting(name) && !confirm(`"${name}" is already a tag. Merge "${tag}" into it?`)) return;
+            message = { action: 'renameTag', from: tag, to: name };
+            done = name;
+            break;
+        }
+        case 'merge': {
+            const name = (prompt(`Merge "${tag}" into which tag?`) || '').trim();
+            if (!name) return;
+            message = { action: 'mergeTags', tags: [tag], into: name };
+            done = name;
+            break;
+        }
+        case 'delete':
+            if (!confirm(`Remove the tag "${tag}" from ${item.dataset.count} notes?`)) return;
+            message = { action: 'deleteTag', tag };
+            done = '';
+            break;
+        default:
+            return;
+    }
+
+    try {
+        const response = await chrome.runtime.sendMessage(message);
+        if (!response || !response.success) {
+            throw new Error(response?.error || 'No response from background');
+        }
+
+        // Keep listing the same notes if they were filtered by this tag
+        if (searchState.tag.toLowerCase() === tag.toLowerCase()) {
+            searchState.tag = done;
+        }
+        updateStatus(`Changed ${response.updated} notes`);
+        await refreshData();
+        await loadTagManager();
+    } catch (error) {
+        console.error('Error changing tag:', error);
+        updateStatus(`Error: ${error.message}`);
+    }
+}
+
+/**
+ * Ask the background how many notes the chosen scope takes in
+ * @returns {Promise<Object|null>} { count, pendingCount, scope }, or null if
+ *   the scope is not complete or not valid
+ */
+async function updateBakePreview() {
+    const scope = getBakeScope();
+    const kind = elements.bakeScope ? elements.bakeScope.value : 'all';
+
+    const showPreview = (text, isError = false) => {
+        if (elements.bakePreview) {
+            elements.bakePreview.textContent = text;
+            elements.bakePreview.classList.toggle('error', isError);
+        }
+    };
+
+    if (scope === undefined) {
+        showPreview(`Choose ${BAKE_SCOPE_VALUE_LABELS[kind]} to bake`);
+        return null;
+    }
+
+    try {
+        const preview = await chrome.runtime.sendMessage({ action: 'previewBake', scope });
+        if (!preview || !preview.success) {
+            throw new Error(preview?.error || 'No response');
+        }
+
+        const template = elements.bakeTemplate ? elements.bakeTemplate.value : 'summary';
+        const into = BAKE_TEMPLATE_LABELS[template] || template;
+        const unsynced = preview.pendingCount > 0 ? ` (${preview.pendingCount} sent first)` : '';
+        showPreview(preview.scope
+            ? `${preview.count} notes${unsynced} will be baked into ${into}`
+            : `All your notes will be baked into ${into} - ${preview.count} stored here${unsynced}`);
+        return preview;
+    } catch (error) {
+        console.error('Error previewing bake:', error);
+        showPreview(error.message, true);
+        return null;
+    }
+}
+
+/**
+ * Load the running bake and past bakes from the background
+ */
+async function loadBakeJobs() {
+    try {
+        const response = await chrome.runtime.sendMessage({ action: 'getBakeJobs' });
+        if (response && response.success) {
+            displayBakeJobs(response.active, response.history || []);
+        }
+    } catch (error) {
+        console.error('Error loading bake jobs:', error);
+    }
+}
+
+/**
+ * Show the running bake's progress, the last bake's results and the history
+ * @param {Object|null} active - Running bake job
+ * @param {Array<Object>} history - Finished bakes, newest first
+ */
+function displayBakeJobs(active, history) {
+    if (active) {
+        const progress = active.progress ?? null;
+        showBakeStatus(
+            active.status === 'queued' ? 'Waiting for the server...' : `Baking... ${progress !== null ? `${progress}%` : ''}`.trim(),
+            active.stage || (active.notes_count ? `Processing ${active.notes_count} notes` : 'Processing your notes through AI pipeline')
+        );
+        if (elements.bakeProgressBar) {
+            elements.bakeProgressBar.style.width = `${progress || 0}%`;
+        }
+    } else {
+        hideBakeStatus();
+    }
+
+    if (!elements.processingResults) return;
+
+    if (history.length === 0) {
+        elements.processingResults.style.display = 'none';
+        return;
+    }
+    elements.processingResults.style.display = 'block';
+
+    const [last] = history;
+    if (elements.resultsContent) {
+        elements.resultsContent.innerHTML = last.status === 'failed'
+            ? `<div class="bake-error">Bake failed: ${escapeHtml(last.error || 'unknown error')}</div>`
+            : renderInsights(last);
+    }
+
+    if (elements.bakeHistoryList) {
+        elements.bakeHistoryList.innerHTML = history.map(job => {
+            const when = new Date(job.finished_at || job.started_at).toLocaleString();
+            const outcome = job.status === 'failed'
+                ? `failed: ${escapeHtml(job.error || 'unknown error')}`
+                : `${(job.insights || []).length} insights${job.notes_count ? ` from ${job.notes_count} notes` : ''}`;
+            return `<li class="${job.status === 'failed' ? 'failed' : ''}">${escapeHtml(when)} - ${escapeHtml(job.template || 'summary')}, ${outcome}</li>`;
+        }).join('');
+    }
+}
+
+/**
+ * Insights of a finished bake as HTML
+ * @param {Object} job - Completed bake job
+ * @returns {string} HTML
+ */
+function renderInsights(job) {
+    const insights = job.insights || [];
+    const summary = job.summary ? `<div class="bake-insight">${escapeHtml(job.summary)}</div>` : '';
+
+    if (insights.length === 0) {
+        return summary || '<div class="bake-insight">The server finished baking without returning any insights.</div>';
+    }
+
+    return summary + insights.map(insight => `
+        <div class="bake-insight">
+            ${insight.title ? `<div class="bake-insight-title">${escapeHtml(insight.title)}</div>` : ''}
+            <div>${escapeHtml(insight.content)}</div>
+        </div>
+    `).join('');
+}
+
 /**
  * Hide bake status
  */
@@ -879,6 +2255,7 @@ if (typeof module !== 'undefined' && module.exports) {
         saveNotes,
         handleBake,
         updateCharCount,
-        updateStatus
+        updateStatus,
+        escapeHtml
     };
 }
\ No newline at end of file
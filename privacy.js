@@ -0,0 +1,175 @@
+/**
+ * Privacy - Rules for which pages BrowserBud may capture from and upload.
+ *
+ * A capture is refused while BrowserBud is paused, on a page matching the
+ * blocklist, or, when the allowlist isn't empty, on a page matching none of
+ * it. Incognito captures are refused, kept on this device only, or treated
+ * like any other, depending on the incognito policy. Notes typed in the
+ * popup come from no page and are always saved.
+ *
+ * Patterns are a site ("example.com", which covers its subdomains, or
+ * "*.example.com") or a URL with * wildcards ("example.com/private/*",
+ * "https://mail.google.com/*"), compared without case.
+ */
+
+const INCOGNITO_POLICIES = {
+    BLOCK: 'block',     // not captured at all
+    LOCAL_ONLY: 'local', // captured but never uploaded
+    ALLOW: 'allow'      // captured and uploaded like any other note
+};
+
+const MAX_PRIVACY_PATTERNS = 200;
+
+/**
+ * Error for a capture the privacy rules refuse
+ */
+class CaptureBlockedError extends Error {
+    constructor(message = 'The privacy rules do not allow this capture') {
+        super(message);
+        this.name = 'CaptureBlockedError';
+    }
+}
+
+/**
+ * Tidy a pattern as typed
+ * @param {string} pattern - Pattern
+ * @returns {string} Pattern trimmed and in lower case, without a trailing slash on a bare site
+ */
+function normalizePattern(pattern) {
+    const tidy = String(pattern ?? '').trim().toLowerCase();
+    return /^[^/]*\/$/.test(tidy) ? tidy.slice(0, -1) : tidy;
+}
+
+/**
+ * Why a pattern can't be used
+ * @param {string} pattern - Normalized pattern
+ * @returns {string|null} Reason, or null if it is valid
+ */
+function getPatternError(pattern) {
+    if (/\s/.test(pattern)) {
+        return `"${pattern}" must not contain spaces`;
+    }
+    const site = pattern.replace(/^[a-z]+:\/\//, '').split('/')[0];
+    if (!/^(\*\.)?[a-z0-9*-]+(\.[a-z0-9*-]+)*(:\d+)?$/.test(site) || site === '*') {
+        return `"${pattern}" is not a site or URL pattern`;
+    }
+    return null;
+}
+
+/**
+ * Validate a list of patterns
+ * @param {*} patterns - Patterns as typed
+ * @param {string} label - List name for messages
+ * @returns {Object} { error, patterns } with blank and repeated patterns dropped
+ */
+function validatePatterns(patterns, label) {
+    if (!Array.isArray(patterns) || patterns.some(pattern => typeof pattern !== 'string')) {
+        return { error: `${label} must be a list of sites or URLs` };
+    }
+
+    const tidy = [...new Set(patterns.map(normalizePattern).filter(Boolean))];
+    if (tidy.length > MAX_PRIVACY_PATTERNS) {
+        return { error: `${label} can hold at most ${MAX_PRIVACY_PATTERNS} entries` };
+    }
+    for (const pattern of tidy) {
+        const error = getPatternError(pattern);
+        if (error) {
+            return { error };
+        }
+    }
+    return { error: null, patterns: tidy };
+}
+
+function globToRegExp(glob) {
+    return new RegExp(`^${glob.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`);
+}
+
+/**
+ * Whether a URL matches a pattern
+ * @param {string} url - Page URL
+ * @param {string} pattern - Normalized pattern
+ * @returns {boolean}
+ */
+function matchesPattern(url, pattern) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (error) {
+        return false;
+    }
+    // A site covers itself and its subdomains, on any port unless it names one
+    if (!pattern.includes('/')) {
+        const site = pattern.replace(/^\*\./, '');
+        const host = (site.includes(':') ? parsed.host : parsed.hostname).toLowerCase();
+        return site.includes('*')
+            ? globToRegExp(site).test(host)
+            : host === site || host.endsWith(`.${site}`);
+    }
+
+    // A URL pattern matches the whole URL, with or without its scheme
+    const target = /^[a-z]+:\/\//.test(pattern)
+        ? `${parsed.protocol}//${parsed.host}${parsed.pathname}${parsed.search}`
+        : `${parsed.host}${parsed.pathname}${parsed.search}`;
+    return globToRegExp(pattern).test(target.toLowerCase());
+}
+
+/**
+ * The site pattern that covers a web page
+ * @param {string} url - Page URL
+ * @returns {string|null} Host name, or null for anything but an http(s) page
+ */
+function getSiteFromUrl(url) {
+    if (!/^https?:\/\//i.test(url || '')) {
+        return null;
+    }
+    try {
+        return new URL(url).hostname.toLowerCase();
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Whether a note may be captured, and whether it may leave this device
+ * @param {Object} source - { url, incognito } of the page it comes from; url is empty for typed notes
+ * @param {Object} rules - { capturePaused, captureBlocklist, captureAllowlist, incognitoPolicy }
+ * @returns {Object} { allowed, localOnly, reason } where reason says why it was refused
+ */
+function getCaptureDecision(source, rules) {
+    const { url, incognito } = source;
+    const hasPage = /^https?:\/\//i.test(url || '');
+
+    if (!hasPage && !incognito) {
+        return { allowed: true, localOnly: false, reason: null };
+    }
+    if (rules.capturePaused) {
+        return { allowed: false, localOnly: false, reason: 'BrowserBud is paused' };
+    }
+    if (incognito && rules.incognitoPolicy === INCOGNITO_POLICIES.BLOCK) {
+        return { allowed: false, localOnly: false, reason: 'Captures from incognito windows are turned off' };
+    }
+    if (hasPage && (rules.captureBlocklist || []).some(pattern => matchesPattern(url, pattern))) {
+        return { allowed: false, localOnly: false, reason: `Captures from ${new URL(url).hostname} are blocked` };
+    }
+    const allowlist = rules.captureAllowlist || [];
+    if (hasPage && allowlist.length > 0 && !allowlist.some(pattern => matchesPattern(url, pattern))) {
+        return { allowed: false, localOnly: false, reason: `${new URL(url).hostname} is not on the capture allowlist` };
+    }
+
+    return {
+        allowed: true,
+        localOnly: Boolean(incognito) && rules.incognitoPolicy !== INCOGNITO_POLICIES.ALLOW,
+        reason: null
+    };
+}
+
+export {
+    INCOGNITO_POLICIES,
+    MAX_PRIVACY_PATTERNS,
+    CaptureBlockedError,
+    normalizePattern,
+    validatePatterns,
+    getSiteFromUrl,
+    matchesPattern,
+    getCaptureDecision
+};
@@ -0,0 +1,322 @@
+/**
+ * Redaction - Finds personal data in notes and masks or hashes it before upload.
+ *
+ * Each detector is a pattern plus, where the format has one, a check:
+ * card numbers must pass the Luhn checksum and keys must start with a prefix
+ * a known service issues, so order numbers and random words are left alone.
+ * Users can add their own patterns. A match is replaced by its tag
+ * ("[email]") in mask mode, or by its tag and a short HMAC-SHA-256 of the
+ * value ("[email:1a2b3c4d5e6f]") in hash mode, so the server can still tell
+ * that two notes mention the same address. The HMAC key is a secret made
+ * once per install and never uploaded, so the server can't recover phone or
+ * card numbers by hashing every possible one. Only the uploaded copy is redacted;
+ * the note kept in this browser stays as it was captured.
+ */
+
+import { getPath, setPath } from './encryption.js';
+
+const REDACTION_MODES = {
+    MASK: 'mask',
+    HASH: 'hash'
+};
+
+// Fields of a note, and of a queued edit, that hold text from the page or
+// the user. Lists and objects (metadata.headings) have each string in them redacted.
+const REDACTED_FIELDS = [
+    'content',
+    'user_note',
+    'title',
+    'source_url',
+    'anchor.quote.exact',
+    'anchor.quote.prefix',
+    'anchor.quote.suffix',
+    'payload.alt_text',
+    'payload.caption',
+    'payload.text',
+    'payload.excerpt',
+    'payload.title',
+    'payload.href',
+    'payload.src_url',
+    'metadata.surroundingText',
+    'metadata.selectionHtml',
+    'metadata.headings',
+    'metadata.frameUrl'
+];
+
+// URLs carry personal data percent-encoded (alice%40example.com) in their query
+const URL_FIELDS = ['source_url', 'payload.href', 'payload.src_url', 'metadata.frameUrl'];
+
+const MAX_REDACTION_PATTERNS = 20;
+const HASH_LENGTH = 12; // hex digits of the HMAC kept in hash mode
+const HASH_SECRET_KEY = 'redaction_secret'; // chrome.storage.local key of the HMAC secret
+
+let hashKey = null; // promise of the HMAC key, once loaded
+
+// Token prefixes of services whose keys are often pasted into pages and notes
+const API_KEY_PATTERN = new RegExp([
+    'sk-(?:proj-|ant-)?[A-Za-z0-9_-]{20,}',  // OpenAI, Anthropic
+    '(?:sk|rk|pk)_(?:live|test)_[A-Za-z0-9]{16,}', // Stripe
+    'gh[pousr]_[A-Za-z0-9]{36,}',            // GitHub
+    'github_pat_[A-Za-z0-9_]{22,}',
+    'glpat-[A-Za-z0-9_-]{20,}',              // GitLab
+    'xox[abprs]-[A-Za-z0-9-]{10,}',          // Slack
+    '(?:AKIA|ASIA)[0-9A-Z]{16}',             // AWS access key ids
+    'AIza[0-9A-Za-z_-]{35}'                  // Google
+].map(prefix => `(?<![A-Za-z0-9_-])${prefix}(?![A-Za-z0-9_-])`).join('|'), 'g');
+
+const countDigits = (text) => text.replace(/\D/g, '').length;
+
+/**
+ * Luhn checksum used by payment card numbers
+ * @param {string} digits - Digits only
+ * @returns {boolean}
+ */
+function passesLuhn(digits) {
+    let sum = 0;
+    for (let i = 0; i < digits.length; i++) {
+        let digit = Number(digits[digits.length - 1 - i]);
+        if (i % 2 === 1) {
+            digit *= 2;
+            if (digit > 9) {
+                digit -= 9;
+            }
+        }
+        sum += digit;
+    }
+    return sum % 10 === 0;
+}
+
+// Built-in detectors, most specific first: where two overlap, the earlier one
+// wins. The tag names a match in the redacted text.
+const PII_DETECTORS = [
+    {
+        id: 'api_key',
+        label: 'API key',
+        tag: 'api key',
+        pattern: API_KEY_PATTERN
+    },
+    {
+        id: 'email',
+        label: 'Email address',
+        tag: 'email',
+        pattern: /(?<![\p{L}\p{N}._%+-])[\p{L}\p{N}._%+-]+@[\p{L}\p{N}-]+(?:\.[\p{L}\p{N}-]+)*\.\p{L}{2,}/gu
+    },
+    {
+        id: 'card',
+        label: 'Card number',
+        tag: 'card',
+        pattern: /(?<!\d)\d(?:[ -]?\d){12,18}(?!\d)/g,
+        validate: (value) => passesLuhn(value.replace(/\D/g, ''))
+    },
+    {
+        id: 'phone',
+        label: 'Phone number',
+        tag: 'phone',
+        pattern: /(?<![\w+])\+?\(?\d{1,4}\)?(?:[\s.-]?\(?\d{2,4}\)?){2,5}(?!\w)/g,
+        // Leaves dates, times and short numbers alone
+        validate: (value) => countDigits(value) >= 10 && countDigits(value) <= 15 && !/^\d{4}-\d{2}-\d{2}/.test(value)
+    }
+];
+
+/**
+ * Validate user-added patterns
+ * @param {*} patterns - Regular expressions as typed, one per entry
+ * @returns {Object} { error, patterns } with blank entries dropped
+ */
+function validateRedactionPatterns(patterns) {
+    if (!Array.isArray(patterns) || patterns.some(pattern => typeof pattern !== 'string')) {
+        return { error: 'Redaction patterns must be a list of regular expressions' };
+    }
+
+    const tidy = [...new Set(patterns.map(pattern => pattern.trim()).filter(Boolean))];
+    if (tidy.length > MAX_REDACTION_PATTERNS) {
+        return { error: `Add at most ${MAX_REDACTION_PATTERNS} redaction patterns` };
+    }
+    for (const pattern of tidy) {
+        let regex;
+        try {
+            regex = new RegExp(pattern);
+        } catch (error) {
+            return { error: `"${pattern}" is not a valid regular expression` };
+        }
+        if (regex.test('')) {
+            return { error: `"${pattern}" matches empty text` };
+        }
+    }
+    return { error: null, patterns: tidy };
+}
+
+/**
+ * Detectors switched on by the redaction rules, then the user's patterns
+ * @param {Object} rules - { detectors: built-in detector ids, patterns: user patterns }
+ * @returns {Array<Object>} Detectors
+ */
+function getDetectors(rules) {
+    const enabled = rules.detectors || [];
+    return [
+        ...PII_DETECTORS.filter(detector => enabled.includes(detector.id)),
+        ...(rules.patterns || []).map(pattern => ({
+            id: 'custom',
+            label: 'Custom pattern',
+            tag: 'redacted',
+            pattern: new RegExp(pattern, 'gi')
+        }))
+    ];
+}
+
+/**
+ * Find personal data in a text
+ * @param {string} text - Text
+ * @param {Array<Object>} detectors - See getDetectors
+ * @returns {Array<Object>} [{ detector, tag, start, end, text }] in text order, without overlaps
+ */
+function findPii(text, detectors) {
+    const found = [];
+    const overlaps = (start, end) => found.some(match => start < match.end && end > match.start);
+
+    detectors.forEach(detector => {
+        for (const match of String(text || '').matchAll(detector.pattern)) {
+            const start = match.index;
+            const end = start + match[0].length;
+            if (match[0] && (!detector.validate || detector.validate(match[0])) && !overlaps(start, end)) {
+                found.push({ detector: detector.id, tag: detector.tag, start, end, text: match[0] });
+            }
+        }
+    });
+
+    return found.sort((a, b) => a.start - b.start);
+}
+
+const toHex = (bytes) => Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+
+/**
+ * HMAC key for hash mode, from the install's secret, made on first use
+ * @returns {Promise<CryptoKey>} Key
+ */
+async function loadHashKey() {
+    const result = await chrome.storage.local.get([HASH_SECRET_KEY]);
+    let secret = result?.[HASH_SECRET_KEY];
+    if (!secret) {
+        secret = toHex(crypto.getRandomValues(new Uint8Array(32)));
+        await chrome.storage.local.set({ [HASH_SECRET_KEY]: secret });
+    }
+
+    const raw = Uint8Array.from(secret.match(/../g), pair => parseInt(pair, 16));
+    return crypto.subtle.importKey('raw', raw, { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+}
+
+function getHashKey() {
+    if (!hashKey) {
+        hashKey = loadHashKey().catch(error => {
+            hashKey = null;
+            throw error;
+        });
+    }
+    return hashKey;
+}
+
+/**
+ * First HASH_LENGTH hex digits of the HMAC of a value
+ * @param {string} value - Value
+ * @returns {Promise<string>}
+ */
+async function hashValue(value) {
+    const signature = await crypto.subtle.sign('HMAC', await getHashKey(), new TextEncoder().encode(value));
+    return toHex(new Uint8Array(signature)).slice(0, HASH_LENGTH);
+}
+
+/**
+ * Stand-in for a match
+ * @param {Object} match - See findPii
+ * @param {string} mode - REDACTION_MODES value
+ * @returns {Promise<string>} "[tag]" or "[tag:hash]"
+ */
+async function getReplacement(match, mode) {
+    return mode === REDACTION_MODES.HASH
+        ? `[${match.tag}:${await hashValue(match.text)}]`
+        : `[${match.tag}]`;
+}
+
+function decodeUrl(url) {
+    try {
+        return decodeURIComponent(url);
+    } catch (error) {
+        return url;
+    }
+}
+
+/**
+ * Redact a text, or each text in a list or object
+ * @param {*} value - Field value
+ * @param {string} field - Path of the value in the note, for the report
+ * @param {Object} context - { detectors, rules, items: report items, added to }
+ * @returns {Promise<*>} Redacted copy, or the value itself if nothing was found
+ */
+async function redactValue(value, field, context) {
+    if (Array.isArray(value) || (value && typeof value === 'object')) {
+        const copy = Array.isArray(value) ? [...value] : { ...value };
+        let changed = false;
+        for (const key of Object.keys(copy)) {
+            copy[key] = await redactValue(value[key], `${field}.${key}`, context);
+            changed = changed || copy[key] !== value[key];
+        }
+        return changed ? copy : value;
+    }
+    if (typeof value !== 'string') {
+        return value;
+    }
+
+    // A URL is redacted decoded when that is where the data shows
+    let text = value;
+    let matches = findPii(text, context.detectors);
+    if (matches.length === 0 && URL_FIELDS.includes(field) && decodeUrl(value) !== value) {
+        text = decodeUrl(value);
+        matches = findPii(text, context.detectors);
+    }
+    if (matches.length === 0) {
+        return value;
+    }
+
+    // Replaced from the end so earlier offsets stay valid
+    const replaced = [];
+    for (const match of [...matches].reverse()) {
+        const replacement = await getReplacement(match, context.rules.mode);
+        text = `${text.slice(0, match.start)}${replacement}${text.slice(match.end)}`;
+        replaced.unshift({ detector: match.detector, field, text: match.text, replacement });
+    }
+    context.items.push(...replaced);
+    return text;
+}
+
+/**
+ * Redact a note, or the changes of a queued edit
+ * @param {Object} note - Note or changes; left untouched
+ * @param {Object} rules - { mode, detectors, patterns }
+ * @returns {Promise<Object>} { note: redacted copy, items: [{ detector, field, text, replacement }] }
+ */
+async function redactNote(note, rules) {
+    const context = { detectors: getDetectors(rules), rules, items: [] };
+    let redacted = note;
+
+    for (const field of REDACTED_FIELDS) {
+        const value = getPath(note, field);
+        const text = await redactValue(value, field, context);
+        if (text !== value) {
+            redacted = setPath(redacted, field, text);
+        }
+    }
+
+    return { note: redacted, items: context.items };
+}
+
+export {
+    REDACTION_MODES,
+    REDACTED_FIELDS,
+    PII_DETECTORS,
+    MAX_REDACTION_PATTERNS,
+    passesLuhn,
+    validateRedactionPatterns,
+    getDetectors,
+    findPii,
+    redactNote
+};
@@ -0,0 +1,378 @@
+/**
+ * SearchIndex - Inverted index over stored notes for the popup's search.
+ *
+ * Kept in chrome.storage.local and updated whenever a note is saved or
+ * removed, so a search only has to read the index and the notes on the
+ * requested page. While notes are encrypted the index would give their
+ * words away, so it is only kept in memory and rebuilt on wake-up.
+ */
+
+import { getSyncState, getNoteDomain } from './notes-repository.js';
+import { normalizeTags, tagKey } from './tags.js';
+
+const SEARCH_INDEX_KEY = 'search_index';
+const SEARCH_INDEX_VERSION = 3;
+
+const MAX_INDEXED_LENGTH = 20000; // characters of content indexed per note
+const PREFIX_MATCH_WEIGHT = 0.7; // the word being typed also matches longer terms
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+// Weight of each field's terms in a note's score
+const FIELD_WEIGHTS = {
+    content: 1,
+    title: 2,
+    user_note: 2,
+    tags: 3
+};
+
+const STOP_WORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'for', 'from', 'has', 'have', 'in', 'is',
+    'it', 'its', 'of', 'on', 'or', 'that', 'the', 'this', 'to', 'was', 'were', 'will', 'with'
+]);
+
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+
+/**
+ * Normalize a word for indexing: lowercase, without accents
+ * @param {string} word - Word
+ * @returns {string} Normalized word
+ */
+function normalizeWord(word) {
+    return word.toLowerCase().normalize('NFKD').replace(/[\u0300-\u036f]/g, '');
+}
+
+/**
+ * Split text into index terms
+ * @param {string} text - Text
+ * @returns {Array<string>} Terms, in order, without stop words
+ */
+function tokenize(text) {
+    return (String(text || '').match(WORD_PATTERN) || [])
+        .map(normalizeWord)
+        .filter(term => term.length > 1 || /\d/.test(term))
+        .filter(term => !STOP_WORDS.has(term));
+}
+
+/**
+ * Cut a snippet of text around the first matching term
+ * @param {string} text - Text to cut from
+ * @param {Array<string>} terms - Matched index terms
+ * @param {number} maxLength - Snippet length
+ * @returns {Object} { text, ranges } with ranges as [start, end] offsets into the snippet
+ */
+function buildSnippet(text, terms, maxLength = 200) {
+    text = String(text || '');
+    const termSet = new Set(terms);
+    const matches = [];
+
+    for (const match of text.matchAll(WORD_PATTERN)) {
+        if (termSet.has(normalizeWord(match[0]))) {
+            matches.push([match.index, match.index + match[0].length]);
+        }
+    }
+
+    let start = 0;
+    if (matches.length > 0 && matches[0][0] > maxLength / 3) {
+        // Start at a word boundary shortly before the first match
+        start = text.lastIndexOf(' ', matches[0][0] - Math.floor(maxLength / 4)) + 1;
+    }
+    const end = Math.min(text.length, start + maxLength);
+
+    const prefix = start > 0 ? '…' : '';
+    const suffix = end < text.length ? '…' : '';
+    const ranges = matches
+        .filter(([matchStart, matchEnd]) => matchStart >= start && matchEnd <= end)
+        .map(([matchStart, matchEnd]) => [matchStart - start + prefix.length, matchEnd - start + prefix.length]);
+
+    return {
+        text: prefix + text.substring(start, end) + suffix,
+        ranges
+    };
+}
+
+/**
+ * Whether a note can be indexed. Notes still encrypted (read while locked) cannot.
+ * @param {Object} note - Note
+ * @returns {boolean}
+ */
+function isIndexable(note) {
+    return typeof note.content === 'string' &&
+        (note.user_note === undefined || note.user_note === null || typeof note.user_note === 'string');
+}
+
+class SearchIndex {
+    constructor() {
+        this.docs = {};     // note id -> { timestamp, domain, intent, tags, type, sync, pinned, length, terms }
+        this.postings = {}; // term -> { note id: weighted term frequency }
+        this.loaded = false;
+        this.pendingSave = null;
+        this.persistent = true;
+    }
+
+    /**
+     * Keep the index in storage, or only in memory
+     * @param {boolean} persistent - Whether to store it
+     */
+    async setPersistent(persistent) {
+        this.persistent = persistent;
+        if (persistent) {
+            await this.persist();
+        } else {
+            await chrome.storage.local.remove(SEARCH_INDEX_KEY);
+        }
+    }
+
+    /**
+     * Load the index from storage
+     * @returns {Promise<boolean>} Whether a current index was found
+     */
+    async load() {
+        if (!this.persistent) {
+            return false;
+        }
+
+        const result = await chrome.storage.local.get([SEARCH_INDEX_KEY]);
+        const stored = result?.[SEARCH_INDEX_KEY];
+
+        if (!stored || stored.version !== SEARCH_INDEX_VERSION) {
+            return false;
+        }
+
+        this.docs = stored.docs || {};
+        this.postings = stored.postings || {};
+        this.loaded = true;
+        return true;
+    }
+
+    /**
+     * Replace the index with one built from the given notes
+     * @param {Array<Object>} notes - Every stored note
+     */
+    async rebuild(notes) {
+        this.docs = {};
+        this.postings = {};
+        this.loaded = true;
+        notes.filter(isIndexable).forEach(note => this.indexNote(note));
+        await this.persist();
+        console.log(`Search index rebuilt with ${notes.length} notes`);
+    }
+
+    /**
+     * Add or update notes
+     * @param {Array<Object>} notes - Notes with ids
+     */
+    async add(notes) {
+        notes.filter(note => note && note.id && isIndexable(note)).forEach(note => {
+            this.removeNote(note.id);
+            this.indexNote(note);
+        });
+        await this.persist();
+    }
+
+    /**
+     * Remove notes
+     * @param {Array<string>} ids - Note ids
+     */
+    async remove(ids) {
+        ids.forEach(id => this.removeNote(id));
+        await this.persist();
+    }
+
+    indexNote(note) {
+        const frequencies = {};
+        let length = 0;
+
+        const fields = {
+            content: note.content.substring(0, MAX_INDEXED_LENGTH),
+            title: note.title,
+            user_note: note.user_note,
+            tags: (note.tags || []).join(' ')
+        };
+
+        Object.entries(fields).forEach(([field, text]) => {
+            tokenize(text).forEach(term => {
+                frequencies[term] = (frequencies[term] || 0) + FIELD_WEIGHTS[field];
+                length += FIELD_WEIGHTS[field];
+            });
+        });
+
+        const terms = Object.keys(frequencies);
+        terms.forEach(term => {
+            if (!this.postings[term]) {
+                this.postings[term] = {};
+            }
+            this.postings[term][note.id] = frequencies[term];
+        });
+
+        this.docs[note.id] = {
+            timestamp: new Date(note.timestamp || 0).getTime() || 0,
+            domain: getNoteDomain(note),
+            intent: note.intent || '',
+            tags: normalizeTags(note.tags || []),
+            type: note.type || 'selection',
+            sync: getSyncState(note),
+            pinned: Boolean(note.pinned),
+            length,
+            terms
+        };
+    }
+
+    removeNote(id) {
+        const doc = this.docs[id];
+        if (!doc) {
+            return;
+        }
+
+        doc.terms.forEach(term => {
+            const posting = this.postings[term];
+            if (posting) {
+                delete posting[id];
+                if (Object.keys(posting).length === 0) {
+                    delete this.postings[term];
+                }
+            }
+        });
+        delete this.docs[id];
+    }
+
+    /**
+     * Write the index to storage. Saves requested while one is queued are merged.
+     */
+    persist() {
+        if (!this.persistent) {
+            return Promise.resolve();
+        }
+        if (!this.pendingSave) {
+            this.pendingSave = Promise.resolve().then(async () => {
+                this.pendingSave = null;
+                if (!this.persistent) {
+                    return;
+                }
+                await chrome.storage.local.set({
+                    [SEARCH_INDEX_KEY]: {
+                        version: SEARCH_INDEX_VERSION,
+                        docs: this.docs,
+                        postings: this.postings
+                    }
+                });
+            });
+        }
+        return this.pendingSave;
+    }
+
+    /**
+     * Search notes
+     * @param {Object} params - { query, intent, domain, tag, type, sync, from, to (ms), page, pageSize }
+     * @returns {Object} { results: [{ id, score }], total, page, pageSize, terms } with terms the index terms that matched
+     */
+    search(params = {}) {
+        const { query = '', intent, domain, tag, type, sync, from, to } = params;
+        const tagFilter = tag ? tagKey(tag) : null;
+        const page = Math.max(0, params.page || 0);
+        const pageSize = Math.max(1, params.pageSize || 10);
+
+        const candidates = Object.keys(this.docs).filter(id => {
+            const doc = this.docs[id];
+            return (!intent || doc.intent === intent) &&
+                (!domain || doc.domain === domain) &&
+                (!tagFilter || doc.tags.some(docTag => tagKey(docTag) === tagFilter)) &&
+                (!type || doc.type === type) &&
+                (!sync || doc.sync === sync) &&
+                (from === undefined || from === null || doc.timestamp >= from) &&
+                (to === undefined || to === null || doc.timestamp <= to);
+        });
+
+        const queryTerms = tokenize(query);
+        const matchedTerms = new Set();
+        let scored;
+
+        if (queryTerms.length === 0) {
+            // Without a query pinned notes come first
+            scored = candidates.map(id => ({ id, score: this.docs[id].pinned ? 1 : 0 }));
+        } else {
+            // The last word may still be being typed unless the query ends in a space
+            const typingLastWord = !/\s$/.test(query);
+            const scores = new Map(candidates.map(id => [id, 0]));
+            const averageLength = candidates.reduce((total, id) => total + this.docs[id].length, 0) /
+                Math.max(1, candidates.length);
+
+            queryTerms.forEach((queryTerm, index) => {
+                const expansions = typingLastWord && index === queryTerms.length - 1
+                    ? Object.keys(this.postings).filter(term => term.startsWith(queryTerm))
+                    : (this.postings[queryTerm] ? [queryTerm] : []);
+                const termScores = new Map();
+
+                expansions.forEach(term => {
+                    const posting = this.postings[term];
+                    const documentFrequency = Object.keys(posting).length;
+                    const idf = Math.log(1 + (candidates.length - documentFrequency + 0.5) / (documentFrequency + 0.5));
+                    const weight = term === queryTerm ? 1 : PREFIX_MATCH_WEIGHT;
+
+                    Object.entries(posting).forEach(([id, frequency]) => {
+                        if (!scores.has(id)) {
+                            return;
+                        }
+                        const lengthRatio = this.docs[id].length / (averageLength || 1);
+                        const score = weight * Math.max(idf, 0.01) * (frequency * (BM25_K1 + 1)) /
+                            (frequency + BM25_K1 * (1 - BM25_B + BM25_B * lengthRatio));
+                        termScores.set(id, Math.max(termScores.get(id) || 0, score));
+                        matchedTerms.add(term);
+                    });
+                });
+
+                // Every word of the query has to match
+                Array.from(scores.keys()).forEach(id => {
+                    if (termScores.has(id)) {
+                        scores.set(id, scores.get(id) + termScores.get(id));
+                    } else {
+                        scores.delete(id);
+                    }
+                });
+            });
+
+            scored = Array.from(scores, ([id, score]) => ({ id, score }));
+        }
+
+        scored.sort((a, b) => (b.score - a.score) || (this.docs[b.id].timestamp - this.docs[a.id].timestamp));
+
+        return {
+            results: scored.slice(page * pageSize, (page + 1) * pageSize),
+            total: scored.length,
+            page,
+            pageSize,
+            terms: Array.from(matchedTerms)
+        };
+    }
+
+    /**
+     * Intents, domains and tags in use, most common first, for the popup's
+     * filters. Tags spelled differently count as one, under the first spelling seen.
+     * @returns {Object} { intents, domains, tags } as arrays of { value, count }
+     */
+    getFacets() {
+        const count = (key) => {
+            const counts = {};
+            const spellings = {};
+            Object.values(this.docs).forEach(doc => {
+                const values = key === 'tags' ? doc.tags || [] : [doc[key]];
+                values.filter(Boolean).forEach(value => {
+                    const id = key === 'tags' ? tagKey(value) : value;
+                    spellings[id] = spellings[id] || value;
+                    counts[id] = (counts[id] || 0) + 1;
+                });
+            });
+            return Object.entries(counts)
+                .map(([id, total]) => ({ value: spellings[id], count: total }))
+                .sort((a, b) => (b.count - a.count) || a.value.localeCompare(b.value));
+        };
+
+        return {
+            intents: count('intent'),
+            domains: count('domain'),
+            tags: count('tags')
+        };
+    }
+}
+
+export { SearchIndex, SEARCH_INDEX_KEY, tokenize, buildSnippet };
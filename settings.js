@@ -0,0 +1,252 @@
+/**
+ * Settings - User configuration synced through chrome.storage.sync
+ */
+
+import { BUILT_IN_INTENTS, toIntentId } from './intents.js';
+import { INCOGNITO_POLICIES, validatePatterns } from './privacy.js';
+import { REDACTION_MODES, PII_DETECTORS, validateRedactionPatterns } from './redaction.js';
+
+const SETTINGS_KEY = 'settings';
+
+const DEFAULT_SETTINGS = {
+    apiBaseUrl: 'http://localhost:8000/api',
+    batchInterval: 2, // minutes
+    maxBatchSize: 10,
+    maxLocalNotes: 50,
+    quickAnnotate: true, // show the annotation overlay after a context menu capture
+    quickAnnotateTimeout: 15, // seconds before an untouched overlay saves the note as-is
+    highlightDisabledSites: [], // hostnames where captured passages aren't re-highlighted
+    customIntents: [], // names of user-defined intents, shown after the built-in ones
+    capturePaused: false, // refuse every capture from a page and grey out the context menu
+    captureBlocklist: [], // sites and URL patterns never captured from
+    captureAllowlist: [], // when not empty, the only sites and URL patterns captured from
+    incognitoPolicy: INCOGNITO_POLICIES.BLOCK, // block, local (kept on this device) or allow
+    redactionEnabled: true, // redact personal data from notes before upload
+    redactionMode: REDACTION_MODES.MASK, // mask or hash
+    redactionDetectors: PII_DETECTORS.map(detector => detector.id), // built-in detectors switched on
+    redactionPatterns: [] // user-added regular expressions
+};
+
+// Bounds for numeric settings. Chrome won't fire alarms more often than
+// every 30 seconds, so the batch interval is kept to whole minutes.
+const SETTING_LIMITS = {
+    batchInterval: { min: 1, max: 60, label: 'Batch interval' },
+    maxBatchSize: { min: 1, max: 100, label: 'Batch size' },
+    maxLocalNotes: { min: 10, max: 10000, label: 'Local notes retention' },
+    quickAnnotateTimeout: { min: 5, max: 120, label: 'Quick annotate timeout' }
+};
+
+const MAX_CUSTOM_INTENTS = 20;
+const MAX_INTENT_LENGTH = 30;
+
+/**
+ * Validate user-defined intent names
+ * @param {*} customIntents - Intent names
+ * @returns {Object} { error, intents } with blank names dropped and the rest trimmed
+ */
+function validateCustomIntents(customIntents) {
+    if (!Array.isArray(customIntents) || customIntents.some(name => typeof name !== 'string')) {
+        return { error: 'Custom intents must be a list of names' };
+    }
+
+    const intents = customIntents.map(name => name.trim()).filter(Boolean);
+    const ids = new Set(BUILT_IN_INTENTS.map(intent => intent.id));
+
+    if (intents.length > MAX_CUSTOM_INTENTS) {
+        return { error: `Add at most ${MAX_CUSTOM_INTENTS} custom intents` };
+    }
+
+    for (const name of intents) {
+        const id = toIntentId(name);
+        if (!id || name.length > MAX_INTENT_LENGTH) {
+            return { error: `"${name}" must have letters or digits and at most ${MAX_INTENT_LENGTH} characters` };
+        }
+        if (ids.has(id)) {
+            return { error: `"${name}" duplicates another intent` };
+        }
+        ids.add(id);
+    }
+
+    return { error: null, intents };
+}
+
+/**
+ * Validate and normalize settings
+ * @param {Object} input - Settings to validate
+ * @returns {Object} { valid, errors, settings } with errors keyed by setting name
+ */
+function validateSettings(input = {}) {
+    const settings = { ...DEFAULT_SETTINGS, ...input };
+    const errors = {};
+
+    try {
+        const url = new URL(String(settings.apiBaseUrl).trim());
+        if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+            errors.apiBaseUrl = 'Server URL must start with http:// or https://';
+        } else {
+            settings.apiBaseUrl = url.href.replace(/\/+$/, '');
+        }
+    } catch (error) {
+        errors.apiBaseUrl = 'Server URL is not a valid URL';
+    }
+
+    if (typeof settings.quickAnnotate !== 'boolean') {
+        errors.quickAnnotate = 'Quick annotate must be on or off';
+    }
+
+    if (!Array.isArray(settings.highlightDisabledSites) ||
+        settings.highlightDisabledSites.some(site => typeof site !== 'string')) {
+        errors.highlightDisabledSites = 'Highlight exclusions must be a list of hostnames';
+    }
+
+    if (typeof settings.capturePaused !== 'boolean') {
+        errors.capturePaused = 'Pause must be on or off';
+    }
+
+    if (!Object.values(INCOGNITO_POLICIES).includes(settings.incognitoPolicy)) {
+        errors.incognitoPolicy = 'Choose what happens to captures in incognito windows';
+    }
+
+    [['captureBlocklist', 'Blocked sites'], ['captureAllowlist', 'Allowed sites']].forEach(([key, label]) => {
+        const { error, patterns } = validatePatterns(settings[key], label);
+        if (error) {
+            errors[key] = error;
+        } else {
+            settings[key] = patterns;
+        }
+    });
+
+    if (typeof settings.redactionEnabled !== 'boolean') {
+        errors.redactionEnabled = 'Redaction must be on or off';
+    }
+
+    if (!Object.values(REDACTION_MODES).includes(settings.redactionMode)) {
+        errors.redactionMode = 'Choose whether redacted data is masked or hashed';
+    }
+
+    const detectorIds = PII_DETECTORS.map(detector => detector.id);
+    if (!Array.isArray(settings.redactionDetectors) ||
+        settings.redactionDetectors.some(id => !detectorIds.includes(id))) {
+        errors.redactionDetectors = 'Choose from the listed kinds of personal data';
+    }
+
+    const { error: patternsError, patterns } = validateRedactionPatterns(settings.redactionPatterns);
+    if (patternsError) {
+        errors.redactionPatterns = patternsError;
+    } else {
+        settings.redactionPatterns = patterns;
+    }
+
+    const { error: intentsError, intents } = validateCustomIntents(settings.customIntents);
+    if (intentsError) {
+        errors.customIntents = intentsError;
+    } else {
+        settings.customIntents = intents;
+    }
+
+    Object.entries(SETTING_LIMITS).forEach(([key, { min, max, label }]) => {
+        const value = Number(settings[key]);
+        if (!Number.isInteger(value) || value < min || value > max) {
+            errors[key] = `${label} must be a whole number between ${min} and ${max}`;
+        } else {
+            settings[key] = value;
+        }
+    });
+
+    return {
+        valid: Object.keys(errors).length === 0,
+        errors,
+        settings
+    };
+}
+
+/**
+ * Load settings, falling back to defaults for anything not saved yet
+ * @returns {Promise<Object>} Current settings
+ */
+async function getSettings() {
+    try {
+        const result = await chrome.storage.sync.get([SETTINGS_KEY]);
+        return { ...DEFAULT_SETTINGS, ...(result?.[SETTINGS_KEY] || {}) };
+    } catch (error) {
+        console.error('Error loading settings:', error);
+        return { ...DEFAULT_SETTINGS };
+    }
+}
+
+/**
+ * Validate and save settings
+ * @param {Object} changes - Settings to update
+ * @returns {Promise<Object>} { success, settings } or { success: false, errors }
+ */
+async function saveSettings(changes) {
+    const current = await getSettings();
+    const { valid, errors, settings } = validateSettings({ ...current, ...changes });
+
+    if (!valid) {
+        return { success: false, errors };
+    }
+
+    await chrome.storage.sync.set({ [SETTINGS_KEY]: settings });
+    console.log('Settings saved:', settings);
+    return { success: true, settings };
+}
+
+/**
+ * Call back with the new settings whenever they change in any extension context
+ * @param {Function} callback - Receives the merged settings
+ */
+function onSettingsChanged(callback) {
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+        if (areaName === 'sync' && changes[SETTINGS_KEY]) {
+            callback({ ...DEFAULT_SETTINGS, ...(changes[SETTINGS_KEY].newValue || {}) });
+        }
+    });
+}
+
+/**
+ * Build the host permission pattern needed to reach an API server
+ * @param {string} apiBaseUrl - API base URL
+ * @returns {string} Match pattern for the server's origin
+ */
+function getHostPermissionPattern(apiBaseUrl) {
+    const url = new URL(apiBaseUrl);
+    return `${url.protocol}//${url.hostname}/*`;
+}
+
+/**
+ * Map settings onto BatchProcessor options
+ * @param {Object} settings - Settings
+ * @returns {Object} BatchProcessor options
+ */
+function toProcessorOptions(settings) {
+    return {
+        apiBaseUrl: settings.apiBaseUrl,
+        batchInterval: settings.batchInterval * 60 * 1000,
+        maxBatchSize: settings.maxBatchSize,
+        maxLocalNotes: settings.maxLocalNotes,
+        privacy: {
+            capturePaused: settings.capturePaused,
+            captureBlocklist: settings.captureBlocklist,
+            captureAllowlist: settings.captureAllowlist,
+            incognitoPolicy: settings.incognitoPolicy
+        },
+        redaction: {
+            enabled: settings.redactionEnabled,
+            mode: settings.redactionMode,
+            detectors: settings.redactionDetectors,
+            patterns: settings.redactionPatterns
+        }
+    };
+}
+
+export {
+    DEFAULT_SETTINGS,
+    SETTING_LIMITS,
+    validateSettings,
+    getSettings,
+    saveSettings,
+    onSettingsChanged,
+    getHostPermissionPattern,
+    toProcessorOptions
+};
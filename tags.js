@@ -0,0 +1,100 @@
+/**
+ * Tags - Free-form labels on notes, sent with every note so the pipeline can
+ * cluster by them.
+ *
+ * Tags are compared without regard to case, so "ML" and "ml" are one tag;
+ * the spelling first given is kept. A leading # is dropped and inner
+ * whitespace collapsed, so tags typed as "#Deep   learning" and
+ * "deep learning" also match.
+ */
+
+const MAX_TAG_LENGTH = 40;
+
+/**
+ * Tidy one tag as typed
+ * @param {*} value - Tag
+ * @returns {string} Tag, or '' if nothing is left
+ */
+function normalizeTag(value) {
+    return String(value ?? '')
+        .trim()
+        .replace(/^#+/, '')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .slice(0, MAX_TAG_LENGTH)
+        .trim();
+}
+
+/**
+ * Key two spellings of the same tag share
+ * @param {string} tag - Tag
+ * @returns {string} Key
+ */
+function tagKey(tag) {
+    return normalizeTag(tag).toLowerCase();
+}
+
+/**
+ * Tidy a note's tags: empty ones dropped, repeats removed
+ * @param {Array<string>|string} value - Tags, as a list or comma-separated
+ * @returns {Array<string>} Tags
+ */
+function normalizeTags(value) {
+    const tags = Array.isArray(value) ? value : String(value ?? '').split(',');
+    const seen = new Set();
+
+    return tags.map(normalizeTag).filter(tag => {
+        const key = tag.toLowerCase();
+        if (!tag || seen.has(key)) {
+            return false;
+        }
+        seen.add(key);
+        return true;
+    });
+}
+
+/**
+ * Whether a note has a tag
+ * @param {Object} note - Note
+ * @param {string} tag - Tag
+ * @returns {boolean}
+ */
+function hasTag(note, tag) {
+    const key = tagKey(tag);
+    return (note.tags || []).some(noteTag => tagKey(noteTag) === key);
+}
+
+/**
+ * Replace some tags with another, or remove them
+ * @param {Array<string>} tags - A note's tags
+ * @param {Array<string>} sources - Tags to replace
+ * @param {string|null} target - Tag they become, or null to remove them
+ * @returns {Array<string>} Tags, with the target where the first source was
+ */
+function replaceTags(tags, sources, target) {
+    const keys = new Set(sources.map(tagKey));
+    let replaced = false;
+
+    const result = normalizeTags(tags).flatMap(tag => {
+        if (!keys.has(tag.toLowerCase())) {
+            return [tag];
+        }
+        if (target === null || replaced) {
+            return [];
+        }
+        replaced = true;
+        return [target];
+    });
+
+    // The target wins over an existing tag spelled differently
+    return normalizeTags(target === null ? result : result.filter(tag => tag === target || tagKey(tag) !== tagKey(target)));
+}
+
+export {
+    MAX_TAG_LENGTH,
+    normalizeTag,
+    normalizeTags,
+    tagKey,
+    hasTag,
+    replaceTags
+};
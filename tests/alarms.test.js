@@ -0,0 +1,120 @@
+const { BatchProcessor, ALARMS } = require('../batch-processor');
+
+describe('Alarm scheduling', () => {
+    beforeAll(() => {
+        if (!AbortSignal.timeout) {
+            AbortSignal.timeout = () => new AbortController().signal;
+        }
+    });
+
+    beforeEach(() => {
+        global.fetch = jest.fn(() => Promise.resolve({
+            ok: true,
+            json: () => Promise.resolve({ status: 'healthy' })
+        }));
+    });
+
+    const flushPromises = () => new Promise(resolve => setTimeout(resolve, 0));
+
+    describe('BatchProcessor', () => {
+        test('schedules named alarms for batching, health checks and cleanup', async () => {
+            const processor = new BatchProcessor({ batchInterval: 2 * 60 * 1000 });
+            await processor.start();
+
+            expect(global.__chromeAlarms[ALARMS.BATCH].periodInMinutes).toBe(2);
+            expect(global.__chromeAlarms[ALARMS.HEALTH_CHECK].periodInMinutes).toBe(5);
+            expect(global.__chromeAlarms[ALARMS.CLEANUP].periodInMinutes).toBe(60);
+        });
+
+        test('keeps the existing schedule when restarted on wake-up', async () => {
+            const processor = new BatchProcessor({ batchInterval: 2 * 60 * 1000 });
+            await processor.start();
+            const scheduledTime = global.__chromeAlarms[ALARMS.BATCH].scheduledTime;
+            chrome.alarms.create.mockClear();
+
+            await new BatchProcessor({ batchInterval: 2 * 60 * 1000 }).start();
+
+            expect(chrome.alarms.create).not.toHaveBeenCalled();
+            expect(global.__chromeAlarms[ALARMS.BATCH].scheduledTime).toBe(scheduledTime);
+        });
+
+        test('reschedules the batch alarm when the interval changes', async () => {
+            await new BatchProcessor({ batchInterval: 2 * 60 * 1000 }).start();
+            await new BatchProcessor({ batchInterval: 5 * 60 * 1000 }).start();
+
+            expect(global.__chromeAlarms[ALARMS.BATCH].periodInMinutes).toBe(5);
+        });
+
+        test('flushes pending notes when the batch alarm fires', async () => {
+            const processor = new BatchProcessor();
+            await processor.addNote({ content: 'Queued note' });
+
+            const handled = await processor.handleAlarm({ name: ALARMS.BATCH });
+
+            expect(handled).toBe(true);
+            expect(global.fetch).toHaveBeenCalledWith(
+                'http://localhost:8000/api/notes/batch',
+                expect.objectContaining({ method: 'POST' })
+            );
+            expect(processor.pendingNotes).toHaveLength(0);
+        });
+
+        test('checks server health when the health check alarm fires', async () => {
+            const processor = new BatchProcessor();
+
+            await processor.handleAlarm({ name: ALARMS.HEALTH_CHECK });
+
+            expect(global.fetch).toHaveBeenCalledWith(
+                'http://localhost:8000/api/health',
+                expect.objectContaining({ method: 'GET' })
+            );
+            expect(processor.getStatus().serverConnected).toBe(true);
+        });
+
+        test('ignores alarms it does not own', async () => {
+            const processor = new BatchProcessor();
+
+            expect(await processor.handleAlarm({ name: 'something-else' })).toBe(false);
+        });
+
+        test('stop clears all processor alarms', async () => {
+            const processor = new BatchProcessor();
+            await processor.start();
+
+            await processor.stop();
+
+            expect(global.__chromeAlarms).toEqual({});
+        });
+    });
+
+    describe('background onAlarm dispatcher', () => {
+        let background;
+
+        beforeEach(() => {
+            jest.resetModules();
+            background = require('../background');
+        });
+
+        test('registers the alarm listener', () => {
+            expect(chrome.alarms.onAlarm.hasListener(background.onAlarm)).toBe(true);
+        });
+
+        test('wakes the processor and flushes the restored outbox', async () => {
+            global.__chromeLocalStorageData = {
+                note_1: {
+                    id: 'note_1',
+                    content: 'Captured before the worker was suspended',
+                    delivery: { status: 'pending', attempts: 0 }
+                }
+            };
+
+            await background.onAlarm({ name: ALARMS.BATCH });
+            await flushPromises();
+
+            const batchCall = global.fetch.mock.calls.find(([url]) => url.endsWith('/notes/batch'));
+            expect(batchCall).toBeDefined();
+            expect(JSON.parse(batchCall[1].body).notes[0].content).toBe('Captured before the worker was suspended');
+            expect(global.__chromeLocalStorageData.note_1).toBeUndefined();
+        });
+    });
+});
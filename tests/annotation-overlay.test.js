@@ -0,0 +1,202 @@
+const { renderAnnotationOverlay } = require('../content/annotation-overlay');
+
+describe('Quick-annotate overlay', () => {
+    const note = {
+        content: 'Raft elects a leader',
+        source_url: 'https://example.com/raft',
+        intent: 'learn',
+        user_note: '',
+        tags: []
+    };
+    const intents = [
+        { id: 'learn', title: 'Learn' },
+        { id: 'question', title: 'Question' }
+    ];
+
+    // The shadow root is closed, so keep hold of it as it's attached
+    let shadowRoot;
+    let attachShadow;
+    const getForm = () => shadowRoot.querySelector('form');
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        chrome.runtime.sendMessage.mockResolvedValue({ status: 'added' });
+        const attach = Element.prototype.attachShadow;
+        attachShadow = jest.spyOn(Element.prototype, 'attachShadow').mockImplementation(function (init) {
+            shadowRoot = attach.call(this, init);
+            return shadowRoot;
+        });
+    });
+
+    afterEach(() => {
+        document.getElementById('browserbud-annotation-overlay')?.remove();
+        attachShadow.mockRestore();
+        jest.useRealTimers();
+    });
+
+    test('keeps the page out of the overlay', () => {
+        renderAnnotationOverlay(note, intents, 15);
+
+        expect(attachShadow).toHaveBeenCalledWith({ mode: 'closed' });
+        expect(document.getElementById('browserbud-annotation-overlay').shadowRoot).toBeNull();
+    });
+
+    test('shows the captured text with the intent preselected', () => {
+        expect(renderAnnotationOverlay(note, intents, 15)).toBe(true);
+
+        const form = getForm();
+        expect(form.querySelector('blockquote').textContent).toBe('Raft elects a leader');
+        expect(form.elements.intent.value).toBe('learn');
+        expect(Array.from(form.elements.intent.options, option => option.textContent)).toEqual(['Learn', 'Question']);
+        expect(form.querySelector('.countdown').textContent).toBe('Saving in 15s');
+    });
+
+    test('saves the comment, intent and tags through addNote', () => {
+        renderAnnotationOverlay(note, intents, 15);
+        const form = getForm();
+
+        form.elements.user_note.value = '  Compare with Paxos ';
+        form.elements.intent.value = 'question';
+        form.elements.tags.value = 'consensus, raft, , consensus';
+        form.querySelector('.save').click();
+
+        expect(chrome.runtime.sendMessage).toHaveBeenCalledWith({
+            action: 'addNote',
+            note: {
+                ...note,
+                user_note: 'Compare with Paxos',
+                intent: 'question',
+                tags: ['consensus', 'raft']
+            }
+        });
+        expect(document.getElementById('browserbud-annotation-overlay')).toBeNull();
+    });
+
+    test('suggests tags already in use, keeping the ones typed', () => {
+        renderAnnotationOverlay(note, intents, 15, ['Raft', 'reading', 'ML']);
+        const form = getForm();
+
+        form.elements.tags.value = 'raft, R';
+        form.elements.tags.dispatchEvent(new Event('input', { bubbles: true }));
+
+        expect(Array.from(form.querySelector('datalist').options, option => option.value)).toEqual(['raft, reading']);
+    });
+
+    test('cancel drops the capture', () => {
+        renderAnnotationOverlay(note, intents, 15);
+
+        getForm().querySelector('.cancel').click();
+        jest.advanceTimersByTime(20000);
+
+        expect(chrome.runtime.sendMessage).not.toHaveBeenCalled();
+        expect(document.getElementById('browserbud-annotation-overlay')).toBeNull();
+    });
+
+    test('saves the note as-is when the timeout runs out', () => {
+        renderAnnotationOverlay(note, intents, 5);
+
+        jest.advanceTimersByTime(4000);
+        expect(getForm().querySelector('.countdown').textContent).toBe('Saving in 1s');
+        jest.advanceTimersByTime(1000);
+
+        expect(chrome.runtime.sendMessage).toHaveBeenCalledWith({ action: 'addNote', note });
+        expect(document.getElementById('browserbud-annotation-overlay')).toBeNull();
+    });
+
+    test('stops the timeout once the overlay is used', () => {
+        renderAnnotationOverlay(note, intents, 5);
+        const form = getForm();
+
+        form.elements.user_note.dispatchEvent(new Event('input', { bubbles: true }));
+        jest.advanceTimersByTime(10000);
+
+        expect(chrome.runtime.sendMessage).not.toHaveBeenCalled();
+        expect(form.querySelector('.countdown').textContent).toBe('');
+    });
+
+    test('saves the comment typed so far when the page is hidden', () => {
+        renderAnnotationOverlay(note, intents, 15);
+        getForm().elements.user_note.value = 'Half a thought';
+
+        Object.defineProperty(document, 'visibilityState', { configurable: true, get: () => 'hidden' });
+        document.dispatchEvent(new Event('visibilitychange'));
+        delete document.visibilityState;
+
+        expect(chrome.runtime.sendMessage).toHaveBeenCalledWith({
+            action: 'addNote',
+            note: { ...note, user_note: 'Half a thought' }
+        });
+        expect(document.getElementById('browserbud-annotation-overlay')).toBeNull();
+    });
+
+    test('saves an open overlay as-is before showing the next one', () => {
+        renderAnnotationOverlay(note, intents, 15);
+        renderAnnotationOverlay({ ...note, content: 'Second capture' }, intents, 15);
+
+        expect(chrome.runtime.sendMessage).toHaveBeenCalledTimes(1);
+        expect(chrome.runtime.sendMessage).toHaveBeenCalledWith({ action: 'addNote', note });
+        expect(document.querySelectorAll('#browserbud-annotation-overlay')).toHaveLength(1);
+        expect(getForm().querySelector('blockquote').textContent).toBe('Second capture');
+    });
+});
+
+describe('Quick-annotate after a context menu capture', () => {
+    let background;
+    const tab = { id: 3, url: 'https://example.com/raft', title: 'Raft' };
+
+    beforeEach(() => {
+        jest.resetModules();
+        chrome.scripting = {
+            executeScript: jest.fn(({ func }) => Promise.resolve([{
+                result: func.name === 'renderAnnotationOverlay'
+                    ? true
+                    : { url: tab.url, title: 'Raft', domain: 'example.com', anchor: null }
+            }]))
+        };
+        global.fetch = jest.fn(() => Promise.resolve({ ok: true, json: () => Promise.resolve({}) }));
+        if (!AbortSignal.timeout) {
+            AbortSignal.timeout = () => new AbortController().signal;
+        }
+        background = require('../background');
+    });
+
+    const storedNotes = () => background.ensureBatchProcessor().getStoredNotes();
+
+    test('hands the note to the overlay instead of saving it', async () => {
+        global.__chromeStorageData = { settings: { quickAnnotateTimeout: 30, customIntents: ['Book idea'] } };
+
+        await background.onClicked({ menuItemId: 'browserBud-intent-quote', selectionText: 'Leaders', frameId: 2 }, tab);
+
+        const overlayCall = chrome.scripting.executeScript.mock.calls
+            .map(([details]) => details)
+            .find(details => details.func.name === 'renderAnnotationOverlay');
+        expect(overlayCall.target).toEqual({ tabId: 3, frameIds: [2] });
+        const [note, intents, timeout] = overlayCall.args;
+        expect(note).toEqual(expect.objectContaining({ content: 'Leaders', intent: 'quote', tags: [] }));
+        expect(intents[intents.length - 1]).toEqual({ id: 'book-idea', title: 'Book idea' });
+        expect(timeout).toBe(30);
+        expect(await storedNotes()).toHaveLength(0);
+    });
+
+    test('saves directly when quick annotate is off', async () => {
+        global.__chromeStorageData = { settings: { quickAnnotate: false } };
+
+        await background.onClicked({ menuItemId: 'browserBud-intent-learn', selectionText: 'Leaders' }, tab);
+
+        expect(chrome.scripting.executeScript).toHaveBeenCalledTimes(1);
+        expect(await storedNotes()).toHaveLength(1);
+    });
+
+    test('saves directly when the overlay cannot be injected', async () => {
+        chrome.scripting.executeScript.mockImplementation(({ func }) => (
+            func.name === 'renderAnnotationOverlay'
+                ? Promise.reject(new Error('Frame was removed'))
+                : Promise.resolve([{ result: { url: tab.url, anchor: null } }])
+        ));
+
+        await background.onClicked({ menuItemId: 'browserBud-intent-learn', selectionText: 'Leaders' }, tab);
+
+        expect(await storedNotes()).toHaveLength(1);
+        expect((await storedNotes())[0].metadata.error).toBeUndefined();
+    });
+});
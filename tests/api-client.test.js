@@ -0,0 +1,182 @@
+const {
+    ApiClient,
+    ApiError,
+    CircuitBreaker,
+    CircuitOpenError,
+    parseRetryAfter,
+    getBackoffDelay
+} = require('../api-client');
+const { BatchProcessor } = require('../batch-processor');
+
+describe('ApiClient', () => {
+    let client;
+    let sleep;
+    let now;
+
+    beforeAll(() => {
+        if (!AbortSignal.timeout) {
+            AbortSignal.timeout = () => new AbortController().signal;
+        }
+    });
+
+    const response = (status, { body = {}, retryAfter } = {}) => ({
+        ok: status >= 200 && status < 300,
+        status,
+        headers: { get: name => (name === 'Retry-After' ? retryAfter : null) },
+        json: () => Promise.resolve(body),
+        text: () => Promise.resolve(JSON.stringify(body))
+    });
+
+    beforeEach(() => {
+        now = Date.parse('2024-03-01T12:00:00.000Z');
+        global.fetch = jest.fn(() => Promise.resolve(response(200)));
+        sleep = jest.fn(() => Promise.resolve());
+        client = new ApiClient({
+            baseUrl: 'https://api.example.com',
+            breaker: new CircuitBreaker({ now: () => now }),
+            random: () => 0.5,
+            sleep
+        });
+    });
+
+    test('backs off exponentially with jitter', () => {
+        expect(getBackoffDelay(1, 1000, () => 0)).toBe(500);
+        expect(getBackoffDelay(1, 1000, () => 0.5)).toBe(750);
+        expect(getBackoffDelay(3, 1000, () => 0)).toBe(2000);
+        expect(getBackoffDelay(20, 1000, () => 0)).toBe(15000);
+    });
+
+    test('reads Retry-After as seconds or a date', () => {
+        expect(parseRetryAfter('120')).toBe(120000);
+        expect(parseRetryAfter('Fri, 01 Mar 2024 12:00:30 GMT', now)).toBe(30000);
+        expect(parseRetryAfter(null)).toBeNull();
+        expect(parseRetryAfter('soon')).toBeNull();
+    });
+
+    test('retries network errors and server errors, then gives up', async () => {
+        global.fetch
+            .mockRejectedValueOnce(new TypeError('Failed to fetch'))
+            .mockResolvedValueOnce(response(502))
+            .mockResolvedValueOnce(response(500));
+
+        await expect(client.request('batch', '/notes/batch', { method: 'POST' })).rejects.toThrow('HTTP 500');
+
+        expect(global.fetch).toHaveBeenCalledTimes(3);
+        expect(global.fetch.mock.calls[0][0]).toBe('https://api.example.com/notes/batch');
+        expect(sleep.mock.calls.map(([delay]) => delay)).toEqual([750, 1500]);
+    });
+
+    test('returns answers that are not worth retrying to the caller', async () => {
+        global.fetch.mockResolvedValueOnce(response(409));
+
+        const result = await client.request('operation', '/notes/1', { method: 'PATCH' });
+
+        expect(result.status).toBe(409);
+        expect(global.fetch).toHaveBeenCalledTimes(1);
+    });
+
+    test('waits as long as Retry-After asks on 429 and 503', async () => {
+        global.fetch
+            .mockResolvedValueOnce(response(429, { retryAfter: '7' }))
+            .mockResolvedValueOnce(response(200));
+
+        await client.request('status', '/status');
+
+        expect(sleep).toHaveBeenCalledWith(7000);
+    });
+
+    test('only retries a bake when the server says it did not start it', async () => {
+        global.fetch.mockResolvedValueOnce(response(500));
+        await expect(client.request('bake', '/bake', { method: 'POST' })).rejects.toThrow(ApiError);
+        expect(global.fetch).toHaveBeenCalledTimes(1);
+
+        global.fetch.mockClear();
+        global.fetch
+            .mockResolvedValueOnce(response(503, { retryAfter: '2' }))
+            .mockResolvedValueOnce(response(200));
+        await client.request('bake', '/bake', { method: 'POST' });
+        expect(global.fetch).toHaveBeenCalledTimes(2);
+    });
+
+    test('opens the circuit after repeated failures and lets one trial through after the cooldown', async () => {
+        const onChange = jest.fn();
+        client.breaker.onChange = onChange;
+        global.fetch.mockResolvedValue(response(503));
+
+        for (let i = 0; i < 5; i++) {
+            await expect(client.request('health', '/health')).rejects.toThrow('HTTP 503');
+        }
+        expect(client.breaker.state).toBe('open');
+        expect(onChange).toHaveBeenLastCalledWith('open', now + 30000);
+
+        global.fetch.mockClear();
+        await expect(client.request('status', '/status')).rejects.toThrow(CircuitOpenError);
+        expect(global.fetch).not.toHaveBeenCalled();
+
+        // The trial fails: open again, for twice as long
+        now += 30000;
+        await expect(client.request('health', '/health')).rejects.toThrow('HTTP 503');
+        expect(client.breaker.getStatus()).toEqual(expect.objectContaining({
+            state: 'open',
+            retryAt: new Date(now + 60000).toISOString()
+        }));
+
+        // The next trial succeeds and closes it
+        now += 60000;
+        global.fetch.mockResolvedValue(response(200));
+        await client.request('health', '/health');
+        expect(client.breaker.state).toBe('closed');
+        expect(onChange).toHaveBeenLastCalledWith('closed', null);
+    });
+
+    test('opens the circuit at once when the server asks for a long wait', async () => {
+        global.fetch.mockResolvedValue(response(503, { retryAfter: '600' }));
+
+        await expect(client.request('batch', '/notes/batch')).rejects.toThrow('HTTP 503');
+
+        expect(global.fetch).toHaveBeenCalledTimes(1);
+        expect(client.breaker.getStatus().retryAt).toBe(new Date(now + 600000).toISOString());
+    });
+
+    test('starts afresh when pointed at another server', async () => {
+        client.breaker.open(30000);
+
+        client.setBaseUrl('https://other.example.com');
+
+        expect(client.breaker.state).toBe('closed');
+    });
+});
+
+describe('BatchProcessor with the circuit open', () => {
+    let processor;
+
+    beforeEach(async () => {
+        global.fetch = jest.fn(() => Promise.resolve({ ok: false, status: 503, text: () => Promise.resolve('') }));
+        processor = new BatchProcessor();
+        processor.retryDelay = 0;
+        await processor.ready;
+    });
+
+    test('holds notes without counting failed attempts and shows offline', async () => {
+        await processor.addNote({ content: 'Waiting out the outage' });
+        processor.api.breaker.open(60000);
+
+        await processor.processBatch();
+
+        expect(global.fetch).not.toHaveBeenCalled();
+        expect(processor.pendingNotes[0].delivery).toEqual(expect.objectContaining({ status: 'pending', attempts: 0 }));
+        expect(processor.getStatus()).toEqual(expect.objectContaining({
+            serverConnected: false,
+            circuit: expect.objectContaining({ state: 'open' })
+        }));
+    });
+
+    test('drives the badge from the breaker', () => {
+        processor.handleCircuitChange('open');
+        expect(chrome.action.setBadgeText).toHaveBeenLastCalledWith({ text: '⚠' });
+
+        processor.handleCircuitChange('closed');
+        expect(processor.serverConnected).toBe(true);
+        expect(chrome.action.setBadgeText).toHaveBeenLastCalledWith({ text: '' });
+    });
+});
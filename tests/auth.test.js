@@ -0,0 +1,272 @@
+const { webcrypto } = require('crypto');
+const { TextEncoder } = require('util');
+const { AuthManager } = require('../auth');
+const { ApiClient, AuthError, CircuitBreaker } = require('../api-client');
+const { BatchProcessor } = require('../batch-processor');
+
+const API = 'http://localhost:8000/api';
+
+const response = (status, body = {}) => ({
+    ok: status >= 200 && status < 300,
+    status,
+    headers: { get: () => null },
+    json: () => Promise.resolve(body),
+    text: () => Promise.resolve(JSON.stringify(body))
+});
+
+const session = (fields = {}) => ({
+    method: 'oauth',
+    server: API,
+    access_token: 'access_1',
+    refresh_token: 'refresh_1',
+    expires_at: Date.now() + 3600000,
+    user: { id: 'u_42', email: 'reader@example.com', name: null },
+    ...fields
+});
+
+beforeAll(() => {
+    global.crypto = webcrypto;
+    global.TextEncoder = TextEncoder;
+    if (!AbortSignal.timeout) {
+        AbortSignal.timeout = () => new AbortController().signal;
+    }
+});
+
+beforeEach(() => {
+    global.fetch = jest.fn(() => Promise.resolve(response(200)));
+});
+
+describe('AuthManager', () => {
+    let auth;
+
+    beforeEach(() => {
+        auth = new AuthManager({ baseUrl: API });
+    });
+
+    test('signs in with an API token once the server accepts it', async () => {
+        global.fetch.mockResolvedValueOnce(response(200, { id: 42, email: 'reader@example.com' }));
+
+        const result = await auth.signInWithToken(' tok_abc ');
+
+        expect(result).toEqual({ success: true, user: { id: '42', email: 'reader@example.com', name: null } });
+        expect(global.fetch.mock.calls[0][0]).toBe(`${API}/auth/me`);
+        expect(global.fetch.mock.calls[0][1].headers.Authorization).toBe('Bearer tok_abc');
+        expect(await auth.getAccessToken()).toBe('tok_abc');
+        expect(await auth.getState()).toEqual(expect.objectContaining({ signedIn: true, method: 'token' }));
+        expect(await auth.getState()).not.toHaveProperty('access_token');
+    });
+
+    test('does not keep a token the server refuses', async () => {
+        global.fetch.mockResolvedValueOnce(response(401));
+
+        const result = await auth.signInWithToken('tok_bad');
+
+        expect(result).toEqual({ success: false, error: 'The server did not accept this token' });
+        expect(global.__chromeLocalStorageData.auth).toBeUndefined();
+    });
+
+    test('signs in through the OAuth page with PKCE', async () => {
+        chrome.identity = {
+            getRedirectURL: jest.fn(() => 'https://ext.chromiumapp.org/oauth2'),
+            launchWebAuthFlow: jest.fn(async ({ url }) => {
+                const state = new URL(url).searchParams.get('state');
+                return `https://ext.chromiumapp.org/oauth2?code=code_1&state=${state}`;
+            })
+        };
+        global.fetch.mockResolvedValueOnce(response(200, {
+            access_token: 'access_1',
+            refresh_token: 'refresh_1',
+            expires_in: 3600,
+            user: { id: 'u_42', email: 'reader@example.com' }
+        }));
+
+        const result = await auth.signInWithOAuth();
+
+        expect(result.success).toBe(true);
+        const authorizeUrl = new URL(chrome.identity.launchWebAuthFlow.mock.calls[0][0].url);
+        expect(authorizeUrl.pathname).toBe('/api/auth/authorize');
+        expect(authorizeUrl.searchParams.get('code_challenge_method')).toBe('S256');
+
+        const [tokenUrl, tokenRequest] = global.fetch.mock.calls[0];
+        const body = JSON.parse(tokenRequest.body);
+        expect(tokenUrl).toBe(`${API}/auth/token`);
+        expect(body).toEqual(expect.objectContaining({ grant_type: 'authorization_code', code: 'code_1' }));
+        // The verifier sent with the code hashes to the challenge sent to the sign-in page
+        const digest = await webcrypto.subtle.digest('SHA-256', new TextEncoder().encode(body.code_verifier));
+        expect(Buffer.from(digest).toString('base64url')).toBe(authorizeUrl.searchParams.get('code_challenge'));
+
+        expect(global.__chromeLocalStorageData.auth).toEqual(expect.objectContaining({
+            access_token: 'access_1',
+            refresh_token: 'refresh_1',
+            user: expect.objectContaining({ id: 'u_42' })
+        }));
+    });
+
+    test('refuses an OAuth response for another request', async () => {
+        chrome.identity = {
+            getRedirectURL: jest.fn(() => 'https://ext.chromiumapp.org/oauth2'),
+            launchWebAuthFlow: jest.fn(() => Promise.resolve('https://ext.chromiumapp.org/oauth2?code=code_1&state=forged'))
+        };
+
+        const result = await auth.signInWithOAuth();
+
+        expect(result.success).toBe(false);
+        expect(global.fetch).not.toHaveBeenCalled();
+    });
+
+    test('refreshes a token about to expire, once for concurrent callers', async () => {
+        global.__chromeLocalStorageData.auth = session({ expires_at: Date.now() + 1000 });
+        global.fetch.mockResolvedValueOnce(response(200, { access_token: 'access_2', expires_in: 3600 }));
+
+        const tokens = await Promise.all([auth.getAccessToken(), auth.getAccessToken()]);
+
+        expect(tokens).toEqual(['access_2', 'access_2']);
+        expect(global.fetch).toHaveBeenCalledTimes(1);
+        expect(JSON.parse(global.fetch.mock.calls[0][1].body)).toEqual({ refresh_token: 'refresh_1' });
+        expect(global.__chromeLocalStorageData.auth.refresh_token).toBe('refresh_1');
+    });
+
+    test('ends the session when the refresh token is refused, but not on a network error', async () => {
+        global.__chromeLocalStorageData.auth = session();
+
+        global.fetch.mockRejectedValueOnce(new TypeError('Failed to fetch'));
+        expect(await auth.refresh()).toBeNull();
+        expect((await auth.getState()).signedIn).toBe(true);
+
+        global.fetch.mockResolvedValueOnce(response(401));
+        expect(await auth.refresh()).toBeNull();
+        expect(await auth.getState()).toEqual(expect.objectContaining({
+            signedIn: false,
+            expired: true,
+            user: expect.objectContaining({ id: 'u_42' })
+        }));
+    });
+
+    test('uses the signed-in user as identity, or a stable installation id', async () => {
+        const first = await auth.getUserId();
+        expect(first).toMatch(/^user_/);
+        expect(await auth.getUserId()).toBe(first);
+
+        global.__chromeLocalStorageData.auth = session();
+        expect(await auth.getUserId()).toBe('u_42');
+
+        // A session belongs to the server that issued it
+        auth.setBaseUrl('https://other.example.com/api');
+        expect(await auth.getUserId()).toBe(first);
+    });
+
+    test('revokes the session on sign-out and forgets the identity', async () => {
+        global.__chromeLocalStorageData.auth = session();
+        global.__chromeLocalStorageData.user_id = 'user_old';
+
+        await auth.signOut();
+
+        expect(global.fetch.mock.calls[0][0]).toBe(`${API}/auth/logout`);
+        expect(global.__chromeLocalStorageData).not.toHaveProperty('auth');
+        expect(global.__chromeLocalStorageData).not.toHaveProperty('user_id');
+    });
+});
+
+describe('ApiClient with auth', () => {
+    let auth;
+    let client;
+
+    beforeEach(() => {
+        auth = new AuthManager({ baseUrl: API });
+        client = new ApiClient({
+            baseUrl: API,
+            auth,
+            breaker: new CircuitBreaker(),
+            sleep: () => Promise.resolve()
+        });
+    });
+
+    test('sends the access token with every request', async () => {
+        global.__chromeLocalStorageData.auth = session();
+
+        await client.request('status', '/status', { headers: { 'Content-Type': 'application/json' } });
+
+        expect(global.fetch.mock.calls[0][1].headers).toEqual({
+            'Content-Type': 'application/json',
+            'Authorization': 'Bearer access_1'
+        });
+    });
+
+    test('refreshes on 401 and sends the request again', async () => {
+        global.__chromeLocalStorageData.auth = session();
+        global.fetch
+            .mockResolvedValueOnce(response(401))
+            .mockResolvedValueOnce(response(200, { access_token: 'access_2', expires_in: 3600 }))
+            .mockResolvedValueOnce(response(200));
+
+        const result = await client.request('health', '/health');
+
+        expect(result.status).toBe(200);
+        expect(global.fetch.mock.calls[1][0]).toBe(`${API}/auth/refresh`);
+        expect(global.fetch.mock.calls[2][1].headers.Authorization).toBe('Bearer access_2');
+    });
+
+    test('gives up with AuthError when the session cannot be refreshed', async () => {
+        global.__chromeLocalStorageData.auth = session();
+        global.fetch
+            .mockResolvedValueOnce(response(401))
+            .mockResolvedValueOnce(response(401));
+
+        await expect(client.request('batch', '/notes/batch')).rejects.toThrow(AuthError);
+        expect(client.breaker.failures).toBe(0);
+    });
+});
+
+describe('BatchProcessor with auth', () => {
+    let processor;
+
+    beforeEach(async () => {
+        processor = new BatchProcessor();
+        processor.retryDelay = 0;
+        await processor.ready;
+    });
+
+    test('stamps every note with the same user id', async () => {
+        global.__chromeLocalStorageData.auth = session();
+
+        const manual = await processor.addNote({ content: 'Typed in the popup', type: 'manual', user_id: 'browser_user' });
+        const captured = await processor.addNote({ content: 'Captured from a page' });
+
+        expect(manual.user_id).toBe('u_42');
+        expect(captured.user_id).toBe('u_42');
+    });
+
+    test('holds notes without a failed attempt until the user signs in', async () => {
+        global.fetch.mockResolvedValue(response(401));
+        await processor.addNote({ content: 'Needs an account' });
+
+        await processor.processBatch();
+
+        expect(processor.pendingNotes[0].delivery).toEqual(expect.objectContaining({ status: 'pending', attempts: 0 }));
+        expect(processor.getStatus().authRequired).toBe(true);
+
+        global.fetch.mockReset();
+        global.fetch
+            .mockResolvedValueOnce(response(200, { id: 'u_42' }))
+            .mockResolvedValue(response(200, { success: true }));
+        const batch = jest.spyOn(processor, 'processBatch').mockResolvedValueOnce();
+
+        expect(await processor.signIn({ token: 'tok_abc' })).toEqual(expect.objectContaining({ success: true }));
+
+        expect(processor.getStatus().authRequired).toBe(false);
+        expect(processor.pendingNotes[0].user_id).toBe('u_42');
+        expect(batch).toHaveBeenCalled();
+    });
+
+    test('purges local notes on sign-out', async () => {
+        global.__chromeLocalStorageData.auth = session({ refresh_token: null });
+        await processor.addNote({ content: 'Private thought' });
+        await processor.setStoredNotes([{ id: 'note_synced', content: 'Delivered', timestamp: '2024-03-01T12:00:00.000Z' }]);
+
+        await processor.signOut();
+
+        expect(processor.pendingNotes).toEqual([]);
+        expect(await processor.getStoredNotes()).toEqual([]);
+        expect((await processor.getAuthState()).signedIn).toBe(false);
+    });
+});
@@ -4,7 +4,10 @@ describe('Background Script Functionality', () => {
     let mockStorage = {};
 
     beforeAll(() => {
+        // The batch processor keeps its queue and alarms in the setup mocks
+        const { alarms, storage } = global.chrome;
         global.chrome = {
+            alarms,
             runtime: {
                 onInstalled: {
                     addListener: jest.fn((callback) => callback()),
@@ -17,42 +20,40 @@ describe('Background Script Functionality', () => {
                 },
             },
             storage: {
+                local: storage.local,
+                onChanged: storage.onChanged,
                 sync: {
-                    get: jest.fn((keys, callback) => {
+                    get: jest.fn(async (keys) => {
                         const result = {};
-                        if (Array.isArray(keys)) {
-                            keys.forEach(key => {
-                                result[key] = mockStorage[key] || [];
-                            });
-                        }
-                        callback(result);
+                        [].concat(keys).forEach(key => {
+                            if (key in mockStorage) {
+                                result[key] = mockStorage[key];
+                            }
+                        });
+                        return result;
                     }),
-                    set: jest.fn((data, callback) => {
+                    set: jest.fn(async (data) => {
                         Object.assign(mockStorage, data);
-                        if (callback) callback();
                     }),
                 },
             },
             scripting: {
-                executeScript: jest.fn((details, callback) => {
-                    const mockResult = [{
-                        result: {
-                            url: 'http://example.com',
-                            title: 'Example Title',
-                            domain: 'example.com',
-                            language: 'en',
-                            contentType: 'text/html',
-                            pageLoadTimestamp: new Date().toISOString(),
-                            wordCount: 100,
-                            textPosition: 50,
-                            associatedTags: 'BODY',
-                            linkCount: 5,
-                            hasCode: false,
-                            hasMathFormula: false,
-                        }
-                    }];
-                    callback(mockResult);
-                }),
+                executeScript: jest.fn(async () => [{
+                    result: {
+                        url: 'http://example.com',
+                        title: 'Example Title',
+                        domain: 'example.com',
+                        language: 'en',
+                        contentType: 'text/html',
+                        pageLoadTimestamp: new Date().toISOString(),
+                        wordCount: 100,
+                        textPosition: 50,
+                        associatedTags: 'BODY',
+                        linkCount: 5,
+                        hasCode: false,
+                        hasMathFormula: false,
+                    }
+                }]),
             },
         };
     });
@@ -68,112 +69,85 @@ describe('Background Script Functionality', () => {
         expect(chrome.contextMenus.create).toHaveBeenCalledWith({
             id: "browserBud",
             title: "BrowserBud",
-            contexts: ["selection"],
+            contexts: ["selection", "image", "link", "page"],
         });
     });
 
-    test('should save selected text when context menu item is clicked', () => {
+    test('should save selected text when context menu item is clicked', async () => {
+        const addNote = jest.spyOn(background.ensureBatchProcessor(), 'addNote');
         const noteContent = 'This is a test note';
         const tab = { url: 'http://example.com', title: 'Example' };
-        
-        background.onClicked({ menuItemId: "smartNotes", selectionText: noteContent }, tab);
-        
-        expect(chrome.storage.sync.set).toHaveBeenCalledWith(
+
+        await background.onClicked({ menuItemId: "smartNotes", selectionText: noteContent }, tab);
+
+        expect(addNote).toHaveBeenCalledWith(
             expect.objectContaining({
-                [`note_${expect.any(Number)}`]: expect.objectContaining({
-                    content: noteContent,
-                    type: 'selection',
-                    source: expect.objectContaining({
-                        url: tab.url,
-                        title: tab.title,
-                        timestamp: expect.any(String),
-                    }),
-                    metadata: expect.objectContaining({
-                        pageUrl: tab.url,
-                        pageTitle: tab.title,
-                        domain: expect.any(String),
-                        pageLanguage: expect.any(String),
-                        wordCount: expect.any(Number),
-                        textPosition: expect.any(Number),
-                        associatedTags: expect.any(String),
-                        linkCount: expect.any(Number),
-                        hasCode: expect.any(Boolean),
-                        hasMathFormula: expect.any(Boolean),
-                        annotationTimestamp: expect.any(String),
-                        selectionLength: noteContent.length,
-                        intent: 'contextMenuCapture'
-                    }),
-                    tag: 'Context Menu'
-                }),
-            }),
-            expect.any(Function)
+                content: noteContent,
+                type: 'selection',
+                source_url: tab.url,
+                title: tab.title,
+                timestamp: expect.any(String),
+                metadata: expect.objectContaining({
+                    domain: 'example.com',
+                    language: 'en',
+                    wordCount: expect.any(Number),
+                    textPosition: expect.any(Number),
+                    associatedTags: expect.any(String),
+                    linkCount: expect.any(Number),
+                    hasCode: expect.any(Boolean),
+                    hasMathFormula: expect.any(Boolean),
+                    selectionLength: noteContent.length
+                })
+            })
         );
+        addNote.mockRestore();
     });
 
-    test('should not save empty notes if no text is selected', () => {
+    test('should not save empty notes if no text is selected', async () => {
+        const addNote = jest.spyOn(background.ensureBatchProcessor(), 'addNote');
         const tab = { url: 'http://example.com', title: 'Example' };
-        
-        background.onClicked({ menuItemId: "smartNotes", selectionText: null }, tab);
-        
-        expect(chrome.storage.sync.set).not.toHaveBeenCalled();
+
+        await background.onClicked({ menuItemId: "smartNotes", selectionText: null }, tab);
+
+        expect(addNote).not.toHaveBeenCalled();
+        addNote.mockRestore();
     });
 
-    test('should append new notes to existing notes', () => {
-        mockStorage[`note_${Date.now()}`] = { content: 'Existing note', type: 'selection', tag: 'Context Menu' };
+    test('should append new notes to existing notes', async () => {
+        const processor = background.ensureBatchProcessor();
+        await processor.addNote({ content: 'Existing note', type: 'selection', source_url: 'http://example.com/older' });
         const newNoteContent = 'New test note';
         const tab = { url: 'http://example.com', title: 'Example' };
 
-        background.onClicked({ menuItemId: "smartNotes", selectionText: newNoteContent }, tab);
+        await background.onClicked({ menuItemId: "smartNotes", selectionText: newNoteContent }, tab);
 
-        expect(chrome.storage.sync.set).toHaveBeenCalledWith(
-            expect.objectContaining({
-                [`note_${expect.any(Number)}`]: expect.objectContaining({
-                    content: newNoteContent,
-                    type: 'selection',
-                    tag: 'Context Menu',
-                }),
-                [`note_${expect.any(Number)}`]: expect.objectContaining({
-                    content: 'Existing note',
-                    type: 'selection',
-                    tag: 'Context Menu',
-                }),
-            }),
-            expect.any(Function)
-        );
+        const notes = await processor.getStoredNotes();
+        expect(notes.map(note => note.content)).toEqual(expect.arrayContaining(['Existing note', newNoteContent]));
     });
 
-    test('should handle metadata extraction errors gracefully', () => {
-        // Mock the executeScript to throw an error
-        chrome.scripting.executeScript.mockImplementation((details, callback) => {
-            callback([]);
-        });
+    test('should handle metadata extraction errors gracefully', async () => {
+        const addNote = jest.spyOn(background.ensureBatchProcessor(), 'addNote');
+        // No frame answered the extractor
+        chrome.scripting.executeScript.mockResolvedValue([]);
 
         const noteContent = 'This is a test note';
         const tab = { url: 'http://example.com', title: 'Example' };
 
-        background.onClicked({ menuItemId: "smartNotes", selectionText: noteContent }, tab);
+        await background.onClicked({ menuItemId: "smartNotes", selectionText: noteContent }, tab);
 
-        expect(chrome.storage.sync.set).toHaveBeenCalledWith(
+        expect(addNote).toHaveBeenCalledWith(
             expect.objectContaining({
-                [`note_${expect.any(Number)}`]: expect.objectContaining({
-                    content: noteContent,
-                    type: 'selection',
-                    source: expect.objectContaining({
-                        url: tab.url,
-                        title: tab.title,
-                        timestamp: expect.any(String),
-                    }),
-                    metadata: expect.objectContaining({
-                        error: 'Metadata extraction failed',
-                        annotationTimestamp: expect.any(String),
-                        selectionLength: noteContent.length,
-                        intent: 'contextMenuCapture',
-                        wordCount: noteContent.trim().split(/\s+/).length,
-                    }),
-                    tag: 'Context Menu'
-                }),
-            }),
-            expect.any(Function)
+                content: noteContent,
+                type: 'selection',
+                source_url: tab.url,
+                title: tab.title,
+                timestamp: expect.any(String),
+                metadata: expect.objectContaining({
+                    error: 'Metadata extraction failed',
+                    selectionLength: noteContent.length
+                })
+            })
         );
+        addNote.mockRestore();
     });
 });
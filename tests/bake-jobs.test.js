@@ -0,0 +1,224 @@
+const { BatchProcessor, ALARMS } = require('../batch-processor');
+const { BAKE_HISTORY_LIMIT, parseJobStatus, normalizeBakeScope } = require('../bake-jobs');
+
+const response = (status, body = {}) => ({
+    ok: status >= 200 && status < 300,
+    status,
+    headers: { get: () => null },
+    json: () => Promise.resolve(body),
+    text: () => Promise.resolve(JSON.stringify(body))
+});
+
+const storedJobs = () => global.__chromeLocalStorageData.bake_jobs;
+
+describe('Bake jobs', () => {
+    let processor;
+
+    beforeAll(() => {
+        if (!AbortSignal.timeout) {
+            AbortSignal.timeout = () => new AbortController().signal;
+        }
+    });
+
+    beforeEach(async () => {
+        jest.useFakeTimers();
+        global.fetch = jest.fn(() => Promise.resolve(response(200, { job_id: 'job_1', status: 'queued', notes_count: 4 })));
+        processor = new BatchProcessor();
+        processor.retryDelay = 0;
+        await processor.ready;
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    test('reads the status shapes servers send', () => {
+        expect(parseJobStatus({ status: 'processing', progress: 0.42, stage: 'Clustering' }))
+            .toEqual({ status: 'running', progress: 42, stage: 'Clustering' });
+        expect(parseJobStatus({ state: 'done', result: { insights: ['Plain text', { topic: 'Attention', summary: 'Weights' }] } }))
+            .toEqual(expect.objectContaining({
+                status: 'completed',
+                progress: 100,
+                insights: [{ title: null, content: 'Plain text' }, { title: 'Attention', content: 'Weights' }]
+            }));
+        expect(parseJobStatus({ status: 'error', error: { message: 'Model overloaded' } }).error).toBe('Model overloaded');
+    });
+
+    test('stores the job id and polls it until it completes', async () => {
+        const result = await processor.handleBakeRequest({});
+
+        expect(result).toEqual(expect.objectContaining({ success: true, job: expect.objectContaining({ id: 'job_1' }) }));
+        expect(storedJobs().active).toEqual(expect.objectContaining({ id: 'job_1', status: 'queued', notes_count: 4 }));
+        expect(global.__chromeAlarms[ALARMS.BAKE_POLL]).toBeDefined();
+        expect(chrome.action.setBadgeText).toHaveBeenLastCalledWith({ text: '🔥' });
+
+        global.fetch.mockResolvedValueOnce(response(200, { status: 'running', progress: 60 }));
+        await processor.pollBakeJob();
+
+        expect(global.fetch.mock.calls[1][0]).toBe('http://localhost:8000/api/bake/job_1');
+        expect(chrome.action.setBadgeText).toHaveBeenLastCalledWith({ text: '60%' });
+        expect(chrome.runtime.sendMessage).toHaveBeenLastCalledWith({
+            action: 'bakeJobUpdated',
+            job: expect.objectContaining({ status: 'running', progress: 60 })
+        });
+
+        global.fetch.mockResolvedValueOnce(response(200, {
+            status: 'completed',
+            result: { summary: 'Two themes', insights: [{ title: 'Attention', content: 'Is all you need' }] }
+        }));
+        await processor.pollBakeJob();
+
+        const { active, history } = await processor.getBakeJobs();
+        expect(active).toBeNull();
+        expect(history[0]).toEqual(expect.objectContaining({
+            id: 'job_1',
+            status: 'completed',
+            summary: 'Two themes',
+            insights: [{ title: 'Attention', content: 'Is all you need' }]
+        }));
+        expect(global.__chromeAlarms[ALARMS.BAKE_POLL]).toBeUndefined();
+        expect(chrome.action.setBadgeText).toHaveBeenLastCalledWith({ text: '✓' });
+    });
+
+    test('keeps failure reasons in the history', async () => {
+        await processor.handleBakeRequest({});
+
+        global.fetch.mockResolvedValueOnce(response(200, { status: 'failed', error: 'No notes to bake' }));
+        await processor.pollBakeJob();
+
+        global.fetch.mockResolvedValueOnce(response(400, { error: 'bad request' }));
+        processor.lastBakeTime = null;
+        await processor.handleBakeRequest({});
+
+        const { history } = await processor.getBakeJobs();
+        expect(history.map(job => [job.status, job.error])).toEqual([
+            ['failed', expect.stringContaining('400')],
+            ['failed', 'No notes to bake']
+        ]);
+    });
+
+    test('keeps polling through network errors, but gives up on a job that runs too long', async () => {
+        // Failed requests are retried after a real (zero) delay
+        jest.useRealTimers();
+        await processor.handleBakeRequest({});
+
+        global.fetch.mockRejectedValue(new TypeError('Failed to fetch'));
+        expect((await processor.pollBakeJob()).status).toBe('queued');
+
+        storedJobs().active.started_at = new Date(Date.now() - 31 * 60000).toISOString();
+        const job = await processor.pollBakeJob();
+
+        expect(job).toEqual(expect.objectContaining({ status: 'failed', error: 'The bake did not finish within 30 minutes' }));
+    });
+
+    test('refuses a second bake while one is running', async () => {
+        await processor.handleBakeRequest({});
+        processor.lastBakeTime = null;
+
+        const result = await processor.handleBakeRequest({});
+
+        expect(result).toEqual({ success: false, error: 'A bake is already running. Wait for it to finish.' });
+    });
+
+    test('records a bake the server finished within the request', async () => {
+        global.fetch.mockResolvedValueOnce(response(200, { insights: ['Done at once'] }));
+
+        await processor.handleBakeRequest({});
+
+        const { active, history } = await processor.getBakeJobs();
+        expect(active).toBeNull();
+        expect(history[0].insights).toEqual([{ title: null, content: 'Done at once' }]);
+    });
+
+    test('resumes polling when the worker wakes up, and keeps a bounded history', async () => {
+        global.__chromeLocalStorageData.bake_jobs = {
+            active: { id: 'job_9', status: 'running', progress: 10, started_at: new Date().toISOString() },
+            history: Array.from({ length: BAKE_HISTORY_LIMIT }, (_, i) => ({ id: `job_old_${i}`, status: 'completed' }))
+        };
+
+        await processor.start();
+        expect(global.__chromeAlarms[ALARMS.BAKE_POLL]).toBeDefined();
+
+        global.fetch.mockImplementation(url => Promise.resolve(
+            url.endsWith('/bake/job_9') ? response(200, { status: 'completed', insights: [] }) : response(200)
+        ));
+        await processor.handleAlarm({ name: ALARMS.BAKE_POLL });
+
+        const { history } = await processor.getBakeJobs();
+        expect(history).toHaveLength(BAKE_HISTORY_LIMIT);
+        expect(history[0].id).toBe('job_9');
+        await processor.stop();
+    });
+
+    describe('scoped bakes', () => {
+        const note = (id, fields = {}) => ({
+            id,
+            content: `Text of ${id}`,
+            source_url: 'https://papers.org/a',
+            intent: 'learn',
+            tags: [],
+            timestamp: '2024-03-01T12:00:00.000Z',
+            synced_at: '2024-03-01T12:05:00.000Z',
+            server_id: `srv_${id}`,
+            ...fields
+        });
+
+        beforeEach(async () => {
+            await processor.setStoredNotes([
+                note('note_1', { tags: ['ML'] }),
+                note('note_2', { intent: 'todo', timestamp: '2024-03-02T09:00:00.000Z' }),
+                note('note_3', { source_url: 'https://news.example.com/b', synced_at: undefined, server_id: undefined })
+            ]);
+        });
+
+        test('checks scopes and drops empty fields', () => {
+            expect(normalizeBakeScope(null)).toBeNull();
+            expect(normalizeBakeScope({ domain: ' Papers.org ', intent: '', tag: null })).toEqual({ domain: 'papers.org' });
+            expect(normalizeBakeScope({ from: '2024-03-02' })).toEqual({ from: '2024-03-02T00:00:00.000Z' });
+            expect(() => normalizeBakeScope({ note_ids: [] })).toThrow('Select at least one note to bake');
+            expect(() => normalizeBakeScope({ from: '2024-03-02', to: '2024-03-01' })).toThrow('after its end');
+        });
+
+        test('previews how many notes a scope takes in', async () => {
+            expect(await processor.previewBake({ domain: 'papers.org' })).toEqual(expect.objectContaining({ count: 2, pendingCount: 0 }));
+            expect((await processor.previewBake({ intent: 'todo' })).count).toBe(1);
+            expect((await processor.previewBake({ tag: 'ml' })).count).toBe(1);
+            expect((await processor.previewBake({ from: '2024-03-02T00:00:00.000Z' })).count).toBe(1);
+            expect(await processor.previewBake(null)).toEqual(expect.objectContaining({ count: 3, pendingCount: 1, scope: null }));
+            expect(await processor.previewBake({ note_ids: [] })).toEqual({ success: false, error: 'Select at least one note to bake' });
+        });
+
+        test('sends the scope, its notes and the template with the bake', async () => {
+            const result = await processor.handleBakeRequest({
+                scope: { note_ids: ['note_1', 'note_3'] },
+                template: 'flashcards'
+            });
+
+            expect(result.success).toBe(true);
+            const [, request] = global.fetch.mock.calls.find(([url]) => url.endsWith('/bake'));
+            expect(JSON.parse(request.body)).toEqual(expect.objectContaining({
+                template: 'flashcards',
+                scope: { note_ids: ['note_1', 'note_3'] },
+                note_ids: ['srv_note_1', 'note_3']
+            }));
+            expect(result.job).toEqual(expect.objectContaining({ template: 'flashcards', scope: { note_ids: ['note_1', 'note_3'] } }));
+        });
+
+        test('bakes everything as a summary when no scope is given', async () => {
+            await processor.handleBakeRequest({ additionalNotes: '' });
+
+            const [, request] = global.fetch.mock.calls.find(([url]) => url.endsWith('/bake'));
+            expect(JSON.parse(request.body)).toEqual(expect.objectContaining({ template: 'summary', scope: null, note_ids: null }));
+        });
+
+        test('refuses an unknown template or a scope without notes', async () => {
+            expect(await processor.handleBakeRequest({ template: 'poem' }))
+                .toEqual({ success: false, error: 'Unknown bake template: poem' });
+
+            const result = await processor.handleBakeRequest({ scope: { domain: 'nowhere.org' } });
+
+            expect(result).toEqual({ success: false, error: 'No notes match this bake scope' });
+            expect(global.fetch.mock.calls.some(([url]) => url.endsWith('/bake'))).toBe(false);
+        });
+    });
+});
@@ -0,0 +1,309 @@
+const { BatchProcessor } = require('../batch-processor');
+const { NotesRepository } = require('../notes-repository');
+
+describe('BatchProcessor', () => {
+    let processor;
+
+    beforeAll(() => {
+        if (!AbortSignal.timeout) {
+            AbortSignal.timeout = () => new AbortController().signal;
+        }
+    });
+
+    beforeEach(() => {
+        global.fetch = jest.fn();
+    });
+
+    const createProcessor = (options = {}) => {
+        const instance = new BatchProcessor({ maxBatchSize: 10, ...options });
+        instance.retryDelay = 0;
+        return instance;
+    };
+
+    const mockBatchResponse = (ok) => {
+        global.fetch.mockResolvedValue({
+            ok,
+            status: ok ? 200 : 500,
+            json: () => Promise.resolve({ received: true }),
+            text: () => Promise.resolve(ok ? '' : 'Internal error')
+        });
+    };
+
+    describe('durable outbox', () => {
+        test('persists added notes under their id with pending delivery state', async () => {
+            processor = createProcessor();
+            await processor.addNote({ content: 'Persist me', timestamp: new Date().toISOString() });
+
+            const [note] = processor.pendingNotes;
+            expect(await processor.repository.get(note.id)).toEqual(expect.objectContaining({
+                content: 'Persist me',
+                delivery: expect.objectContaining({ status: 'pending', attempts: 0 })
+            }));
+        });
+
+        test('rebuilds the pending queue from the repository on construction', async () => {
+            const repository = new NotesRepository();
+            await repository.put([
+                { id: 'note_2', content: 'Second', timestamp: '2024-01-02T00:00:00.000Z', delivery: { status: 'pending', attempts: 0 } },
+                { id: 'note_1', content: 'First', timestamp: '2024-01-01T00:00:00.000Z', delivery: { status: 'failed', attempts: 2 } },
+                { id: 'local_1', content: 'Delivered', timestamp: '2024-01-03T00:00:00.000Z' }
+            ]);
+
+            processor = createProcessor({ repository });
+            await processor.ready;
+
+            expect(processor.pendingNotes.map(note => note.id)).toEqual(['note_1', 'note_2']);
+            expect(processor.getStatus().pendingCount).toBe(2);
+        });
+
+        test('reconciles legacy outbox notes and notes interrupted mid-upload', async () => {
+            global.__chromeLocalStorageData = {
+                note_legacy: { id: 'note_other', content: 'Saved under a different key' },
+                note_sending: { id: 'note_sending', content: 'In flight', delivery: { status: 'sending', attempts: 1 } }
+            };
+
+            processor = createProcessor();
+            await processor.ready;
+
+            expect(await processor.repository.get('note_legacy')).toEqual(expect.objectContaining({
+                id: 'note_legacy',
+                delivery: expect.objectContaining({ status: 'pending', attempts: 0 })
+            }));
+            expect((await processor.repository.get('note_sending')).delivery).toEqual(
+                expect.objectContaining({ status: 'pending', attempts: 1 })
+            );
+            expect(processor.pendingNotes).toHaveLength(2);
+        });
+    });
+
+    describe('delivery', () => {
+        test('marks only the delivered notes as synced and keeps them', async () => {
+            processor = createProcessor();
+            await processor.addNote({ content: 'Delivered note' });
+            const [delivered] = processor.pendingNotes;
+
+            let resolveFetch;
+            global.fetch.mockReturnValue(new Promise(resolve => { resolveFetch = resolve; }));
+            const batch = processor.processBatch();
+
+            // Captured while the batch is in flight
+            await processor.addNote({ content: 'Late note' });
+            const late = processor.pendingNotes.find(note => note.content === 'Late note');
+
+            await new Promise(resolve => setTimeout(resolve, 0));
+            resolveFetch({ ok: true, json: () => Promise.resolve({}) });
+            await batch;
+
+            const synced = await processor.repository.get(delivered.id);
+            expect(synced).toEqual(expect.objectContaining({ content: 'Delivered note', server_id: delivered.id }));
+            expect(synced.synced_at).toEqual(expect.any(String));
+            expect(synced.delivery).toBeUndefined();
+            expect((await processor.repository.get(late.id)).delivery.status).toBe('pending');
+            expect(processor.pendingNotes.map(note => note.id)).toEqual([late.id]);
+            expect((await processor.getStoredNotes({ sync: 'synced' })).map(note => note.id)).toEqual([delivered.id]);
+        });
+
+        test('only syncs the notes the server lists as accepted', async () => {
+            processor = createProcessor();
+            await processor.addNote({ content: 'Accepted', timestamp: '2024-01-01T00:00:00.000Z' });
+            await processor.addNote({ content: 'Missing', timestamp: '2024-01-02T00:00:00.000Z' });
+            const [accepted, missing] = processor.pendingNotes;
+            global.fetch.mockResolvedValue({
+                ok: true,
+                status: 200,
+                json: () => Promise.resolve({ results: [{ id: accepted.id, status: 'accepted', server_id: 'srv_42' }] })
+            });
+
+            await processor.processBatch();
+
+            expect((await processor.repository.get(accepted.id)).server_id).toBe('srv_42');
+            expect(processor.pendingNotes.map(note => note.id)).toEqual([missing.id]);
+            expect((await processor.repository.get(missing.id)).delivery).toEqual(expect.objectContaining({
+                status: 'failed',
+                attempts: 1,
+                last_error: 'Not acknowledged by the server'
+            }));
+        });
+
+        test('uploads notes without local delivery bookkeeping', async () => {
+            processor = createProcessor();
+            await processor.addNote({ content: 'Upload me' });
+            mockBatchResponse(true);
+
+            await processor.processBatch();
+
+            const payload = JSON.parse(global.fetch.mock.calls[0][1].body);
+            expect(payload.notes[0].content).toBe('Upload me');
+            expect(payload.notes[0].delivery).toBeUndefined();
+        });
+
+        test('sends the same idempotency keys when a batch is retried', async () => {
+            processor = createProcessor();
+            processor.maxRetries = 2;
+            await processor.addNote({ content: 'Timed out once' });
+            global.fetch
+                .mockRejectedValueOnce(new Error('The operation timed out'))
+                .mockResolvedValueOnce({ ok: true, status: 200, json: () => Promise.resolve({}) });
+
+            await processor.processBatch();
+
+            const [first, second] = global.fetch.mock.calls.map(([, request]) => request);
+            const payload = JSON.parse(first.body);
+            expect(first.headers['Idempotency-Key']).toBe(payload.batch_id);
+            expect(second.headers['Idempotency-Key']).toBe(payload.batch_id);
+            expect(second.body).toBe(first.body);
+            expect(payload.notes[0].idempotency_key).toEqual(expect.any(String));
+        });
+
+        test('keeps the batch id when the same notes are sent again in a later cycle', async () => {
+            processor = createProcessor();
+            processor.maxRetries = 1;
+            await processor.addNote({ content: 'First' });
+            await processor.addNote({ content: 'Second' });
+            global.fetch
+                .mockResolvedValueOnce({ ok: false, status: 503, text: () => Promise.resolve('Unavailable') })
+                .mockResolvedValueOnce({ ok: true, status: 200, json: () => Promise.resolve({}) });
+
+            await processor.processBatch();
+            await processor.processBatch();
+
+            const [first, second] = global.fetch.mock.calls.map(([, request]) => JSON.parse(request.body));
+            expect(first.batch_id).toMatch(/^batch_[0-9a-f]{16}_2$/);
+            expect(second.batch_id).toBe(first.batch_id);
+        });
+
+        test('caps each batch at maxBatchSize and stops at the first failed batch', async () => {
+            processor = createProcessor();
+            processor.maxRetries = 1;
+            for (let i = 1; i <= 5; i++) {
+                await processor.addNote({ content: `Note ${i}` });
+            }
+            processor.maxBatchSize = 2;
+            global.fetch
+                .mockResolvedValueOnce({ ok: true, status: 200, json: () => Promise.resolve({}) })
+                .mockResolvedValueOnce({ ok: false, status: 500, text: () => Promise.resolve('Internal error') });
+
+            await processor.processBatch();
+
+            expect(global.fetch).toHaveBeenCalledTimes(2);
+            expect(JSON.parse(global.fetch.mock.calls[0][1].body).notes).toHaveLength(2);
+            expect(processor.pendingNotes.map(note => note.content)).toEqual(['Note 3', 'Note 4', 'Note 5']);
+            expect(processor.pendingNotes.map(note => note.delivery.status)).toEqual(['failed', 'failed', 'pending']);
+        });
+
+        test('settles each note by its result: accepted, rejected or retried', async () => {
+            processor = createProcessor();
+            for (const content of ['Fine', 'Seen before', 'Invalid', 'Server hiccup']) {
+                await processor.addNote({ content });
+            }
+            const [fine, seen, invalid, hiccup] = processor.pendingNotes;
+            global.fetch.mockResolvedValue({
+                ok: true,
+                status: 200,
+                json: () => Promise.resolve({
+                    results: [
+                        { id: fine.id, status: 'accepted', server_id: 'srv_1' },
+                        { id: seen.id, status: 'duplicate', server_id: 'srv_0' },
+                        { id: invalid.id, status: 'rejected', error: 'content too long' },
+                        { id: hiccup.id, status: 'error', error: 'database busy' }
+                    ]
+                })
+            });
+
+            await processor.processBatch();
+
+            expect((await processor.repository.get(fine.id)).server_id).toBe('srv_1');
+            expect((await processor.repository.get(seen.id)).server_id).toBe('srv_0');
+            expect((await processor.repository.get(invalid.id)).delivery).toEqual(expect.objectContaining({
+                status: 'rejected',
+                last_error: 'content too long'
+            }));
+            expect(processor.pendingNotes.map(note => note.id)).toEqual([hiccup.id]);
+            expect(processor.pendingNotes[0].delivery.status).toBe('failed');
+            expect(processor.getStatus().rejectedCount).toBe(1);
+            expect((await processor.getStoredNotes({ sync: 'rejected' })).map(note => note.id)).toEqual([invalid.id]);
+        });
+
+        test('retries a rejected note once it has been fixed', async () => {
+            processor = createProcessor();
+            await processor.addNote({ content: 'Invalid' });
+            const [note] = processor.pendingNotes;
+            global.fetch.mockResolvedValueOnce({
+                ok: true,
+                status: 200,
+                json: () => Promise.resolve({ results: [{ id: note.id, status: 'rejected', error: 'bad intent' }] })
+            });
+            await processor.processBatch();
+
+            const edit = await processor.updateNote(note.id, { intent: 'learn' });
+            expect(edit.queued).toBe(false);
+            expect(await processor.retryRejectedNote(note.id)).toEqual(expect.objectContaining({ success: true }));
+
+            expect(processor.pendingNotes.map(({ id }) => id)).toEqual([note.id]);
+            expect(processor.getStatus().rejectedCount).toBe(0);
+            expect(await processor.retryRejectedNote(note.id)).toEqual(expect.objectContaining({ success: false }));
+        });
+
+        test('records failed attempts and reports stuck notes', async () => {
+            processor = createProcessor({ stuckThreshold: 2 });
+            processor.maxRetries = 1;
+            await processor.addNote({ content: 'Unlucky note' });
+            const [note] = processor.pendingNotes;
+            mockBatchResponse(false);
+
+            await processor.processBatch();
+            expect((await processor.repository.get(note.id)).delivery).toEqual(expect.objectContaining({
+                status: 'failed',
+                attempts: 1,
+                last_error: expect.stringContaining('HTTP 500')
+            }));
+            expect(processor.getStatus().stuckCount).toBe(0);
+
+            await processor.processBatch();
+            expect(processor.getStatus().stuckCount).toBe(1);
+        });
+    });
+
+    test('reset discards queued notes from storage', async () => {
+        processor = createProcessor();
+        await processor.addNote({ content: 'Discard me' });
+        const [note] = processor.pendingNotes;
+
+        await processor.reset();
+
+        expect(processor.pendingNotes).toHaveLength(0);
+        expect(await processor.repository.get(note.id)).toBeNull();
+    });
+
+    test('evicts the oldest delivered notes beyond maxLocalNotes, never queued ones', async () => {
+        processor = createProcessor({ maxLocalNotes: 2 });
+        await processor.repository.put([1, 2, 3].map(day => ({
+            id: `local_${day}`,
+            content: `Delivered on day ${day}`,
+            timestamp: `2024-01-0${day}T00:00:00.000Z`
+        })));
+        await processor.addNote({ content: 'Still queued', timestamp: '2023-01-01T00:00:00.000Z' });
+
+        await processor.cleanupLocalStorage();
+
+        const remaining = await processor.getStoredNotes();
+        expect(remaining.map(note => note.id)).toEqual(['local_3', 'local_2', processor.pendingNotes[0].id]);
+    });
+
+    test('keeps pinned notes and notes with unsent edits when evicting', async () => {
+        processor = createProcessor({ maxLocalNotes: 1 });
+        await processor.repository.put([1, 2, 3, 4].map(day => ({
+            id: `local_${day}`,
+            content: `Delivered on day ${day}`,
+            timestamp: `2024-01-0${day}T00:00:00.000Z`,
+            pinned: day === 1
+        })));
+        global.fetch.mockResolvedValue({ ok: false, status: 503, text: () => Promise.resolve('') });
+        await processor.updateNote('local_2', { user_note: 'Not sent yet' });
+
+        await processor.cleanupLocalStorage();
+
+        const remaining = await processor.getStoredNotes();
+        expect(remaining.map(note => note.id)).toEqual(['local_4', 'local_2', 'local_1']);
+    });
+});
@@ -0,0 +1,176 @@
+const { extractImageContext, extractLinkContext } = require('../content/element-context');
+const { BatchProcessor } = require('../batch-processor');
+
+describe('Element context extraction', () => {
+    beforeEach(() => {
+        document.body.innerHTML = `
+            <figure>
+                <img src="https://example.com/diagram.png" alt="  Raft   state diagram " title="States" width="640" height="480">
+                <figcaption>Figure 1: Follower, candidate and leader</figcaption>
+            </figure>
+            <a href="https://raft.github.io/" title="Raft site">The <b>Raft</b> site</a>
+            <a href="https://example.com/logo"><img src="https://example.com/logo.png" alt="Example logo"></a>
+        `;
+    });
+
+    test('describes a right-clicked image', () => {
+        expect(extractImageContext('https://example.com/diagram.png')).toEqual({
+            alt_text: 'Raft state diagram',
+            title: 'States',
+            width: 640,
+            height: 480,
+            caption: 'Figure 1: Follower, candidate and leader'
+        });
+    });
+
+    test('returns empty details for images no longer on the page', () => {
+        expect(extractImageContext('https://example.com/missing.png').alt_text).toBe('');
+    });
+
+    test('describes a right-clicked link, using the alt text of image links', () => {
+        expect(extractLinkContext('https://raft.github.io/')).toEqual({ text: 'The Raft site', title: 'Raft site' });
+        expect(extractLinkContext('https://example.com/logo').text).toBe('Example logo');
+    });
+});
+
+describe('Capture types', () => {
+    let background;
+    const tab = { id: 5, url: 'https://example.com/raft', title: 'Raft' };
+
+    const pageMetadata = { url: tab.url, title: 'Raft', domain: 'example.com', language: 'en', anchor: null };
+    const results = {
+        extractSelectionContext: pageMetadata,
+        extractImageContext: { alt_text: 'State diagram', title: '', width: 640, height: 480, caption: '' },
+        extractLinkContext: { text: 'Raft paper', title: '' },
+        extractPageArticle: {
+            title: 'Raft explained',
+            byline: 'Ada',
+            site_name: 'Example',
+            published_time: '',
+            excerpt: 'Raft is a consensus algorithm.',
+            text: 'Raft is a consensus algorithm.\n\nA leader replicates the log.',
+            word_count: 10,
+            truncated: false
+        }
+    };
+
+    beforeEach(() => {
+        jest.resetModules();
+        global.__chromeStorageData = { settings: { quickAnnotate: false } };
+        chrome.scripting = {
+            executeScript: jest.fn(({ func }) => Promise.resolve([{ result: results[func.name] }]))
+        };
+        global.fetch = jest.fn(() => Promise.resolve({ ok: true, json: () => Promise.resolve({}) }));
+        if (!AbortSignal.timeout) {
+            AbortSignal.timeout = () => new AbortController().signal;
+        }
+        background = require('../background');
+    });
+
+    const storedNotes = () => background.ensureBatchProcessor().getStoredNotes();
+
+    test('picks the capture type from the click', () => {
+        expect(background.getCaptureType({ selectionText: 'x', linkUrl: 'https://a' })).toBe('selection');
+        expect(background.getCaptureType({ mediaType: 'image', srcUrl: 'https://a/i.png', linkUrl: 'https://a' })).toBe('image');
+        expect(background.getCaptureType({ linkUrl: 'https://a' })).toBe('link');
+        expect(background.getCaptureType({ pageUrl: 'https://a' })).toBe('page');
+        expect(background.getCaptureType({})).toBeNull();
+    });
+
+    test('captures an image with its description', async () => {
+        const info = { mediaType: 'image', srcUrl: 'https://example.com/d.png', linkUrl: 'https://example.com/big', frameId: 0 };
+
+        await background.onClicked(info, tab);
+
+        const [note] = await storedNotes();
+        expect(note).toEqual(expect.objectContaining({
+            type: 'image',
+            content: 'State diagram',
+            payload: {
+                src_url: 'https://example.com/d.png',
+                alt_text: 'State diagram',
+                caption: '',
+                width: 640,
+                height: 480,
+                link_url: 'https://example.com/big'
+            }
+        }));
+        expect(note.metadata.domain).toBe('example.com');
+        expect(note.anchor).toBeUndefined();
+    });
+
+    test('captures a link', async () => {
+        await background.onClicked({ linkUrl: 'https://raft.github.io/raft.pdf', pageUrl: tab.url }, tab);
+
+        const [note] = await storedNotes();
+        expect(note.type).toBe('link');
+        expect(note.content).toBe('Raft paper');
+        expect(note.payload).toEqual({ href: 'https://raft.github.io/raft.pdf', text: 'Raft paper', title: '' });
+    });
+
+    test('captures the main article of a page', async () => {
+        await background.onClicked({ pageUrl: tab.url, menuItemId: 'browserBud-intent-reference' }, tab);
+
+        const [note] = await storedNotes();
+        expect(note).toEqual(expect.objectContaining({
+            type: 'page',
+            intent: 'reference',
+            title: 'Raft explained',
+            content: results.extractPageArticle.text,
+            payload: expect.objectContaining({ excerpt: 'Raft is a consensus algorithm.', byline: 'Ada', word_count: 10 })
+        }));
+    });
+
+    test('falls back to the element URL when the page cannot be scripted', async () => {
+        chrome.scripting.executeScript.mockRejectedValue(new Error('Cannot access contents of the page'));
+
+        await background.onClicked({ mediaType: 'image', srcUrl: 'https://example.com/d.png' }, tab);
+
+        const [note] = await storedNotes();
+        expect(note.type).toBe('image');
+        expect(note.content).toBe('https://example.com/d.png');
+        expect(note.metadata).toEqual({ error: 'Metadata extraction failed' });
+    });
+
+    test('sends the type and payload in the batch', async () => {
+        await background.onClicked({ linkUrl: 'https://raft.github.io/' }, tab);
+        await background.ensureBatchProcessor().processBatch();
+
+        const [, request] = global.fetch.mock.calls.find(([url]) => url.endsWith('/notes/batch'));
+        const [note] = JSON.parse(request.body).notes;
+        expect(note.type).toBe('link');
+        expect(note.payload.href).toBe('https://raft.github.io/');
+    });
+});
+
+describe('BatchProcessor note types', () => {
+    let processor;
+
+    beforeEach(async () => {
+        processor = new BatchProcessor();
+        await processor.ready;
+    });
+
+    test('defaults notes without a type to selections', async () => {
+        const note = await processor.addNote({ content: 'Some text' });
+
+        expect(note.type).toBe('selection');
+    });
+
+    test('rejects unknown types', async () => {
+        await expect(processor.addNote({ content: 'Some text', type: 'video' })).resolves.toBeNull();
+        expect(processor.pendingNotes).toHaveLength(0);
+    });
+
+    test('flags captures of the same image as duplicates', async () => {
+        const image = { type: 'image', payload: { src_url: 'https://example.com/d.png' } };
+
+        const first = await processor.addNote({ ...image, content: 'Diagram' });
+        const again = await processor.addNote({ ...image, content: 'Diagram, again' });
+        const other = await processor.addNote({ type: 'image', content: 'Diagram', payload: { src_url: 'https://example.com/e.png' } });
+
+        expect(again.duplicate).toEqual({ of: first.id, kind: 'exact', similarity: 1 });
+        expect(other.duplicate).toBeUndefined();
+        expect(processor.getReadyNotes()).toEqual([first, other]);
+    });
+});
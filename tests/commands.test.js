@@ -0,0 +1,116 @@
+const fs = require('fs');
+const path = require('path');
+
+const manifest = JSON.parse(fs.readFileSync(path.resolve(__dirname, '../manifest.json'), 'utf8'));
+
+describe('Keyboard shortcut commands', () => {
+    let background;
+    const tab = { id: 9, url: 'https://example.com/raft', title: 'Raft' };
+
+    const selectionInFrame = (frameId, text) => ({ frameId, result: text });
+
+    beforeEach(() => {
+        jest.resetModules();
+        jest.useFakeTimers();
+        global.__chromeStorageData = { settings: { quickAnnotate: false } };
+        chrome.scripting = {
+            executeScript: jest.fn(({ func }) => {
+                if (func.name === 'getSelectedText') {
+                    return Promise.resolve([selectionInFrame(0, ''), selectionInFrame(4, 'Leaders win elections')]);
+                }
+                return Promise.resolve([{ result: { url: tab.url, title: 'Raft', domain: 'example.com', anchor: null } }]);
+            })
+        };
+        global.fetch = jest.fn(() => Promise.resolve({ ok: true, json: () => Promise.resolve({ status: 'started' }) }));
+        if (!AbortSignal.timeout) {
+            AbortSignal.timeout = () => new AbortController().signal;
+        }
+        background = require('../background');
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    const storedNotes = () => background.ensureBatchProcessor().getStoredNotes();
+
+    test('declares the shortcuts in the manifest', () => {
+        expect(Object.keys(manifest.commands)).toEqual(['capture-selection', 'open-quick-note', 'bake-now']);
+        Object.values(manifest.commands).forEach(command => {
+            expect(command.description).toBeTruthy();
+            expect(command.suggested_key.default).toMatch(/^Alt\+Shift\+/);
+        });
+    });
+
+    test('listens for commands', () => {
+        expect(chrome.commands.onCommand.addListener).toHaveBeenCalledWith(background.onCommand);
+    });
+
+    test('captures the selection from the frame that holds it', async () => {
+        const outcome = await background.onCommand('capture-selection', tab);
+
+        expect(outcome).toBe('saved');
+        expect(chrome.scripting.executeScript).toHaveBeenCalledWith({
+            target: { tabId: 9, allFrames: true },
+            func: expect.any(Function)
+        });
+        const metadataCall = chrome.scripting.executeScript.mock.calls
+            .map(([details]) => details)
+            .find(details => details.func.name === 'extractSelectionContext');
+        expect(metadataCall.target).toEqual({ tabId: 9, frameIds: [4] });
+
+        const [note] = await storedNotes();
+        expect(note).toEqual(expect.objectContaining({ type: 'selection', content: 'Leaders win elections', intent: 'learn' }));
+    });
+
+    test('flashes the badge, then goes back to the pending count', async () => {
+        await background.onCommand('capture-selection', tab);
+
+        expect(chrome.action.setBadgeText).toHaveBeenLastCalledWith({ text: '✓' });
+        jest.advanceTimersByTime(2000);
+        expect(chrome.action.setBadgeText).toHaveBeenLastCalledWith({ text: '1' });
+    });
+
+    test('shows that there was nothing to capture', async () => {
+        chrome.scripting.executeScript.mockResolvedValue([selectionInFrame(0, '   ')]);
+
+        const outcome = await background.onCommand('capture-selection', tab);
+
+        expect(outcome).toBe('empty');
+        expect(chrome.action.setBadgeText).toHaveBeenLastCalledWith({ text: '–' });
+        expect(await storedNotes()).toHaveLength(0);
+    });
+
+    test('shows a failure when the page cannot be scripted', async () => {
+        chrome.scripting.executeScript.mockRejectedValue(new Error('Cannot access a chrome:// URL'));
+
+        const outcome = await background.onCommand('capture-selection', { id: 2, url: 'chrome://extensions' });
+
+        expect(outcome).toBe('failed');
+        expect(chrome.action.setBadgeText).toHaveBeenLastCalledWith({ text: '!' });
+    });
+
+    test('opens the popup for a quick note, or a window when it cannot', async () => {
+        await background.onCommand('open-quick-note', tab);
+        expect(chrome.action.openPopup).toHaveBeenCalled();
+        expect(chrome.windows.create).not.toHaveBeenCalled();
+
+        chrome.action.openPopup.mockRejectedValueOnce(new Error('No active browser window'));
+        await background.onCommand('open-quick-note', tab);
+        expect(chrome.windows.create).toHaveBeenCalledWith(expect.objectContaining({
+            url: 'chrome-extension://browserbud/popup/popup.html',
+            type: 'popup'
+        }));
+    });
+
+    test('bakes through the same path as the triggerBake message', async () => {
+        const outcome = await background.onCommand('bake-now', tab);
+
+        expect(outcome).toBe('baked');
+        const [, request] = global.fetch.mock.calls.find(([url]) => url.endsWith('/bake'));
+        expect(JSON.parse(request.body)).toEqual(expect.objectContaining({
+            trigger_source: 'user_action',
+            includeAdditionalNotes: false
+        }));
+    });
+});
@@ -0,0 +1,133 @@
+const { normalizeText, simhash, hammingDistance, similarity, mergeOverlap, findDuplicate } = require('../duplicates');
+const { BatchProcessor } = require('../batch-processor');
+
+const RAFT = 'Raft elects a leader, and the leader replicates the log to followers so that every server agrees on the order of commands.';
+
+const note = (id, fields = {}) => ({
+    id,
+    type: 'selection',
+    content: `Content of ${id}`,
+    source_url: 'https://raft.github.io/',
+    timestamp: '2024-03-01T12:00:00.000Z',
+    intent: 'learn',
+    user_note: '',
+    tags: [],
+    ...fields
+});
+
+describe('Duplicates', () => {
+    test('compares text without case, accents, punctuation or spacing', () => {
+        expect(normalizeText('  Déjà vu,  the CAFÉ said! ')).toBe('deja vu the cafe said');
+        expect(findDuplicate(note('new', { content: `${RAFT} ` }), [note('old', { content: RAFT })]))
+            .toEqual(expect.objectContaining({ kind: 'exact', similarity: 1 }));
+    });
+
+    test('scores small edits as near duplicates and unrelated text as neither', () => {
+        const edited = 'Raft elects a leader, and the leader replicates its log to the followers so every server agrees on the order of commands.';
+        const unrelated = 'Paxos is older than Raft and harder to understand, which is why Raft was designed for understandability.';
+
+        expect(hammingDistance(simhash(RAFT), simhash(edited))).toBeLessThan(hammingDistance(simhash(RAFT), simhash(unrelated)));
+        expect(similarity(RAFT, edited)).toBeGreaterThan(0.6);
+        expect(findDuplicate(note('new', { content: edited, source_url: 'https://other.example' }), [note('old', { content: RAFT })]))
+            .toEqual(expect.objectContaining({ kind: 'near' }));
+        expect(findDuplicate(note('new', { content: unrelated }), [note('old', { content: RAFT })])).toBeNull();
+    });
+
+    test('joins passages that run into each other, keeping the original text', () => {
+        expect(mergeOverlap('Le café était déjà chaud ce matin', 'déjà chaud ce matin, dit-il.'))
+            .toBe('Le café était déjà chaud ce matin, dit-il.');
+        expect(mergeOverlap('jumps over the lazy dog.', 'The quick brown fox jumps over the lazy')).toBe('The quick brown fox jumps over the lazy dog.');
+        expect(mergeOverlap('The quick brown fox', 'The QUICK brown')).toBe('The quick brown fox');
+        expect(mergeOverlap('The quick brown fox', 'fox runs away')).toBeNull(); // one word is not enough
+        expect(mergeOverlap('The quick brown fox', 'brown fox')).toBeNull(); // nor is a short selection inside it
+        expect(mergeOverlap('the', 'The quick brown fox')).toBeNull();
+    });
+});
+
+describe('Duplicate review', () => {
+    let processor;
+
+    beforeEach(async () => {
+        global.fetch = jest.fn();
+        processor = new BatchProcessor();
+        await processor.ready;
+        await processor.clearStoredNotes();
+    });
+
+    test('holds a repeat of a synced note back from upload until it is kept', async () => {
+        await processor.setStoredNotes([note('note_1', { content: RAFT, server_id: 'srv_1' })]);
+
+        const added = await processor.addNote(note(undefined, { content: `${RAFT}  `, user_note: 'Again' }));
+
+        expect(added.duplicate).toEqual({ of: 'note_1', kind: 'exact', similarity: 1 });
+        expect(processor.getReadyNotes()).toEqual([]);
+        expect(processor.serializeNote(added).duplicate).toBeUndefined();
+        const { duplicates } = await processor.getDuplicates();
+        expect(duplicates).toEqual([expect.objectContaining({ kind: 'exact', match: expect.objectContaining({ id: 'note_1' }) })]);
+
+        expect(await processor.resolveDuplicate(added.id, 'keep')).toEqual(expect.objectContaining({ success: true, removed: null }));
+        expect(processor.getReadyNotes()).toEqual([added]);
+        expect((await processor.repository.get(added.id)).duplicate).toBeUndefined();
+    });
+
+    test('merges overlapping selections from the same page into the saved note', async () => {
+        const first = await processor.addNote(note(undefined, {
+            content: 'Raft elects a leader, and the leader replicates the log',
+            tags: ['consensus']
+        }));
+        const second = await processor.addNote(note(undefined, {
+            content: 'the leader replicates the log to followers.',
+            user_note: 'Followers only',
+            tags: ['raft']
+        }));
+
+        expect(second.duplicate).toEqual(expect.objectContaining({ of: first.id, kind: 'overlap' }));
+
+        const result = await processor.resolveDuplicate(second.id, 'merge');
+
+        expect(result.success).toBe(true);
+        expect(await processor.repository.get(second.id)).toBeNull();
+        expect(await processor.repository.get(first.id)).toEqual(expect.objectContaining({
+            content: 'Raft elects a leader, and the leader replicates the log to followers.',
+            user_note: 'Followers only',
+            tags: ['consensus', 'raft']
+        }));
+        expect(processor.pendingNotes.map(queued => queued.id)).toEqual([first.id]);
+    });
+
+    test('only looks for near duplicates and overlaps among the newest notes', async () => {
+        const edited = note(undefined, {
+            content: 'Raft elects a leader, and the leader replicates its log to the followers so every server agrees on the order of commands.',
+            source_url: 'https://other.example/'
+        });
+        const overlapping = note(undefined, { content: 'so that every server agrees on the order of commands. Followers only append.' });
+        await processor.setStoredNotes([
+            note('note_1', { content: RAFT, timestamp: '2024-03-01T12:00:00.000Z' }),
+            note('note_2', { timestamp: '2024-03-02T12:00:00.000Z' }),
+            note('note_3', { timestamp: '2024-03-03T12:00:00.000Z' })
+        ]);
+
+        processor.duplicateWindow = 2;
+        expect(await processor.findDuplicateOf(edited)).toBeNull();
+        expect(await processor.findDuplicateOf(overlapping)).toBeNull();
+        // Exact repeats are found through their index, however old
+        expect(await processor.findDuplicateOf(note(undefined, { content: RAFT, source_url: 'https://other.example/' })))
+            .toEqual(expect.objectContaining({ kind: 'exact', note: expect.objectContaining({ id: 'note_1' }) }));
+
+        processor.duplicateWindow = 3;
+        expect(await processor.findDuplicateOf(edited))
+            .toEqual(expect.objectContaining({ kind: 'near', note: expect.objectContaining({ id: 'note_1' }) }));
+        expect(await processor.findDuplicateOf(overlapping))
+            .toEqual(expect.objectContaining({ kind: 'overlap', note: expect.objectContaining({ id: 'note_1' }) }));
+    });
+
+    test('refuses notes that are not held and unknown choices', async () => {
+        const added = await processor.addNote(note(undefined, { content: RAFT }));
+
+        expect(await processor.resolveDuplicate(added.id, 'merge'))
+            .toEqual({ success: false, error: `Note ${added.id} is not held as a duplicate` });
+        const again = await processor.addNote(note(undefined, { content: RAFT }));
+        expect(await processor.resolveDuplicate(again.id, 'both'))
+            .toEqual({ success: false, error: 'Unknown choice: both' });
+    });
+});
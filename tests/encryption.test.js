@@ -0,0 +1,191 @@
+const { webcrypto } = require('crypto');
+const { TextEncoder, TextDecoder } = require('util');
+const { BatchProcessor } = require('../batch-processor');
+const { EncryptionLockedError, isEncryptedValue } = require('../encryption');
+const { fingerprintNote } = require('../duplicates');
+
+const PASSPHRASE = 'correct horse battery';
+
+const note = (id, fields = {}) => ({
+    id,
+    content: `Text of ${id}`,
+    user_note: 'My thought',
+    source_url: 'https://papers.org/attention',
+    timestamp: '2024-03-01T12:00:00.000Z',
+    intent: 'learn',
+    ...fields
+});
+
+/**
+ * Read a note as it is stored, without the repository's cipher
+ */
+async function readRaw(repository, id) {
+    const db = await repository.open();
+    return new Promise((resolve, reject) => {
+        const request = db.transaction('notes').objectStore('notes').get(id);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+describe('Note encryption', () => {
+    let processor;
+
+    beforeAll(() => {
+        global.crypto = webcrypto;
+        global.TextEncoder = TextEncoder;
+        global.TextDecoder = TextDecoder;
+        if (!AbortSignal.timeout) {
+            AbortSignal.timeout = () => new AbortController().signal;
+        }
+    });
+
+    beforeEach(async () => {
+        global.fetch = jest.fn(() => Promise.resolve({
+            ok: true,
+            status: 200,
+            json: () => Promise.resolve({ success: true })
+        }));
+        processor = new BatchProcessor({ encryptionIterations: 1000 });
+        processor.retryDelay = 0;
+        await processor.ready;
+    });
+
+    test('encrypts note text at rest but keeps routing fields readable', async () => {
+        await processor.setStoredNotes([note('note_1')]);
+
+        expect(await processor.enableEncryption(PASSPHRASE)).toEqual(expect.objectContaining({ success: true }));
+
+        const raw = await readRaw(processor.repository, 'note_1');
+        expect(isEncryptedValue(raw.note.content)).toBe(true);
+        expect(isEncryptedValue(raw.note.user_note)).toBe(true);
+        expect(isEncryptedValue(raw.note.source_url)).toBe(true);
+        expect(JSON.stringify(raw)).not.toContain('Text of note_1');
+        expect(raw.note.intent).toBe('learn');
+        expect(raw.note.metadata.domain).toBe('papers.org');
+        expect(raw.domain).toBe('papers.org');
+        expect(raw).not.toHaveProperty('simhash');
+
+        const [stored] = await processor.getStoredNotes();
+        expect(stored.content).toBe('Text of note_1');
+        expect(stored.source_url).toBe('https://papers.org/attention');
+        expect(await processor.repository.query({ domain: 'papers.org' })).toEqual([stored]);
+    });
+
+    test('keys the fingerprint index and still finds repeated captures', async () => {
+        await processor.enableEncryption(PASSPHRASE);
+        const page = await processor.addNote({ type: 'page', content: 'Attention', source_url: 'https://papers.org/attention' });
+
+        const raw = await readRaw(processor.repository, page.id);
+        expect(raw.fingerprint).toMatch(/^[A-Za-z0-9+/]{43}=$/);
+        expect(JSON.stringify(raw)).not.toContain('papers.org/attention');
+        expect(await processor.repository.findByFingerprint(fingerprintNote(page).fingerprint)).toEqual([page.id]);
+        expect((await processor.repository.query({ domain: 'papers.org' })).map(stored => stored.id)).toEqual([page.id]);
+
+        const repeat = await processor.addNote({ type: 'page', content: 'Attention', source_url: 'https://papers.org/attention' });
+        expect(repeat.duplicate).toEqual(expect.objectContaining({ of: page.id }));
+    });
+
+    test('seals the page title and headings', async () => {
+        await processor.enableEncryption(PASSPHRASE);
+
+        const sealed = await processor.encryption.sealNote(note('note_1', {
+            type: 'page',
+            title: 'Attention is all you need',
+            metadata: { headings: [{ level: 2, text: 'Scaled dot-product attention' }] }
+        }));
+        expect(isEncryptedValue(sealed.title)).toBe(true);
+        expect(isEncryptedValue(sealed.metadata.headings)).toBe(true);
+        expect(JSON.stringify(sealed)).not.toMatch(/Attention is all|dot-product/);
+
+        const opened = await processor.encryption.openNote(sealed);
+        expect(opened.title).toBe('Attention is all you need');
+        expect(opened.metadata.headings).toEqual([{ level: 2, text: 'Scaled dot-product attention' }]);
+    });
+
+    test('sends encrypted notes in the batch payload', async () => {
+        await processor.enableEncryption(PASSPHRASE);
+        await processor.addNote({ content: 'Secret finding', source_url: 'https://papers.org/x' });
+
+        await processor.processBatch();
+
+        const payload = JSON.parse(global.fetch.mock.calls.find(([url]) => url.endsWith('/notes/batch'))[1].body);
+        expect(isEncryptedValue(payload.notes[0].content)).toBe(true);
+        expect(payload.notes[0].metadata.domain).toBe('papers.org');
+        expect(JSON.stringify(payload)).not.toContain('Secret finding');
+    });
+
+    test('refuses a wrong passphrase', async () => {
+        await processor.enableEncryption(PASSPHRASE);
+        await processor.lockEncryption();
+
+        const result = await processor.unlockEncryption('not the passphrase');
+
+        expect(result.success).toBe(false);
+        expect((await processor.getEncryptionStatus()).locked).toBe(true);
+    });
+
+    test('hides notes and refuses captures while locked', async () => {
+        await processor.setStoredNotes([note('note_1')]);
+        await processor.enableEncryption(PASSPHRASE);
+
+        await processor.lockEncryption();
+
+        expect(await processor.getStoredNotes()).toEqual([]);
+        await expect(processor.addNote({ content: 'While locked' })).rejects.toThrow(EncryptionLockedError);
+        expect(processor.getStatus().encryption).toEqual(expect.objectContaining({ enabled: true, locked: true }));
+
+        expect((await processor.unlockEncryption(PASSPHRASE)).success).toBe(true);
+        expect((await processor.getStoredNotes())[0].content).toBe('Text of note_1');
+    });
+
+    test('re-keys every note under a new passphrase', async () => {
+        await processor.setStoredNotes([note('note_1')]);
+        await processor.enableEncryption(PASSPHRASE);
+        const { keyId } = await processor.getEncryptionStatus();
+
+        expect((await processor.changeEncryptionPassphrase('wrong passphrase', 'new passphrase 2')).success).toBe(false);
+        expect((await processor.changeEncryptionPassphrase(PASSPHRASE, 'new passphrase 2')).success).toBe(true);
+
+        const raw = await readRaw(processor.repository, 'note_1');
+        expect(raw.note.content.kid).not.toBe(keyId);
+
+        await processor.lockEncryption();
+        expect((await processor.unlockEncryption(PASSPHRASE)).success).toBe(false);
+        expect((await processor.unlockEncryption('new passphrase 2')).success).toBe(true);
+        expect((await processor.getStoredNotes())[0].content).toBe('Text of note_1');
+    });
+
+    test('stores notes in the clear again when turned off', async () => {
+        await processor.setStoredNotes([note('note_1')]);
+        await processor.enableEncryption(PASSPHRASE);
+
+        expect((await processor.disableEncryption(PASSPHRASE)).success).toBe(true);
+
+        const raw = await readRaw(processor.repository, 'note_1');
+        expect(raw.note.content).toBe('Text of note_1');
+        expect(await processor.getEncryptionStatus()).toEqual(expect.objectContaining({ enabled: false, locked: false }));
+    });
+
+    test('keeps the search index in memory only while encryption is on', async () => {
+        await processor.setStoredNotes([note('note_1', { content: 'Transformers use attention' })]);
+
+        await processor.enableEncryption(PASSPHRASE);
+
+        expect(global.__chromeLocalStorageData).not.toHaveProperty('search_index');
+        const results = await processor.searchNotes({ query: 'attention' });
+        expect(results.results.map(result => result.note.id)).toEqual(['note_1']);
+    });
+
+    test('starts locked in a new session', async () => {
+        await processor.setStoredNotes([note('note_1')]);
+        await processor.enableEncryption(PASSPHRASE);
+
+        // chrome.storage.session is not available here, so the key is not kept
+        const restarted = new BatchProcessor({ encryptionIterations: 1000 });
+        await restarted.ready;
+
+        expect((await restarted.getEncryptionStatus()).locked).toBe(true);
+        expect(await restarted.getStoredNotes()).toEqual([]);
+    });
+});
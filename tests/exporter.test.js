@@ -0,0 +1,289 @@
+const { TextEncoder, TextDecoder } = require('util');
+const {
+    buildExport,
+    toMarkdownNote,
+    toCsv,
+    toVaultFiles,
+    createZip,
+    crc32,
+    toMessageParts,
+    fromMessagePart
+} = require('../exporter');
+const { BatchProcessor } = require('../batch-processor');
+
+const note = (id, fields = {}) => ({
+    id,
+    type: 'selection',
+    content: `Text of ${id}`,
+    source_url: 'https://papers.org/attention',
+    title: 'Attention Is All You Need',
+    intent: 'learn',
+    tags: [],
+    timestamp: '2024-03-01T12:00:00.000Z',
+    ...fields
+});
+
+/**
+ * Read the files back out of a stored (uncompressed) zip
+ */
+function readZip(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const decoder = new TextDecoder();
+    const files = [];
+    let offset = 0;
+
+    while (view.getUint32(offset, true) === 0x04034B50) {
+        const crc = view.getUint32(offset + 14, true);
+        const size = view.getUint32(offset + 18, true);
+        const nameLength = view.getUint16(offset + 26, true);
+        const name = decoder.decode(bytes.subarray(offset + 30, offset + 30 + nameLength));
+        const data = bytes.subarray(offset + 30 + nameLength, offset + 30 + nameLength + size);
+        files.push({ name, content: decoder.decode(data), crcMatches: crc32(data) === crc });
+        offset += 30 + nameLength + size;
+    }
+
+    const end = bytes.length - 22;
+    return { files, entries: view.getUint16(end + 10, true), centralOffset: view.getUint32(end + 16, true), localSize: offset };
+}
+
+describe('Exporter', () => {
+    beforeAll(() => {
+        global.TextEncoder = TextEncoder;
+        global.TextDecoder = TextDecoder;
+    });
+
+    test('writes Markdown with YAML front-matter and a link to the source', () => {
+        const markdown = toMarkdownNote(note('note_1', {
+            tags: ['ml', 'papers'],
+            user_note: 'Read twice\nSection 3 matters',
+            title: 'Title with "quotes": and colons'
+        }));
+
+        expect(markdown).toBe([
+            '---',
+            'id: "note_1"',
+            'type: "selection"',
+            'intent: "learn"',
+            'captured: "2024-03-01T12:00:00.000Z"',
+            'source: "https://papers.org/attention"',
+            'title: "Title with \\"quotes\\": and colons"',
+            'domain: "papers.org"',
+            'tags:',
+            '  - "ml"',
+            '  - "papers"',
+            '---',
+            '',
+            'Text of note_1',
+            '',
+            '> Read twice',
+            '> Section 3 matters',
+            '',
+            '[Title with "quotes": and colons](https://papers.org/attention)',
+            ''
+        ].join('\n'));
+    });
+
+    test('keeps what images and links point to', () => {
+        expect(toMarkdownNote(note('note_1', { type: 'image', content: 'A chart', payload: { src_url: 'https://papers.org/chart.png' } })))
+            .toContain('![A chart](https://papers.org/chart.png)');
+        expect(toMarkdownNote(note('note_2', { type: 'link', content: 'Code', payload: { href: 'https://github.com/x' } })))
+            .toContain('[Code](https://github.com/x)');
+    });
+
+    test('exports JSON without losing any field', () => {
+        const notes = [note('note_1', { payload: { anchor: { exact: 'x' } }, synced_at: '2024-03-01T12:05:00.000Z' })];
+
+        const { filename, data } = buildExport(notes, 'json', new Date('2024-03-02T08:00:00.000Z'));
+
+        expect(filename).toBe('browserbud-2024-03-02.json');
+        expect(JSON.parse(data)).toEqual({
+            format: 'browserbud-export',
+            version: 1,
+            exported_at: '2024-03-02T08:00:00.000Z',
+            notes
+        });
+    });
+
+    test('quotes CSV fields that need it', () => {
+        const csv = toCsv([note('note_1', { content: 'Says "hi", twice\nthen stops', tags: ['a', 'b'] })]);
+        const [header, row] = csv.split('\r\n');
+
+        expect(header).toBe('id,timestamp,type,intent,domain,title,source_url,content,user_note,tags,sync_state,server_id');
+        expect(row).toBe('note_1,2024-03-01T12:00:00.000Z,selection,learn,papers.org,Attention Is All You Need,' +
+            'https://papers.org/attention,"Says ""hi"", twice\nthen stops",,"a, b",pending,');
+    });
+
+    test.each(['=HYPERLINK("https://evil.example")', '+1+1', '-2+3', '@SUM(A1)', '\tTab', '\rReturn'])(
+        'keeps spreadsheets from running %j as a formula',
+        (content) => {
+            const [, row] = toCsv([note('note_1', { content, user_note: 'plain - text' })]).split('\r\n');
+            const fields = row.match(/^(?:[^,]*,){7}("(?:[^"]|"")*"|[^,]*),([^,]*),/);
+
+            expect(fields[1].replace(/^"|"$/g, '').replace(/""/g, '"')).toBe(`'${content}`);
+            expect(fields[2]).toBe('plain - text');
+        }
+    );
+
+    test('groups the vault by site, one file per note', () => {
+        const files = toVaultFiles([
+            note('note_1'),
+            note('note_2'),
+            note('note_3', { source_url: 'https://news.example.com/x', title: null, content: 'Élan: a story!' })
+        ]);
+
+        expect(files.map(file => file.path)).toEqual([
+            'papers.org/2024-03-01-attention-is-all-you-need.md',
+            'papers.org/2024-03-01-attention-is-all-you-need-2.md',
+            'news.example.com/2024-03-01-lan-a-story.md'
+        ]);
+    });
+
+    test('writes a zip other tools can read', () => {
+        const zip = createZip([
+            { path: 'papers.org/a.md', content: 'First' },
+            { path: 'news.example.com/b.md', content: 'Zweite – ü' }
+        ]);
+
+        const { files, entries, centralOffset, localSize } = readZip(zip);
+
+        expect(files).toEqual([
+            { name: 'papers.org/a.md', content: 'First', crcMatches: true },
+            { name: 'news.example.com/b.md', content: 'Zweite – ü', crcMatches: true }
+        ]);
+        expect(entries).toBe(2);
+        expect(centralOffset).toBe(localSize);
+        expect(crc32(new TextEncoder().encode('123456789'))).toBe(0xCBF43926);
+    });
+
+    test('splits files into parts that survive JSON, and joins them back', () => {
+        expect(toMessageParts('Attention', 4)).toEqual([{ text: 'Atte' }, { text: 'ntio' }, { text: 'n' }]);
+
+        const bytes = Uint8Array.from([0x50, 0x4B, 0x03, 0x04, 0x00, 0xFF, 0x0A]);
+        const parts = JSON.parse(JSON.stringify(toMessageParts(bytes, 4)));
+        expect(parts).toHaveLength(2);
+        expect(parts.flatMap(part => Array.from(fromMessagePart(part)))).toEqual(Array.from(bytes));
+    });
+
+    test('refuses an unknown format', () => {
+        expect(() => buildExport([], 'pdf')).toThrow('Unknown export format: pdf');
+    });
+});
+
+describe('Exporting from the background', () => {
+    let processor;
+
+    beforeAll(() => {
+        global.TextEncoder = TextEncoder;
+    });
+
+    beforeEach(async () => {
+        processor = new BatchProcessor();
+        await processor.ready;
+        await processor.setStoredNotes(Array.from({ length: 25 }, (_, i) => note(`note_${i}`, {
+            intent: i % 5 === 0 ? 'todo' : 'learn',
+            timestamp: new Date(Date.UTC(2024, 2, 1 + i)).toISOString()
+        })));
+    });
+
+    test('exports every matching note, past the display limit', async () => {
+        const all = await processor.exportNotes({ format: 'csv' });
+        expect(all.count).toBe(25);
+        expect(all.data.split('\r\n')[1]).toMatch(/^note_0,/); // oldest first
+
+        const filtered = await processor.exportNotes({
+            format: 'json',
+            filter: { intent: 'todo', from: '2024-03-06T00:00:00.000Z', to: '2024-03-21T23:59:59.999Z' }
+        });
+        expect(JSON.parse(filtered.data).notes.map(exported => exported.id)).toEqual(['note_5', 'note_10', 'note_15', 'note_20']);
+    });
+
+    test('says when nothing matches', async () => {
+        expect(await processor.exportNotes({ format: 'markdown', filter: { domain: 'nowhere.org' } }))
+            .toEqual({ success: false, error: 'No notes match these filters' });
+        expect(await processor.exportNotes({ format: 'markdown', filter: { from: 'someday' } }))
+            .toEqual({ success: false, error: 'Not a valid date: someday' });
+    });
+
+    /**
+     * The background with a working offscreen document, its runtime messages
+     * JSON-encoded as in the browser
+     */
+    async function loadBackground() {
+        jest.resetModules();
+        const { onOffscreenMessage } = require('../offscreen/offscreen');
+
+        const blobs = new Map();
+        let offscreenOpen = false;
+        URL.createObjectURL = jest.fn(blob => {
+            const url = `blob:chrome-extension://browserbud/${blobs.size + 1}`;
+            blobs.set(url, blob);
+            return url;
+        });
+        URL.revokeObjectURL = jest.fn();
+        chrome.offscreen.createDocument.mockImplementation(() => {
+            offscreenOpen = true;
+            return Promise.resolve();
+        });
+        chrome.offscreen.closeDocument.mockImplementation(() => {
+            offscreenOpen = false;
+            return Promise.resolve();
+        });
+        chrome.runtime.getContexts.mockImplementation(() => Promise.resolve(offscreenOpen ? [{ contextType: 'OFFSCREEN_DOCUMENT' }] : []));
+        chrome.runtime.sendMessage.mockImplementation(message => Promise.resolve(onOffscreenMessage(JSON.parse(JSON.stringify(message)))));
+
+        const background = require('../background');
+        const backgroundProcessor = background.ensureBatchProcessor();
+        await backgroundProcessor.ready;
+        return { background, backgroundProcessor, blobs };
+    }
+
+    test('hands a large export to the downloads manager as an object URL, sent over in parts', async () => {
+        const { MESSAGE_PART_SIZE } = require('../exporter');
+        const { background, backgroundProcessor, blobs } = await loadBackground();
+        chrome.downloads.download.mockResolvedValue(7);
+
+        // A few thousand notes of a couple of KB each
+        const notes = Array.from({ length: 3000 }, (_, i) => note(`note_${i}`, {
+            content: `${i}: ${'Attention weighs every token against every other token. '.repeat(40)}`
+        }));
+        const file = buildExport(notes, 'vault');
+        expect(file.data.length).toBeGreaterThan(MESSAGE_PART_SIZE);
+        jest.spyOn(backgroundProcessor, 'exportNotes').mockResolvedValue({ success: true, count: notes.length, ...file });
+
+        const result = await background.exportNotes({ format: 'vault' });
+
+        expect(result).toEqual({ success: true, count: 3000, filename: expect.stringMatching(/^browserbud-vault-.*\.zip$/) });
+        const [{ url, filename, saveAs }] = chrome.downloads.download.mock.calls[0];
+        expect(url).toBe('blob:chrome-extension://browserbud/1');
+        expect(filename).toBe(result.filename);
+        expect(saveAs).toBe(true);
+        expect(chrome.runtime.sendMessage.mock.calls.filter(([message]) => message.action === 'addExportPart')).toHaveLength(2);
+
+        const bytes = await new Promise(resolve => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(new Uint8Array(reader.result));
+            reader.readAsArrayBuffer(blobs.get(url));
+        });
+        expect(blobs.get(url).type).toBe('application/zip');
+        expect(bytes.length).toBe(file.data.length);
+        expect(crc32(bytes)).toBe(crc32(file.data));
+        expect(readZip(bytes).entries).toBe(3000);
+
+        await background.onDownloadChanged({ id: 7, state: { current: 'complete' } });
+        expect(URL.revokeObjectURL).toHaveBeenCalledWith(url);
+        expect(chrome.offscreen.closeDocument).toHaveBeenCalled();
+    });
+
+    test('releases the file of a download that was over before it was tracked', async () => {
+        const { background, backgroundProcessor } = await loadBackground();
+        chrome.downloads.download.mockResolvedValue(8);
+        chrome.downloads.search.mockResolvedValue([{ id: 8, state: 'complete' }]);
+        jest.spyOn(backgroundProcessor, 'exportNotes').mockResolvedValue({ success: true, count: 1, ...buildExport([note('note_1')], 'json') });
+
+        await background.exportNotes({ format: 'json' });
+
+        expect(chrome.downloads.search).toHaveBeenCalledWith({ id: 8 });
+        expect(URL.revokeObjectURL).toHaveBeenCalledWith('blob:chrome-extension://browserbud/1');
+        expect(chrome.offscreen.closeDocument).toHaveBeenCalled();
+    });
+});
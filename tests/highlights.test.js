@@ -0,0 +1,285 @@
+const {
+    normalizeSourceUrl,
+    saveHighlight,
+    removeHighlight,
+    getHighlightsForUrl,
+    isHighlightingEnabled,
+    toggleSiteHighlighting
+} = require('../highlights');
+const {
+    findQuote,
+    applyHighlights,
+    removeHighlights,
+    loadHighlights
+} = require('../content/highlighter');
+
+describe('Highlight store', () => {
+    const note = {
+        id: 'note_1',
+        source_url: 'https://example.com/article#section-2',
+        intent: 'learn',
+        user_note: 'Key idea',
+        timestamp: '2024-01-01T00:00:00.000Z',
+        anchor: {
+            quote: { exact: 'leader', prefix: 'elects a ', suffix: ' that' },
+            position: { start: 20, end: 26 }
+        }
+    };
+
+    test('ignores the fragment when matching page URLs', () => {
+        expect(normalizeSourceUrl('https://example.com/a?b=1#c')).toBe('https://example.com/a?b=1');
+        expect(normalizeSourceUrl('not a url')).toBeNull();
+    });
+
+    test('stores highlights per page and returns them on revisit', async () => {
+        await expect(saveHighlight(note)).resolves.toBe(true);
+
+        const highlights = await getHighlightsForUrl('https://example.com/article');
+
+        expect(highlights).toEqual([{
+            note_id: 'note_1',
+            quote: note.anchor.quote,
+            position: note.anchor.position,
+            intent: 'learn',
+            user_note: 'Key idea',
+            timestamp: note.timestamp
+        }]);
+    });
+
+    test('replaces the highlight when a note is saved again', async () => {
+        await saveHighlight(note);
+        await saveHighlight({ ...note, user_note: 'Edited' });
+
+        const highlights = await getHighlightsForUrl(note.source_url);
+        expect(highlights).toHaveLength(1);
+        expect(highlights[0].user_note).toBe('Edited');
+    });
+
+    test('removes the highlight of a deleted note', async () => {
+        await saveHighlight(note);
+        await saveHighlight({ ...note, id: 'note_2' });
+
+        await expect(removeHighlight(note)).resolves.toBe(true);
+        expect((await getHighlightsForUrl(note.source_url)).map(item => item.note_id)).toEqual(['note_2']);
+
+        await removeHighlight({ ...note, id: 'note_2' });
+        expect(global.__chromeLocalStorageData.highlights).toEqual({});
+        await expect(removeHighlight(note)).resolves.toBe(false);
+    });
+
+    test('skips notes without a text anchor', async () => {
+        await expect(saveHighlight({ ...note, anchor: null })).resolves.toBe(false);
+        expect(global.__chromeLocalStorageData.highlights).toBeUndefined();
+    });
+
+    test('toggles highlighting per site', () => {
+        const url = 'https://example.com/article';
+
+        const disabled = toggleSiteHighlighting(url, false, { highlightDisabledSites: ['other.org'] });
+        expect(disabled).toEqual(['other.org', 'example.com']);
+        expect(isHighlightingEnabled(url, { highlightDisabledSites: disabled })).toBe(false);
+
+        const enabled = toggleSiteHighlighting(url, true, { highlightDisabledSites: disabled });
+        expect(enabled).toEqual(['other.org']);
+        expect(isHighlightingEnabled(url, { highlightDisabledSites: enabled })).toBe(true);
+    });
+});
+
+describe('Highlighter content script', () => {
+    const highlight = {
+        note_id: 'note_1',
+        quote: { exact: 'the log', prefix: 'replicates ', suffix: ' to followers' },
+        position: { start: 0, end: 7 },
+        intent: 'reference',
+        user_note: 'Log replication',
+        timestamp: '2024-01-01T00:00:00.000Z'
+    };
+
+    beforeEach(() => {
+        document.body.innerHTML =
+            '<p>Read the log first.</p>' +
+            '<p id="raft">Raft replicates <em>the</em> log to followers.</p>';
+    });
+
+    afterEach(() => {
+        removeHighlights();
+        document.getElementById('browserbud-highlight-tooltip')?.remove();
+    });
+
+    test('prefers the occurrence whose context matches the anchor', () => {
+        const text = document.body.textContent;
+
+        const match = findQuote(text, highlight.quote, highlight.position);
+
+        expect(text.substring(match.start, match.end)).toBe('the log');
+        expect(match.start).toBe(text.lastIndexOf('the log'));
+    });
+
+    test('falls back to the captured position when context is ambiguous', () => {
+        const text = 'note one. note two. note three.';
+
+        const match = findQuote(text, { exact: 'note' }, { start: 10 });
+
+        expect(match.start).toBe(10);
+    });
+
+    test('wraps a quote that spans several elements', () => {
+        const unresolved = applyHighlights([highlight]);
+
+        const marks = document.querySelectorAll('#raft mark.browserbud-highlight');
+        expect(unresolved).toEqual([]);
+        expect(Array.from(marks, mark => mark.textContent).join('')).toBe('the log');
+        expect(marks[0].dataset.noteId).toBe('note_1');
+        expect(document.body.textContent).toBe('Read the log first.Raft replicates the log to followers.');
+    });
+
+    test('does not highlight the same note twice', () => {
+        applyHighlights([highlight]);
+        applyHighlights([highlight]);
+
+        expect(document.querySelectorAll('mark[data-note-id="note_1"]')).toHaveLength(2);
+    });
+
+    test('reports passages that are no longer on the page', () => {
+        const missing = { ...highlight, note_id: 'note_2', quote: { exact: 'Paxos' } };
+
+        expect(applyHighlights([missing])).toEqual([missing]);
+    });
+
+    test('shows the intent and note on hover', () => {
+        applyHighlights([highlight]);
+
+        document.querySelector('mark.browserbud-highlight').dispatchEvent(new Event('mouseenter'));
+
+        const tooltip = document.getElementById('browserbud-highlight-tooltip');
+        expect(tooltip.style.display).toBe('block');
+        expect(tooltip.querySelector('.browserbud-tooltip-intent').textContent).toBe('reference');
+        expect(tooltip.querySelector('.browserbud-tooltip-note').textContent).toBe('Log replication');
+    });
+
+    test('removes highlights and restores the original text nodes', () => {
+        const paragraph = document.getElementById('raft');
+        applyHighlights([highlight]);
+
+        removeHighlights();
+
+        expect(document.querySelector('mark')).toBeNull();
+        expect(paragraph.innerHTML).toBe('Raft replicates <em>the</em> log to followers.');
+        expect(paragraph.childNodes).toHaveLength(3);
+    });
+
+    test('loads highlights only when enabled for the site', async () => {
+        chrome.runtime.sendMessage.mockResolvedValueOnce({ enabled: false, highlights: [highlight] });
+        await loadHighlights();
+        expect(document.querySelector('mark')).toBeNull();
+
+        chrome.runtime.sendMessage.mockResolvedValueOnce({ enabled: true, highlights: [highlight] });
+        await loadHighlights();
+        expect(chrome.runtime.sendMessage).toHaveBeenLastCalledWith({
+            action: 'getHighlights',
+            url: window.location.href
+        });
+        expect(document.querySelector('mark')).not.toBeNull();
+    });
+});
+
+describe('Highlight messages in the background', () => {
+    let background;
+
+    beforeEach(() => {
+        jest.resetModules();
+        global.fetch = jest.fn(() => Promise.resolve({ ok: true, json: () => Promise.resolve({}) }));
+        if (!AbortSignal.timeout) {
+            AbortSignal.timeout = () => new AbortController().signal;
+        }
+        background = require('../background');
+    });
+
+    const sendMessage = (request, sender = {}) => new Promise((resolve) => {
+        const listener = chrome.runtime.onMessage.addListener.mock.calls.slice(-1)[0][0];
+        listener(request, sender, resolve);
+    });
+
+    test('records a highlight for anchored notes and refreshes the tab', async () => {
+        const note = {
+            content: 'leader',
+            source_url: 'https://example.com/raft',
+            anchor: { quote: { exact: 'leader', prefix: 'elects a ', suffix: ' that' } }
+        };
+
+        const saved = await background.saveNote(note, { id: 4 });
+
+        const highlights = await getHighlightsForUrl('https://example.com/raft');
+        expect(highlights.map(item => item.note_id)).toEqual([saved.id]);
+        expect(chrome.tabs.sendMessage).toHaveBeenCalledWith(4, { action: 'refreshHighlights' });
+    });
+
+    test('drops the highlight when its note is deleted from the popup', async () => {
+        chrome.tabs.query.mockResolvedValueOnce([{ id: 7 }]);
+        const saved = await background.saveNote({
+            content: 'leader',
+            source_url: 'https://example.com/raft',
+            anchor: { quote: { exact: 'leader' } }
+        }, { id: 4 });
+
+        const response = await sendMessage({ action: 'deleteNote', id: saved.id });
+
+        expect(response).toEqual(expect.objectContaining({ success: true, queued: false }));
+        expect(await getHighlightsForUrl('https://example.com/raft')).toEqual([]);
+        expect(chrome.tabs.sendMessage).toHaveBeenCalledWith(7, { action: 'refreshHighlights' });
+    });
+
+    test('answers getHighlights for the sending tab', async () => {
+        await saveHighlight({
+            id: 'note_1',
+            source_url: 'https://example.com/raft',
+            anchor: { quote: { exact: 'leader' } }
+        });
+
+        const response = await sendMessage({ action: 'getHighlights' }, { tab: { url: 'https://example.com/raft#x' } });
+
+        expect(response.enabled).toBe(true);
+        expect(response.highlights).toHaveLength(1);
+    });
+
+    test('switching a site off saves the setting and clears the tab', async () => {
+        const response = await sendMessage({
+            action: 'setSiteHighlighting',
+            url: 'https://example.com/raft',
+            tabId: 4,
+            enabled: false
+        });
+
+        expect(response).toEqual({ success: true, enabled: false });
+        expect(global.__chromeStorageData.settings.highlightDisabledSites).toEqual(['example.com']);
+        expect(chrome.tabs.sendMessage).toHaveBeenCalledWith(4, { action: 'removeHighlights' });
+
+        const state = await sendMessage({ action: 'getSiteHighlighting', url: 'https://example.com/other' });
+        expect(state).toEqual({ enabled: false });
+    });
+
+    test('registers the highlighter only for the sites it was given access to', async () => {
+        expect(require('../manifest.json')).not.toHaveProperty('content_scripts');
+
+        chrome.permissions.getAll.mockResolvedValue({ origins: ['http://localhost:8000/*', 'https://example.com/*'] });
+        await Promise.all(chrome.permissions.onAdded.callListeners({ origins: ['https://example.com/*'] }));
+        expect(chrome.scripting.registerContentScripts).toHaveBeenCalledWith([{
+            id: 'highlighter',
+            matches: ['http://localhost:8000/*', 'https://example.com/*'],
+            js: ['content/highlighter.js'],
+            css: ['content/highlighter.css'],
+            runAt: 'document_idle'
+        }]);
+
+        chrome.scripting.getRegisteredContentScripts.mockResolvedValue([{ id: 'highlighter' }]);
+        chrome.permissions.getAll.mockResolvedValue({ origins: ['https://example.com/*', 'https://papers.org/*'] });
+        await background.syncHighlighterRegistration();
+        expect(chrome.scripting.updateContentScripts).toHaveBeenCalledWith([
+            expect.objectContaining({ id: 'highlighter', matches: ['https://example.com/*', 'https://papers.org/*'] })
+        ]);
+
+        chrome.permissions.getAll.mockResolvedValue({ origins: [] });
+        await Promise.all(chrome.permissions.onRemoved.callListeners({ origins: ['https://example.com/*', 'https://papers.org/*'] }));
+        expect(chrome.scripting.unregisterContentScripts).toHaveBeenCalledWith({ ids: ['highlighter'] });
+    });
+});
@@ -0,0 +1,232 @@
+const { TextEncoder } = require('util');
+const { parseImport, detectImportFormat } = require('../importer');
+const { buildExport } = require('../exporter');
+const { BatchProcessor, DELIVERY_STATUS } = require('../batch-processor');
+
+const CLIPPINGS = [
+    '\uFEFFDune (Frank Herbert)',
+    '- Your Highlight on page 12 | Location 180-182 | Added on Saturday, March 2, 2024 10:15:32 AM',
+    '',
+    'Fear is the mind-killer.',
+    '==========',
+    '\uFEFFDune (Frank Herbert)',
+    '- Your Note on page 12 | Location 182 | Added on Saturday, March 2, 2024 10:16:05 AM',
+    '',
+    'The litany again',
+    '==========',
+    '\uFEFFDune (Frank Herbert)',
+    '- Your Bookmark on page 40 | Location 610 | Added on Sunday, March 3, 2024 8:00:00 PM',
+    '',
+    '',
+    '==========',
+    '\uFEFFThinking, Fast and Slow (Daniel Kahneman)',
+    '- Your Note on Location 77 | Added on Monday, March 4, 2024 9:00:00 AM',
+    '',
+    'Check chapter 3',
+    '=========='
+].join('\r\n');
+
+const note = (id, fields = {}) => ({
+    id,
+    type: 'selection',
+    content: `Text of ${id}`,
+    source_url: 'https://papers.org/attention',
+    title: 'Attention Is All You Need',
+    intent: 'learn',
+    user_note: '',
+    tags: [],
+    timestamp: '2024-03-01T12:00:00.000Z',
+    ...fields
+});
+
+describe('Importer', () => {
+    beforeAll(() => {
+        global.TextEncoder = TextEncoder;
+    });
+
+    test('tells the formats apart', () => {
+        expect(detectImportFormat('export.json', '{}')).toBe('json');
+        expect(detectImportFormat('My Clippings.txt', CLIPPINGS)).toBe('clippings');
+        expect(detectImportFormat('idea.md', '[A link](https://x.org) first')).toBe('markdown');
+        expect(detectImportFormat('notes.txt', '---\ntitle: "x"\n---\nText')).toBe('markdown');
+        expect(() => parseImport('Just some text', { fileName: 'notes.txt' })).toThrow('Not a BrowserBud export');
+    });
+
+    test('reads back its own JSON export without the local delivery state', () => {
+        const exported = note('note_1', {
+            tags: ['ml'],
+            payload: { anchor: { exact: 'x' } },
+            server_id: 'srv_1',
+            synced_at: '2024-03-01T12:05:00.000Z',
+            delivery: { status: 'pending' }
+        });
+
+        const { format, notes } = parseImport(buildExport([exported], 'json').data, { fileName: 'browserbud.json' });
+
+        const { id, server_id, synced_at, delivery, ...fields } = exported;
+        expect(format).toBe('json');
+        expect(notes).toEqual([fields]);
+    });
+
+    test('refuses an export from a newer version', () => {
+        expect(() => parseImport('{"format":"browserbud-export","version":99,"notes":[]}', { fileName: 'x.json' }))
+            .toThrow('newer version');
+    });
+
+    test('reads its own Markdown export back into the same fields', () => {
+        const notes = [
+            note('note_1', { tags: ['ml', 'papers'], user_note: 'Read twice\nSection 3', intent: 'quote' }),
+            note('note_2', { type: 'image', content: 'A chart', payload: { src_url: 'https://papers.org/chart.png' } }),
+            note('note_3', { content: 'First line\n\n---\n\nAfter a rule', source_url: 'https://news.example.com/x', title: null })
+        ];
+
+        const { notes: imported } = parseImport(buildExport(notes, 'markdown').data, { fileName: 'browserbud.md' });
+
+        expect(imported).toEqual([
+            expect.objectContaining({ content: 'Text of note_1', intent: 'quote', tags: ['ml', 'papers'], user_note: 'Read twice\nSection 3' }),
+            expect.objectContaining({ type: 'image', content: 'A chart', payload: { src_url: 'https://papers.org/chart.png' } }),
+            expect.objectContaining({ content: 'First line\n\n---\n\nAfter a rule', source_url: 'https://news.example.com/x', title: null })
+        ]);
+        imported.forEach((parsed, index) => expect(parsed.timestamp).toBe(notes[index].timestamp));
+    });
+
+    test('maps front-matter other tools write, and takes a title from the file', () => {
+        const { notes } = parseImport([
+            '---',
+            'url: https://blog.example.com/post',
+            'created: 2023-11-05',
+            'tags: [reading, "#ideas"]',
+            "author: 'O''Brien'",
+            '---',
+            '',
+            'A thought worth keeping.'
+        ].join('\n'), { fileName: 'Worth keeping.md', intent: 'reference' });
+
+        expect(notes).toEqual([expect.objectContaining({
+            content: 'A thought worth keeping.',
+            title: 'Worth keeping',
+            source_url: 'https://blog.example.com/post',
+            timestamp: '2023-11-05T00:00:00.000Z',
+            tags: ['reading', 'ideas'],
+            intent: 'reference',
+            metadata: { author: "O'Brien" }
+        })]);
+
+        expect(parseImport('# Heading\n\nNo front-matter here', { fileName: 'plain.md' }).notes[0])
+            .toEqual(expect.objectContaining({ title: 'Heading', content: '# Heading\n\nNo front-matter here' }));
+    });
+
+    test('reads Kindle clippings, keeping typed notes with their highlight', () => {
+        const { format, notes, errors } = parseImport(CLIPPINGS, { fileName: 'My Clippings.txt', intent: 'learn' });
+
+        expect(format).toBe('clippings');
+        expect(notes).toEqual([
+            expect.objectContaining({
+                type: 'selection',
+                content: 'Fear is the mind-killer.',
+                title: 'Dune',
+                user_note: 'The litany again',
+                source_url: null,
+                intent: 'learn',
+                timestamp: new Date('March 2, 2024 10:15:32 AM').toISOString(),
+                metadata: { source: 'kindle', author: 'Frank Herbert', page: '12', location: '180-182' }
+            }),
+            expect.objectContaining({ type: 'manual', content: 'Check chapter 3', title: 'Thinking, Fast and Slow' })
+        ]);
+        expect(errors).toEqual([{ entry: 'Dune', reason: 'No text' }]);
+    });
+});
+
+describe('Importing into the store', () => {
+    let processor;
+
+    beforeAll(() => {
+        global.TextEncoder = TextEncoder;
+    });
+
+    beforeEach(async () => {
+        processor = new BatchProcessor();
+        await processor.ready;
+        await processor.clearStoredNotes();
+        processor.maxBatchSize = 1000; // keep the import from being sent right away
+    });
+
+    test('queues new notes and skips the ones already saved', async () => {
+        await processor.setStoredNotes([note('note_1', { content: 'Fear is the  mind-killer.', title: 'Dune', source_url: null })]);
+
+        const report = await processor.importNotes({
+            files: [
+                { name: 'My Clippings.txt', text: CLIPPINGS },
+                { name: 'again.txt', text: CLIPPINGS },
+                { name: 'broken.json', text: '{ not json' }
+            ]
+        });
+
+        expect(report).toEqual(expect.objectContaining({ success: true, total: 4, imported: 1, duplicates: 3, skipped: 2 }));
+        expect(report.files).toEqual([
+            { name: 'My Clippings.txt', format: 'clippings', count: 2 },
+            { name: 'again.txt', format: 'clippings', count: 2 },
+            { name: 'broken.json', format: null, count: 0 }
+        ]);
+        expect(report.errors).toContainEqual({ file: 'broken.json', reason: expect.stringContaining('Not valid JSON') });
+
+        const queued = processor.pendingNotes;
+        expect(queued).toEqual([expect.objectContaining({
+            content: 'Check chapter 3',
+            id: expect.stringMatching(/^note_/),
+            delivery: expect.objectContaining({ status: DELIVERY_STATUS.PENDING })
+        })]);
+        expect((await processor.getStoredNotes()).map(stored => stored.content).sort())
+            .toEqual(['Check chapter 3', 'Fear is the  mind-killer.']);
+    });
+
+    test('keeps notes apart even if their content hashes collide', async () => {
+        processor.hashContent = () => 'same';
+        const notes = [note('note_1', { content: 'First passage' }), note('note_2', { content: 'Second passage' })];
+
+        const report = await processor.importNotes({ files: [{ name: 'export.json', text: JSON.stringify(notes) }] });
+
+        expect(report).toEqual(expect.objectContaining({ imported: 2, duplicates: 0 }));
+    });
+
+    test('reports progress as it stores notes', async () => {
+        const notes = Array.from({ length: 120 }, (_, i) => note(`note_${i}`));
+
+        const report = await processor.importNotes({ files: [{ name: 'big.json', text: JSON.stringify(notes) }] });
+
+        expect(report.imported).toBe(120);
+        const progress = chrome.runtime.sendMessage.mock.calls
+            .map(([message]) => message)
+            .filter(message => message.action === 'importProgress');
+        expect(progress.map(message => message.processed)).toEqual([50, 100, 120]);
+        expect(progress[0].total).toBe(120);
+        expect(chrome.action.setBadgeText).toHaveBeenLastCalledWith({ text: '120' });
+    });
+
+    test('applies the privacy rules and holds overlapping notes for review', async () => {
+        await processor.setStoredNotes([note('note_1', { content: 'Attention is all you need to train a transformer' })]);
+        await processor.configure({
+            privacy: { capturePaused: false, captureBlocklist: ['bank.com'], captureAllowlist: [], incognitoPolicy: 'local' }
+        });
+        const exported = [
+            note('note_2', { content: 'Balance is 100', source_url: 'https://bank.com/statement' }),
+            note('note_3', { content: 'all you need to train a transformer, they found', duplicate: { of: 'note_9' }, redaction_override: true }),
+            note('note_4', { content: 'Private reading', incognito: true })
+        ];
+
+        const report = await processor.importNotes({ files: [{ name: 'export.json', text: buildExport(exported, 'json').data }] });
+
+        expect(report).toEqual(expect.objectContaining({ imported: 2, held: 1, skipped: 1 }));
+        expect(report.errors).toEqual([{ entry: 'Attention Is All You Need', reason: 'Captures from bank.com are blocked' }]);
+        const [held] = processor.pendingNotes;
+        expect(held).toEqual(expect.objectContaining({ duplicate: expect.objectContaining({ of: 'note_1', kind: 'overlap' }) }));
+        expect(held).not.toHaveProperty('redaction_override');
+        expect(processor.getReadyNotes()).toEqual([]);
+        expect((await processor.getStoredNotes({ sync: 'local' })).map(stored => stored.content)).toEqual(['Private reading']);
+    });
+
+    test('refuses to import with nothing to read', async () => {
+        expect(await processor.importNotes({ files: [] }))
+            .toEqual({ success: false, error: 'Choose at least one file to import' });
+    });
+});
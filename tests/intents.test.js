@@ -0,0 +1,110 @@
+const {
+    toIntentId,
+    getIntents,
+    getIntentMenuItemId,
+    getIntentFromMenuItemId
+} = require('../intents');
+const { validateSettings } = require('../settings');
+
+describe('Intents', () => {
+    test('derives ids for user-defined intents', () => {
+        expect(toIntentId('  Book idea! ')).toBe('book-idea');
+        expect(toIntentId('???')).toBe('');
+    });
+
+    test('lists the built-in intents before custom ones', () => {
+        const intents = getIntents({ customIntents: ['Book idea'] });
+
+        expect(intents.map(intent => intent.id)).toEqual(['learn', 'reference', 'question', 'todo', 'quote', 'book-idea']);
+        expect(intents[5]).toEqual({ id: 'book-idea', title: 'Book idea', custom: true });
+    });
+
+    test('maps menu items to intents and back', () => {
+        expect(getIntentFromMenuItemId(getIntentMenuItemId('todo'))).toBe('todo');
+        expect(getIntentFromMenuItemId('browserBud')).toBeNull();
+        expect(getIntentFromMenuItemId(undefined)).toBeNull();
+    });
+
+    test('validates custom intents in settings', () => {
+        expect(validateSettings({ customIntents: [' Book idea ', ''] }).settings.customIntents).toEqual(['Book idea']);
+        expect(validateSettings({ customIntents: ['Quote'] }).errors.customIntents).toMatch(/duplicates/);
+        expect(validateSettings({ customIntents: ['Idea', 'idea'] }).errors.customIntents).toMatch(/duplicates/);
+        expect(validateSettings({ customIntents: ['---'] }).errors.customIntents).toMatch(/letters or digits/);
+        expect(validateSettings({ customIntents: 'Idea' }).errors.customIntents).toMatch(/list/);
+    });
+});
+
+describe('Intent picker context menu', () => {
+    let background;
+
+    const flushPromises = () => new Promise(resolve => setTimeout(resolve, 0));
+
+    beforeEach(() => {
+        jest.resetModules();
+        chrome.scripting = {
+            executeScript: jest.fn(() => Promise.resolve([{
+                result: { url: 'https://example.com/a', title: 'A', domain: 'example.com', anchor: null }
+            }]))
+        };
+        global.fetch = jest.fn(() => Promise.resolve({ ok: true, json: () => Promise.resolve({}) }));
+        if (!AbortSignal.timeout) {
+            AbortSignal.timeout = () => new AbortController().signal;
+        }
+        background = require('../background');
+    });
+
+    test('creates a child item per intent under the BrowserBud item', async () => {
+        global.__chromeStorageData = { settings: { customIntents: ['Book idea'] } };
+
+        await background.onInstalled();
+
+        expect(chrome.contextMenus.create).toHaveBeenCalledWith({
+            id: 'browserBud',
+            title: 'BrowserBud',
+            contexts: ['selection', 'image', 'link', 'page']
+        });
+        const children = chrome.contextMenus.create.mock.calls
+            .map(([item]) => item)
+            .filter(item => item.parentId === 'browserBud');
+        expect(children.map(item => item.title)).toEqual(['Learn', 'Reference', 'Question', 'To-Do', 'Quote', 'Book idea']);
+        expect(children[5].id).toBe('browserBud-intent-book-idea');
+    });
+
+    test('rebuilds the menu only when the custom intents change', async () => {
+        await background.onInstalled();
+        chrome.contextMenus.create.mockClear();
+
+        await background.updateContextMenu({ customIntents: [] });
+        expect(chrome.contextMenus.removeAll).not.toHaveBeenCalled();
+
+        await background.updateContextMenu({ customIntents: ['Follow up'] });
+        expect(chrome.contextMenus.removeAll).toHaveBeenCalled();
+        expect(chrome.contextMenus.create).toHaveBeenCalledWith(expect.objectContaining({
+            id: 'browserBud-intent-follow-up',
+            title: 'Follow up'
+        }));
+    });
+
+    test('saves the intent picked from the menu into the batch payload', async () => {
+        const tab = { id: 1, url: 'https://example.com/a', title: 'A' };
+
+        await background.onClicked({ menuItemId: 'browserBud-intent-question', selectionText: 'Why?' }, tab);
+        await background.ensureBatchProcessor().processBatch();
+
+        const [, request] = global.fetch.mock.calls.find(([url]) => url.endsWith('/notes/batch'));
+        const [note] = JSON.parse(request.body).notes;
+        expect(note.content).toBe('Why?');
+        expect(note.intent).toBe('question');
+    });
+
+    test('keeps the intent when metadata extraction fails', async () => {
+        chrome.scripting.executeScript.mockRejectedValue(new Error('Cannot access page'));
+        const tab = { id: 1, url: 'chrome://settings', title: 'Settings' };
+
+        await background.onClicked({ menuItemId: 'browserBud-intent-todo', selectionText: 'Buy milk' }, tab);
+        await flushPromises();
+
+        const [stored] = await background.ensureBatchProcessor().getStoredNotes();
+        expect(stored.intent).toBe('todo');
+    });
+});
@@ -0,0 +1,229 @@
+const { BatchProcessor } = require('../batch-processor');
+
+describe('Editing, deleting and pinning notes', () => {
+    let processor;
+
+    beforeAll(() => {
+        if (!AbortSignal.timeout) {
+            AbortSignal.timeout = () => new AbortController().signal;
+        }
+    });
+
+    // A note the server already has
+    const synced = (id, fields = {}) => ({
+        id,
+        content: `Content of ${id}`,
+        source_url: 'https://example.com/post',
+        timestamp: '2024-03-01T12:00:00.000Z',
+        intent: 'learn',
+        user_note: '',
+        ...fields
+    });
+
+    const response = (status, body = {}) => ({
+        ok: status >= 200 && status < 300,
+        status,
+        json: () => Promise.resolve(body),
+        text: () => Promise.resolve(JSON.stringify(body))
+    });
+
+    beforeEach(async () => {
+        global.fetch = jest.fn(() => Promise.resolve(response(200)));
+        processor = new BatchProcessor();
+        processor.retryDelay = 0;
+        await processor.ready;
+        await processor.setStoredNotes([synced('note_1'), synced('note_2')]);
+    });
+
+    const operations = async () => (await processor.repository.getOperations())
+        .map(({ type, note_id, delivery }) => ({ type, note_id, status: delivery.status }));
+
+    test('changes a queued note in place without an operation', async () => {
+        const note = await processor.addNote({ content: 'Draft', intent: 'learn' });
+
+        const result = await processor.updateNote(note.id, { content: 'Final', intent: 'todo', source_url: 'https://evil.example' });
+
+        expect(result).toEqual(expect.objectContaining({ success: true, queued: false }));
+        expect(processor.pendingNotes[0]).toEqual(expect.objectContaining({ content: 'Final', intent: 'todo' }));
+        expect((await processor.repository.get(note.id)).source_url).not.toBe('https://evil.example');
+        expect(await operations()).toEqual([]);
+    });
+
+    test('rejects empty content and unknown notes', async () => {
+        expect(await processor.updateNote('note_1', { content: '  ' })).toEqual(expect.objectContaining({ success: false }));
+        expect(await processor.updateNote('note_1', { title: 'Not editable' })).toEqual(expect.objectContaining({ success: false }));
+        expect(await processor.updateNote('note_missing', { pinned: true })).toEqual(expect.objectContaining({ success: false }));
+        expect(await processor.deleteNote('note_missing')).toEqual(expect.objectContaining({ success: false }));
+    });
+
+    test('queues edits to synced notes and replays them in order with If-Match', async () => {
+        await processor.updateNote('note_1', { user_note: 'Important', pinned: 1 });
+        await processor.deleteNote('note_2');
+
+        expect(await processor.repository.get('note_1')).toEqual(expect.objectContaining({ user_note: 'Important', pinned: true }));
+        expect(await processor.repository.get('note_2')).toBeNull();
+        expect(processor.getStatus().pendingOperations).toBe(2);
+
+        await processor.processBatch();
+
+        expect(global.fetch).toHaveBeenCalledTimes(2);
+        const [[patchUrl, patch], [deleteUrl, remove]] = global.fetch.mock.calls;
+        expect(patchUrl).toBe('http://localhost:8000/api/notes/note_1');
+        expect(patch.method).toBe('PATCH');
+        expect(patch.headers['If-Match']).toBe('"2024-03-01T12:00:00.000Z"');
+        expect(JSON.parse(patch.body).changes).toEqual(expect.objectContaining({ user_note: 'Important', pinned: true }));
+        expect(deleteUrl).toBe('http://localhost:8000/api/notes/note_2');
+        expect(remove.method).toBe('DELETE');
+
+        expect(await operations()).toEqual([]);
+        expect(processor.getStatus().pendingOperations).toBe(0);
+    });
+
+    test('addresses notes by the id the server gave them', async () => {
+        await processor.setStoredNotes([synced('note_3', { server_id: 'srv_3', synced_at: '2024-03-01T12:01:00.000Z' })]);
+        await processor.updateNote('note_3', { intent: 'todo' });
+
+        await processor.processOperations();
+
+        expect(global.fetch.mock.calls[0][0]).toBe('http://localhost:8000/api/notes/srv_3');
+    });
+
+    test('stops the replay at a failure so later operations wait their turn', async () => {
+        await processor.updateNote('note_1', { content: 'First edit' });
+        await processor.deleteNote('note_2');
+        [1, 2, 3].forEach(() => global.fetch.mockResolvedValueOnce(response(500)));
+
+        await processor.processOperations();
+
+        // Every attempt at the first operation, none at the second
+        expect(global.fetch).toHaveBeenCalledTimes(3);
+        expect(global.fetch.mock.calls.every(([url]) => url.endsWith('/notes/note_1'))).toBe(true);
+        expect(await operations()).toEqual([
+            { type: 'update', note_id: 'note_1', status: 'failed' },
+            { type: 'delete', note_id: 'note_2', status: 'pending' }
+        ]);
+
+        await processor.processOperations();
+        expect(await operations()).toEqual([]);
+    });
+
+    test('holds edits to a note still being uploaded until it is delivered', async () => {
+        const note = await processor.addNote({ content: 'In flight' });
+        note.delivery.status = 'sending';
+        await processor.updateNote(note.id, { intent: 'todo' });
+
+        await processor.processOperations();
+        expect(global.fetch).not.toHaveBeenCalled();
+        expect(await operations()).toEqual([{ type: 'update', note_id: note.id, status: 'pending' }]);
+    });
+
+    test('sends an edit to a note whose upload timed out under a new idempotency key', async () => {
+        processor.maxRetries = 1;
+        const note = await processor.addNote({ content: 'Draft' });
+        global.fetch.mockRejectedValueOnce(new Error('The operation timed out'));
+        await processor.processBatch();
+        const firstKey = note.idempotency_key;
+        expect(note.delivery).toEqual(expect.objectContaining({ status: 'failed', attempts: 1 }));
+
+        await processor.updateNote(note.id, { content: 'Final' });
+        await processor.processBatch();
+
+        const [first, second] = global.fetch.mock.calls.map(([, request]) => JSON.parse(request.body));
+        expect(second.notes[0]).toEqual(expect.objectContaining({ content: 'Final' }));
+        expect(second.notes[0].idempotency_key).not.toBe(firstKey);
+        expect(second.batch_id).not.toBe(first.batch_id);
+    });
+
+    test('records a conflict and keeps the later edits of that note back', async () => {
+        await processor.updateNote('note_1', { content: 'Mine' });
+        await processor.updateNote('note_1', { intent: 'todo' });
+        await processor.deleteNote('note_2');
+        global.fetch.mockResolvedValueOnce(response(409, {
+            note: synced('note_1', { content: 'Theirs', updated_at: '2024-03-02T00:00:00.000Z' })
+        }));
+
+        await processor.processOperations();
+
+        expect(global.fetch).toHaveBeenCalledTimes(2);
+        expect(await operations()).toEqual([
+            { type: 'update', note_id: 'note_1', status: 'conflict' },
+            { type: 'update', note_id: 'note_1', status: 'pending' }
+        ]);
+        expect((await processor.repository.get('note_1')).conflict).toEqual(expect.objectContaining({
+            type: 'update',
+            server_content: 'Theirs',
+            server_deleted: false
+        }));
+        expect(processor.getStatus().conflictCount).toBe(1);
+    });
+
+    describe('resolving a conflict', () => {
+        beforeEach(async () => {
+            await processor.updateNote('note_1', { content: 'Mine' });
+            global.fetch.mockResolvedValueOnce(response(412, {
+                note: synced('note_1', { content: 'Theirs', updated_at: '2024-03-02T00:00:00.000Z' })
+            }));
+            await processor.processOperations();
+            global.fetch.mockClear();
+        });
+
+        test('keeping the local copy replays it against the server version', async () => {
+            const replay = jest.spyOn(processor, 'processOperations').mockResolvedValueOnce();
+
+            expect(await processor.resolveConflict('note_1', 'local')).toEqual({ success: true });
+            expect(replay).toHaveBeenCalled();
+            await processor.processOperations();
+
+            const [, patch] = global.fetch.mock.calls[0];
+            expect(patch.headers['If-Match']).toBe('"2024-03-02T00:00:00.000Z"');
+            expect(JSON.parse(patch.body).changes.content).toBe('Mine');
+            expect(await processor.repository.get('note_1')).not.toHaveProperty('conflict');
+            expect(await operations()).toEqual([]);
+        });
+
+        test('taking the server copy drops the local edits', async () => {
+            expect(await processor.resolveConflict('note_1', 'server')).toEqual({ success: true });
+
+            expect(await processor.repository.get('note_1')).toEqual(expect.objectContaining({ content: 'Theirs' }));
+            expect(await processor.repository.get('note_1')).not.toHaveProperty('conflict');
+            expect(await operations()).toEqual([]);
+            expect(global.fetch).not.toHaveBeenCalled();
+        });
+
+        test('fails without a conflict to resolve', async () => {
+            expect(await processor.resolveConflict('note_2', 'local')).toEqual(expect.objectContaining({ success: false }));
+        });
+    });
+
+    test('sends an edited note again when the server deleted it', async () => {
+        await processor.updateNote('note_1', { content: 'Mine' });
+        global.fetch.mockResolvedValueOnce(response(404));
+        await processor.processOperations();
+
+        expect((await processor.repository.get('note_1')).conflict.server_deleted).toBe(true);
+
+        await processor.resolveConflict('note_1', 'local');
+
+        expect(processor.pendingNotes.map(({ id }) => id)).toEqual(['note_1']);
+        expect(await operations()).toEqual([]);
+    });
+
+    test('deletes queued notes without telling the server', async () => {
+        const note = await processor.addNote({ content: 'Never mind' });
+
+        const result = await processor.deleteNote(note.id);
+
+        expect(result).toEqual(expect.objectContaining({ success: true, queued: false }));
+        expect(processor.pendingNotes).toEqual([]);
+        expect(await operations()).toEqual([]);
+    });
+
+    test('lists pinned notes first', async () => {
+        await processor.updateNote('note_2', { pinned: true });
+        await processor.setStoredNotes([synced('note_3', { timestamp: '2024-04-01T00:00:00.000Z' })]);
+
+        const result = await processor.searchNotes();
+
+        expect(result.results.map(({ note }) => note.id)).toEqual(['note_2', 'note_3', 'note_1']);
+    });
+});
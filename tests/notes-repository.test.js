@@ -0,0 +1,143 @@
+const { NotesRepository, DB_VERSION, getSyncState } = require('../notes-repository');
+
+describe('NotesRepository', () => {
+    let repository;
+
+    const note = (id, fields = {}) => ({
+        id,
+        content: `Content of ${id}`,
+        source_url: 'https://example.com/post',
+        timestamp: '2024-03-01T12:00:00.000Z',
+        intent: 'learn',
+        delivery: { status: 'pending', attempts: 0 },
+        ...fields
+    });
+
+    beforeEach(() => {
+        repository = new NotesRepository();
+    });
+
+    test('creates the notes store with its indexes', async () => {
+        const db = await repository.open();
+
+        expect(db.version).toBe(DB_VERSION);
+        const store = db.transaction(['notes'], 'readonly').objectStore('notes');
+        expect(Array.from(store.indexNames).sort()).toEqual(['domain', 'fingerprint', 'intent', 'simhash', 'sync_state', 'timestamp']);
+    });
+
+    test('derives the sync state from delivery status', () => {
+        expect(getSyncState({ delivery: { status: 'sending' } })).toBe('pending');
+        expect(getSyncState({ delivery: { status: 'failed' } })).toBe('failed');
+        expect(getSyncState({})).toBe('synced');
+    });
+
+    test('stores notes as they are, without their index fields', async () => {
+        const stored = note('note_1', { metadata: { domain: 'example.com' } });
+        await repository.put([stored]);
+
+        expect(await repository.get('note_1')).toEqual(stored);
+        expect(await repository.get('note_missing')).toBeNull();
+        expect(await repository.getMany(['note_1', 'note_missing'])).toEqual({ note_1: stored });
+    });
+
+    test('queries by sync state, intent, domain and time, newest first', async () => {
+        await repository.put([
+            note('note_1', { timestamp: '2024-03-01T12:00:00.000Z' }),
+            note('note_2', { timestamp: '2024-03-02T12:00:00.000Z', intent: 'todo', delivery: { status: 'failed', attempts: 3 } }),
+            note('note_3', { timestamp: '2024-03-03T12:00:00.000Z', source_url: 'https://papers.org/raft' }),
+            note('local_4', { timestamp: '2024-02-01T12:00:00.000Z', delivery: undefined })
+        ]);
+        const ids = (notes) => notes.map(({ id }) => id);
+
+        expect(ids(await repository.query())).toEqual(['note_3', 'note_2', 'note_1', 'local_4']);
+        expect(ids(await repository.query({ order: 'asc', limit: 2 }))).toEqual(['local_4', 'note_1']);
+        expect(ids(await repository.query({ sync: 'pending' }))).toEqual(['note_3', 'note_1']);
+        expect(ids(await repository.query({ sync: 'synced' }))).toEqual(['local_4']);
+        expect(ids(await repository.query({ intent: 'todo' }))).toEqual(['note_2']);
+        expect(ids(await repository.query({ domain: 'papers.org' }))).toEqual(['note_3']);
+        expect(ids(await repository.query({
+            sync: 'pending',
+            from: Date.parse('2024-03-01T00:00:00.000Z'),
+            to: Date.parse('2024-03-02T00:00:00.000Z')
+        }))).toEqual(['note_1']);
+        expect(await repository.countBySyncState('failed')).toBe(1);
+    });
+
+    test('re-indexes notes when they change and deletes them', async () => {
+        await repository.put([note('note_1'), note('note_2')]);
+        await repository.put([note('note_1', { delivery: { status: 'failed', attempts: 1 } })]);
+        await repository.delete(['note_2']);
+
+        expect((await repository.query({ sync: 'failed' })).map(({ id }) => id)).toEqual(['note_1']);
+        expect(await repository.countBySyncState('pending')).toBe(0);
+
+        await repository.clear();
+        expect(await repository.query()).toEqual([]);
+    });
+
+    test('keeps note operations in the order they were queued', async () => {
+        const first = await repository.addOperation({ id: 'op_1', note_id: 'note_1', type: 'update' });
+        const second = await repository.addOperation({ id: 'op_2', note_id: 'note_2', type: 'delete' });
+        await repository.addOperation({ id: 'op_3', note_id: 'note_1', type: 'delete' });
+
+        expect(second).toBeGreaterThan(first);
+        expect((await repository.getOperations()).map(({ id }) => id)).toEqual(['op_1', 'op_2', 'op_3']);
+        expect((await repository.getOperations('note_1')).map(({ id }) => id)).toEqual(['op_1', 'op_3']);
+
+        await repository.putOperations([{ seq: first, id: 'op_1', note_id: 'note_1', type: 'update', changed: true }]);
+        await repository.deleteOperations([second]);
+        const operations = await repository.getOperations();
+        expect(operations.map(({ id }) => id)).toEqual(['op_1', 'op_3']);
+        expect(operations[0].changed).toBe(true);
+
+        await repository.clear();
+        expect(await repository.getOperations()).toEqual([]);
+    });
+
+    describe('legacy chrome.storage.local notes', () => {
+        beforeEach(() => {
+            global.__chromeLocalStorageData = {
+                note_1: { id: 'note_1', content: 'Queued', delivery: { status: 'failed', attempts: 2 } },
+                note_2: { content: 'Queued before delivery tracking' },
+                local_3: { content: 'Kept locally', intent: 'reference' },
+                manual_4: { content: 'Typed in the popup' },
+                note_broken: { title: 'No content' },
+                user_id: 'user_123',
+                settings_cache: { content: 'Not a note' }
+            };
+        });
+
+        test('moves notes into the database and removes their keys', async () => {
+            await repository.open();
+
+            const notes = await repository.query();
+            expect(notes.map(({ id }) => id).sort()).toEqual(['local_3', 'manual_4', 'note_1', 'note_2']);
+            expect(await repository.get('note_1')).toEqual(expect.objectContaining({
+                delivery: { status: 'failed', attempts: 2 }
+            }));
+            expect((await repository.get('note_2')).delivery).toEqual(expect.objectContaining({ status: 'pending', attempts: 0 }));
+            expect((await repository.get('local_3')).delivery).toBeUndefined();
+
+            expect(Object.keys(global.__chromeLocalStorageData).sort()).toEqual(['note_broken', 'settings_cache', 'user_id']);
+        });
+
+        test('only migrates once', async () => {
+            await repository.open();
+            global.__chromeLocalStorageData.note_late = { content: 'Written by an old popup' };
+
+            await new NotesRepository().open();
+
+            expect(await repository.get('note_late')).toBeNull();
+            expect(global.__chromeLocalStorageData.note_late).toBeDefined();
+        });
+
+        test('keeps the keys when the database write fails', async () => {
+            jest.spyOn(repository, 'runTransaction')
+                .mockImplementationOnce(() => Promise.resolve(undefined))
+                .mockImplementationOnce(() => Promise.reject(new Error('QuotaExceededError')));
+
+            await expect(repository.open()).rejects.toThrow('QuotaExceededError');
+            expect(global.__chromeLocalStorageData.note_1).toBeDefined();
+        });
+    });
+});
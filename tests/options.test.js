@@ -0,0 +1,193 @@
+const fs = require('fs');
+const path = require('path');
+
+const HTML_FILE = fs.readFileSync(path.resolve(__dirname, '../options/options.html'), 'utf8');
+
+describe('Options Page', () => {
+    const flushPromises = () => new Promise(resolve => setTimeout(resolve, 0));
+
+    beforeEach(async () => {
+        document.body.innerHTML = HTML_FILE;
+        jest.resetModules();
+
+        chrome.permissions = {
+            request: jest.fn(() => Promise.resolve(true))
+        };
+        chrome.runtime.sendMessage.mockImplementation(() => Promise.resolve());
+        global.fetch = jest.fn(() => Promise.resolve({ ok: true, json: () => Promise.resolve({}) }));
+        if (!AbortSignal.timeout) {
+            AbortSignal.timeout = () => new AbortController().signal;
+        }
+
+        global.__chromeStorageData = { settings: { apiBaseUrl: 'http://localhost:8000/api', maxBatchSize: 15 } };
+        require('../options/options.js');
+        document.dispatchEvent(new Event('DOMContentLoaded'));
+        await flushPromises();
+    });
+
+    const submit = async () => {
+        document.getElementById('settingsForm').dispatchEvent(new Event('submit', { cancelable: true }));
+        await flushPromises();
+    };
+
+    test('loads saved settings into the form', () => {
+        expect(document.getElementById('apiBaseUrl').value).toBe('http://localhost:8000/api');
+        expect(document.getElementById('maxBatchSize').value).toBe('15');
+        expect(document.getElementById('batchInterval').value).toBe('2');
+    });
+
+    test('requests access to the new server before saving', async () => {
+        document.getElementById('apiBaseUrl').value = 'https://notes.example.com/api';
+        await submit();
+
+        expect(chrome.permissions.request).toHaveBeenCalledWith({ origins: ['https://notes.example.com/*'] });
+        expect(global.__chromeStorageData.settings.apiBaseUrl).toBe('https://notes.example.com/api');
+        expect(document.getElementById('status').textContent).toBe('Settings saved');
+    });
+
+    test('does not save when permission is denied', async () => {
+        chrome.permissions.request.mockResolvedValue(false);
+        document.getElementById('apiBaseUrl').value = 'https://notes.example.com/api';
+        await submit();
+
+        expect(global.__chromeStorageData.settings.apiBaseUrl).toBe('http://localhost:8000/api');
+    });
+
+    test('shows validation errors next to the fields', async () => {
+        document.getElementById('batchInterval').value = '0';
+        await submit();
+
+        const error = document.querySelector('.field-error[data-field="batchInterval"]');
+        expect(error.textContent).toMatch(/between 1 and 60/);
+        expect(chrome.permissions.request).not.toHaveBeenCalled();
+    });
+
+    test('saves the quick-annotate switch and timeout', async () => {
+        expect(document.getElementById('quickAnnotate').checked).toBe(true);
+
+        document.getElementById('quickAnnotate').checked = false;
+        document.getElementById('quickAnnotateTimeout').value = '30';
+        await submit();
+
+        expect(global.__chromeStorageData.settings).toEqual(expect.objectContaining({
+            quickAnnotate: false,
+            quickAnnotateTimeout: 30
+        }));
+    });
+
+    test('edits custom intents one per line', async () => {
+        const field = document.getElementById('customIntents');
+        field.value = 'Book idea\n\n  Follow up  ';
+        await submit();
+
+        expect(global.__chromeStorageData.settings.customIntents).toEqual(['Book idea', 'Follow up']);
+        expect(field.value).toBe('Book idea\nFollow up');
+    });
+
+    test('saves the kinds of personal data to redact and how', async () => {
+        const detector = id => document.querySelector(`#redactionDetectors input[value="${id}"]`);
+        expect(detector('email').checked).toBe(true);
+
+        detector('phone').checked = false;
+        document.getElementById('redactionMode').value = 'hash';
+        document.getElementById('redactionPatterns').value = 'EMP-\\d{6}\n(';
+        await submit();
+
+        expect(document.querySelector('.field-error[data-field="redactionPatterns"]').textContent)
+            .toBe('"(" is not a valid regular expression');
+
+        document.getElementById('redactionPatterns').value = 'EMP-\\d{6}';
+        await submit();
+
+        expect(global.__chromeStorageData.settings).toEqual(expect.objectContaining({
+            redactionMode: 'hash',
+            redactionDetectors: ['api_key', 'email', 'card'],
+            redactionPatterns: ['EMP-\\d{6}']
+        }));
+    });
+
+        test('tests the connection to the entered server', async () => {
+        document.getElementById('apiBaseUrl').value = 'https://notes.example.com/api';
+        document.getElementById('testConnectionBtn').click();
+        await flushPromises();
+
+        expect(global.fetch).toHaveBeenCalledWith('https://notes.example.com/api/health', expect.any(Object));
+        expect(document.getElementById('connectionStatus').textContent).toMatch(/reachable/);
+    });
+
+    test('signs in with an API token through the background', async () => {
+        chrome.runtime.sendMessage.mockImplementation(message => Promise.resolve(
+            message.action === 'getAuthState'
+                ? { success: true, signedIn: true, user: { id: 'u_42', email: 'reader@example.com' } }
+                : { success: true, user: { id: 'u_42' } }
+        ));
+        document.getElementById('apiToken').value = 'tok_abc';
+
+        document.getElementById('useTokenBtn').click();
+        await flushPromises();
+
+        expect(chrome.runtime.sendMessage).toHaveBeenCalledWith({ action: 'signIn', token: 'tok_abc' });
+        expect(document.getElementById('apiToken').value).toBe('');
+        expect(document.getElementById('accountStatus').textContent).toBe('Signed in as reader@example.com');
+        expect(document.getElementById('signedInControls').hidden).toBe(false);
+    });
+
+    test('only signs out once the user confirms losing local notes', async () => {
+        confirm.mockReturnValueOnce(false);
+        document.getElementById('signOutBtn').click();
+        await flushPromises();
+
+        expect(chrome.runtime.sendMessage).not.toHaveBeenCalledWith({ action: 'signOut' });
+    });
+
+    test('turns on encryption once both passphrases match', async () => {
+        document.getElementById('newPassphrase').value = 'correct horse';
+        document.getElementById('confirmPassphrase').value = 'correct hors';
+        document.getElementById('enableEncryptionBtn').click();
+        await flushPromises();
+
+        expect(chrome.runtime.sendMessage).not.toHaveBeenCalledWith(expect.objectContaining({ action: 'enableEncryption' }));
+
+        chrome.runtime.sendMessage.mockImplementation(message => Promise.resolve(
+            message.action === 'getEncryptionStatus' ? { enabled: true, locked: false } : { success: true }
+        ));
+        document.getElementById('confirmPassphrase').value = 'correct horse';
+        document.getElementById('enableEncryptionBtn').click();
+        await flushPromises();
+
+        expect(chrome.runtime.sendMessage).toHaveBeenCalledWith({ action: 'enableEncryption', passphrase: 'correct horse' });
+        expect(document.getElementById('newPassphrase').value).toBe('');
+        expect(document.getElementById('encryptionStatus').textContent).toBe('On - unlocked');
+        expect(document.getElementById('encryptionOnControls').hidden).toBe(false);
+    });
+
+    test('imports the chosen files through the background and shows the report', async () => {
+        chrome.runtime.sendMessage.mockImplementation(message => Promise.resolve(message.action === 'importNotes' ? {
+            success: true,
+            imported: 2,
+            duplicates: 1,
+            skipped: 1,
+            files: [{ name: 'My Clippings.txt', format: 'clippings', count: 3 }],
+            errors: [{ file: 'My Clippings.txt', entry: 'Dune', reason: 'No text' }]
+        } : undefined));
+        Object.defineProperty(document.getElementById('importFiles'), 'files', {
+            value: [{ name: 'My Clippings.txt', text: () => Promise.resolve('clippings') }]
+        });
+        document.getElementById('importIntent').value = 'learn';
+
+        document.getElementById('importBtn').click();
+        await flushPromises();
+        await flushPromises();
+
+        expect(chrome.runtime.sendMessage).toHaveBeenCalledWith({
+            action: 'importNotes',
+            files: [{ name: 'My Clippings.txt', text: 'clippings' }],
+            intent: 'learn'
+        });
+        const report = document.getElementById('importReport');
+        expect(report.hidden).toBe(false);
+        expect(report.textContent).toContain('2 imported from 1 file, 1 already saved, 1 skipped');
+        expect(report.textContent).toContain('My Clippings.txt - Dune: No text');
+        expect(document.getElementById('status').textContent).toBe('Imported 2 notes');
+    });
+});
@@ -0,0 +1,74 @@
+const { extractPageArticle } = require('../content/page-extractor');
+
+describe('Page article extraction', () => {
+    const paragraph = (text) => `<p>${text} ${'It keeps going, with more detail, so it reads like real prose.'.repeat(2)}</p>`;
+
+    beforeEach(() => {
+        document.head.innerHTML = `
+            <title>Raft explained - Example Blog</title>
+            <meta property="og:title" content="Raft explained">
+            <meta property="og:site_name" content="Example Blog">
+            <meta name="author" content="Ada Lovelace">
+            <meta property="article:published_time" content="2024-01-15T10:00:00Z">
+        `;
+        document.documentElement.lang = 'en';
+        document.body.innerHTML = `
+            <header><nav><a href="/">Home</a> <a href="/about">About us and the team behind the blog</a></nav></header>
+            <div id="layout">
+                <div class="sidebar">
+                    <p>Subscribe to our newsletter for weekly posts, tips, and more articles like this one.</p>
+                </div>
+                <div class="post-content">
+                    <h1>Raft explained</h1>
+                    ${paragraph('Raft is a consensus algorithm.')}
+                    ${paragraph('A leader replicates the log.')}
+                    <ul><li>Leader election</li><li>Log replication</li></ul>
+                    <div class="share-buttons"><p>Share this post on social media, email, or print it out for later.</p></div>
+                    ${paragraph('Safety comes from term numbers.')}
+                </div>
+            </div>
+            <footer><p>Copyright Example Blog, all rights reserved, since the year two thousand.</p></footer>
+        `;
+    });
+
+    test('keeps the article body and drops navigation, sidebars and share bars', () => {
+        const { text } = extractPageArticle();
+        const paragraphs = text.split('\n\n');
+
+        expect(paragraphs[0]).toBe('Raft explained');
+        expect(paragraphs[1]).toMatch(/^Raft is a consensus algorithm\./);
+        expect(paragraphs).toContain('Leader election');
+        expect(paragraphs[paragraphs.length - 1]).toMatch(/^Safety comes from term numbers\./);
+        expect(text).not.toMatch(/Subscribe|Share this post|Copyright|About us/);
+    });
+
+    test('reads article metadata from meta tags', () => {
+        const article = extractPageArticle();
+
+        expect(article).toEqual(expect.objectContaining({
+            title: 'Raft explained',
+            byline: 'Ada Lovelace',
+            site_name: 'Example Blog',
+            published_time: '2024-01-15T10:00:00Z',
+            language: 'en',
+            truncated: false
+        }));
+        expect(article.excerpt).toMatch(/^Raft is a consensus algorithm\./);
+        expect(article.word_count).toBe(article.text.split(/\s+/).length);
+    });
+
+    test('uses the description meta tag as excerpt when present', () => {
+        document.head.insertAdjacentHTML('beforeend', '<meta name="description" content="How Raft reaches consensus.">');
+
+        expect(extractPageArticle().excerpt).toBe('How Raft reaches consensus.');
+    });
+
+    test('falls back to the whole body when nothing scores', () => {
+        document.body.innerHTML = '<div>Short</div><span>Page</span>';
+
+        expect(extractPageArticle().text).toBe('');
+
+        document.body.innerHTML = '<p>Tiny</p>';
+        expect(extractPageArticle().text).toBe('Tiny');
+    });
+});
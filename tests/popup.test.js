@@ -3,6 +3,9 @@ const path = require('path');
 
 const HTML_FILE = fs.readFileSync(path.resolve(__dirname, '../popup/popup.html'), 'utf8');
 
+// The chrome mock from tests/setup.js, before the tests below replace it
+const setupChrome = global.chrome;
+
 describe('Popup Functionality', () => {
     let notesArea, saveBtn, clearBtn, downloadBtn, status, charCounter;
 
@@ -178,4 +181,20 @@ describe('Popup Functionality', () => {
         await Promise.resolve(); // Flush microtasks
         expect(chrome.storage.sync.set).toHaveBeenCalled();
     });
-});
\ No newline at end of file
+});
+describe('Popup HTML escaping', () => {
+    beforeEach(() => {
+        jest.resetModules();
+        global.chrome = setupChrome;
+    });
+
+    test('escapes quotes so note data stays inside attribute values', () => {
+        const { escapeHtml } = require('../popup/popup.js');
+        const item = document.createElement('div');
+        item.innerHTML = `<button data-tag="${escapeHtml('say "hi" & <wave>')}" title='${escapeHtml("it's")}'></button>`;
+
+        expect(item.firstChild.dataset.tag).toBe('say "hi" & <wave>');
+        expect(item.firstChild.title).toBe("it's");
+        expect(escapeHtml(undefined)).toBe('');
+    });
+});
@@ -0,0 +1,123 @@
+const { matchesPattern, validatePatterns, getCaptureDecision } = require('../privacy');
+const { BatchProcessor } = require('../batch-processor');
+
+const rules = (fields = {}) => ({
+    capturePaused: false,
+    captureBlocklist: [],
+    captureAllowlist: [],
+    incognitoPolicy: 'block',
+    ...fields
+});
+
+const note = (fields = {}) => ({
+    content: 'Leaders are elected by a majority of votes',
+    source_url: 'https://raft.github.io/',
+    intent: 'learn',
+    ...fields
+});
+
+describe('Privacy rules', () => {
+    test('matches sites with their subdomains, and URL patterns with wildcards', () => {
+        expect(matchesPattern('https://mail.google.com/mail/u/0', 'google.com')).toBe(true);
+        expect(matchesPattern('https://notgoogle.com/', 'google.com')).toBe(false);
+        expect(matchesPattern('https://docs.example.com/a', '*.example.com')).toBe(true);
+        expect(matchesPattern('http://localhost:3000/admin', 'localhost:3000')).toBe(true);
+        expect(matchesPattern('https://example.com/private/notes?id=1', 'example.com/private/*')).toBe(true);
+        expect(matchesPattern('https://example.com/public', 'example.com/private/*')).toBe(false);
+        expect(matchesPattern('http://example.com/private/x', 'https://example.com/private/*')).toBe(false);
+    });
+
+    test('tidies pattern lists and refuses what is not a site', () => {
+        expect(validatePatterns([' Example.com/ ', '', 'example.com', 'bank.com'], 'Blocked sites'))
+            .toEqual({ error: null, patterns: ['example.com', 'bank.com'] });
+        expect(validatePatterns(['my bank'], 'Blocked sites').error).toBe('"my bank" must not contain spaces');
+        expect(validatePatterns(['*'], 'Blocked sites').error).toBe('"*" is not a site or URL pattern');
+        expect(validatePatterns('bank.com', 'Allowed sites').error).toBe('Allowed sites must be a list of sites or URLs');
+    });
+
+    test('decides from pause, incognito policy, blocklist and allowlist', () => {
+        const page = { url: 'https://bank.com/statement', incognito: false };
+
+        expect(getCaptureDecision(page, rules())).toEqual({ allowed: true, localOnly: false, reason: null });
+        expect(getCaptureDecision(page, rules({ capturePaused: true })).reason).toBe('BrowserBud is paused');
+        expect(getCaptureDecision(page, rules({ captureBlocklist: ['bank.com'] })).reason).toBe('Captures from bank.com are blocked');
+        expect(getCaptureDecision(page, rules({ captureAllowlist: ['wikipedia.org'] })).allowed).toBe(false);
+        expect(getCaptureDecision({ url: '', incognito: false }, rules({ capturePaused: true })).allowed).toBe(true);
+
+        const incognito = { ...page, incognito: true };
+        expect(getCaptureDecision(incognito, rules()).allowed).toBe(false);
+        expect(getCaptureDecision(incognito, rules({ incognitoPolicy: 'local' }))).toEqual({ allowed: true, localOnly: true, reason: null });
+        expect(getCaptureDecision(incognito, rules({ incognitoPolicy: 'allow' })).localOnly).toBe(false);
+    });
+});
+
+describe('Privacy in the batch processor', () => {
+    let processor;
+
+    beforeEach(async () => {
+        global.fetch = jest.fn();
+        processor = new BatchProcessor();
+        await processor.ready;
+        await processor.clearStoredNotes();
+    });
+
+    test('refuses notes from blocked sites however they arrive', async () => {
+        await processor.configure({ privacy: rules({ captureBlocklist: ['raft.github.io'] }) });
+
+        await expect(processor.addNote(note())).rejects.toThrow('Captures from raft.github.io are blocked');
+        expect(await processor.getStoredNotes()).toEqual([]);
+        expect((await processor.addNote(note({ source_url: '' }))).id).toBeTruthy();
+    });
+
+    test('keeps incognito notes on this device when the policy says so', async () => {
+        await processor.configure({ privacy: rules({ incognitoPolicy: 'local' }) });
+
+        const added = await processor.addNote(note({ incognito: true }));
+
+        expect(added.delivery.status).toBe('local');
+        expect(processor.pendingNotes).toEqual([]);
+        expect((await processor.getStoredNotes({ sync: 'local' })).map(stored => stored.id)).toEqual([added.id]);
+    });
+
+    test('holds back queued notes from a site blocked after they were captured', async () => {
+        const added = await processor.addNote(note());
+        await processor.configure({ privacy: rules({ captureBlocklist: ['github.io'], capturePaused: true }) });
+
+        await processor.processBatch();
+
+        expect(global.fetch).not.toHaveBeenCalled();
+        expect(processor.pendingNotes).toEqual([]);
+        expect((await processor.repository.get(added.id)).delivery.status).toBe('local');
+    });
+});
+
+describe('Privacy in the context menu', () => {
+    let background;
+    const tab = { id: 3, url: 'https://bank.com/statement', title: 'Statement' };
+    const info = { menuItemId: 'browserBud', selectionText: 'Balance', pageUrl: tab.url };
+
+    beforeEach(() => {
+        jest.resetModules();
+        chrome.scripting = { executeScript: jest.fn(() => Promise.resolve([{ result: null }])) };
+        global.fetch = jest.fn();
+    });
+
+    test('refuses captures from blocked sites and incognito windows before reading the page', async () => {
+        global.__chromeStorageData = { settings: { quickAnnotate: false, captureBlocklist: ['bank.com'] } };
+        background = require('../background');
+
+        expect(await background.onClicked(info, tab)).toBe('blocked');
+        expect(await background.onClicked({ ...info, pageUrl: 'https://raft.github.io/' }, { ...tab, incognito: true })).toBe('blocked');
+        expect(chrome.scripting.executeScript).not.toHaveBeenCalled();
+    });
+
+    test('greys out the menu while paused', async () => {
+        global.__chromeStorageData = { settings: {} };
+        background = require('../background');
+
+        await background.updateContextMenu({ customIntents: [], capturePaused: false });
+        await background.updateContextMenu({ customIntents: [], capturePaused: true });
+
+        expect(chrome.contextMenus.update).toHaveBeenCalledWith('browserBud', { title: 'BrowserBud (paused)', enabled: false });
+    });
+});
@@ -0,0 +1,164 @@
+const { SearchIndex, SEARCH_INDEX_KEY, tokenize, buildSnippet } = require('../search-index');
+const { BatchProcessor } = require('../batch-processor');
+
+describe('SearchIndex', () => {
+    let index;
+
+    const note = (id, fields = {}) => ({
+        id,
+        content: '',
+        title: '',
+        source_url: 'https://example.com/post',
+        timestamp: '2024-03-01T12:00:00Z',
+        intent: 'learn',
+        user_note: '',
+        tags: [],
+        delivery: { status: 'pending', attempts: 0 },
+        ...fields
+    });
+
+    beforeEach(async () => {
+        index = new SearchIndex();
+        await index.rebuild([
+            note('note_1', { content: 'Raft elects a leader and replicates the log for consensus', timestamp: '2024-03-01T12:00:00Z' }),
+            note('note_2', { content: 'Paxos is older than Raft', title: 'Consensus history', intent: 'reference',
+                source_url: 'https://papers.org/paxos', timestamp: '2024-03-05T12:00:00Z' }),
+            note('note_3', { content: 'Café au lait recipe', tags: ['cooking'], delivery: { status: 'failed', attempts: 5 },
+                timestamp: '2024-02-10T12:00:00Z' }),
+            note('local_4', { content: 'Leader leases speed up reads', delivery: undefined, timestamp: '2024-01-01T12:00:00Z' })
+        ]);
+    });
+
+    const ids = (result) => result.results.map(({ id }) => id);
+
+    test('tokenizes without case, accents or stop words', () => {
+        expect(tokenize('The Café is OPEN, and it is 24/7!')).toEqual(['cafe', 'open', '24', '7']);
+    });
+
+    test('lists every note, newest first, without a query', () => {
+        expect(ids(index.search())).toEqual(['note_2', 'note_1', 'note_3', 'local_4']);
+    });
+
+    test('lists pinned notes first without a query, but ranks by score with one', async () => {
+        await index.add([note('note_3', { content: 'Café au lait recipe', pinned: true, timestamp: '2024-02-10T12:00:00Z' })]);
+
+        expect(ids(index.search())).toEqual(['note_3', 'note_2', 'note_1', 'local_4']);
+        expect(ids(index.search({ query: 'raft ' }))[0]).not.toBe('note_3');
+    });
+
+    test('requires every word of the query to match', () => {
+        expect(ids(index.search({ query: 'raft ' }))).toEqual(expect.arrayContaining(['note_1', 'note_2']));
+        expect(ids(index.search({ query: 'raft leader ' }))).toEqual(['note_1']);
+        expect(index.search({ query: 'raft cooking ' }).total).toBe(0);
+    });
+
+    test('matches the last word as a prefix while typing', () => {
+        const result = index.search({ query: 'lead' });
+
+        expect(ids(result)).toEqual(expect.arrayContaining(['note_1', 'local_4']));
+        expect(result.terms).toEqual(expect.arrayContaining(['leader']));
+        expect(index.search({ query: 'lead ' }).total).toBe(0);
+    });
+
+    test('ranks title and tag matches above content matches', () => {
+        expect(ids(index.search({ query: 'consensus ' }))).toEqual(['note_2', 'note_1']);
+        expect(ids(index.search({ query: 'cafe ' }))).toEqual(['note_3']);
+        expect(ids(index.search({ query: 'cooking ' }))).toEqual(['note_3']);
+    });
+
+    test('filters by intent, domain, sync state and date range', () => {
+        expect(ids(index.search({ intent: 'reference' }))).toEqual(['note_2']);
+        expect(ids(index.search({ domain: 'papers.org' }))).toEqual(['note_2']);
+        expect(ids(index.search({ sync: 'failed' }))).toEqual(['note_3']);
+        expect(ids(index.search({ sync: 'synced' }))).toEqual(['local_4']);
+        expect(ids(index.search({
+            from: Date.parse('2024-02-01T00:00:00Z'),
+            to: Date.parse('2024-03-02T00:00:00Z')
+        }))).toEqual(['note_1', 'note_3']);
+    });
+
+    test('pages through the results', () => {
+        const page = index.search({ page: 1, pageSize: 3 });
+
+        expect(ids(page)).toEqual(['local_4']);
+        expect(page).toEqual(expect.objectContaining({ total: 4, page: 1, pageSize: 3 }));
+    });
+
+    test('updates and removes notes', async () => {
+        await index.add([note('note_1', { content: 'Now about gossip protocols' })]);
+        await index.remove(['note_2']);
+
+        expect(index.search({ query: 'raft ' }).total).toBe(0);
+        expect(ids(index.search({ query: 'gossip' }))).toEqual(['note_1']);
+        expect(index.postings.paxos).toBeUndefined();
+    });
+
+    test('counts intents, domains and tags for the filters', () => {
+        expect(index.getFacets()).toEqual({
+            intents: [{ value: 'learn', count: 3 }, { value: 'reference', count: 1 }],
+            domains: [{ value: 'example.com', count: 3 }, { value: 'papers.org', count: 1 }],
+            tags: [{ value: 'cooking', count: 1 }]
+        });
+    });
+
+    test('persists and reloads', async () => {
+        const reloaded = new SearchIndex();
+
+        expect(await reloaded.load()).toBe(true);
+        expect(reloaded.search({ query: 'paxos' }).total).toBe(1);
+
+        global.__chromeLocalStorageData[SEARCH_INDEX_KEY].version = 0;
+        expect(await new SearchIndex().load()).toBe(false);
+    });
+
+    test('cuts snippets around the match and marks it', () => {
+        const text = `${'Background sentence. '.repeat(10)}The Café opens early.`;
+        const snippet = buildSnippet(text, ['cafe'], 60);
+        const [[start, end]] = snippet.ranges;
+
+        expect(snippet.text.startsWith('…')).toBe(true);
+        expect(snippet.text.substring(start, end)).toBe('Café');
+        expect(buildSnippet('Short text', ['missing'])).toEqual({ text: 'Short text', ranges: [] });
+    });
+});
+
+describe('BatchProcessor search', () => {
+    let processor;
+
+    beforeEach(async () => {
+        global.__chromeLocalStorageData = {
+            local_old: { content: 'Legacy note about raft', timestamp: '2023-01-01T00:00:00Z', source_url: 'https://old.example/' }
+        };
+        processor = new BatchProcessor();
+        await processor.ready;
+    });
+
+    test('builds the index from the repository, including migrated legacy notes', async () => {
+        const result = await processor.searchNotes({ query: 'raft' });
+
+        expect(result.results.map(({ note }) => note.id)).toEqual(['local_old']);
+        expect(result.results[0].snippet.ranges).toHaveLength(1);
+    });
+
+    test('indexes notes as they are saved and removed', async () => {
+        const note = await processor.addNote({ content: 'Raft log compaction', intent: 'todo' });
+
+        let result = await processor.searchNotes({ query: 'compaction' });
+        expect(result.results[0].note).toEqual(expect.objectContaining({ id: note.id, content: 'Raft log compaction' }));
+        expect(result.facets.intents).toContainEqual({ value: 'todo', count: 1 });
+
+        await processor.removeStoredNotes([note.id]);
+        result = await processor.searchNotes({ query: 'compaction' });
+        expect(result.total).toBe(0);
+    });
+
+    test('drops notes removed from the repository behind its back', async () => {
+        await processor.repository.delete(['local_old']);
+
+        const result = await processor.searchNotes({ query: 'raft' });
+
+        expect(result.results).toEqual([]);
+        expect(result.total).toBe(0);
+        expect(processor.searchIndex.docs.local_old).toBeUndefined();
+    });
+});
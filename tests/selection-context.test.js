@@ -0,0 +1,183 @@
+const { extractSelectionContext } = require('../content/selection-context');
+
+describe('Selection context extraction', () => {
+    const selectText = (node, start, end) => {
+        const range = document.createRange();
+        range.setStart(node, start);
+        range.setEnd(node, end);
+        const selection = window.getSelection();
+        selection.removeAllRanges();
+        selection.addRange(range);
+        return range;
+    };
+
+    beforeEach(() => {
+        document.documentElement.lang = 'en';
+        document.body.innerHTML = `
+            <h1>Distributed Systems</h1>
+            <h2>Consensus</h2>
+            <p>Background paragraph.</p>
+            <h3>Raft</h3>
+            <p id="raft-intro">Raft elects a <em>leader</em> that replicates the log to followers.</p>
+            <h2>Storage</h2>
+            <pre><code>const log = [];</code></pre>
+            <a href="#one">One</a>
+        `;
+    });
+
+    afterEach(() => {
+        window.getSelection().removeAllRanges();
+    });
+
+    test('returns page metadata without an anchor when nothing is selected', () => {
+        const result = extractSelectionContext();
+
+        expect(result).toEqual(expect.objectContaining({
+            url: window.location.href,
+            domain: window.location.hostname,
+            language: 'en',
+            linkCount: 1,
+            anchor: null
+        }));
+        expect(result.wordCount).toBeGreaterThan(10);
+    });
+
+    test('captures the surrounding paragraph, heading chain and selection HTML', () => {
+        const paragraph = document.getElementById('raft-intro');
+        const range = document.createRange();
+        range.setStart(paragraph.firstChild, 0);
+        range.setEnd(paragraph.childNodes[1].firstChild, 6);
+        window.getSelection().addRange(range);
+
+        const result = extractSelectionContext();
+
+        expect(result.surroundingText).toBe('Raft elects a leader that replicates the log to followers.');
+        expect(result.headings).toEqual([
+            { level: 1, text: 'Distributed Systems' },
+            { level: 2, text: 'Consensus' },
+            { level: 3, text: 'Raft' }
+        ]);
+        expect(result.selectionHtml).toBe('Raft elects a <em>leader</em>');
+        expect(result.associatedTags).toBe('P < BODY');
+        expect(result.hasCode).toBe(false);
+    });
+
+    test('builds a text quote anchor with prefix and suffix', () => {
+        const textNode = document.getElementById('raft-intro').lastChild;
+        selectText(textNode, 1, 11);
+
+        const { anchor, textPosition } = extractSelectionContext();
+        const bodyText = document.body.textContent;
+
+        expect(anchor.quote.exact).toBe('that repli');
+        expect(anchor.quote.prefix).toBe(bodyText.substring(anchor.position.start - 32, anchor.position.start));
+        expect(anchor.quote.prefix.endsWith('leader ')).toBe(true);
+        expect(anchor.quote.suffix.startsWith('cates the log')).toBe(true);
+        expect(bodyText.substring(anchor.position.start, anchor.position.end)).toBe('that repli');
+        expect(textPosition).toBe(anchor.position.start);
+    });
+
+    test('builds XPath anchors that resolve back to the selected nodes', () => {
+        const textNode = document.getElementById('raft-intro').lastChild;
+        selectText(textNode, 1, 11);
+
+        const { anchor } = extractSelectionContext();
+        const resolve = (xpath) => document.evaluate(
+            xpath, document, null, XPathResult.FIRST_ORDERED_NODE_TYPE, null
+        ).singleNodeValue;
+
+        expect(anchor.range.startXPath).toBe('//*[@id="raft-intro"]/text()[2]');
+        expect(resolve(anchor.range.startXPath)).toBe(textNode);
+        expect(anchor.range).toEqual(expect.objectContaining({ startOffset: 1, endOffset: 11 }));
+    });
+
+    test('uses positional XPath steps when no ancestor has an id', () => {
+        const codeText = document.querySelector('code').firstChild;
+        selectText(codeText, 0, 5);
+
+        const { anchor, hasCode, headings } = extractSelectionContext();
+
+        expect(anchor.range.startXPath).toBe('/html[1]/body[1]/pre[1]/code[1]/text()[1]');
+        expect(hasCode).toBe(true);
+        expect(headings.map(heading => heading.text)).toEqual(['Distributed Systems', 'Storage']);
+    });
+
+    test('flags math formulas in the selection', () => {
+        document.body.innerHTML = '<p>Euler: $e^{i\\pi} + 1 = 0$</p>';
+        const textNode = document.querySelector('p').firstChild;
+        selectText(textNode, 7, textNode.length);
+
+        expect(extractSelectionContext().hasMathFormula).toBe(true);
+    });
+});
+
+describe('Note creation from selection', () => {
+    let background;
+
+    beforeEach(() => {
+        jest.resetModules();
+        chrome.scripting = {
+            executeScript: jest.fn(() => Promise.resolve([{
+                result: {
+                    url: 'https://example.com/article',
+                    title: 'Article',
+                    domain: 'example.com',
+                    language: 'en',
+                    wordCount: 1200,
+                    surroundingText: 'The full paragraph.',
+                    headings: [{ level: 1, text: 'Article' }],
+                    selectionHtml: '<em>paragraph</em>',
+                    anchor: { quote: { exact: 'paragraph', prefix: 'The full ', suffix: '.' } }
+                }
+            }]))
+        };
+        global.fetch = jest.fn(() => Promise.resolve({ ok: true, json: () => Promise.resolve({}) }));
+        if (!AbortSignal.timeout) {
+            AbortSignal.timeout = () => new AbortController().signal;
+        }
+        background = require('../background');
+    });
+
+    test('injects the extractor into the selection frame', async () => {
+        const tab = { id: 7, url: 'https://example.com/article', title: 'Article' };
+
+        await background.createNoteFromSelection({ selectionText: 'paragraph', frameId: 3 }, tab);
+
+        expect(chrome.scripting.executeScript).toHaveBeenCalledWith({
+            target: { tabId: 7, frameIds: [3] },
+            func: expect.any(Function)
+        });
+        expect(chrome.scripting.executeScript.mock.calls[0][0].func.name).toBe('extractSelectionContext');
+    });
+
+    test('stores the selection context and anchor on the note', async () => {
+        const tab = { id: 7, url: 'https://example.com/article', title: 'Article' };
+
+        const note = await background.createNoteFromSelection({ selectionText: 'paragraph', frameId: 0 }, tab);
+
+        expect(note).toEqual(expect.objectContaining({
+            content: 'paragraph',
+            source_url: tab.url,
+            anchor: { quote: { exact: 'paragraph', prefix: 'The full ', suffix: '.' } },
+            metadata: expect.objectContaining({
+                domain: 'example.com',
+                surroundingText: 'The full paragraph.',
+                headings: [{ level: 1, text: 'Article' }],
+                selectionHtml: '<em>paragraph</em>',
+                selectionLength: 9
+            })
+        }));
+        expect(note.metadata.frameUrl).toBeUndefined();
+    });
+
+    test('falls back to a basic note when the page cannot be scripted', async () => {
+        chrome.scripting.executeScript.mockRejectedValue(new Error('Cannot access a chrome:// URL'));
+        const tab = { id: 7, url: 'chrome://settings', title: 'Settings' };
+
+        await background.onClicked({ selectionText: 'Some text', frameId: 0 }, tab);
+        await new Promise(resolve => setTimeout(resolve, 0));
+
+        const [stored] = await background.ensureBatchProcessor().getStoredNotes();
+        expect(stored.metadata).toEqual({ error: 'Metadata extraction failed', selectionLength: 9 });
+    });
+});
@@ -0,0 +1,122 @@
+const {
+    DEFAULT_SETTINGS,
+    validateSettings,
+    getSettings,
+    saveSettings,
+    onSettingsChanged,
+    getHostPermissionPattern,
+    toProcessorOptions
+} = require('../settings');
+const { BatchProcessor, ALARMS } = require('../batch-processor');
+
+describe('Settings', () => {
+    describe('validateSettings', () => {
+        test('accepts the defaults', () => {
+            expect(validateSettings(DEFAULT_SETTINGS)).toEqual({
+                valid: true,
+                errors: {},
+                settings: DEFAULT_SETTINGS
+            });
+        });
+
+        test('normalizes the server URL and numeric fields', () => {
+            const { valid, settings } = validateSettings({
+                apiBaseUrl: ' https://notes.example.com/api/ ',
+                batchInterval: '5',
+                maxBatchSize: '25'
+            });
+
+            expect(valid).toBe(true);
+            expect(settings.apiBaseUrl).toBe('https://notes.example.com/api');
+            expect(settings.batchInterval).toBe(5);
+            expect(settings.maxBatchSize).toBe(25);
+        });
+
+        test('rejects invalid URLs and out-of-range numbers', () => {
+            const { valid, errors } = validateSettings({
+                apiBaseUrl: 'ftp://example.com',
+                batchInterval: 0,
+                maxBatchSize: 2.5,
+                maxLocalNotes: 'lots'
+            });
+
+            expect(valid).toBe(false);
+            expect(Object.keys(errors).sort()).toEqual(['apiBaseUrl', 'batchInterval', 'maxBatchSize', 'maxLocalNotes']);
+        });
+    });
+
+    test('falls back to defaults for unsaved settings', async () => {
+        global.__chromeStorageData = { settings: { maxBatchSize: 20 } };
+
+        expect(await getSettings()).toEqual({ ...DEFAULT_SETTINGS, maxBatchSize: 20 });
+    });
+
+    test('saves valid settings to sync storage', async () => {
+        const result = await saveSettings({ apiBaseUrl: 'https://notes.example.com/api', batchInterval: 10 });
+
+        expect(result.success).toBe(true);
+        expect(global.__chromeStorageData.settings).toEqual(expect.objectContaining({
+            apiBaseUrl: 'https://notes.example.com/api',
+            batchInterval: 10
+        }));
+    });
+
+    test('does not save invalid settings', async () => {
+        const result = await saveSettings({ apiBaseUrl: 'not a url' });
+
+        expect(result).toEqual({ success: false, errors: { apiBaseUrl: expect.any(String) } });
+        expect(global.__chromeStorageData.settings).toBeUndefined();
+    });
+
+    test('notifies listeners of sync changes only', () => {
+        const callback = jest.fn();
+        onSettingsChanged(callback);
+
+        chrome.storage.onChanged.callListeners({ settings: { newValue: { batchInterval: 7 } } }, 'local');
+        chrome.storage.onChanged.callListeners({ settings: { newValue: { batchInterval: 7 } } }, 'sync');
+
+        expect(callback).toHaveBeenCalledTimes(1);
+        expect(callback).toHaveBeenCalledWith({ ...DEFAULT_SETTINGS, batchInterval: 7 });
+    });
+
+    test('builds the host permission pattern for the server origin', () => {
+        expect(getHostPermissionPattern('https://notes.example.com:8443/api')).toBe('https://notes.example.com/*');
+    });
+
+    describe('live reconfiguration', () => {
+        beforeEach(() => {
+            global.fetch = jest.fn(() => Promise.resolve({ ok: true, json: () => Promise.resolve({}) }));
+            if (!AbortSignal.timeout) {
+                AbortSignal.timeout = () => new AbortController().signal;
+            }
+        });
+
+        test('reschedules the batch alarm and rechecks the new server', async () => {
+            const processor = new BatchProcessor(toProcessorOptions(DEFAULT_SETTINGS));
+            await processor.start();
+            global.fetch.mockClear();
+
+            await processor.configure(toProcessorOptions({
+                ...DEFAULT_SETTINGS,
+                apiBaseUrl: 'https://notes.example.com/api',
+                batchInterval: 15
+            }));
+
+            expect(global.__chromeAlarms[ALARMS.BATCH].periodInMinutes).toBe(15);
+            expect(global.fetch).toHaveBeenCalledWith('https://notes.example.com/api/health', expect.any(Object));
+            expect(processor.getStatus().apiUrl).toBe('https://notes.example.com/api');
+        });
+
+        test('flushes the queue when the batch size drops below the pending count', async () => {
+            const processor = new BatchProcessor(toProcessorOptions(DEFAULT_SETTINGS));
+            await processor.start();
+            await processor.addNote({ content: 'First' });
+            await processor.addNote({ content: 'Second' });
+            const processBatch = jest.spyOn(processor, 'processBatch').mockResolvedValue();
+
+            await processor.configure({ maxBatchSize: 2 });
+
+            expect(processBatch).toHaveBeenCalled();
+        });
+    });
+});
@@ -1,11 +1,137 @@
 require('@testing-library/jest-dom');
+require('fake-indexeddb/auto');
+const FDBFactory = require('fake-indexeddb/lib/FDBFactory');
+
+// Mock chrome event with a helper to fire it from tests
+const createEvent = () => {
+  const listeners = [];
+  return {
+    addListener: jest.fn(listener => listeners.push(listener)),
+    removeListener: jest.fn(listener => {
+      const index = listeners.indexOf(listener);
+      if (index !== -1) listeners.splice(index, 1);
+    }),
+    hasListener: jest.fn(listener => listeners.includes(listener)),
+    callListeners: (...args) => listeners.map(listener => listener(...args))
+  };
+};
 
 // Mock chrome API
 global.chrome = {
   runtime: {
-    lastError: null
+    lastError: null,
+    onMessage: createEvent(),
+    onInstalled: createEvent(),
+    onStartup: createEvent(),
+    onSuspend: createEvent(),
+    sendMessage: jest.fn(() => Promise.resolve()),
+    getURL: jest.fn(path => `chrome-extension://browserbud/${path}`),
+    getContexts: jest.fn(() => Promise.resolve([]))
+  },
+  offscreen: {
+    createDocument: jest.fn(() => Promise.resolve()),
+    closeDocument: jest.fn(() => Promise.resolve())
+  },
+  downloads: {
+    download: jest.fn(() => Promise.resolve(1)),
+    search: jest.fn(() => Promise.resolve([])),
+    onChanged: createEvent()
+  },
+  permissions: {
+    getAll: jest.fn(() => Promise.resolve({ permissions: [], origins: [] })),
+    contains: jest.fn(() => Promise.resolve(true)),
+    request: jest.fn(() => Promise.resolve(true)),
+    onAdded: createEvent(),
+    onRemoved: createEvent()
+  },
+  scripting: {
+    getRegisteredContentScripts: jest.fn(() => Promise.resolve([])),
+    registerContentScripts: jest.fn(() => Promise.resolve()),
+    updateContentScripts: jest.fn(() => Promise.resolve()),
+    unregisterContentScripts: jest.fn(() => Promise.resolve())
+  },
+  tabs: {
+    query: jest.fn(() => Promise.resolve([])),
+    sendMessage: jest.fn(() => Promise.resolve())
+  },
+  action: {
+    openPopup: jest.fn(() => Promise.resolve()),
+    setBadgeText: jest.fn(),
+    setBadgeBackgroundColor: jest.fn()
+  },
+  commands: {
+    onCommand: createEvent()
+  },
+  windows: {
+    create: jest.fn(() => Promise.resolve({}))
+  },
+  contextMenus: {
+    create: jest.fn(),
+    removeAll: jest.fn(() => Promise.resolve()),
+    update: jest.fn(() => Promise.resolve()),
+    onClicked: createEvent()
+  },
+  alarms: {
+    create: jest.fn((name, info) => {
+      const now = Date.now();
+      global.__chromeAlarms[name] = {
+        name,
+        scheduledTime: now + (info.delayInMinutes ?? info.periodInMinutes ?? 0) * 60000,
+        periodInMinutes: info.periodInMinutes
+      };
+      return Promise.resolve();
+    }),
+    get: jest.fn(name => Promise.resolve(global.__chromeAlarms[name])),
+    getAll: jest.fn(() => Promise.resolve(Object.values(global.__chromeAlarms))),
+    clear: jest.fn(name => {
+      const existed = name in global.__chromeAlarms;
+      delete global.__chromeAlarms[name];
+      return Promise.resolve(existed);
+    }),
+    onAlarm: createEvent()
   },
   storage: {
+    onChanged: createEvent(),
+    local: {
+      get: jest.fn((keys, callback) => {
+        const data = global.__chromeLocalStorageData;
+        let result = {};
+        if (keys === null || keys === undefined) {
+          result = { ...data };
+        } else if (typeof keys === 'string') {
+          if (keys in data) result[keys] = data[keys];
+        } else if (Array.isArray(keys)) {
+          keys.forEach(key => {
+            if (key in data) result[key] = data[key];
+          });
+        } else {
+          Object.keys(keys).forEach(key => {
+            result[key] = key in data ? data[key] : keys[key];
+          });
+        }
+        if (callback) {
+          callback(result);
+          return;
+        }
+        return Promise.resolve(result);
+      }),
+      set: jest.fn((data, callback) => {
+        Object.assign(global.__chromeLocalStorageData, data);
+        if (callback) {
+          callback();
+          return;
+        }
+        return Promise.resolve();
+      }),
+      remove: jest.fn((keys, callback) => {
+        [].concat(keys).forEach(key => delete global.__chromeLocalStorageData[key]);
+        if (callback) {
+          callback();
+          return;
+        }
+        return Promise.resolve();
+      })
+    },
     sync: {
       get: jest.fn((keys, callback) => {
         if (callback) {
@@ -52,10 +178,15 @@ global.chrome = {
 
 // Initialize storage data
 global.__chromeStorageData = {};
+global.__chromeLocalStorageData = {};
+global.__chromeAlarms = {};
 
 // Clear storage before each test
 beforeEach(() => {
   global.__chromeStorageData = {};
+  global.__chromeLocalStorageData = {};
+  global.__chromeAlarms = {};
+  global.indexedDB = new FDBFactory();
 });
 
 // Mock getComputedStyle
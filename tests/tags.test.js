@@ -0,0 +1,90 @@
+const { normalizeTags, replaceTags } = require('../tags');
+const { BatchProcessor } = require('../batch-processor');
+
+const note = (id, tags, fields = {}) => ({
+    id,
+    content: `Content of ${id}`,
+    source_url: 'https://example.com/post',
+    timestamp: '2024-03-01T12:00:00.000Z',
+    intent: 'learn',
+    user_note: '',
+    tags,
+    ...fields
+});
+
+describe('Tags', () => {
+    test('tidies tags and treats spellings of one tag as the same', () => {
+        expect(normalizeTags(' #ML, ml ,Deep   learning,, #')).toEqual(['ML', 'Deep learning']);
+        expect(normalizeTags(['papers', 'Papers', 'x'.repeat(60)])).toEqual(['papers', 'x'.repeat(40)]);
+    });
+
+    test('replaces tags where they were, and the target wins over other spellings', () => {
+        expect(replaceTags(['a', 'ml', 'b'], ['ML'], 'machine learning')).toEqual(['a', 'machine learning', 'b']);
+        expect(replaceTags(['ml', 'AI', 'nlp'], ['ml', 'nlp'], 'ai')).toEqual(['ai']);
+        expect(replaceTags(['ml', 'ai'], ['ML'], null)).toEqual(['ai']);
+    });
+});
+
+describe('Tagging stored notes', () => {
+    let processor;
+
+    const tagsOf = async (id) => (await processor.repository.get(id)).tags;
+
+    beforeEach(async () => {
+        global.fetch = jest.fn();
+        processor = new BatchProcessor();
+        await processor.ready;
+        await processor.clearStoredNotes();
+        await processor.setStoredNotes([
+            note('note_1', ['ML', 'papers']),
+            note('note_2', ['ml']),
+            note('note_3', ['reading'])
+        ]);
+    });
+
+    test('counts tags in use under the first spelling seen', async () => {
+        expect(await processor.getTags()).toEqual({
+            success: true,
+            tags: expect.arrayContaining([{ value: 'ML', count: 2 }, { value: 'papers', count: 1 }, { value: 'reading', count: 1 }])
+        });
+    });
+
+    test('adds and removes tags on several notes at once', async () => {
+        const result = await processor.tagNotes(['note_2', 'note_3'], { add: ['#later'], remove: ['reading'] });
+
+        expect(result).toEqual({ success: true, updated: 2 });
+        expect(await tagsOf('note_2')).toEqual(['ml', 'later']);
+        expect(await tagsOf('note_3')).toEqual(['later']);
+        expect(await processor.tagNotes([], { add: ['x'] })).toEqual({ success: false, error: 'Select the notes to tag' });
+        expect(await processor.tagNotes(['note_1'], { add: [' '] })).toEqual({ success: false, error: 'Enter a tag' });
+    });
+
+    test('renames, merges and deletes tags everywhere, queuing the change for the server', async () => {
+        expect(await processor.renameTag('ml', 'machine learning')).toEqual({ success: true, updated: 2 });
+        expect(await tagsOf('note_1')).toEqual(['machine learning', 'papers']);
+
+        expect(await processor.mergeTags(['papers', 'reading'], 'Machine Learning')).toEqual({ success: true, updated: 2 });
+        expect(await tagsOf('note_1')).toEqual(['Machine Learning']);
+        expect(await tagsOf('note_3')).toEqual(['Machine Learning']);
+
+        expect(await processor.deleteTag('machine learning')).toEqual({ success: true, updated: 3 });
+        expect(await tagsOf('note_2')).toEqual([]);
+
+        const operations = await processor.repository.getOperations('note_1');
+        expect(operations[operations.length - 1].changes).toEqual(expect.objectContaining({ tags: [] }));
+        expect(await processor.mergeTags(['ml'], ' ')).toEqual({ success: false, error: 'Enter the new tag name' });
+    });
+
+    test('finds notes by tag in any spelling', async () => {
+        const { results } = await processor.searchNotes({ tag: 'Ml' });
+
+        expect(results.map(result => result.note.id).sort()).toEqual(['note_1', 'note_2']);
+    });
+
+    test('sends tags with the note', async () => {
+        const added = await processor.addNote({ content: 'New', intent: 'learn', tags: 'one, #One, two' });
+
+        expect(added.tags).toEqual(['one', 'two']);
+        expect(processor.serializeNote(added).tags).toEqual(['one', 'two']);
+    });
+});